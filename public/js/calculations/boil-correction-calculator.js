@@ -0,0 +1,189 @@
+/**
+ * Boil Correction Calculator - Atomic Calculator Pattern
+ *
+ * Brew day advice for a pre-boil reading that misses the plan: the OG the wort is heading for,
+ * and how to bring it back on target by extending the boil, diluting with water or adding
+ * dry malt extract or sugar, with the post-boil volume and IBU each option ends up at.
+ * Works from a measured gravity and volume, and builds a printable "if you're off" lookup table
+ * around the planned pre-boil gravity and volume.
+ *
+ * ARCHITECTURAL PATTERN: Atomic Calculator
+ * - Single-responsibility calculations with automatic error handling
+ * - Uses safeCalculation() wrapper for consistent fallback behavior
+ * - Returns plain values or fallbacks, never throws exceptions
+ * - Focused on brewing-specific boil gravity calculations
+ */
+
+import {
+  KG_TO_LB,
+  L_TO_GAL,
+  DME_PPG,
+  SUCROSE_PPG,
+  BOIL_CORRECTION_TOLERANCE_POINTS,
+  BOIL_CORRECTION_GRAVITY_OFFSETS,
+  BOIL_CORRECTION_VOLUME_OFFSETS
+} from '../core/constants.js';
+import { calculateTinsethUtilization } from './ibu-calculator.js';
+import { safeCalculation } from '../utilities/errors/error-utils.js';
+
+/**
+ * Gravity-liters one kilogram of a fermentable adds to the wort
+ * @param {number} ppg - Gravity points per lb per gallon
+ * @returns {number} (SG - 1) × liters per kg
+ */
+function getExtractPerKg(ppg) {
+  return ppg / 1000 * KG_TO_LB / L_TO_GAL;
+}
+
+/**
+ * IBU once the boil ends at a different volume and gravity than planned
+ * Hops are the same, so bitterness scales with the final volume and the Tinseth bigness factor
+ * @param {Object} plan - Resolved plan (see resolvePlan)
+ * @param {number} postBoilVolumeL - Volume at the end of the boil
+ * @param {number} postBoilExtract - End-of-boil gravity as SG - 1
+ * @returns {number|null} Estimated IBU, null without a planned IBU
+ */
+function scaleIBU(plan, postBoilVolumeL, postBoilExtract) {
+  if (!(plan.ibu >= 0)) return null;
+
+  const plannedUtilization = calculateTinsethUtilization(1 + plan.postBoilExtract, plan.boilTimeMin);
+  const utilization = calculateTinsethUtilization(1 + postBoilExtract, plan.boilTimeMin);
+  const gravityFactor = plannedUtilization > 0 ? utilization / plannedUtilization : 1;
+  return plan.ibu * gravityFactor * plan.postBoilVolumeL / postBoilVolumeL;
+}
+
+/**
+ * Check the planned values and derive the end-of-boil volume and gravity they lead to
+ * @param {Object} plan - {preBoilGravity, preBoilVolumeL, boilOffRateLHr, boilTimeMin, og, ibu}
+ * @returns {Object|null} Plan with evaporationL, postBoilVolumeL and postBoilExtract, null when incomplete
+ */
+function resolvePlan(plan) {
+  const { preBoilGravity, preBoilVolumeL, boilOffRateLHr, boilTimeMin, og } = plan || {};
+  if (!(preBoilGravity > 1) || !(og > 1) || !(preBoilVolumeL > 0) || !(boilOffRateLHr > 0) || !(boilTimeMin > 0)) {
+    return null;
+  }
+
+  const evaporationL = boilOffRateLHr * boilTimeMin / 60;
+  const postBoilVolumeL = preBoilVolumeL - evaporationL;
+  if (!(postBoilVolumeL > 0)) return null;
+
+  return {
+    ...plan,
+    evaporationL,
+    postBoilVolumeL,
+    postBoilExtract: (preBoilGravity - 1) * preBoilVolumeL / postBoilVolumeL
+  };
+}
+
+/**
+ * Expected OG and the ways to bring it back on target for one pre-boil reading
+ * The expected OG scales the recipe OG by the end-of-boil gravity, so additions outside the
+ * kettle are carried along and a reading on plan lands exactly on the recipe OG
+ * @param {Object} measured - {preBoilGravity, preBoilVolumeL} as read before the boil
+ * @param {Object} plan - Resolved plan (see resolvePlan)
+ * @returns {Object|null} {preBoilGravity, preBoilVolumeL, expectedOg, postBoilVolumeL, ibu, isOnTarget,
+ *   extendBoil, dme, sugar, dilute} - options are null when they don't apply
+ */
+function adviseBoilCorrection({ preBoilGravity, preBoilVolumeL }, plan) {
+  const postBoilVolumeL = preBoilVolumeL - plan.evaporationL;
+  if (!(preBoilGravity > 1) || !(postBoilVolumeL > 0)) return null;
+
+  const extract = (preBoilGravity - 1) * preBoilVolumeL;
+  const postBoilExtract = extract / postBoilVolumeL;
+  const expectedOg = 1 + (plan.og - 1) * postBoilExtract / plan.postBoilExtract;
+  const missPoints = (expectedOg - plan.og) * 1000;
+  const isOnTarget = Math.abs(missPoints) < BOIL_CORRECTION_TOLERANCE_POINTS;
+
+  // Volume the boil has to end at for the planned end-of-boil gravity
+  const targetVolumeL = extract / plan.postBoilExtract;
+  const correctedTo = (volumeL) => ({ postBoilVolumeL: volumeL, ibu: scaleIBU(plan, volumeL, plan.postBoilExtract) });
+
+  let extendBoil = null;
+  let dme = null;
+  let sugar = null;
+  let dilute = null;
+
+  if (!isOnTarget && missPoints < 0) {
+    const extraEvaporationL = postBoilVolumeL - targetVolumeL;
+    extendBoil = { extraMinutes: extraEvaporationL / plan.boilOffRateLHr * 60, ...correctedTo(targetVolumeL) };
+
+    const missingExtract = plan.postBoilExtract * postBoilVolumeL - extract;
+    dme = { weightKg: missingExtract / getExtractPerKg(DME_PPG), ...correctedTo(postBoilVolumeL) };
+    sugar = { weightKg: missingExtract / getExtractPerKg(SUCROSE_PPG), ...correctedTo(postBoilVolumeL) };
+  } else if (!isOnTarget) {
+    // Water goes into the kettle now, so the whole boil runs at the planned gravity
+    dilute = { waterL: targetVolumeL - postBoilVolumeL, ...correctedTo(targetVolumeL) };
+  }
+
+  return {
+    preBoilGravity,
+    preBoilVolumeL,
+    expectedOg,
+    postBoilVolumeL,
+    ibu: scaleIBU(plan, postBoilVolumeL, postBoilExtract),
+    isOnTarget,
+    extendBoil,
+    dme,
+    sugar,
+    dilute
+  };
+}
+
+/**
+ * Advice for a single measured pre-boil reading
+ * @param {Object} measured - {preBoilGravity, preBoilVolumeL} as read before the boil
+ * @param {Object} plan - {preBoilGravity, preBoilVolumeL, boilOffRateLHr, boilTimeMin, og, ibu}
+ * @returns {Object|null} Correction advice (see adviseBoilCorrection), null without a complete plan
+ */
+function calculateBoilCorrection(measured, plan) {
+  const resolvedPlan = resolvePlan(plan);
+  return resolvedPlan ? adviseBoilCorrection(measured || {}, resolvedPlan) : null;
+}
+
+/**
+ * Build the "if you're off" lookup table around the planned pre-boil reading
+ * @param {Object} plan - {preBoilGravity, preBoilVolumeL, boilOffRateLHr, boilTimeMin, og, ibu}
+ * @returns {Object|null} {plan, gravityRows, volumeRows} - gravity rows at the planned volume, volume rows
+ *   for the planned extract collected in more or less wort; null without a boil or a complete plan
+ */
+function calculateBoilCorrectionTable(plan) {
+  const resolvedPlan = resolvePlan(plan);
+  if (!resolvedPlan) return null;
+
+  const gravityRows = BOIL_CORRECTION_GRAVITY_OFFSETS.map(offsetPoints => ({
+    offsetPoints,
+    ...adviseBoilCorrection({
+      preBoilGravity: resolvedPlan.preBoilGravity + offsetPoints / 1000,
+      preBoilVolumeL: resolvedPlan.preBoilVolumeL
+    }, resolvedPlan)
+  })).filter(row => row.preBoilGravity > 1);
+
+  // Over- or under-collected runnings hold about the same extract at a different gravity
+  const volumeRows = BOIL_CORRECTION_VOLUME_OFFSETS.map(offsetFraction => ({
+    offsetFraction,
+    ...adviseBoilCorrection({
+      preBoilGravity: 1 + (resolvedPlan.preBoilGravity - 1) / (1 + offsetFraction),
+      preBoilVolumeL: resolvedPlan.preBoilVolumeL * (1 + offsetFraction)
+    }, resolvedPlan)
+  })).filter(row => row.postBoilVolumeL > 0);
+
+  return { plan: resolvedPlan, gravityRows, volumeRows };
+}
+
+// Export safe wrappers for all calculation functions
+const safeCalculateBoilCorrection = (measured, plan) =>
+    safeCalculation(() => calculateBoilCorrection(measured, plan), null, {
+        calculator: 'boil_correction',
+        operation: 'boil_correction'
+    });
+
+const safeCalculateBoilCorrectionTable = (plan) =>
+    safeCalculation(() => calculateBoilCorrectionTable(plan), null, {
+        calculator: 'boil_correction',
+        operation: 'boil_correction_table'
+    });
+
+export {
+    safeCalculateBoilCorrection as calculateBoilCorrection,
+    safeCalculateBoilCorrectionTable as calculateBoilCorrectionTable
+};
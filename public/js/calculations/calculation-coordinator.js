@@ -19,7 +19,9 @@ import {
 import {
   calculateApparentAttenuation,
   getEstimatedYeastAttenuation,
+  analyzeCultures
 } from './yeast-calculator.js';
+import { calculateAttenuationPrediction } from './fermentability-calculator.js';
 import { 
   calculatePreBoilGravity, 
   calculatePostBoilGravity,
@@ -28,7 +30,8 @@ import {
   calculateEstimatedABV,
   calculateEstimatedValues,
   calculateFirstRunningsGravityFormatted,
-  calculateLastRunningsGravityFormatted
+  calculateLastRunningsGravityFormatted,
+  getWaterToGrainRatio
 } from './gravity-calculator.js';
 import { 
   isValidGravity, 
@@ -37,16 +40,34 @@ import {
 } from '../utilities/validation/validation-utils.js';
 import { 
   calculateEstimatedIBU, 
-  getNumericIBU 
+  getNumericIBU,
+  resolveIBUFormula,
+  hasIBUOverride
 } from './ibu-calculator.js';
+import { calculateAdjustedAlpha } from './hop-calculator.js';
+import { calculatePitchingPlan } from './pitch-rate-calculator.js';
+import { calculateKeggingPlan } from './kegging-calculator.js';
+import {
+  calculateSaltAdditions,
+  calculateSpargeAcidification,
+  getIonProfile
+} from './water-chemistry-calculator.js';
+import { getSpargeVolume } from './sparge-calculator.js';
+import { calculateMashPh } from './mash-ph-calculator.js';
+import { calculateInfusionPlan } from './mash-infusion-calculator.js';
+import { calculateGravityCorrections } from './measurement-correction-calculator.js';
+import { calculateBoilCorrectionTable } from './boil-correction-calculator.js';
 import { 
   calculateEstimatedSRM, 
-  getNumericSRM 
+  getNumericSRM,
+  normalizeColorModel,
+  hasColorOverride
 } from './srm-calculator.js';
 import { 
   calculateEstimatedCarbonation, 
   getNumericCarbonation,
-  getCarbonationRange
+  getCarbonationRange,
+  calculatePrimingPlan
 } from './carbonation-calculator.js';
 import { 
   DEFAULT_OG,
@@ -54,22 +75,34 @@ import {
   DEFAULT_ABV,
   DEFAULT_IBU,
   DEFAULT_SRM,
-  DEFAULT_CARBONATION
+  DEFAULT_CARBONATION,
+  IBU_FORMULAS,
+  COLOR_MODELS,
+  COLOR_UNITS,
+  DEFAULT_COLOR_MODEL,
+  DEFAULT_COLOR_UNIT,
+  DEFAULT_SERVING_TEMP_F,
+  CELSIUS_TO_FAHRENHEIT_MULTIPLIER,
+  CELSIUS_TO_FAHRENHEIT_OFFSET
 } from '../core/constants.js';
 import { errorHandler } from '../utilities/errors/error-handler.js';
+import { extractSpargePh } from '../utilities/data/ph-extraction-utils.js';
 
 export class CalculationCoordinator {
   constructor() {
     this.cache = new Map();
     this.currentRecipeId = null;
+    this.settings = {};
   }
 
   /**
-   * Set the current recipe and clear cache if it's a new recipe
+   * Set the current recipe and clear cache if it's a new recipe or the settings changed
    * @param {Object} recipeData - Recipe data object
+   * @param {Object} [settings] - User calculation settings ({ibuFormula, elevationFt, servingTempF, ...})
    */
-  setRecipe(recipeData) {
-    const recipeId = this.generateRecipeId(recipeData);
+  setRecipe(recipeData, settings = {}) {
+    this.settings = settings;
+    const recipeId = `${this.generateRecipeId(recipeData)}_${JSON.stringify(settings)}`;
     if (this.currentRecipeId !== recipeId) {
       this.clearCache();
       this.currentRecipeId = recipeId;
@@ -82,7 +115,9 @@ export class CalculationCoordinator {
    * @returns {string} Recipe ID
    */
   generateRecipeId(recipeData) {
-    return `${recipeData.name || 'unnamed'}_${recipeData.og || 1.000}_${recipeData.batchSize || 5}`;
+    // Efficiency, boil size and equipment included so a rescaled recipe with the same name and batch,
+    // or the same recipe on another equipment profile, recalculates
+    return `${recipeData.name || 'unnamed'}_${recipeData.og || 1.000}_${recipeData.batchSize || 5}_${recipeData.efficiency}_${recipeData.boilSize}_${JSON.stringify(recipeData.equipment || {})}`;
   }
 
   /**
@@ -123,7 +158,7 @@ export class CalculationCoordinator {
    * @param {Object} config - Configuration object
    * @param {Object} config.recipeData - Recipe data object
    * @param {string} config.operation - Operation name for error handling
-   * @param {string} config.existingValueKey - Key to check for existing value in recipe
+   * @param {string} [config.existingValueKey] - Key to check for existing value in recipe (omit to always calculate)
    * @param {Function} config.validator - Validation function for existing value
    * @param {Function} config.calculator - Calculation function
    * @param {Function} config.parser - Parser function for string values
@@ -223,7 +258,7 @@ export class CalculationCoordinator {
         'estimatedValues',
         calculateEstimatedValues,
         recipeData,
-        getEstimatedYeastAttenuation
+        this.settings
       );
     } catch (error) {
       errorHandler.handleError(error, {
@@ -262,7 +297,7 @@ export class CalculationCoordinator {
       'estimatedFG',
       calculateEstimatedFG,
       recipeData,
-      getEstimatedYeastAttenuation
+      this.settings
     );
   }
 
@@ -276,7 +311,7 @@ export class CalculationCoordinator {
       'estimatedABV',
       calculateEstimatedABV,
       recipeData,
-      getEstimatedYeastAttenuation
+      this.settings
     );
   }
 
@@ -289,12 +324,13 @@ export class CalculationCoordinator {
     return this.getCachedOrCalculate(
       'estimatedIBU',
       calculateEstimatedIBU,
-      recipeData
+      recipeData,
+      this.settings
     );
   }
 
   /**
-   * Calculate estimated SRM with caching
+   * Calculate estimated SRM with caching (always in SRM - display units are applied by the formatter)
    * @param {Object} recipeData - Recipe data object
    * @returns {string} Formatted SRM
    */
@@ -302,7 +338,8 @@ export class CalculationCoordinator {
     return this.getCachedOrCalculate(
       'estimatedSRM',
       calculateEstimatedSRM,
-      recipeData
+      recipeData,
+      { colorModel: this.settings.colorModel }
     );
   }
 
@@ -456,7 +493,8 @@ export class CalculationCoordinator {
       return this.getCachedOrCalculate(
         'apparentAttenuation',
         calculateApparentAttenuation,
-        recipeData
+        recipeData,
+        this.settings
       );
     } catch (error) {
       errorHandler.handleError(error, {
@@ -477,8 +515,8 @@ export class CalculationCoordinator {
       return this.getCachedOrCalculate(
         'numericValues',
         (data) => ({
-          ibu: getNumericIBU(data) ?? data.ibu,
-          srm: getNumericSRM(data) || data.srm,
+          ibu: getNumericIBU(data, this.settings) ?? data.ibu,
+          srm: getNumericSRM(data, { colorModel: this.settings.colorModel }) || data.srm,
           carbonation: getNumericCarbonation(data) || data.carbonation
         }),
         recipeData
@@ -517,6 +555,10 @@ export class CalculationCoordinator {
       existingValueKey: 'og',
       validator: isValidGravity,
       calculator: (data) => this.calculateEstimatedOG(data),
+      parser: (value) => {
+        const parsed = parseRawGravity(value);
+        return isValidGravity(parsed) ? parsed : undefined;
+      },
       fallback: DEFAULT_OG // Typical all-grain OG
     });
   }
@@ -541,6 +583,23 @@ export class CalculationCoordinator {
     });
   }
 
+  /**
+   * Get how the mash schedule and unfermentables move the yeast attenuation behind the estimated FG (cached)
+   * @param {Object} recipeData - Recipe data object
+   * @returns {Object|null} Attenuation prediction from fermentability-calculator, null when the recipe file has its own FG
+   */
+  getAttenuationPrediction(recipeData) {
+    if (isValidGravity(recipeData.fg)) {
+      return null;
+    }
+    return this.getCachedOrCalculate(
+      'attenuationPrediction',
+      calculateAttenuationPrediction,
+      getEstimatedYeastAttenuation(recipeData, this.settings),
+      recipeData
+    );
+  }
+
   /**
    * Get ABV with brewing domain fallbacks (guaranteed to return valid value)
    * @param {Object} recipeData - Recipe data object
@@ -566,7 +625,8 @@ export class CalculationCoordinator {
     return this.getValidBrewingValue({
       recipeData,
       operation: 'get-ibu',
-      existingValueKey: 'ibu',
+      // A formula override recalculates even when the recipe file has its own IBU
+      existingValueKey: this.hasIBUOverride() ? undefined : 'ibu',
       validator: (value) => value !== undefined && value >= 0,
       calculator: (data) => this.calculateEstimatedIBU(data),
       parser: (value) => {
@@ -584,6 +644,246 @@ export class CalculationCoordinator {
     });
   }
 
+  /**
+   * Whether the user has chosen an IBU formula or chilling method instead of the recipe's own IBU
+   * @returns {boolean} True when calculation settings override the recipe's IBU
+   */
+  hasIBUOverride() {
+    return hasIBUOverride(this.settings);
+  }
+
+  /**
+   * Get the display name of the IBU formula behind getIBU()
+   * @param {Object} recipeData - Recipe data object
+   * @returns {string|null} Formula name, the file's declared method, or null when unknown
+   */
+  getIBUFormula(recipeData) {
+    // IBU taken from the recipe file - report whatever method the file declares
+    if (!this.hasIBUOverride() && recipeData.ibu !== undefined) {
+      return recipeData.ibuMethod || null;
+    }
+    return IBU_FORMULAS[resolveIBUFormula(recipeData, this.settings.ibuFormula)];
+  }
+
+  /**
+   * Get storage-aged alpha acids for the recipe's hops (index-aligned with ingredients.hops)
+   * @param {Object} recipeData - Recipe data object
+   * @returns {Array<number|null>} Adjusted alpha % per hop, null when the hop's age is unknown
+   */
+  getAdjustedHopAlphas(recipeData) {
+    return this.getCachedOrCalculate(
+      'adjustedHopAlphas',
+      (hops, options) => hops.map(hop => {
+        const adjustedAlpha = calculateAdjustedAlpha(hop, options);
+        return adjustedAlpha !== hop.alpha ? adjustedAlpha : null;
+      }),
+      recipeData.ingredients?.hops || [],
+      { referenceDate: recipeData.date, hopStorage: this.settings.hopStorage }
+    );
+  }
+
+  /**
+   * Get the yeast pitching plan for the primary yeast (cached)
+   * @param {Object} recipeData - Recipe data object
+   * @returns {Object|null} Pitching plan from pitch-rate-calculator, null without yeast
+   */
+  getPitchingPlan(recipeData) {
+    return this.getCachedOrCalculate(
+      'pitchingPlan',
+      calculatePitchingPlan,
+      recipeData.ingredients?.yeasts?.[0],
+      { og: this.getOG(recipeData), batchSizeL: recipeData.batchSize, referenceDate: recipeData.date }
+    );
+  }
+
+  /**
+   * Get every culture's role, attenuation and temperature fit with the fermentation schedule (cached)
+   * @param {Object} recipeData - Recipe data object
+   * @returns {Object|null} Culture analysis from yeast-calculator, null without yeast
+   */
+  getCultureAnalysis(recipeData) {
+    return this.getCachedOrCalculate(
+      'cultureAnalysis',
+      analyzeCultures,
+      recipeData,
+      this.settings
+    );
+  }
+
+  /**
+   * Get priming sugar amounts for bottling the packaged volume at the target carbonation (cached)
+   * @param {Object} recipeData - Recipe data object
+   * @returns {Object|null} Priming plan from carbonation-calculator
+   */
+  getPrimingPlan(recipeData) {
+    const packagedVolumeL = this.calculateWaterVolumeTracking(recipeData)?.volumePackagingL;
+    return this.getCachedOrCalculate(
+      'primingPlan',
+      calculatePrimingPlan,
+      recipeData,
+      {
+        targetVolumes: this.getCarbonation(recipeData),
+        packagedVolumeL: packagedVolumeL > 0 ? packagedVolumeL : recipeData.batchSize
+      }
+    );
+  }
+
+  /**
+   * Get salt additions that take the source water to the target profile, split over mash and sparge water (cached)
+   * @param {Object} recipeData - Recipe data object
+   * @param {Object} sourceWater - Source water profile
+   * @param {Object} targetWater - Target water profile
+   * @returns {Object|null} Salt addition plan from water-chemistry-calculator
+   */
+  getSaltAdditions(recipeData, sourceWater, targetWater) {
+    const tracking = this.calculateWaterVolumeTracking(recipeData);
+    return this.getCachedOrCalculate(
+      'saltAdditions',
+      calculateSaltAdditions,
+      sourceWater,
+      targetWater,
+      { mashWaterL: tracking?.strikeWaterL, spargeWaterL: tracking?.spargeWater }
+    );
+  }
+
+  /**
+   * Get predicted mash pH for the mash water and thickness, with acid needed for the target (cached)
+   * Uses the salted mash water when salt additions were calculated, otherwise the source water
+   * @param {Object} recipeData - Recipe data object
+   * @param {Object|null} sourceWater - Source water profile (null mashes with distilled water)
+   * @param {Object|null} saltAdditions - Salt addition plan from getSaltAdditions
+   * @returns {Object|null} Mash pH prediction from mash-ph-calculator
+   */
+  getMashPh(recipeData, sourceWater, saltAdditions) {
+    const tracking = this.calculateWaterVolumeTracking(recipeData);
+    let mashWaterIons = null;
+    if (saltAdditions?.mashIons) {
+      mashWaterIons = saltAdditions.mashIons;
+    } else if (sourceWater) {
+      mashWaterIons = getIonProfile(sourceWater);
+    }
+
+    return this.getCachedOrCalculate(
+      'mashPh',
+      calculateMashPh,
+      recipeData,
+      {
+        waterToGrainRatio: getWaterToGrainRatio({ ...recipeData, waterVolumeTracking: tracking }),
+        mashWaterIons,
+        isWaterAdjusted: !!saltAdditions?.mashIons
+      }
+    );
+  }
+
+  /**
+   * Get the acid that brings the sparge water to the declared sparge pH (cached)
+   * Uses the recipe's sparge step volume, falling back to the calculated sparge water
+   * @param {Object} recipeData - Recipe data object
+   * @param {Object|null} sourceWater - Source water profile
+   * @returns {Object|null} Sparge acidification plan from water-chemistry-calculator
+   */
+  getSpargeAcidification(recipeData, sourceWater) {
+    const spargeWaterL = getSpargeVolume(recipeData)?.volume
+      || this.calculateWaterVolumeTracking(recipeData)?.spargeWater;
+    return this.getCachedOrCalculate(
+      'spargeAcidification',
+      calculateSpargeAcidification,
+      sourceWater,
+      { spargeWaterL, targetPh: extractSpargePh(recipeData.mash) }
+    );
+  }
+
+  /**
+   * Get strike temperature, step infusions and mash volume at each rest (cached)
+   * Grain weight, strike water and grain displacement come from water volume tracking so they match the Volume Breakdown
+   * @param {Object} recipeData - Recipe data object
+   * @returns {Object|null} Infusion plan from mash-infusion-calculator
+   */
+  getInfusionPlan(recipeData) {
+    const tracking = this.calculateWaterVolumeTracking(recipeData);
+    return this.getCachedOrCalculate(
+      'infusionPlan',
+      calculateInfusionPlan,
+      recipeData,
+      {
+        grainWeightKg: tracking?.totalGrainWeight,
+        strikeWaterL: tracking?.strikeWaterL,
+        grainDisplacementL: tracking?.grainDisplacementL,
+        tunVolumeL: recipeData.equipment?.tunVolume,
+        elevationFt: this.settings.elevationFt || 0
+      }
+    );
+  }
+
+  /**
+   * Get hydrometer and refractometer correction tables around the expected gravities (cached)
+   * Uses the wort correction factor and hydrometer calibration temperature settings
+   * @param {Object} recipeData - Recipe data object
+   * @returns {Object|null} Correction tables from measurement-correction-calculator
+   */
+  getGravityCorrections(recipeData) {
+    const preBoilGravity = parseRawGravity(this.calculatePreBoilGravity(recipeData));
+    return this.getCachedOrCalculate(
+      'gravityCorrections',
+      calculateGravityCorrections,
+      {
+        og: this.getOG(recipeData),
+        fg: this.getFG(recipeData),
+        preBoilGravity: isValidGravity(preBoilGravity) ? preBoilGravity : null,
+        wortCorrectionFactor: this.settings.wortCorrectionFactor,
+        calibrationTempF: this.settings.hydrometerCalibrationF
+      }
+    );
+  }
+
+  /**
+   * Get the "if you're off" pre-boil correction table around the planned pre-boil reading (cached)
+   * Pre-boil volume and boil-off come from water volume tracking; recipes without a boil size get
+   * their pre-boil gravity from the tracked volume too
+   * @param {Object} recipeData - Recipe data object
+   * @returns {Object|null} Correction table from boil-correction-calculator, null for no-boil recipes
+   */
+  getBoilCorrections(recipeData) {
+    const tracking = this.calculateWaterVolumeTracking(recipeData);
+    const preBoilVolumeL = tracking?.volumePreBoilL > 0 ? tracking.volumePreBoilL : recipeData.boilSize;
+    const preBoilGravity = parseRawGravity(recipeData.boilSize
+      ? this.calculatePreBoilGravity(recipeData)
+      : calculatePreBoilGravity({ ...recipeData, boilSize: preBoilVolumeL }));
+    return this.getCachedOrCalculate(
+      'boilCorrections',
+      calculateBoilCorrectionTable,
+      {
+        preBoilGravity: isValidGravity(preBoilGravity) ? preBoilGravity : null,
+        preBoilVolumeL,
+        boilOffRateLHr: tracking?.equipment?.boilOffRateLHr,
+        boilTimeMin: tracking?.isNoBoil ? 0 : recipeData.boilTime,
+        og: this.getOG(recipeData),
+        ibu: this.getIBU(recipeData)
+      }
+    );
+  }
+
+  /**
+   * Get the keg regulator pressure and line balance for the serving temperature and elevation settings (cached)
+   * @param {Object} recipeData - Recipe data object
+   * @returns {Object|null} Kegging plan from kegging-calculator
+   */
+  getKeggingPlan(recipeData) {
+    const servingTempF = this.settings.servingTempF > 0 ? this.settings.servingTempF : DEFAULT_SERVING_TEMP_F;
+    return this.getCachedOrCalculate(
+      'keggingPlan',
+      calculateKeggingPlan,
+      {
+        targetVolumes: this.getCarbonation(recipeData),
+        carbonationRange: this.getCarbonationRange(recipeData),
+        servingTempC: (servingTempF - CELSIUS_TO_FAHRENHEIT_OFFSET) / CELSIUS_TO_FAHRENHEIT_MULTIPLIER,
+        elevationFt: this.settings.elevationFt || 0,
+        beerLine: this.settings.beerLine,
+        tapHeightFt: this.settings.tapHeightFt
+      }
+    );
+  }
+
   /**
    * Get SRM with brewing domain fallbacks (guaranteed to return valid value)
    * @param {Object} recipeData - Recipe data object
@@ -593,7 +893,7 @@ export class CalculationCoordinator {
     return this.getValidBrewingValue({
       recipeData,
       operation: 'get-srm',
-      existingValueKey: 'srm',
+      existingValueKey: hasColorOverride(this.settings) ? undefined : 'srm',
       validator: (value) => value !== undefined && value !== null && value >= 0,
       calculator: (data) => this.calculateEstimatedSRM(data),
       parser: (value) => {
@@ -604,6 +904,26 @@ export class CalculationCoordinator {
     });
   }
 
+  /**
+   * Get the display name of the color model behind getSRM()
+   * @param {Object} recipeData - Recipe data object
+   * @returns {string|null} Model name, or null when the recipe file's SRM is used
+   */
+  getColorModel(recipeData) {
+    if (!hasColorOverride(this.settings) && recipeData.srm !== undefined && recipeData.srm !== null) {
+      return null;
+    }
+    return COLOR_MODELS[normalizeColorModel(this.settings.colorModel) || DEFAULT_COLOR_MODEL];
+  }
+
+  /**
+   * Get the color unit chosen in calculation settings
+   * @returns {string} COLOR_UNITS key ('srm' or 'ebc')
+   */
+  getColorUnit() {
+    return COLOR_UNITS[this.settings.colorUnit] ? this.settings.colorUnit : DEFAULT_COLOR_UNIT;
+  }
+
   /**
    * Get carbonation with brewing domain fallbacks (guaranteed to return valid value)
    * @param {Object} recipeData - Recipe data object
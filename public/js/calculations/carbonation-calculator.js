@@ -11,7 +11,21 @@
  * - Focused on brewing-specific carbonation calculations
  */
 
-import { DEFAULT_CARBONATION, DEFAULT_CARB_MIN, DEFAULT_CARB_MAX } from '../core/constants.js';
+import {
+  DEFAULT_CARBONATION,
+  DEFAULT_CARB_MIN,
+  DEFAULT_CARB_MAX,
+  CO2_GRAMS_PER_LITER_PER_VOLUME,
+  DEFAULT_FERMENTATION_TEMP_C,
+  BOTTLE_CONDITIONING_TEMP_C,
+  GLUCOSE_CO2_YIELD,
+  MALT_EXTRACT_FERMENTABILITY,
+  PRIMING_SUGARS,
+  STANDARD_BOTTLE_MAX_VOLUMES,
+  HEAVY_BOTTLE_MAX_VOLUMES,
+  CELSIUS_TO_FAHRENHEIT_MULTIPLIER,
+  CELSIUS_TO_FAHRENHEIT_OFFSET
+} from '../core/constants.js';
 import { safeCalculation } from '../utilities/errors/error-utils.js';
 
 // Carbonation ranges by beer style category
@@ -433,6 +447,126 @@ function validateCarbonationCalculation(styleName) {
   };
 }
 
+const celsiusToFahrenheit = (celsius) => celsius * CELSIUS_TO_FAHRENHEIT_MULTIPLIER + CELSIUS_TO_FAHRENHEIT_OFFSET;
+
+/**
+ * CO2 still dissolved in beer after fermentation at a given temperature
+ * @param {number} tempC - Highest temperature the beer reached (Celsius)
+ * @returns {number} Residual CO2 in volumes
+ */
+function calculateResidualCO2(tempC) {
+  const tempF = celsiusToFahrenheit(tempC);
+  return 3.0378 - 0.050062 * tempF + 0.00026555 * tempF ** 2;
+}
+
+/**
+ * Equilibrium gauge pressure of carbonated beer
+ * @param {number} volumes - CO2 volumes
+ * @param {number} tempC - Beer temperature (Celsius)
+ * @returns {number} Pressure in psi (gauge)
+ */
+function calculateCO2Pressure(volumes, tempC) {
+  const tempF = celsiusToFahrenheit(tempC);
+  return -16.6999 - 0.0101059 * tempF + 0.00116512 * tempF ** 2 +
+    0.173354 * tempF * volumes + 4.24267 * volumes - 0.0684226 * volumes ** 2;
+}
+
+/**
+ * Highest fermentation temperature from the recipe's fermentation steps
+ * (sets how much CO2 is left in the beer at packaging)
+ * @param {Object} fermentation - Parsed fermentation data
+ * @returns {Object} {tempC, isAssumed} - isAssumed when the recipe has no fermentation temperatures
+ */
+function getMaxFermentationTemp(fermentation) {
+  const temps = [
+    ...(fermentation?.steps || []).map(step => step?.temperature),
+    fermentation?.primaryTemp,
+    fermentation?.secondaryTemp,
+    fermentation?.tertiaryTemp
+  ].filter(temp => typeof temp === 'number' && isFinite(temp));
+
+  if (temps.length === 0) {
+    return { tempC: DEFAULT_FERMENTATION_TEMP_C, isAssumed: true };
+  }
+  return { tempC: Math.max(...temps), isAssumed: false };
+}
+
+/**
+ * Priming sugars to offer: the standard ones plus any custom sugar the recipe names
+ * (BeerXML PRIMING_SUGAR_NAME with its corn sugar equivalent, or fermentables added at packaging)
+ * @param {Object} recipeData - Pre-validated recipe data from RecipeValidator
+ * @returns {Array} [{key, label, co2Yield, isCustom}]
+ */
+function getPrimingSugars(recipeData) {
+  const sugars = Object.entries(PRIMING_SUGARS).map(([key, sugar]) => ({ key, ...sugar, isCustom: false }));
+
+  if (recipeData?.primingSugarName && recipeData.primingSugarEquiv > 0) {
+    sugars.push({
+      key: 'recipe-priming-sugar',
+      label: recipeData.primingSugarName,
+      co2Yield: PRIMING_SUGARS['corn-sugar'].co2Yield / recipeData.primingSugarEquiv,
+      isCustom: true
+    });
+  }
+
+  (recipeData?.ingredients?.fermentables || [])
+    .filter(fermentable => fermentable.addToPackage && fermentable.yield > 0)
+    .forEach((fermentable, index) => {
+      const type = (fermentable.type || '').toLowerCase();
+      const fermentability = type.includes('extract') ? MALT_EXTRACT_FERMENTABILITY : 1;
+      sugars.push({
+        key: `packaging-fermentable-${index}`,
+        label: fermentable.name || 'Priming sugar',
+        co2Yield: GLUCOSE_CO2_YIELD * (fermentable.yield / 100) * fermentability,
+        isCustom: true
+      });
+    });
+
+  return sugars;
+}
+
+/**
+ * Priming sugar amounts and bottle pressure for bottle conditioning
+ * @param {Object} recipeData - Pre-validated recipe data from RecipeValidator
+ * @param {Object} packaging - {targetVolumes, packagedVolumeL}
+ * @returns {Object|null} Priming plan, null without a packaged volume
+ */
+function calculatePrimingPlan(recipeData, { targetVolumes, packagedVolumeL } = {}) {
+  if (!(packagedVolumeL > 0) || !(targetVolumes > 0)) {
+    return null;
+  }
+
+  const { tempC: fermentationTempC, isAssumed: isFermentationTempAssumed } = getMaxFermentationTemp(recipeData?.fermentation);
+  const residualVolumes = Math.max(0, calculateResidualCO2(fermentationTempC));
+  const addedVolumes = Math.max(0, targetVolumes - residualVolumes);
+  const co2Grams = addedVolumes * CO2_GRAMS_PER_LITER_PER_VOLUME * packagedVolumeL;
+
+  const sugars = getPrimingSugars(recipeData).map(sugar => ({
+    ...sugar,
+    grams: co2Grams / sugar.co2Yield
+  }));
+
+  let bottleWarning = null;
+  if (targetVolumes > HEAVY_BOTTLE_MAX_VOLUMES) {
+    bottleWarning = 'danger';
+  } else if (targetVolumes > STANDARD_BOTTLE_MAX_VOLUMES) {
+    bottleWarning = 'heavy-bottles';
+  }
+
+  return {
+    targetVolumes,
+    packagedVolumeL,
+    fermentationTempC,
+    isFermentationTempAssumed,
+    residualVolumes,
+    addedVolumes,
+    sugars,
+    conditioningTempC: BOTTLE_CONDITIONING_TEMP_C,
+    bottlePressurePsi: calculateCO2Pressure(targetVolumes, BOTTLE_CONDITIONING_TEMP_C),
+    bottleWarning
+  };
+}
+
 // Export safe wrappers for all calculation functions
 const safeCalculateEstimatedCarbonation = (recipeData) => 
     safeCalculation(() => calculateEstimatedCarbonation(recipeData), DEFAULT_CARBONATION.toFixed(1), {
@@ -470,8 +604,17 @@ const safeMatchStyleToCarbonationRange = (styleName) =>
         operation: 'match_style'
     });
 
+const safeCalculatePrimingPlan = (recipeData, packaging) =>
+    safeCalculation(() => calculatePrimingPlan(recipeData, packaging), null, {
+        calculator: 'carbonation',
+        operation: 'priming_plan'
+    });
+
 export {
   safeCalculateEstimatedCarbonation as calculateEstimatedCarbonation,
+  safeCalculatePrimingPlan as calculatePrimingPlan,
+  calculateResidualCO2,
+  calculateCO2Pressure,
   safeGetNumericCarbonation as getNumericCarbonation,
   safeGetCarbonationRange as getCarbonationRange,
   safeParseCarbonationFromFormatted as parseCarbonationFromFormatted,
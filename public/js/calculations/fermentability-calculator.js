@@ -0,0 +1,162 @@
+/**
+ * Fermentability Calculator - Atomic Calculator Pattern
+ *
+ * Adjusts yeast attenuation for how fermentable the wort is. Saccharification rests hotter than
+ * about 66°C (151°F) leave more dextrins and cooler or longer rests fewer; crystal and dextrin malts,
+ * lactose and maltodextrin add extract the yeast can't ferment. An all-malt wort mashed at the
+ * reference rest keeps the yeast's own attenuation.
+ *
+ * ARCHITECTURAL PATTERN: Atomic Calculator
+ * - Single-responsibility calculations with automatic error handling
+ * - Uses safeCalculation() wrapper for consistent fallback behavior
+ * - Returns plain values or fallbacks, never throws exceptions
+ * - Focused on brewing-specific wort fermentability
+ */
+
+import {
+  SACCHARIFICATION_REFERENCE_TEMP_C,
+  SACCHARIFICATION_REFERENCE_MINUTES,
+  SACCHARIFICATION_RANGE_C,
+  SACCHARIFICATION_EFFECT_LIMITS_C,
+  SACCHARIFICATION_MINUTES_LIMITS,
+  ATTENUATION_PER_DEGREE_C,
+  ATTENUATION_PER_DOUBLED_REST,
+  UNFERMENTABLE_EXTRACT
+} from '../core/constants.js';
+import { getEfficiencyForCalculations } from './efficiency-calculator.js';
+import { safeCalculation } from '../utilities/errors/error-utils.js';
+
+const MASHED_TYPES = ['grain', 'adjunct'];
+const LACTOSE_PATTERN = /lactose|milk sugar/i;
+const MALTODEXTRIN_PATTERN = /maltodextrin/i;
+const DEXTRIN_MALT_PATTERN = /cara-?pils|carafoam|dextrin/i;
+const CRYSTAL_PATTERN = /crystal|caramel|\bcara(?!fa)|\bc-?\d{2,3}\b|special b/i;
+const MASH_OUT_PATTERN = /mash[\s_-]?out/i;
+
+const clamp = (value, { min, max }) => Math.min(max, Math.max(min, value));
+
+/**
+ * Whether a fermentable's extract depends on the mash
+ * @param {Object} fermentable - Validated fermentable
+ * @returns {boolean} True for grains and adjuncts
+ */
+function isMashed(fermentable) {
+  const type = (fermentable.type || '').toLowerCase();
+  return MASHED_TYPES.includes(type);
+}
+
+/**
+ * Classify a fermentable that adds unfermentable extract
+ * @param {Object} fermentable - Validated fermentable
+ * @returns {string|null} UNFERMENTABLE_EXTRACT key, null for fully fermentable ingredients
+ */
+function getUnfermentableClass(fermentable) {
+  const name = fermentable.name || '';
+  if (LACTOSE_PATTERN.test(name)) return 'lactose';
+  if (MALTODEXTRIN_PATTERN.test(name)) return 'maltodextrin';
+  if (!isMashed(fermentable)) return null;
+  if (DEXTRIN_MALT_PATTERN.test(name)) return 'dextrin';
+  if (CRYSTAL_PATTERN.test(name)) return 'crystal';
+  return null;
+}
+
+/**
+ * Time-weighted saccharification rest from the mash schedule
+ * Protein rests and mash out (below 60°C, 73°C and up) are left out by temperature; sparge steps and
+ * steps named or typed as mash out are left out whatever their temperature
+ * @param {Array} steps - Validated mash steps
+ * @returns {Object|null} {temperatureC, minutes}, null without a timed rest in the saccharification range
+ */
+function getSaccharificationRest(steps) {
+  const rests = (steps || []).filter(step =>
+    (step.type || '').toLowerCase() !== 'sparge' &&
+    !MASH_OUT_PATTERN.test(step.name || '') &&
+    !MASH_OUT_PATTERN.test(step.type || '') &&
+    step.stepTime > 0 &&
+    step.stepTemp >= SACCHARIFICATION_RANGE_C.min &&
+    step.stepTemp < SACCHARIFICATION_RANGE_C.max
+  );
+  const minutes = rests.reduce((sum, step) => sum + step.stepTime, 0);
+  if (!(minutes > 0)) return null;
+
+  return {
+    temperatureC: rests.reduce((sum, step) => sum + step.stepTemp * step.stepTime, 0) / minutes,
+    minutes
+  };
+}
+
+/**
+ * Adjust a yeast attenuation for the recipe's mash schedule and unfermentable extract
+ * The mash adjustment only applies to the mashed share of the extract; the unfermentable share
+ * then comes off whatever the yeast can reach
+ * @param {number} yeastAttenuation - Attenuation of the recipe's cultures (%)
+ * @param {Object} recipeData - Pre-validated recipe data from RecipeValidator
+ * @returns {Object} {yeastAttenuation, attenuation, mashAdjustment, unfermentableAdjustment, saccharificationTempC,
+ *   restMinutes, unfermentableShare, unfermentables} - adjustments in attenuation points
+ */
+function calculateAttenuationPrediction(yeastAttenuation, recipeData) {
+  const efficiency = getEfficiencyForCalculations(recipeData) / 100;
+  const extracts = (recipeData.ingredients?.fermentables || [])
+    .filter(fermentable => fermentable.amount > 0 && fermentable.yield > 0)
+    .map(fermentable => ({
+      fermentable,
+      extract: fermentable.amount * fermentable.yield * (isMashed(fermentable) ? efficiency : 1),
+      unfermentableClass: getUnfermentableClass(fermentable)
+    }));
+  const totalExtract = extracts.reduce((sum, item) => sum + item.extract, 0);
+  const mashedExtract = extracts.filter(item => isMashed(item.fermentable)).reduce((sum, item) => sum + item.extract, 0);
+
+  const rest = getSaccharificationRest(recipeData.mash?.steps);
+  let mashAdjustment = 0;
+  if (rest && totalExtract > 0) {
+    const temperatureC = clamp(rest.temperatureC, SACCHARIFICATION_EFFECT_LIMITS_C);
+    const minutes = clamp(rest.minutes, SACCHARIFICATION_MINUTES_LIMITS);
+    mashAdjustment = (mashedExtract / totalExtract) * (
+      ATTENUATION_PER_DEGREE_C * (temperatureC - SACCHARIFICATION_REFERENCE_TEMP_C) +
+      ATTENUATION_PER_DOUBLED_REST * Math.log2(minutes / SACCHARIFICATION_REFERENCE_MINUTES)
+    );
+  }
+
+  const unfermentables = extracts
+    .filter(item => item.unfermentableClass)
+    .map(item => ({
+      name: item.fermentable.name,
+      unfermentableClass: item.unfermentableClass,
+      share: item.extract * UNFERMENTABLE_EXTRACT[item.unfermentableClass] / totalExtract
+    }));
+  const unfermentableShare = unfermentables.reduce((sum, item) => sum + item.share, 0);
+
+  const mashedAttenuation = yeastAttenuation + mashAdjustment;
+  const attenuation = Math.min(100, Math.max(0, mashedAttenuation * (1 - unfermentableShare)));
+
+  return {
+    yeastAttenuation,
+    attenuation,
+    mashAdjustment,
+    unfermentableAdjustment: attenuation - Math.min(100, Math.max(0, mashedAttenuation)),
+    saccharificationTempC: rest ? rest.temperatureC : null,
+    restMinutes: rest ? rest.minutes : null,
+    unfermentableShare,
+    unfermentables
+  };
+}
+
+// Export safe wrappers for all calculation functions
+const safeCalculateAttenuationPrediction = (yeastAttenuation, recipeData) =>
+    safeCalculation(() => calculateAttenuationPrediction(yeastAttenuation, recipeData), {
+        yeastAttenuation,
+        attenuation: yeastAttenuation,
+        mashAdjustment: 0,
+        unfermentableAdjustment: 0,
+        saccharificationTempC: null,
+        restMinutes: null,
+        unfermentableShare: 0,
+        unfermentables: []
+    }, {
+        calculator: 'fermentability',
+        operation: 'attenuation_prediction'
+    });
+
+export {
+    safeCalculateAttenuationPrediction as calculateAttenuationPrediction
+};
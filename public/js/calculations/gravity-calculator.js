@@ -12,7 +12,7 @@
  */
 
 import { getEfficiencyForCalculations } from './efficiency-calculator.js';
-import { getEstimatedYeastAttenuation } from './yeast-calculator.js';
+import { getEstimatedYeastAttenuation, getPredictedAttenuation } from './yeast-calculator.js';
 import { parseGravityFromFormatted } from '../utilities/formatting/formatting-utils.js';
 import { 
   L_TO_GAL, 
@@ -200,17 +200,18 @@ function calculateEstimatedOG(recipeData) {
 /**
  * Calculate estimated Final Gravity when missing from BeerXML
  * @param {Object} recipeData - Pre-validated recipe data from RecipeValidator
+ * @param {Object} [options] - {brettFactor} for mixed fermentations
  * @returns {string} Formatted final gravity
  * @precondition recipeData.fg is valid gravity or undefined
  * @precondition recipeData.ingredients.yeasts is valid array if present
  */
-function calculateEstimatedFG(recipeData) {
+function calculateEstimatedFG(recipeData, options = {}) {
   // If FG is already provided, return it
   if (recipeData.fg) {
     return formatGravity(recipeData.fg);
   }
   
-  // Get OG and yeast attenuation
+  // Get OG and the attenuation the wort is predicted to reach
   const ogFormatted = calculateEstimatedOG(recipeData);
   const og = parseGravityFromFormatted(ogFormatted);
   
@@ -218,7 +219,7 @@ function calculateEstimatedFG(recipeData) {
     return '—';
   }
   
-  const attenuation = getEstimatedYeastAttenuation(recipeData) / 100;
+  const attenuation = getPredictedAttenuation(recipeData, options) / 100;
   
   // Calculate FG using attenuation formula
   // FG = OG - (OG - 1) * attenuation
@@ -230,11 +231,12 @@ function calculateEstimatedFG(recipeData) {
 /**
  * Calculate estimated ABV when missing from BeerXML
  * @param {Object} recipeData - Pre-validated recipe data from RecipeValidator
+ * @param {Object} [options] - {brettFactor} for mixed fermentations
  * @returns {string} Formatted ABV
  * @precondition recipeData.abv is valid percentage or undefined
  * @precondition recipeData.ingredients.yeasts is valid array if present
  */
-function calculateEstimatedABV(recipeData) {
+function calculateEstimatedABV(recipeData, options = {}) {
   
   // If ABV is already provided, return it
   if (recipeData.abv) {
@@ -243,7 +245,7 @@ function calculateEstimatedABV(recipeData) {
   
   // Get OG and FG
   const ogFormatted = calculateEstimatedOG(recipeData);
-  const fgFormatted = calculateEstimatedFG(recipeData);
+  const fgFormatted = calculateEstimatedFG(recipeData, options);
   
   const og = parseGravityFromFormatted(ogFormatted);
   const fg = parseGravityFromFormatted(fgFormatted);
@@ -382,15 +384,15 @@ function getWaterToGrainRatio(recipeData) {
 /**
  * Get all estimated values in one call for efficiency
  * @param {Object} recipeData - Recipe data object
- * @param {Function} getEstimatedYeastAttenuation - Function to get yeast attenuation
+ * @param {Object} [options] - {brettFactor} for mixed fermentations
  * @returns {Object} All estimated gravity values
  */
-function calculateEstimatedValues(recipeData) {
+function calculateEstimatedValues(recipeData, options = {}) {
   return {
     estimatedOG: calculateEstimatedOG(recipeData),
-    estimatedFG: calculateEstimatedFG(recipeData),
-    estimatedABV: calculateEstimatedABV(recipeData),
-    yeastAttenuation: `${getEstimatedYeastAttenuation(recipeData).toFixed(0)}%`
+    estimatedFG: calculateEstimatedFG(recipeData, options),
+    estimatedABV: calculateEstimatedABV(recipeData, options),
+    yeastAttenuation: `${getEstimatedYeastAttenuation(recipeData, options).toFixed(0)}%`
   };
 }
 
@@ -413,20 +415,20 @@ const safeCalculateEstimatedOG = (recipeData) =>
     operation: 'estimated_og' 
   });
 
-const safeCalculateEstimatedFG = (recipeData) => 
-  safeCalculation(() => calculateEstimatedFG(recipeData), '—', { 
+const safeCalculateEstimatedFG = (recipeData, options) => 
+  safeCalculation(() => calculateEstimatedFG(recipeData, options), '—', { 
     calculator: 'gravity', 
     operation: 'estimated_fg' 
   });
 
-const safeCalculateEstimatedABV = (recipeData) => 
-  safeCalculation(() => calculateEstimatedABV(recipeData), '—', { 
+const safeCalculateEstimatedABV = (recipeData, options) => 
+  safeCalculation(() => calculateEstimatedABV(recipeData, options), '—', { 
     calculator: 'gravity', 
     operation: 'estimated_abv' 
   });
 
-const safeCalculateEstimatedValues = (recipeData) => 
-  safeCalculation(() => calculateEstimatedValues(recipeData), {
+const safeCalculateEstimatedValues = (recipeData, options) => 
+  safeCalculation(() => calculateEstimatedValues(recipeData, options), {
     estimatedOG: '—',
     estimatedFG: '—', 
     estimatedABV: '—',
@@ -442,6 +444,12 @@ const safeCalculateFirstRunningsGravityFormatted = (recipeData) =>
     operation: 'first_runnings_gravity' 
   });
 
+const safeGetWaterToGrainRatio = (recipeData) => 
+  safeCalculation(() => getWaterToGrainRatio(recipeData), NORMAL_MASH_FACTOR, { 
+    calculator: 'gravity', 
+    operation: 'water_to_grain_ratio' 
+  });
+
 const safeCalculateLastRunningsGravityFormatted = (recipeData) => 
   safeCalculation(() => calculateLastRunningsGravityFormatted(recipeData), '—', { 
     calculator: 'gravity', 
@@ -456,5 +464,6 @@ export {
   safeCalculateEstimatedABV as calculateEstimatedABV,
   safeCalculateEstimatedValues as calculateEstimatedValues,
   safeCalculateFirstRunningsGravityFormatted as calculateFirstRunningsGravityFormatted,
-  safeCalculateLastRunningsGravityFormatted as calculateLastRunningsGravityFormatted
+  safeCalculateLastRunningsGravityFormatted as calculateLastRunningsGravityFormatted,
+  safeGetWaterToGrainRatio as getWaterToGrainRatio
 };
@@ -1,7 +1,8 @@
 /**
  * Hop Calculator - Atomic Calculator Pattern
  * 
- * Provides calculations for hop weights, rates, and timing analysis.
+ * Provides calculations for hop weights, rates, and timing analysis, plus the hop form
+ * utilization factors and storage-age alpha acid adjustments used for bitterness.
  * 
  * ARCHITECTURAL PATTERN: Atomic Calculator
  * - Single-responsibility calculations with automatic error handling
@@ -10,8 +11,20 @@
  * - Focused on brewing-specific hop calculations
  */
 
-import { KG_TO_OZ } from '../core/constants.js';
+import {
+    KG_TO_OZ,
+    HOP_FORM_UTILIZATION_FACTORS,
+    HOP_AGING_REFERENCE_DAYS,
+    HOP_AGING_REFERENCE_TEMP_C,
+    HOP_AGING_TEMP_HALVING_C,
+    DEFAULT_HOP_STABILITY_INDEX,
+    HOP_HARVEST_MONTH,
+    MS_PER_DAY,
+    HOP_STORAGE_CONDITIONS,
+    DEFAULT_HOP_STORAGE
+} from '../core/constants.js';
 import { safeCalculation } from '../utilities/errors/error-utils.js';
+import { parseRawPercentage } from '../utilities/validation/validation-utils.js';
 import { normalizeHopUse, INTERNAL_HOP_USES, isDryHop, isAromaHop, isFlavorHop } from '../utilities/hop-use-normalizer.js';
 
 /**
@@ -37,10 +50,47 @@ function extractHopData(hop) {
         time: hop.timing?.time?.value || parseFloat(hop.time) || 0,
         use: hop.timing?.use || hop.use,
         amount: hop.amount?.value || parseFloat(hop.amount) || 0,
-        unit: hop.amount?.unit
+        unit: hop.amount?.unit,
+        alpha: hop.alpha_acid?.value ?? parseFloat(hop.alpha),
+        form: normalizeHopForm(hop.form),
+        // BeerJSON percent_lost is the same measure as HSI (% alpha lost in 6 months at 20 C)
+        hsi: parseRawPercentage(hop.hsi?.value ?? hop.hsi ?? hop.percent_lost), // Accepts 25 or 0.25
+        harvestDate: parseHarvestDate(hop.harvestDate || hop.year)
     };
 }
 
+/**
+ * Normalize hop form names across formats to a HOP_FORM_UTILIZATION_FACTORS key
+ * (BeerXML Pellet/Plug/Leaf, BeerJSON pellet/powder/extract/leaf (wet), Brewfather Cryo etc.)
+ * @param {string} form - Hop form in any format
+ * @returns {string} Normalized form (leaf when unknown)
+ */
+function normalizeHopForm(form) {
+    const formLower = (form || '').toLowerCase();
+    if (formLower.includes('cryo') || formLower.includes('lupulin') || formLower.includes('powder')) return 'powder';
+    if (formLower.includes('pellet')) return 'pellet';
+    if (formLower.includes('plug')) return 'plug';
+    if (formLower.includes('extract')) return 'extract';
+    return 'leaf';
+}
+
+/**
+ * Parse a hop harvest date - a full date or a year-only crop (BeerJSON/Brewfather "year")
+ * @param {string|number} value - Harvest date or year
+ * @returns {Date|null} Harvest date or null if unknown
+ */
+function parseHarvestDate(value) {
+    if (value === undefined || value === null || value === '') return null;
+
+    const yearOnly = String(value).trim().match(/^(\d{4})$/);
+    if (yearOnly) {
+        return new Date(Number(yearOnly[1]), HOP_HARVEST_MONTH, 1);
+    }
+
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+}
+
 /**
  * Ensure hop use is normalized and return the internal use type
  * @param {Object} hop - Hop object with use, time, and sourceFormat properties
@@ -67,6 +117,42 @@ function ensureNormalizedHopUse(hop) {
     return normalized.use;
 }
 
+/**
+ * Utilization multiplier for a hop form relative to whole leaf hops
+ * @param {string} form - Hop form in any format
+ * @returns {number} Utilization factor
+ */
+function getHopFormUtilizationFactor(form) {
+    return HOP_FORM_UTILIZATION_FACTORS[normalizeHopForm(form)];
+}
+
+/**
+ * Estimate alpha acid remaining after storage (Garetz hop aging)
+ * AA = AA0 * e^(-k * TF * days) with k from the Hop Storage Index and TF from storage temperature.
+ * Only applied when both the harvest date and the brew date are known; HSI falls back to a typical value.
+ * @param {Object} hop - Hop object
+ * @param {Object} [options] - Aging options
+ * @param {string|Date} [options.referenceDate] - Brew date (recipe date)
+ * @param {string} [options.hopStorage] - HOP_STORAGE_CONDITIONS key
+ * @returns {number} Adjusted alpha acid percentage (nominal alpha when the age is unknown)
+ */
+function calculateAdjustedAlpha(hop, options = {}) {
+    const hopData = extractHopData(hop);
+    const brewDate = options.referenceDate ? new Date(options.referenceDate) : null;
+    if (!hopData.harvestDate || !brewDate || Number.isNaN(brewDate.getTime()) || !(hopData.alpha > 0)) {
+        return hopData.alpha;
+    }
+
+    const ageDays = Math.max(0, (brewDate - hopData.harvestDate) / MS_PER_DAY);
+
+    const hsi = hopData.hsi > 0 && hopData.hsi < 100 ? hopData.hsi : DEFAULT_HOP_STABILITY_INDEX;
+    const storage = HOP_STORAGE_CONDITIONS[options.hopStorage] || HOP_STORAGE_CONDITIONS[DEFAULT_HOP_STORAGE];
+    const lossRate = Math.log(100 / (100 - hsi)) / HOP_AGING_REFERENCE_DAYS;
+    const temperatureFactor = Math.pow(2, (storage.tempC - HOP_AGING_REFERENCE_TEMP_C) / HOP_AGING_TEMP_HALVING_C);
+
+    return hopData.alpha * Math.exp(-lossRate * temperatureFactor * ageDays);
+}
+
 /**
  * Process hop amount for calculation (convert to rounded display weight)
  * @param {Object} hop - Hop object with amount property
@@ -213,6 +299,18 @@ function calculateHopUtilization(hops) {
 }
 
 // Export safe wrappers for all calculation functions
+const safeGetHopFormUtilizationFactor = (form) => 
+    safeCalculation(() => getHopFormUtilizationFactor(form), 1, {
+        calculator: 'hop',
+        operation: 'form_utilization'
+    });
+
+const safeCalculateAdjustedAlpha = (hop, options) => 
+    safeCalculation(() => calculateAdjustedAlpha(hop, options), hop?.alpha, {
+        calculator: 'hop',
+        operation: 'adjusted_alpha'
+    });
+
 const safeGetRoundedDisplayWeight = (kg) => 
     safeCalculation(() => getRoundedDisplayWeight(kg), 0, {
         calculator: 'hop',
@@ -255,5 +353,7 @@ export {
     safeCalculateDryHopRate as calculateDryHopRate,
     safeCalculateAromaHopRate as calculateAromaHopRate,
     safeGetHopTimingBreakdown as getHopTimingBreakdown,
-    safeCalculateHopUtilization as calculateHopUtilization
+    safeCalculateHopUtilization as calculateHopUtilization,
+    safeGetHopFormUtilizationFactor as getHopFormUtilizationFactor,
+    safeCalculateAdjustedAlpha as calculateAdjustedAlpha
 };
\ No newline at end of file
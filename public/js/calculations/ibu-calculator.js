@@ -1,8 +1,12 @@
 /**
  * IBU Calculator - Atomic Calculator Pattern
  * 
- * Calculates International Bitterness Units (IBU) using the official Tinseth formula.
+ * Calculates International Bitterness Units (IBU) using Tinseth, Rager, Garetz, Daniels or mIBU.
  * Handles hop additions during boil, whirlpool, and other stages.
+ * When the recipe records a hop-stand temperature or a chilling method is chosen, hop stands and
+ * post-flameout cooling are converted to equivalent boil minutes from the wort temperature, so every
+ * formula sees the same effective contact time. Otherwise boil additions get their boil time only and
+ * hop stands count as at most WHIRLPOOL_MAX_TIME boil minutes, as in the published formulas.
  * 
  * ARCHITECTURAL PATTERN: Atomic Calculator
  * - Single-responsibility calculations with automatic error handling
@@ -22,8 +26,38 @@ import {
   BOIL_TIME_FACTOR_COEFFICIENT,
   BOIL_TIME_FACTOR_DIVISOR,
   WHIRLPOOL_MAX_TIME,
-  DEFAULT_NON_BOIL_TIME
+  DEFAULT_NON_BOIL_TIME,
+  DEFAULT_IBU_FORMULA,
+  RAGER_UTILIZATION_BASE,
+  RAGER_UTILIZATION_AMPLITUDE,
+  RAGER_TIME_OFFSET,
+  RAGER_TIME_SCALE,
+  GRAVITY_ADJUSTMENT_THRESHOLD,
+  GRAVITY_ADJUSTMENT_DIVISOR,
+  GARETZ_UTILIZATION_TABLE,
+  GARETZ_HOPPING_RATE_DIVISOR,
+  GARETZ_ELEVATION_STEP_FT,
+  GARETZ_ELEVATION_FACTOR,
+  GARETZ_MAX_ITERATIONS,
+  GARETZ_CONVERGENCE_IBU,
+  DANIELS_UTILIZATION_TABLE,
+  MIBU_DEFAULT_POST_BOIL_TIME,
+  ISOMERIZATION_RATE_FACTOR,
+  ISOMERIZATION_ACTIVATION_K,
+  KELVIN_OFFSET,
+  HOP_STAND_MAX_TEMP_C,
+  NATURAL_COOLING_AMPLITUDE_K,
+  NATURAL_COOLING_RATE,
+  NATURAL_COOLING_FLOOR_K,
+  IMMERSION_CHILL_RATE,
+  IMMERSION_COOLANT_TEMP_C,
+  POST_BOIL_INTEGRATION_MINUTES,
+  POST_BOIL_INTEGRATION_STEP,
+  CHILL_METHODS,
+  DEFAULT_CHILL_METHOD
 } from '../core/constants.js';
+import { normalizeHopUse, INTERNAL_HOP_USES } from '../utilities/hop-use-normalizer.js';
+import { getHopFormUtilizationFactor, calculateAdjustedAlpha } from './hop-calculator.js';
 
 import {
   isValidAmount,
@@ -54,18 +88,360 @@ function calculateTinsethUtilization(boilGravity, boilTimeMinutes) {
 }
 
 /**
- * Calculate estimated IBU when missing from BeerXML using official Tinseth formula
+ * Calculate Rager utilization factor
+ * Utilization % = 18.11 + 13.86 * tanh((time - 31.32) / 18.27)
+ * @param {number} boilTimeMinutes - Boil time in minutes
+ * @returns {number} Utilization factor (decimal)
+ */
+function calculateRagerUtilization(boilTimeMinutes) {
+  const utilizationPercent = RAGER_UTILIZATION_BASE +
+    RAGER_UTILIZATION_AMPLITUDE * Math.tanh((boilTimeMinutes - RAGER_TIME_OFFSET) / RAGER_TIME_SCALE);
+  return utilizationPercent / 100;
+}
+
+/**
+ * Rager/Daniels high-gravity adjustment - zero at or below 1.050
+ * @param {number} boilGravity - Boil gravity
+ * @returns {number} Gravity adjustment (GA)
+ */
+function calculateGravityAdjustment(boilGravity) {
+  return boilGravity > GRAVITY_ADJUSTMENT_THRESHOLD
+    ? (boilGravity - GRAVITY_ADJUSTMENT_THRESHOLD) / GRAVITY_ADJUSTMENT_DIVISOR
+    : 0;
+}
+
+/**
+ * Look up Garetz utilization factor from boil time
+ * @param {number} boilTimeMinutes - Boil time in minutes
+ * @returns {number} Utilization factor (decimal)
+ */
+function calculateGaretzUtilization(boilTimeMinutes) {
+  const row = GARETZ_UTILIZATION_TABLE.find(entry => boilTimeMinutes <= entry.maxTime);
+  return row.utilization / 100;
+}
+
+/**
+ * Look up Daniels utilization factor from boil time and hop form
+ * @param {number} boilTimeMinutes - Boil time in minutes
+ * @param {string} form - Hop form (pellet uses the pellet column, anything else whole hops)
+ * @returns {number} Utilization factor (decimal)
+ */
+function calculateDanielsUtilization(boilTimeMinutes, form) {
+  const row = DANIELS_UTILIZATION_TABLE.find(entry => boilTimeMinutes >= entry.minTime) ||
+    DANIELS_UTILIZATION_TABLE[DANIELS_UTILIZATION_TABLE.length - 1];
+  const isPellet = (form || '').toLowerCase().includes('pellet');
+  return (isPellet ? row.pellet : row.whole) / 100;
+}
+
+/**
+ * Relative alpha acid isomerization rate at a wort temperature
+ * relative rate = 2.39e11 * e^(-9773 / T), ~1.0 at boiling
+ * @param {number} temperatureK - Wort temperature in kelvin
+ * @returns {number} Rate relative to a rolling boil
+ */
+function calculateRelativeIsomerizationRate(temperatureK) {
+  return ISOMERIZATION_RATE_FACTOR * Math.exp(-ISOMERIZATION_ACTIVATION_K / temperatureK);
+}
+
+/**
+ * Describe the kettle temperature after flameout
+ * During the hop stand the wort is held at the stand temperature, or cools naturally
+ * (T(t) = 53.70 * e^(-0.01831 t) + 319.55 K) when none is recorded. Afterwards it is
+ * chilled toward the coolant (immersion) or keeps cooling slowly in the kettle (no-chill).
+ * @param {Object} postBoil - Post-boil process
+ * @param {number} postBoil.standMinutes - Minutes between flameout and chilling (0 for none)
+ * @param {number} [postBoil.standTempC] - Recorded hop stand temperature
+ * @param {string} postBoil.chillMethod - CHILL_METHODS key
+ * @returns {Object} Timeline ({standMinutes, endMinutes, temperatureAt(minutes) in kelvin})
+ */
+function createPostBoilTimeline({ standMinutes, standTempC, chillMethod }) {
+  const standTemperatureAt = Number.isFinite(standTempC)
+    ? () => standTempC + KELVIN_OFFSET
+    : t => NATURAL_COOLING_AMPLITUDE_K * Math.exp(-NATURAL_COOLING_RATE * t) + NATURAL_COOLING_FLOOR_K;
+  const chillStartK = standTemperatureAt(standMinutes);
+  const isNoChill = chillMethod === 'no-chill';
+  const floorK = Math.min(chillStartK, isNoChill ? NATURAL_COOLING_FLOOR_K : IMMERSION_COOLANT_TEMP_C + KELVIN_OFFSET);
+  const coolingRate = isNoChill ? NATURAL_COOLING_RATE : IMMERSION_CHILL_RATE;
+
+  return {
+    standMinutes,
+    endMinutes: standMinutes + POST_BOIL_INTEGRATION_MINUTES,
+    temperatureAt: t => (t < standMinutes
+      ? standTemperatureAt(t)
+      : floorK + (chillStartK - floorK) * Math.exp(-coolingRate * (t - standMinutes)))
+  };
+}
+
+/**
+ * Convert time spent in hot wort after flameout to equivalent minutes at boiling
+ * Integrates the relative isomerization rate along the post-boil timeline
+ * @param {Object} timeline - From createPostBoilTimeline
+ * @param {number} startMinutes - Minutes after flameout when the hops are in contact
+ * @returns {number} Equivalent boil minutes
+ */
+function calculatePostBoilEquivalentTime(timeline, startMinutes) {
+  let equivalentMinutes = 0;
+  for (let t = startMinutes; t < timeline.endMinutes; t += POST_BOIL_INTEGRATION_STEP) {
+    const step = Math.min(POST_BOIL_INTEGRATION_STEP, timeline.endMinutes - t);
+    equivalentMinutes += calculateRelativeIsomerizationRate(timeline.temperatureAt(t + step / 2)) * step;
+  }
+  return equivalentMinutes;
+}
+
+/**
+ * Equivalent boil minutes for a hop addition including everything after flameout
+ * Boil additions see the whole post-boil timeline; hop-stand additions go in standTime minutes
+ * before chilling, at their own recorded temperature when they have one
+ * @param {Object} addition - Prepared hop addition
+ * @param {Object} timeline - From createPostBoilTimeline
+ * @returns {number} Effective boil time in minutes
+ */
+function calculateEffectiveBoilTime(addition, timeline) {
+  if (!addition.isHopStand) {
+    return addition.time + (addition.inKettle ? calculatePostBoilEquivalentTime(timeline, 0) : 0);
+  }
+  if (Number.isFinite(addition.temperatureC)) {
+    return addition.standTime * calculateRelativeIsomerizationRate(addition.temperatureC + KELVIN_OFFSET) +
+      calculatePostBoilEquivalentTime(timeline, timeline.standMinutes);
+  }
+  return calculatePostBoilEquivalentTime(timeline, Math.max(0, timeline.standMinutes - addition.standTime));
+}
+
+/**
+ * Attach effective boil times for a post-boil timeline
+ * @param {Array<Object>} additions - Prepared hop additions
+ * @param {Object} timeline - From createPostBoilTimeline
+ * @returns {Array<Object>} Additions with effectiveTime
+ */
+function applyEffectiveBoilTimes(additions, timeline) {
+  return additions.map(addition => ({
+    ...addition,
+    effectiveTime: calculateEffectiveBoilTime(addition, timeline)
+  }));
+}
+
+/**
+ * Attach effective boil times without post-flameout cooling
+ * @param {Array<Object>} additions - Prepared hop additions
+ * @returns {Array<Object>} Additions with effectiveTime - boil time, or the capped stand time for hop stands
+ */
+function applyNominalBoilTimes(additions) {
+  return additions.map(addition => ({
+    ...addition,
+    effectiveTime: addition.isHopStand ? Math.min(addition.standTime, WHIRLPOOL_MAX_TIME) : addition.time
+  }));
+}
+
+/**
+ * Milligrams per liter of alpha acids added for a hop addition
+ * mg/l = decimal AA rating * ozs hops * 7490 / volume in gallons
+ * @param {Object} addition - Prepared hop addition
+ * @param {number} volumeGal - Wort volume in gallons
+ * @returns {number} mg/l of added alpha acids
+ */
+function calculateAlphaAcidConcentration(addition, volumeGal) {
+  return (addition.alphaAcid * addition.amountOz * ALPHA_ACID_FACTOR) / volumeGal;
+}
+
+/**
+ * IBU formula models
+ * Each model receives hop additions with effective boil times and the shared boil context and returns total IBU.
+ * Tinseth and mIBU use the average boil volume and gravity; Rager, Garetz and Daniels are defined
+ * against the final (post-boil) volume like their published forms. Hop form factors apply to all but
+ * Daniels, whose table already has a pellet column.
+ */
+const IBU_MODELS = {
+  tinseth: (additions, context) => additions.reduce((total, addition) => {
+    const utilization = calculateTinsethUtilization(context.avgBoilGravity, addition.effectiveTime) * addition.formFactor;
+    return total + utilization * calculateAlphaAcidConcentration(addition, context.avgBoilVolumeGal);
+  }, 0),
+
+  rager: (additions, context) => {
+    const gravityAdjustment = calculateGravityAdjustment(context.avgBoilGravity);
+    return additions.reduce((total, addition) => {
+      const utilization = calculateRagerUtilization(addition.effectiveTime) * addition.formFactor;
+      return total + utilization * calculateAlphaAcidConcentration(addition, context.batchSizeGal) / (1 + gravityAdjustment);
+    }, 0);
+  },
+
+  garetz: (additions, context) => {
+    // Concentration factor: final volume / boil volume, used for boil gravity and hopping rate
+    const concentrationFactor = context.batchSizeGal / context.boilSizeGal;
+    const boilGravity = concentrationFactor * (context.postBoilGravity - 1) + 1;
+    const gravityFactor = (boilGravity - GRAVITY_ADJUSTMENT_THRESHOLD) / GRAVITY_ADJUSTMENT_DIVISOR + 1;
+    const temperatureFactor = (context.elevationFt / GARETZ_ELEVATION_STEP_FT) * GARETZ_ELEVATION_FACTOR + 1;
+    const uncorrectedIBU = additions.reduce((total, addition) =>
+      total + calculateGaretzUtilization(addition.effectiveTime) * addition.formFactor *
+        calculateAlphaAcidConcentration(addition, context.batchSizeGal), 0);
+
+    // Hopping-rate factor depends on the IBU being solved for, so iterate to convergence
+    let ibu = uncorrectedIBU / (gravityFactor * temperatureFactor);
+    for (let i = 0; i < GARETZ_MAX_ITERATIONS; i++) {
+      const hoppingRateFactor = (concentrationFactor * ibu) / GARETZ_HOPPING_RATE_DIVISOR + 1;
+      const nextIBU = uncorrectedIBU / (gravityFactor * hoppingRateFactor * temperatureFactor);
+      if (Math.abs(nextIBU - ibu) < GARETZ_CONVERGENCE_IBU) {
+        return nextIBU;
+      }
+      ibu = nextIBU;
+    }
+    return ibu;
+  },
+
+  daniels: (additions, context) => {
+    const gravityAdjustment = calculateGravityAdjustment(context.avgBoilGravity);
+    return additions.reduce((total, addition) => {
+      const utilization = calculateDanielsUtilization(addition.effectiveTime, addition.form);
+      return total + utilization * calculateAlphaAcidConcentration(addition, context.batchSizeGal) / (1 + gravityAdjustment);
+    }, 0);
+  },
+
+  mibu: (additions, context) => {
+    // The wort cools naturally for at least 10 minutes before forced chilling, even without a hop stand
+    const timeline = createPostBoilTimeline({
+      ...context.postBoil,
+      standMinutes: Math.max(MIBU_DEFAULT_POST_BOIL_TIME, context.postBoil.standMinutes)
+    });
+    return IBU_MODELS.tinseth(applyEffectiveBoilTimes(additions, timeline), context);
+  }
+};
+
+/**
+ * Normalize a declared IBU method (BeerXML IBU_METHOD, BeerJSON ibu_estimate.method,
+ * Brewfather ibuFormula) or a settings value to an IBU_MODELS key
+ * @param {string} method - Formula name in any case
+ * @returns {string|null} Model key or null if not recognized (e.g. BeerJSON "Other")
+ */
+function normalizeIBUFormula(method) {
+  if (!method || typeof method !== 'string') {
+    return null;
+  }
+  const key = method.trim().toLowerCase().replace(/[\s-]/g, '');
+  if (key === 'modifiedibu') {
+    return 'mibu';
+  }
+  return IBU_MODELS[key] ? key : null;
+}
+
+/**
+ * Whether calculation settings ask for the IBU to be recalculated instead of taken from the recipe file
+ * @param {Object} [options] - Calculation settings ({ibuFormula, chillMethod})
+ * @returns {boolean} True when a formula or chilling method has been chosen
+ */
+function hasIBUOverride(options = {}) {
+  return normalizeIBUFormula(options.ibuFormula) !== null || Boolean(CHILL_METHODS[options.chillMethod]);
+}
+
+/**
+ * Resolve which IBU formula to use: user override, then the recipe's declared method, then Tinseth
+ * @param {Object} recipeData - Recipe data object
+ * @param {string} [override] - Formula key chosen in calculation settings
+ * @returns {string} IBU_MODELS key
+ */
+function resolveIBUFormula(recipeData, override) {
+  return normalizeIBUFormula(override) || normalizeIBUFormula(recipeData.ibuMethod) || DEFAULT_IBU_FORMULA;
+}
+
+/**
+ * Hop use in internal terms - BeerJSON/Brewfather hops are normalized by their parser,
+ * BeerXML-style uses are normalized here
+ * @param {Object} hop - Validated hop object
+ * @returns {string} INTERNAL_HOP_USES value
+ */
+function getInternalHopUse(hop) {
+  if (Object.values(INTERNAL_HOP_USES).includes(hop.use)) {
+    return hop.use;
+  }
+  return normalizeHopUse(hop.originalBrewfatherUse || hop.use, hop.time, hop.sourceFormat || 'unknown').use;
+}
+
+/**
+ * Prepare hop additions for the IBU models - skips dry/packaging hops and separates hop stands from boil additions
+ * @param {Array} hops - Validated hop objects
+ * @param {Object} agingOptions - Alpha acid aging options ({referenceDate, hopStorage})
+ * @param {boolean} useFormFactors - Apply HOP_FORM_UTILIZATION_FACTORS to the additions
+ * @returns {Array<Object>} Additions ({alphaAcid, amountOz, time, standTime, isHopStand, temperatureC, inKettle, form, formFactor})
+ */
+function prepareHopAdditions(hops, agingOptions, useFormFactors) {
+  const boilUses = [INTERNAL_HOP_USES.BITTERING, INTERNAL_HOP_USES.FLAVOR, INTERNAL_HOP_USES.AROMA];
+
+  return hops.reduce((additions, hop) => {
+    const hopUse = getInternalHopUse(hop);
+
+    // Skip dry hop and packaging additions (no IBU contribution)
+    if (hopUse === INTERNAL_HOP_USES.DRY_HOP || hopUse === INTERNAL_HOP_USES.PACKAGING) {
+      return additions;
+    }
+
+    // Direct usage - all properties guaranteed valid by RecipeValidator
+    const temperatureC = Number.isFinite(hop.temperature) ? hop.temperature : undefined;
+    // A boil-side addition recorded below boiling (e.g. a BeerJSON whirlpool boil step) is a hop stand too
+    const isHopStand = hopUse === INTERNAL_HOP_USES.WHIRLPOOL ||
+      (temperatureC !== undefined && temperatureC < HOP_STAND_MAX_TEMP_C);
+
+    // If not specifically boil and no time specified, assume minimal contribution
+    const boilTimeMin = !isHopStand && !boilUses.includes(hopUse) && hop.time === 0
+      ? DEFAULT_NON_BOIL_TIME
+      : hop.time;
+
+    additions.push({
+      alphaAcid: calculateAdjustedAlpha(hop, agingOptions) / 100, // Convert percentage to decimal
+      amountOz: hop.amount * KG_TO_OZ,
+      time: isHopStand ? 0 : boilTimeMin,
+      standTime: isHopStand ? hop.time : 0,
+      isHopStand,
+      temperatureC: isHopStand ? temperatureC : undefined,
+      // Mash hops stay with the grain and see no post-boil time
+      inKettle: hopUse !== INTERNAL_HOP_USES.MASH,
+      form: hop.form,
+      // Pellet/plug utilization relative to leaf is opt-in - the published formulas don't include it
+      formFactor: useFormFactors ? getHopFormUtilizationFactor(hop.form) : 1
+    });
+    return additions;
+  }, []);
+}
+
+/**
+ * Post-boil process for the recipe: the longest hop stand sets when chilling starts,
+ * and its recorded temperature (if any) is the kettle temperature during the stand.
+ * Cooling is only modeled when a stand temperature is recorded or a chilling method is chosen.
+ * @param {Array<Object>} additions - Prepared hop additions
+ * @param {string} [chillMethod] - CHILL_METHODS key
+ * @returns {Object} {standMinutes, standTempC, chillMethod, isModeled}
+ */
+function describePostBoil(additions, chillMethod) {
+  const standAdditions = additions.filter(addition => addition.isHopStand);
+  const standMinutes = Math.max(0, ...standAdditions.map(addition => addition.standTime));
+  const longestWithTemperature = standAdditions
+    .filter(addition => addition.temperatureC !== undefined)
+    .sort((a, b) => b.standTime - a.standTime)[0];
+
+  return {
+    standMinutes,
+    standTempC: longestWithTemperature?.temperatureC,
+    chillMethod: CHILL_METHODS[chillMethod] ? chillMethod : DEFAULT_CHILL_METHOD,
+    isModeled: Boolean(CHILL_METHODS[chillMethod]) || longestWithTemperature !== undefined
+  };
+}
+
+/**
+ * Calculate estimated IBU using the recipe's declared formula (Tinseth when none is declared)
  * @param {Object} recipeData - Pre-validated recipe data from RecipeValidator
+ * @param {Object} [options] - Calculation settings
+ * @param {string} [options.ibuFormula] - Formula override; when set the recipe's own IBU is recalculated
+ * @param {string} [options.chillMethod] - CHILL_METHODS key; when set the recipe's own IBU is recalculated
+ * @param {number} [options.elevationFt=0] - Brewery elevation for the Garetz altitude factor
+ * @param {string} [options.hopStorage] - HOP_STORAGE_CONDITIONS key for alpha acid aging
+ * @param {boolean} [options.hopFormFactors] - Apply hop form utilization factors (pellet vs leaf)
  * @returns {string} Formatted IBU value
  * @precondition recipeData.ibu is undefined or valid number >= 0
  * @precondition recipeData.batchSize is valid number > 0
  * @precondition recipeData.ingredients.hops is valid array (may be empty)
  * @precondition All hop objects have valid amount > 0, alpha > 0, time >= 0
  */
-function calculateEstimatedIBU(recipeData) {
+function calculateEstimatedIBU(recipeData, options = {}) {
   
-  // If IBU is already provided, return it (including 0)
-  if (recipeData.ibu !== undefined) {
+  // If IBU is already provided and not overridden, return it (including 0)
+  if (recipeData.ibu !== undefined && !hasIBUOverride(options)) {
     return recipeData.ibu.toFixed(0);
   }
 
@@ -74,74 +450,60 @@ function calculateEstimatedIBU(recipeData) {
     return '0';
   }
 
-  // Get boil gravity for utilization calculation (input guaranteed valid)
-  const avgBoilGravity = 1 + ((parseGravityFromFormatted(calculatePreBoilGravity(recipeData)) - 1) + (parseGravityFromFormatted(calculatePostBoilGravity(recipeData)) - 1)) / 2;
-  
-  // Convert batch size to gallons for the formula (input guaranteed valid)
-  const batchSizeGal = recipeData.batchSize * L_TO_GAL;
-  let totalIBU = 0;
-
-  // Calculate IBU for each hop addition using official Tinseth formula
-  recipeData.ingredients.hops.forEach(hop => {
-    const hopUse = (hop.use || '').toLowerCase();
-    
-    // Skip dry hop additions (no IBU contribution)
-    if (hopUse === 'dry hop' || hopUse === 'dry') {
-      return;
-    }
+  return calculateTotalIBU(recipeData, options).toFixed(0);
+}
 
-    // Direct usage - all properties guaranteed valid by RecipeValidator
-    const alphaAcidPercent = hop.alpha;
-    const hopAmountKg = hop.amount;
-    let boilTimeMin = hop.time;
-
-    // Convert hop amount to ounces for the formula
-    const hopAmountOz = hopAmountKg * KG_TO_OZ;
-
-    // Adjust time for different hop uses
-    if (hopUse === 'whirlpool' || hopUse === 'flameout' || hopUse === 'aroma') {
-      // Whirlpool/flameout hops get reduced utilization (equivalent to ~10 min boil)
-      boilTimeMin = Math.min(boilTimeMin, WHIRLPOOL_MAX_TIME);
-    } else if (hopUse !== 'boil' && boilTimeMin === 0) {
-      // If not specifically boil and no time specified, assume minimal contribution
-      boilTimeMin = DEFAULT_NON_BOIL_TIME;
-    }
+/**
+ * Calculate unrounded IBU from the recipe's hops, ignoring any IBU declared in the recipe file
+ * @param {Object} recipeData - Pre-validated recipe data from RecipeValidator
+ * @param {Object} [options] - Calculation settings (see calculateEstimatedIBU)
+ * @returns {number} Total IBU
+ */
+function calculateTotalIBU(recipeData, options = {}) {
+  const preBoilGravity = parseGravityFromFormatted(calculatePreBoilGravity(recipeData));
+  const postBoilGravity = parseGravityFromFormatted(calculatePostBoilGravity(recipeData));
 
-    // Calculate mg/l of added alpha acids using official Tinseth formula
-    // mg/l = decimal AA rating * ozs hops * 7490 / volume in gallons
-    const decimalAA = alphaAcidPercent / 100; // Convert percentage to decimal
-    // Convert volumes to gallons for the formula
-    const batchSizeGal = recipeData.batchSize * L_TO_GAL; // Convert L to gallons
-    const boilSizeGal = recipeData.boilSize * L_TO_GAL; // Convert L to gallons
-    
-    // Use average boil volume for more accurate IBU calculation
-    const avgBoilVolumeGal = (boilSizeGal + batchSizeGal) / 2;
-    const mgPerLiterAA = (decimalAA * hopAmountOz * ALPHA_ACID_FACTOR) / avgBoilVolumeGal;
+  // Convert volumes to gallons for the formulas (input guaranteed valid)
+  const batchSizeGal = recipeData.batchSize * L_TO_GAL;
+  const boilSizeGal = recipeData.boilSize * L_TO_GAL;
 
-    // Calculate decimal alpha acid utilization using Tinseth factors
-    const utilization = calculateTinsethUtilization(avgBoilGravity, boilTimeMin);
+  const additions = prepareHopAdditions(recipeData.ingredients.hops, {
+    referenceDate: recipeData.date,
+    hopStorage: options.hopStorage
+  }, Boolean(options.hopFormFactors));
+  const postBoil = describePostBoil(additions, options.chillMethod);
 
-    // Calculate IBU contribution using official Tinseth formula
-    // IBUs = decimal alpha acid utilization * mg/l of added alpha acids
-    const hopIBU = utilization * mgPerLiterAA;
-    
-    totalIBU += hopIBU;
-  });
+  const context = {
+    // Get boil gravity for utilization calculation (input guaranteed valid)
+    avgBoilGravity: 1 + ((preBoilGravity - 1) + (postBoilGravity - 1)) / 2,
+    postBoilGravity,
+    batchSizeGal,
+    boilSizeGal,
+    // Use average boil volume for more accurate IBU calculation
+    avgBoilVolumeGal: (boilSizeGal + batchSizeGal) / 2,
+    elevationFt: options.elevationFt || 0,
+    postBoil
+  };
 
-  return totalIBU.toFixed(0);
+  const formula = resolveIBUFormula(recipeData, options.ibuFormula);
+  const timedAdditions = postBoil.isModeled
+    ? applyEffectiveBoilTimes(additions, createPostBoilTimeline(postBoil))
+    : applyNominalBoilTimes(additions);
+  return IBU_MODELS[formula](timedAdditions, context);
 }
 
 /**
  * Get numeric IBU value for calculations (like style comparisons)
  * @param {Object} recipeData - Recipe data object
+ * @param {Object} [options] - Calculation settings (see calculateEstimatedIBU)
  * @returns {number|null} Numeric IBU value or null if not available
  */
-function getNumericIBU(recipeData) {
-  if (recipeData.ibu !== undefined && recipeData.ibu !== null) {
+function getNumericIBU(recipeData, options = {}) {
+  if (recipeData.ibu !== undefined && recipeData.ibu !== null && !hasIBUOverride(options)) {
     return recipeData.ibu;
   }
   
-  const estimatedIBU = calculateEstimatedIBU(recipeData);
+  const estimatedIBU = calculateEstimatedIBU(recipeData, options);
   if (estimatedIBU === '—') {
     return null;
   }
@@ -157,20 +519,37 @@ const safeCalculateTinsethUtilization = (boilGravity, boilTimeMinutes) =>
     operation: 'tinseth_utilization' 
   });
 
-const safeCalculateEstimatedIBU = (recipeData) => 
-  safeCalculation(() => calculateEstimatedIBU(recipeData), '—', { 
+const safeCalculateEstimatedIBU = (recipeData, options) => 
+  safeCalculation(() => calculateEstimatedIBU(recipeData, options), '—', { 
     calculator: 'ibu', 
     operation: 'estimated_ibu' 
   });
 
-const safeGetNumericIBU = (recipeData) => 
-  safeCalculation(() => getNumericIBU(recipeData), 0, { 
+const safeCalculateTotalIBU = (recipeData, options) => 
+  safeCalculation(() => calculateTotalIBU(recipeData, options), null, { 
+    calculator: 'ibu', 
+    operation: 'total_ibu' 
+  });
+
+const safeGetNumericIBU = (recipeData, options) => 
+  safeCalculation(() => getNumericIBU(recipeData, options), 0, { 
     calculator: 'ibu', 
     operation: 'numeric_ibu' 
   });
 
+const safeResolveIBUFormula = (recipeData, override) => 
+  safeCalculation(() => resolveIBUFormula(recipeData, override), DEFAULT_IBU_FORMULA, { 
+    calculator: 'ibu', 
+    operation: 'resolve_ibu_formula' 
+  });
+
 export {
   safeCalculateTinsethUtilization as calculateTinsethUtilization,
   safeCalculateEstimatedIBU as calculateEstimatedIBU,
-  safeGetNumericIBU as getNumericIBU
+  safeCalculateTotalIBU as calculateTotalIBU,
+  safeGetNumericIBU as getNumericIBU,
+  safeResolveIBUFormula as resolveIBUFormula,
+  normalizeIBUFormula,
+  hasIBUOverride,
+  getInternalHopUse
 };
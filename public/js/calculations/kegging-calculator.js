@@ -0,0 +1,134 @@
+/**
+ * Kegging Calculator - Atomic Calculator Pattern
+ *
+ * Regulator pressure for force carbonating a keg at the serving temperature, corrected for
+ * altitude, and the beer line length that balances a draught system at that pressure.
+ *
+ * ARCHITECTURAL PATTERN: Atomic Calculator
+ * - Single-responsibility calculations with automatic error handling
+ * - Uses safeCalculation() wrapper for consistent fallback behavior
+ * - Returns plain values or fallbacks, never throws exceptions
+ * - Focused on brewing-specific kegging calculations
+ */
+
+import {
+  SEA_LEVEL_PRESSURE_PSI,
+  PSI_TO_BAR,
+  BEER_LINE_RISE_PSI_PER_FT,
+  FAUCET_PRESSURE_PSI,
+  MIN_BEER_LINE_FT,
+  BEER_LINES,
+  DEFAULT_BEER_LINE,
+  DEFAULT_TAP_HEIGHT_FT,
+  KEG_TABLE_TEMP_STEPS_F,
+  CELSIUS_TO_FAHRENHEIT_MULTIPLIER
+} from '../core/constants.js';
+import { calculateCO2Pressure } from './carbonation-calculator.js';
+import { safeCalculation } from '../utilities/errors/error-utils.js';
+
+/**
+ * Atmospheric pressure at an elevation (standard atmosphere)
+ * @param {number} elevationFt - Elevation above sea level in feet
+ * @returns {number} Absolute pressure in psi
+ */
+function calculateAtmosphericPressure(elevationFt) {
+  return SEA_LEVEL_PRESSURE_PSI * (1 - 6.8754e-6 * Math.max(0, elevationFt)) ** 5.2559;
+}
+
+/**
+ * Regulator (gauge) pressure that holds a carbonation level at a temperature
+ * Gauges read relative to the surrounding air, so thinner air at altitude needs a higher setting
+ * @param {number} volumes - Target CO2 volumes
+ * @param {number} tempC - Beer temperature (Celsius)
+ * @param {number} [elevationFt=0] - Elevation above sea level in feet
+ * @returns {number} Gauge pressure in psi (never below zero)
+ */
+function calculateRegulatorPressure(volumes, tempC, elevationFt = 0) {
+  const altitudeCorrection = SEA_LEVEL_PRESSURE_PSI - calculateAtmosphericPressure(elevationFt);
+  return Math.max(0, calculateCO2Pressure(volumes, tempC) + altitudeCorrection);
+}
+
+/**
+ * Beer line length that balances the regulator pressure
+ * L = (P - rise × 0.5 - 1) / R
+ * @param {number} pressurePsi - Regulator pressure
+ * @param {number} resistancePsiPerFt - Line resistance
+ * @param {number} tapHeightFt - Faucet height above the middle of the keg
+ * @returns {number} Line length in feet (at least MIN_BEER_LINE_FT)
+ */
+function calculateBalancedLineLength(pressurePsi, resistancePsiPerFt, tapHeightFt) {
+  const pressureToDrop = pressurePsi - tapHeightFt * BEER_LINE_RISE_PSI_PER_FT - FAUCET_PRESSURE_PSI;
+  return Math.max(MIN_BEER_LINE_FT, pressureToDrop / resistancePsiPerFt);
+}
+
+/**
+ * Carbonation levels for the pressure table columns: the style range around the target
+ * @param {number} targetVolumes - Target CO2 volumes
+ * @param {Object} [carbonationRange] - {min, max} from getCarbonationRange
+ * @returns {Array<number>} Sorted, de-duplicated volumes
+ */
+function getTableVolumes(targetVolumes, carbonationRange) {
+  const volumes = [carbonationRange?.min, targetVolumes, carbonationRange?.max]
+    .filter(volume => typeof volume === 'number' && volume > 0)
+    .map(volume => Math.round(volume * 10) / 10);
+  return [...new Set(volumes)].sort((a, b) => a - b);
+}
+
+/**
+ * Calculate the force-carbonation and draught balance plan for a keg
+ * @param {Object} keg - {targetVolumes, carbonationRange, servingTempC, elevationFt, beerLine, tapHeightFt}
+ * @returns {Object|null} Kegging plan (pressures in psi, lengths in feet), null without a target or temperature
+ */
+function calculateKeggingPlan({
+  targetVolumes,
+  carbonationRange,
+  servingTempC,
+  elevationFt = 0,
+  beerLine = DEFAULT_BEER_LINE,
+  tapHeightFt = DEFAULT_TAP_HEIGHT_FT
+} = {}) {
+  if (!(targetVolumes > 0) || typeof servingTempC !== 'number' || !isFinite(servingTempC)) {
+    return null;
+  }
+
+  const lineKey = BEER_LINES[beerLine] ? beerLine : DEFAULT_BEER_LINE;
+  const line = BEER_LINES[lineKey];
+  const regulatorPsi = calculateRegulatorPressure(targetVolumes, servingTempC, elevationFt);
+
+  const tableVolumes = getTableVolumes(targetVolumes, carbonationRange);
+  const pressureTable = KEG_TABLE_TEMP_STEPS_F.map(stepF => {
+    const tempC = servingTempC + stepF / CELSIUS_TO_FAHRENHEIT_MULTIPLIER;
+    return {
+      tempC,
+      isServingTemp: stepF === 0,
+      pressuresPsi: tableVolumes.map(volumes => calculateRegulatorPressure(volumes, tempC, elevationFt))
+    };
+  });
+
+  return {
+    targetVolumes,
+    servingTempC,
+    elevationFt,
+    altitudeCorrectionPsi: SEA_LEVEL_PRESSURE_PSI - calculateAtmosphericPressure(elevationFt),
+    regulatorPsi,
+    regulatorBar: regulatorPsi * PSI_TO_BAR,
+    beerLine: lineKey,
+    beerLineLabel: line.label,
+    tapHeightFt,
+    lineLengthFt: calculateBalancedLineLength(regulatorPsi, line.resistancePsiPerFt, tapHeightFt),
+    tableVolumes,
+    pressureTable
+  };
+}
+
+// Export safe wrappers for all calculation functions
+const safeCalculateKeggingPlan = (keg) =>
+    safeCalculation(() => calculateKeggingPlan(keg), null, {
+        calculator: 'kegging',
+        operation: 'kegging_plan'
+    });
+
+export {
+    calculateRegulatorPressure,
+    safeCalculateKeggingPlan as calculateKeggingPlan
+};
@@ -0,0 +1,289 @@
+/**
+ * Mash Infusion Calculator - Atomic Calculator Pattern
+ *
+ * Strike water temperature for the first rest, the boiling water each later infusion rest needs
+ * and the thick mash to pull for each decoction, from a heat balance between the water, the grain
+ * and the mash tun. Tracks the mash volume through the schedule so steps that would overflow the
+ * tun can be flagged.
+ *
+ * ARCHITECTURAL PATTERN: Atomic Calculator
+ * - Single-responsibility calculations with automatic error handling
+ * - Uses safeCalculation() wrapper for consistent fallback behavior
+ * - Returns plain values or fallbacks, never throws exceptions
+ * - Focused on brewing-specific mash temperature calculations
+ */
+
+import {
+  GRAIN_SPECIFIC_HEAT,
+  DEFAULT_GRAIN_TEMP_C,
+  MAX_TUN_SPECIFIC_HEAT,
+  BOILING_POINT_SEA_LEVEL_C,
+  BOILING_POINT_DROP_C_PER_FT,
+  DECOCTION_REST_TEMP_C,
+  DECOCTION_CONVERTED_TEMP_C,
+  DECOCTION_REST_MIN,
+  DECOCTION_BOIL_MIN,
+  DECOCTION_HEATING_RATE_C_PER_MIN,
+  DECOCTION_THICK_MASH_FACTOR
+} from '../core/constants.js';
+import { safeCalculation } from '../utilities/errors/error-utils.js';
+
+/**
+ * Boiling point of water at an elevation
+ * @param {number} elevationFt - Elevation above sea level in feet
+ * @returns {number} Boiling point in Celsius
+ */
+function calculateBoilingPoint(elevationFt) {
+  return BOILING_POINT_SEA_LEVEL_C - Math.max(0, elevationFt || 0) * BOILING_POINT_DROP_C_PER_FT;
+}
+
+/**
+ * Water-equivalent thermal mass of the mash tun
+ * Equipment values win over the mash record; BeerXML EQUIP_ADJUST=false means the tun is ignored
+ * @param {Object} recipeData - Pre-validated recipe data
+ * @returns {number} Tun weight × specific heat in kg of water, 0 when unknown
+ */
+function getTunThermalMass(recipeData) {
+  if (recipeData?.mash?.equipAdjust === false) return 0;
+
+  for (const source of [recipeData?.equipment, recipeData?.mash]) {
+    const weightKg = parseFloat(source?.tunWeight);
+    const specificHeat = parseFloat(source?.tunSpecificHeat);
+    if (weightKg > 0 && specificHeat > 0 && specificHeat <= MAX_TUN_SPECIFIC_HEAT) {
+      return weightKg * specificHeat;
+    }
+  }
+  return 0;
+}
+
+/**
+ * Strike water temperature that settles the mash at the target rest temperature
+ * Tw = T + (0.4 × grain × (T - Tgrain) + tun × (T - Ttun)) / water
+ * @param {Object} strike - {targetTempC, grainWeightKg, waterL, grainTempC, tunThermalMassKg, tunTempC}
+ * @returns {number} Strike water temperature in Celsius
+ */
+function calculateStrikeTemperature({
+  targetTempC,
+  grainWeightKg,
+  waterL,
+  grainTempC = DEFAULT_GRAIN_TEMP_C,
+  tunThermalMassKg = 0,
+  tunTempC = grainTempC
+}) {
+  const grainHeat = GRAIN_SPECIFIC_HEAT * grainWeightKg * (targetTempC - grainTempC);
+  const tunHeat = tunThermalMassKg * (targetTempC - tunTempC);
+  return targetTempC + (grainHeat + tunHeat) / waterL;
+}
+
+/**
+ * Hot water that raises the whole mash (and tun) from one rest to the next
+ * @param {Object} infusion - {fromTempC, toTempC, grainWeightKg, mashWaterL, tunThermalMassKg, infusionTempC}
+ * @returns {number} Infusion volume in liters, 0 when the rest isn't warmer
+ */
+function calculateInfusionVolume({ fromTempC, toTempC, grainWeightKg, mashWaterL, tunThermalMassKg = 0, infusionTempC }) {
+  if (!(toTempC > fromTempC) || !(infusionTempC > toTempC)) return 0;
+
+  const heatCapacity = GRAIN_SPECIFIC_HEAT * grainWeightKg + mashWaterL + tunThermalMassKg;
+  return (toTempC - fromTempC) * heatCapacity / (infusionTempC - toTempC);
+}
+
+/**
+ * Temperature a fixed volume of infusion water needs to raise the whole mash (and tun) to the next rest
+ * Inverse of calculateInfusionVolume, for steps that declare their infusion amount
+ * @param {Object} infusion - {fromTempC, toTempC, grainWeightKg, mashWaterL, tunThermalMassKg, infusionL}
+ * @returns {number} Infusion water temperature in Celsius
+ */
+function calculateInfusionTemperature({ fromTempC, toTempC, grainWeightKg, mashWaterL, tunThermalMassKg = 0, infusionL }) {
+  const heatCapacity = GRAIN_SPECIFIC_HEAT * grainWeightKg + mashWaterL + tunThermalMassKg;
+  return toTempC + (toTempC - fromTempC) * heatCapacity / infusionL;
+}
+
+/**
+ * Share of the mash to pull, boil and return to raise the main mash to the next rest
+ * Boiled portion f of the mash heat capacity C: f·C·(Tb - T2) = ((1 - f)·C + tun)·(T2 - T1),
+ * scaled up because the thick portion is mostly grain
+ * @param {Object} decoction - {fromTempC, toTempC, grainWeightKg, mashWaterL, tunThermalMassKg, boilingPointC}
+ * @returns {number} Fraction of the mash volume to pull, 0 when the rest isn't warmer
+ */
+function calculateDecoctionFraction({ fromTempC, toTempC, grainWeightKg, mashWaterL, tunThermalMassKg = 0, boilingPointC }) {
+  if (!(toTempC > fromTempC) || !(boilingPointC > toTempC)) return 0;
+
+  const mashHeatCapacity = GRAIN_SPECIFIC_HEAT * grainWeightKg + mashWaterL;
+  const fraction = (mashHeatCapacity + tunThermalMassKg) * (toTempC - fromTempC) /
+    (mashHeatCapacity * (boilingPointC - fromTempC));
+  return fraction * DECOCTION_THICK_MASH_FACTOR;
+}
+
+/**
+ * Timed sub-schedule for one decoction: pull, optional conversion rest, boil, return
+ * The rest is skipped when the main mash is already at saccharification temperature (62 °C and up)
+ * @param {number} fromTempC - Main mash temperature when the portion is pulled
+ * @param {number} toTempC - Next rest temperature once the portion is returned
+ * @param {number} boilingPointC - Boiling point at the brewery's elevation
+ * @returns {Object} {phases: [{phase, startMin, tempC, durationMin}], totalMin}
+ */
+function buildDecoctionSchedule(fromTempC, toTempC, boilingPointC) {
+  const phases = [{ phase: 'pull', startMin: 0, tempC: fromTempC, durationMin: 0 }];
+  let elapsedMin = 0;
+  let portionTempC = fromTempC;
+
+  if (fromTempC < DECOCTION_CONVERTED_TEMP_C) {
+    elapsedMin += (DECOCTION_REST_TEMP_C - portionTempC) / DECOCTION_HEATING_RATE_C_PER_MIN;
+    phases.push({ phase: 'rest', startMin: elapsedMin, tempC: DECOCTION_REST_TEMP_C, durationMin: DECOCTION_REST_MIN });
+    elapsedMin += DECOCTION_REST_MIN;
+    portionTempC = DECOCTION_REST_TEMP_C;
+  }
+
+  elapsedMin += Math.max(0, boilingPointC - portionTempC) / DECOCTION_HEATING_RATE_C_PER_MIN;
+  phases.push({ phase: 'boil', startMin: elapsedMin, tempC: boilingPointC, durationMin: DECOCTION_BOIL_MIN });
+  elapsedMin += DECOCTION_BOIL_MIN;
+
+  phases.push({ phase: 'return', startMin: elapsedMin, tempC: toTempC, durationMin: 0 });
+
+  return { phases, totalMin: elapsedMin };
+}
+
+/**
+ * How a step reaches its rest temperature
+ * @param {Object} step - Validated mash step
+ * @returns {string|null} 'infusion', 'decoction', 'temperature', or null for sparge steps
+ */
+function getStepKind(step) {
+  const type = (step.type || 'infusion').toLowerCase();
+  if (type.includes('sparge')) return null;
+  if (type.includes('decoction')) return 'decoction';
+  if (type.includes('temperature')) return 'temperature';
+  return 'infusion';
+}
+
+/**
+ * Calculate strike temperature, boiling water infusions and decoctions across the mash schedule
+ * @param {Object} recipeData - Pre-validated recipe data from RecipeValidator
+ * @param {Object} mash - {grainWeightKg, strikeWaterL, grainDisplacementL, tunVolumeL, elevationFt}
+ *   The first step's declared infusion amount takes precedence over strikeWaterL; later infusion steps
+ *   that declare an amount get the water temperature for that amount instead of a boiling water volume
+ * @returns {Object|null} Infusion plan with one entry per mash step (null entries for steps it doesn't cover),
+ *   null without a rest temperature, grain or strike water
+ */
+function calculateInfusionPlan(recipeData, {
+  grainWeightKg,
+  strikeWaterL,
+  grainDisplacementL = 0,
+  tunVolumeL = 0,
+  elevationFt = 0
+} = {}) {
+  const steps = recipeData?.mash?.steps || [];
+  const firstIndex = steps.findIndex(step => step && getStepKind(step) && step.stepTemp > 0);
+  const declaredStrikeL = steps[firstIndex]?.infuseAmount;
+  const waterL = declaredStrikeL > 0 ? declaredStrikeL : strikeWaterL;
+  if (firstIndex < 0 || !(grainWeightKg > 0) || !(waterL > 0)) {
+    return null;
+  }
+
+  const grainTempC = recipeData.mash.grainTemp > 0 ? recipeData.mash.grainTemp : DEFAULT_GRAIN_TEMP_C;
+  const tunTempC = recipeData.mash.tunTemp > 0 ? recipeData.mash.tunTemp : grainTempC;
+  const tunThermalMassKg = getTunThermalMass(recipeData);
+  const boilingPointC = calculateBoilingPoint(elevationFt);
+  const hasTunVolume = tunVolumeL > 0;
+
+  const strikeTempC = calculateStrikeTemperature({
+    targetTempC: steps[firstIndex].stepTemp,
+    grainWeightKg,
+    waterL,
+    grainTempC,
+    tunThermalMassKg,
+    tunTempC
+  });
+
+  let currentTempC = steps[firstIndex].stepTemp;
+  let mashWaterL = waterL;
+  let currentVolumeL = waterL + Math.max(0, grainDisplacementL || 0);
+
+  const stepPlans = steps.map((step, index) => {
+    if (!step || index < firstIndex) return null;
+    const kind = getStepKind(step);
+    if (!kind || !(step.stepTemp > 0)) return null;
+
+    let addition = null;
+    if (index === firstIndex) {
+      addition = { role: 'strike', waterL, waterTempC: strikeTempC };
+    } else if (kind === 'infusion' && step.stepTemp > currentTempC) {
+      const infusion = { fromTempC: currentTempC, toTempC: step.stepTemp, grainWeightKg, mashWaterL, tunThermalMassKg };
+      const declaredL = step.infuseAmount > 0 ? step.infuseAmount : null;
+      const infusionL = declaredL ?? calculateInfusionVolume({ ...infusion, infusionTempC: boilingPointC });
+      const waterTempC = declaredL ? calculateInfusionTemperature({ ...infusion, infusionL }) : boilingPointC;
+      addition = {
+        role: 'infusion',
+        waterL: infusionL,
+        waterTempC,
+        isDeclared: !!declaredL,
+        isFeasible: waterTempC <= boilingPointC
+      };
+      mashWaterL += infusionL;
+      currentVolumeL += infusionL;
+    } else if (kind === 'decoction' && step.stepTemp > currentTempC) {
+      const fraction = calculateDecoctionFraction({
+        fromTempC: currentTempC,
+        toTempC: step.stepTemp,
+        grainWeightKg,
+        mashWaterL,
+        tunThermalMassKg,
+        boilingPointC
+      });
+      const isFeasible = fraction < 1;
+      addition = {
+        role: 'decoction',
+        decoctionFraction: fraction,
+        decoctionL: Math.min(1, fraction) * currentVolumeL,
+        isFeasible,
+        schedule: isFeasible ? buildDecoctionSchedule(currentTempC, step.stepTemp, boilingPointC) : null
+      };
+    }
+    currentTempC = step.stepTemp;
+
+    return {
+      index,
+      kind,
+      ...addition,
+      mashWaterL,
+      mashVolumeL: currentVolumeL,
+      overflowsTun: hasTunVolume && currentVolumeL > tunVolumeL
+    };
+  });
+
+  const plannedSteps = stepPlans.filter(Boolean);
+
+  return {
+    grainWeightKg,
+    grainTempC,
+    tunTempC,
+    tunThermalMassKg,
+    boilingPointC,
+    strikeTempC,
+    strikeWaterL: waterL,
+    infusionWaterL: mashWaterL - waterL,
+    finalMashVolumeL: currentVolumeL,
+    tunVolumeL: hasTunVolume ? tunVolumeL : null,
+    steps: stepPlans,
+    overflowStepIndexes: plannedSteps.filter(step => step.overflowsTun).map(step => step.index)
+  };
+}
+
+// Export safe wrappers for all calculation functions
+const safeCalculateStrikeTemperature = (strike) =>
+    safeCalculation(() => calculateStrikeTemperature(strike), null, {
+        calculator: 'mash_infusion',
+        operation: 'strike_temperature'
+    });
+
+const safeCalculateInfusionPlan = (recipeData, mash) =>
+    safeCalculation(() => calculateInfusionPlan(recipeData, mash), null, {
+        calculator: 'mash_infusion',
+        operation: 'infusion_plan'
+    });
+
+export {
+    calculateBoilingPoint,
+    safeCalculateStrikeTemperature as calculateStrikeTemperature,
+    safeCalculateInfusionPlan as calculateInfusionPlan
+};
@@ -0,0 +1,126 @@
+/**
+ * Mash pH Calculator - Atomic Calculator Pattern
+ *
+ * Predicts mash pH from the grist and mash water, and how much acid brings it to the target.
+ * Each malt pulls the mash toward its distilled-water pH in proportion to its buffering; water
+ * residual alkalinity then shifts the whole mash by RA × water / total buffering.
+ *
+ * ARCHITECTURAL PATTERN: Atomic Calculator
+ * - Single-responsibility calculations with automatic error handling
+ * - Uses safeCalculation() wrapper for consistent fallback behavior
+ * - Returns plain values or fallbacks, never throws exceptions
+ * - Focused on brewing-specific mash chemistry calculations
+ */
+
+import {
+  DEFAULT_TARGET_MASH_PH,
+  L_PER_KG_PER_QT_PER_LB,
+  MALT_DI_PH,
+  MALT_BUFFER_CAPACITY,
+  ROAST_MALT_MIN_LOVIBOND,
+  ACIDULATED_MALT_ACID_MEQ_PER_KG,
+  BREWING_ACIDS
+} from '../core/constants.js';
+import { calculateResidualAlkalinity } from './water-chemistry-calculator.js';
+import { extractMashPh } from '../utilities/data/ph-extraction-utils.js';
+import { safeCalculation } from '../utilities/errors/error-utils.js';
+
+const MASHED_TYPES = ['grain', 'adjunct'];
+const ACIDULATED_PATTERN = /acid(ulated)?\b|sauermalz/i;
+const CRYSTAL_PATTERN = /crystal|caramel|\bcara|\bc-?\d{2,3}\b|special b/i;
+const ROAST_PATTERN = /roast|black|chocolate|carafa|debittered/i;
+
+/**
+ * Classify a fermentable for pH purposes
+ * @param {Object} fermentable - Validated fermentable
+ * @returns {string|null} MALT_DI_PH key, null for fermentables that aren't mashed
+ */
+function getMaltClass(fermentable) {
+  const type = (fermentable.type || '').toLowerCase();
+  if (!MASHED_TYPES.some(mashed => type.includes(mashed))) return null;
+
+  const name = fermentable.name || '';
+  if (ACIDULATED_PATTERN.test(name)) return 'acidulated';
+  if (fermentable.color >= ROAST_MALT_MIN_LOVIBOND || ROAST_PATTERN.test(name)) return 'roast';
+  if (CRYSTAL_PATTERN.test(name)) return 'crystal';
+  return 'base';
+}
+
+/**
+ * Distilled-water pH for a malt class at a color
+ * @param {string} maltClass - MALT_DI_PH key
+ * @param {number} colorLovibond - Malt color in °L
+ * @returns {number} Distilled-water mash pH of the malt alone
+ */
+function getMaltDistilledPh(maltClass, colorLovibond) {
+  const { intercept, perLovibond } = MALT_DI_PH[maltClass];
+  return intercept + perLovibond * (colorLovibond || 0);
+}
+
+/**
+ * Predict mash pH and the acid needed to reach the target
+ * @param {Object} recipeData - Pre-validated recipe data from RecipeValidator
+ * @param {Object} mash - {waterToGrainRatio (qt/lb), mashWaterIons (ppm, null for distilled), isWaterAdjusted}
+ * @returns {Object|null} Mash pH prediction, null without mashed grain
+ */
+function calculateMashPh(recipeData, { waterToGrainRatio, mashWaterIons = null, isWaterAdjusted = false } = {}) {
+  const grist = (recipeData?.ingredients?.fermentables || [])
+    .map(fermentable => ({ fermentable, maltClass: getMaltClass(fermentable) }))
+    .filter(({ fermentable, maltClass }) => maltClass && fermentable.amount > 0);
+
+  const grainWeightKg = grist.reduce((sum, { fermentable }) => sum + fermentable.amount, 0);
+  if (grainWeightKg <= 0 || !(waterToGrainRatio > 0)) {
+    return null;
+  }
+
+  // Total buffering (mEq per pH unit) and buffer-weighted distilled-water pH
+  let bufferMEqPerPh = 0;
+  let weightedPh = 0;
+  let maltAcidMEq = 0;
+  for (const { fermentable, maltClass } of grist) {
+    const buffer = fermentable.amount * MALT_BUFFER_CAPACITY[maltClass];
+    bufferMEqPerPh += buffer;
+    weightedPh += buffer * getMaltDistilledPh(maltClass, fermentable.color);
+    if (maltClass === 'acidulated') {
+      maltAcidMEq += fermentable.amount * ACIDULATED_MALT_ACID_MEQ_PER_KG;
+    }
+  }
+
+  const distilledPh = (weightedPh - maltAcidMEq) / bufferMEqPerPh;
+  const mashWaterL = waterToGrainRatio * L_PER_KG_PER_QT_PER_LB * grainWeightKg;
+  const residualAlkalinity = mashWaterIons ? calculateResidualAlkalinity(mashWaterIons) : 0;
+  const predictedPh = distilledPh + (residualAlkalinity * mashWaterL) / bufferMEqPerPh;
+
+  const declaredPh = extractMashPh(recipeData?.mash);
+  const targetPh = declaredPh > 0 ? declaredPh : DEFAULT_TARGET_MASH_PH;
+  const acidMEq = Math.max(0, (predictedPh - targetPh) * bufferMEqPerPh);
+
+  return {
+    grainWeightKg,
+    waterToGrainRatio,
+    mashWaterL,
+    distilledPh,
+    residualAlkalinity,
+    waterSource: mashWaterIons ? (isWaterAdjusted ? 'adjusted' : 'source') : 'distilled',
+    predictedPh,
+    targetPh,
+    isTargetDeclared: declaredPh > 0,
+    acidMEq,
+    acids: Object.entries(BREWING_ACIDS).map(([key, acid]) => ({
+      key,
+      label: acid.label,
+      ml: acidMEq / acid.mEqPerMl
+    }))
+  };
+}
+
+// Export safe wrappers for all calculation functions
+const safeCalculateMashPh = (recipeData, mash) =>
+    safeCalculation(() => calculateMashPh(recipeData, mash), null, {
+        calculator: 'mash_ph',
+        operation: 'mash_ph'
+    });
+
+export {
+    safeCalculateMashPh as calculateMashPh
+};
@@ -0,0 +1,242 @@
+/**
+ * Measurement Correction Calculator - Atomic Calculator Pattern
+ *
+ * Corrections for brew day gravity readings: hydrometer readings taken away from the calibration
+ * temperature, refractometer Brix to specific gravity through a wort correction factor, and the
+ * Terrill cubic for refractometer readings once alcohol is present. Builds quick-reference tables
+ * around the gravities the recipe expects.
+ *
+ * ARCHITECTURAL PATTERN: Atomic Calculator
+ * - Single-responsibility calculations with automatic error handling
+ * - Uses safeCalculation() wrapper for consistent fallback behavior
+ * - Returns plain values or fallbacks, never throws exceptions
+ * - Focused on brewing-specific measurement calculations
+ */
+
+import {
+  DEFAULT_WORT_CORRECTION_FACTOR,
+  MIN_WORT_CORRECTION_FACTOR,
+  MAX_WORT_CORRECTION_FACTOR,
+  DEFAULT_HYDROMETER_CALIBRATION_F,
+  HYDROMETER_TABLE_TEMPS_F,
+  REFRACTOMETER_TABLE_STEP_BRIX,
+  TERRILL_TABLE_STEP_BRIX,
+  CORRECTION_TABLE_PADDING_ROWS
+} from '../core/constants.js';
+import { sgToPlato } from '../utilities/formatting/formatting-utils.js';
+import { safeCalculation } from '../utilities/errors/error-utils.js';
+
+/**
+ * Density of water relative to 4 °C at a temperature (hydrometer correction polynomial)
+ * @param {number} tempF - Temperature in Fahrenheit
+ * @returns {number} Relative density
+ */
+function getWaterDensityFactor(tempF) {
+  return 1.00130346 - 0.000134722124 * tempF + 0.00000204052596 * tempF ** 2 - 0.00000000232820948 * tempF ** 3;
+}
+
+/**
+ * Correct a hydrometer reading for sample temperature
+ * @param {number} measuredSg - Specific gravity read off the hydrometer
+ * @param {number} sampleTempF - Sample temperature in Fahrenheit
+ * @param {number} [calibrationTempF=60] - Temperature the hydrometer reads true at
+ * @returns {number} Corrected specific gravity
+ */
+function correctHydrometerReading(measuredSg, sampleTempF, calibrationTempF = DEFAULT_HYDROMETER_CALIBRATION_F) {
+  return measuredSg * getWaterDensityFactor(sampleTempF) / getWaterDensityFactor(calibrationTempF);
+}
+
+/**
+ * Convert a refractometer reading of unfermented wort to specific gravity
+ * @param {number} brixReading - Refractometer reading in °Brix
+ * @param {number} [wortCorrectionFactor=1.04] - Refractometer Brix ÷ true wort Brix
+ * @returns {number} Specific gravity
+ */
+function refractometerToSg(brixReading, wortCorrectionFactor = DEFAULT_WORT_CORRECTION_FACTOR) {
+  const brix = brixReading / wortCorrectionFactor;
+  return 1 + brix / (258.6 - (brix / 258.2) * 227.1);
+}
+
+/**
+ * Final gravity from refractometer readings before and after fermentation (Terrill cubic)
+ * @param {number} originalBrixReading - Refractometer reading of the wort in °Brix
+ * @param {number} finalBrixReading - Refractometer reading of the beer in °Brix
+ * @param {number} [wortCorrectionFactor=1.04] - Refractometer Brix ÷ true wort Brix
+ * @returns {number} Final specific gravity
+ */
+function calculateRefractometerFg(originalBrixReading, finalBrixReading, wortCorrectionFactor = DEFAULT_WORT_CORRECTION_FACTOR) {
+  const ob = originalBrixReading / wortCorrectionFactor;
+  const fb = finalBrixReading / wortCorrectionFactor;
+  return 1 - 0.0044993 * ob + 0.011774 * fb
+    + 0.00027581 * ob ** 2 - 0.0012717 * fb ** 2
+    - 0.0000072800 * ob ** 3 + 0.000063293 * fb ** 3;
+}
+
+/**
+ * Refractometer reading that a gravity will show (inverse of refractometerToSg)
+ * @param {number} sg - Specific gravity
+ * @param {number} wortCorrectionFactor - Refractometer Brix ÷ true wort Brix
+ * @returns {number} Expected reading in °Brix
+ */
+function sgToBrixReading(sg, wortCorrectionFactor) {
+  return sgToPlato(sg) * wortCorrectionFactor;
+}
+
+/**
+ * Final refractometer reading at which the Terrill cubic gives a final gravity
+ * The cubic rises steadily with the final reading, so bisection converges
+ * @param {number} originalBrixReading - Wort reading in °Brix
+ * @param {number} fg - Final gravity to find
+ * @param {number} wortCorrectionFactor - Refractometer Brix ÷ true wort Brix
+ * @returns {number} Final reading in °Brix
+ */
+function findFinalBrixReading(originalBrixReading, fg, wortCorrectionFactor) {
+  let low = 0;
+  let high = originalBrixReading;
+  for (let iteration = 0; iteration < 40; iteration++) {
+    const mid = (low + high) / 2;
+    if (calculateRefractometerFg(originalBrixReading, mid, wortCorrectionFactor) < fg) {
+      low = mid;
+    } else {
+      high = mid;
+    }
+  }
+  return (low + high) / 2;
+}
+
+/**
+ * Evenly stepped readings that cover the expected ones with padding either side
+ * @param {Array<number>} expected - Expected readings
+ * @param {number} step - Step between rows
+ * @returns {Array<number>} Readings from low to high (never below zero)
+ */
+function getTableReadings(expected, step) {
+  const low = Math.max(0, Math.floor(Math.min(...expected) / step) - CORRECTION_TABLE_PADDING_ROWS);
+  const high = Math.ceil(Math.max(...expected) / step) + CORRECTION_TABLE_PADDING_ROWS;
+  const readings = [];
+  for (let index = low; index <= high; index++) {
+    readings.push(index * step);
+  }
+  return readings;
+}
+
+/**
+ * Labels of the expected readings closest to a table row
+ * @param {number} reading - Table row reading
+ * @param {Array<Object>} expected - [{label, reading}]
+ * @param {number} step - Step between rows
+ * @returns {Array<string>} Labels whose expected reading falls within half a step of the row
+ */
+function getRowLabels(reading, expected, step) {
+  return expected
+    .filter(target => Math.abs(target.reading - reading) <= step / 2)
+    .map(target => target.label);
+}
+
+/**
+ * Build hydrometer and refractometer quick-reference tables for the recipe's expected gravities
+ * @param {Object} gravities - {og, fg, preBoilGravity, wortCorrectionFactor, calibrationTempF}
+ * @returns {Object|null} Correction tables, null without a usable OG
+ */
+function calculateGravityCorrections({
+  og,
+  fg,
+  preBoilGravity,
+  wortCorrectionFactor = DEFAULT_WORT_CORRECTION_FACTOR,
+  calibrationTempF = DEFAULT_HYDROMETER_CALIBRATION_F
+} = {}) {
+  if (!(og > 1)) {
+    return null;
+  }
+
+  const wcf = wortCorrectionFactor >= MIN_WORT_CORRECTION_FACTOR && wortCorrectionFactor <= MAX_WORT_CORRECTION_FACTOR
+    ? wortCorrectionFactor
+    : DEFAULT_WORT_CORRECTION_FACTOR;
+  const calibrationF = calibrationTempF > 0 ? calibrationTempF : DEFAULT_HYDROMETER_CALIBRATION_F;
+
+  const gravities = [
+    { label: 'Pre-Boil', sg: preBoilGravity },
+    { label: 'OG', sg: og },
+    { label: 'FG', sg: fg }
+  ].filter(gravity => gravity.sg > 1 && (gravity.label !== 'Pre-Boil' || gravity.sg < og));
+
+  // Hydrometer: points to add to a reading of each expected gravity at each sample temperature
+  const hydrometer = {
+    calibrationTempF: calibrationF,
+    gravities,
+    rows: HYDROMETER_TABLE_TEMPS_F.map(tempF => ({
+      tempF,
+      isCalibrationTemp: tempF === calibrationF,
+      correctionsPoints: gravities.map(gravity =>
+        (correctHydrometerReading(gravity.sg, tempF, calibrationF) - gravity.sg) * 1000)
+    }))
+  };
+
+  // Refractometer: wort readings to gravity across the pre-boil to OG range
+  const wortTargets = gravities
+    .filter(gravity => gravity.label !== 'FG')
+    .map(gravity => ({ label: gravity.label, reading: sgToBrixReading(gravity.sg, wcf) }));
+  const refractometer = {
+    rows: getTableReadings(wortTargets.map(target => target.reading), REFRACTOMETER_TABLE_STEP_BRIX).map(brix => ({
+      brix,
+      sg: refractometerToSg(brix, wcf),
+      labels: getRowLabels(brix, wortTargets, REFRACTOMETER_TABLE_STEP_BRIX)
+    }))
+  };
+
+  // Terrill: final readings to FG for a wort that read the expected OG
+  const originalBrixReading = sgToBrixReading(og, wcf);
+  let terrill = null;
+  if (fg > 1 && fg < og) {
+    const expectedFinalBrix = findFinalBrixReading(originalBrixReading, fg, wcf);
+    const fgTarget = [{ label: 'FG', reading: expectedFinalBrix }];
+    terrill = {
+      originalBrixReading,
+      expectedFinalBrix,
+      rows: getTableReadings([expectedFinalBrix], TERRILL_TABLE_STEP_BRIX).map(brix => ({
+        brix,
+        fg: calculateRefractometerFg(originalBrixReading, brix, wcf),
+        labels: getRowLabels(brix, fgTarget, TERRILL_TABLE_STEP_BRIX)
+      }))
+    };
+  }
+
+  return {
+    wortCorrectionFactor: wcf,
+    hydrometer,
+    refractometer,
+    terrill
+  };
+}
+
+// Export safe wrappers for all calculation functions
+const safeCorrectHydrometerReading = (measuredSg, sampleTempF, calibrationTempF) =>
+    safeCalculation(() => correctHydrometerReading(measuredSg, sampleTempF, calibrationTempF), measuredSg, {
+        calculator: 'measurement_correction',
+        operation: 'hydrometer_correction'
+    });
+
+const safeRefractometerToSg = (brixReading, wortCorrectionFactor) =>
+    safeCalculation(() => refractometerToSg(brixReading, wortCorrectionFactor), null, {
+        calculator: 'measurement_correction',
+        operation: 'refractometer_sg'
+    });
+
+const safeCalculateRefractometerFg = (originalBrixReading, finalBrixReading, wortCorrectionFactor) =>
+    safeCalculation(() => calculateRefractometerFg(originalBrixReading, finalBrixReading, wortCorrectionFactor), null, {
+        calculator: 'measurement_correction',
+        operation: 'refractometer_fg'
+    });
+
+const safeCalculateGravityCorrections = (gravities) =>
+    safeCalculation(() => calculateGravityCorrections(gravities), null, {
+        calculator: 'measurement_correction',
+        operation: 'gravity_corrections'
+    });
+
+export {
+    safeCorrectHydrometerReading as correctHydrometerReading,
+    safeRefractometerToSg as refractometerToSg,
+    safeCalculateRefractometerFg as calculateRefractometerFg,
+    safeCalculateGravityCorrections as calculateGravityCorrections
+};
@@ -0,0 +1,238 @@
+/**
+ * Pitch Rate Calculator - Atomic Calculator Pattern
+ *
+ * Estimates how many yeast cells a batch needs and how many the recipe's yeast provides,
+ * and recommends a one- or two-step starter when the packages fall short.
+ *
+ * ARCHITECTURAL PATTERN: Atomic Calculator
+ * - Single-responsibility calculations with automatic error handling
+ * - Uses safeCalculation() wrapper for consistent fallback behavior
+ * - Returns plain values or fallbacks, never throws exceptions
+ * - Focused on brewing-specific yeast pitching calculations
+ */
+
+import {
+  PITCH_RATES,
+  HIGH_GRAVITY_PITCH_OG,
+  LIQUID_YEAST_PACKAGE_CELLS,
+  LIQUID_YEAST_PACKAGE_L,
+  DRY_YEAST_CELLS_PER_GRAM,
+  DRY_YEAST_PACKET_GRAMS,
+  YEAST_VIABILITY_LOSS_PER_DAY,
+  STARTER_EXTRACT_G_PER_L,
+  STARTER_STEP_SIZES_L,
+  STARTER_MAX_GROWTH_PER_GRAM,
+  STARTER_GROWTH_INTERCEPT,
+  STARTER_GROWTH_SLOPE,
+  STARTER_METHODS,
+  MS_PER_DAY
+} from '../core/constants.js';
+import { sgToPlato } from '../utilities/formatting/formatting-utils.js';
+import { safeCalculation } from '../utilities/errors/error-utils.js';
+
+const PACKAGE_AMOUNT_PATTERN = /\b(pkg|pack|packs|packet|packets|vial|vials|each)\b/i;
+
+/**
+ * Pitch-rate category for a yeast - lager strains pitch double, kveik pitches very low
+ * @param {Object} yeast - Yeast ingredient
+ * @returns {string} PITCH_RATES key
+ */
+function getPitchCategory(yeast) {
+  const type = (yeast.type || '').toLowerCase();
+  const name = (yeast.name || '').toLowerCase();
+  if (type.includes('lager')) return 'lager';
+  if (type.includes('kveik') || name.includes('kveik')) return 'kveik';
+  return 'ale';
+}
+
+/**
+ * Normalize yeast form to the two package kinds the calculator models
+ * Slants and cultures are treated like liquid packages (no known cell count)
+ * @param {Object} yeast - Yeast ingredient
+ * @returns {string} 'dry' or 'liquid'
+ */
+function getPackageForm(yeast) {
+  const form = (yeast.form || '').toLowerCase();
+  if (form.includes('dry')) return 'dry';
+  if (form) return 'liquid';
+  return yeast.amountIsWeight ? 'dry' : 'liquid';
+}
+
+/**
+ * Work out how many packages the recipe uses and the cells in each at manufacture
+ * Package counts come from "pkg" display amounts; dry yeast by weight and liquid yeast by volume are
+ * converted to package equivalents
+ * @param {Object} yeast - Yeast ingredient
+ * @param {string} form - 'dry' or 'liquid'
+ * @returns {Object} {packages, cellsPerPackage} - cells in billions
+ */
+function getPackages(yeast, form) {
+  const defaultCells = form === 'dry'
+    ? DRY_YEAST_CELLS_PER_GRAM * DRY_YEAST_PACKET_GRAMS
+    : LIQUID_YEAST_PACKAGE_CELLS;
+  const cellsPerPackage = yeast.cellCount > 0 ? yeast.cellCount : defaultCells;
+  const amount = yeast.amount > 0 ? yeast.amount : 1;
+
+  if (PACKAGE_AMOUNT_PATTERN.test(yeast.displayAmount || '')) {
+    return { packages: amount, cellsPerPackage };
+  }
+
+  if (form === 'dry' && yeast.amountIsWeight) {
+    // Weight in kg - express as packets so cellCount still applies per packet
+    const grams = amount * 1000;
+    return { packages: grams / DRY_YEAST_PACKET_GRAMS, cellsPerPackage };
+  }
+
+  if (form === 'liquid' && yeast.amountIsWeight === false) {
+    // Volume in liters - small vials still count as one package
+    return { packages: Math.max(1, Math.round(amount / LIQUID_YEAST_PACKAGE_L)), cellsPerPackage };
+  }
+
+  return { packages: 1, cellsPerPackage };
+}
+
+/**
+ * Estimate viability from the manufacture date
+ * @param {Object} yeast - Yeast ingredient
+ * @param {string} form - 'dry' or 'liquid'
+ * @param {string|Date} [referenceDate] - Brew date (defaults to today)
+ * @returns {Object} {viability, ageDays, manufactureDate} - ageDays/manufactureDate are null when unknown
+ */
+function calculateViability(yeast, form, referenceDate) {
+  const manufactureDate = yeast.manufactureDate ? new Date(yeast.manufactureDate) : null;
+  if (!manufactureDate || Number.isNaN(manufactureDate.getTime())) {
+    return { viability: 100, ageDays: null, manufactureDate: null };
+  }
+
+  const reference = referenceDate ? new Date(referenceDate) : new Date();
+  const referenceTime = Number.isNaN(reference.getTime()) ? Date.now() : reference.getTime();
+  const ageDays = Math.max(0, Math.floor((referenceTime - manufactureDate.getTime()) / MS_PER_DAY));
+  const viability = Math.max(0, 100 - YEAST_VIABILITY_LOSS_PER_DAY[form] * ageDays);
+
+  return { viability, ageDays, manufactureDate };
+}
+
+/**
+ * Cells after one starter step (Braukaiser model)
+ * Growth per gram of extract is constant at low inoculation rates and falls off linearly above ~1.4 billion/g
+ * @param {number} startCells - Inoculated cells in billions
+ * @param {number} volumeL - Starter volume in liters
+ * @param {string} method - STARTER_METHODS key
+ * @returns {number} Cells in billions at the end of the step
+ */
+function calculateStarterStep(startCells, volumeL, method) {
+  const extractGrams = volumeL * STARTER_EXTRACT_G_PER_L;
+  const inoculationRate = startCells / extractGrams;
+  const stirPlateGrowth = Math.max(0, Math.min(
+    STARTER_MAX_GROWTH_PER_GRAM,
+    STARTER_GROWTH_INTERCEPT - STARTER_GROWTH_SLOPE * inoculationRate
+  ));
+
+  return startCells + stirPlateGrowth * STARTER_METHODS[method].growthFactor * extractGrams;
+}
+
+/**
+ * Smallest one- or two-step starter that reaches the target
+ * @param {number} startCells - Viable cells pitched into the starter (billions)
+ * @param {number} targetCells - Cells needed (billions)
+ * @param {string} method - STARTER_METHODS key
+ * @returns {Object} {method, steps: [{volumeL, extractGrams, cells}], finalCells, reachesTarget}
+ */
+function planStarter(startCells, targetCells, method) {
+  const toStep = (volumeL, cells) => ({ volumeL, extractGrams: volumeL * STARTER_EXTRACT_G_PER_L, cells });
+
+  for (const volumeL of STARTER_STEP_SIZES_L) {
+    const cells = calculateStarterStep(startCells, volumeL, method);
+    if (cells >= targetCells) {
+      return { method, steps: [toStep(volumeL, cells)], finalCells: cells, reachesTarget: true };
+    }
+  }
+
+  let best = null;
+  for (const firstL of STARTER_STEP_SIZES_L) {
+    const firstCells = calculateStarterStep(startCells, firstL, method);
+    for (const secondL of STARTER_STEP_SIZES_L.filter(size => size >= firstL)) {
+      const secondCells = calculateStarterStep(firstCells, secondL, method);
+      const totalL = firstL + secondL;
+      if (secondCells >= targetCells && (!best || totalL < best.totalL)) {
+        best = { totalL, steps: [toStep(firstL, firstCells), toStep(secondL, secondCells)], finalCells: secondCells };
+      }
+    }
+  }
+
+  if (best) {
+    return { method, steps: best.steps, finalCells: best.finalCells, reachesTarget: true };
+  }
+
+  // Even the largest two-step starter falls short - recommend it along with extra packages
+  const largestL = STARTER_STEP_SIZES_L[STARTER_STEP_SIZES_L.length - 1];
+  const firstCells = calculateStarterStep(startCells, largestL, method);
+  const secondCells = calculateStarterStep(firstCells, largestL, method);
+  return {
+    method,
+    steps: [toStep(largestL, firstCells), toStep(largestL, secondCells)],
+    finalCells: secondCells,
+    reachesTarget: false
+  };
+}
+
+/**
+ * Calculate the pitching plan for a yeast
+ * @param {Object} yeast - Pre-validated yeast from RecipeValidator
+ * @param {Object} batch - {og, batchSizeL, referenceDate}
+ * @returns {Object|null} Pitching plan (cells in billions, pitch rate in million cells/mL/°P), null without yeast or volume
+ */
+function calculatePitchingPlan(yeast, { og, batchSizeL, referenceDate } = {}) {
+  if (!yeast || !(batchSizeL > 0) || !(og > 1)) {
+    return null;
+  }
+
+  const category = getPitchCategory(yeast);
+  const isHighGravity = og > HIGH_GRAVITY_PITCH_OG;
+  const pitchRate = PITCH_RATES[category][isHighGravity ? 'highGravity' : 'normal'];
+  const plato = sgToPlato(og);
+  // million cells/mL/°P × mL × °P = million cells → billions
+  const targetCells = (pitchRate * batchSizeL * 1000 * plato) / 1000;
+
+  const form = getPackageForm(yeast);
+  const { packages, cellsPerPackage } = getPackages(yeast, form);
+  const { viability, ageDays, manufactureDate } = calculateViability(yeast, form, referenceDate);
+  const viableCellsPerPackage = cellsPerPackage * viability / 100;
+  const viableCells = packages * viableCellsPerPackage;
+  const needsMoreCells = viableCells < targetCells;
+
+  // Rehydrated dry yeast is pitched as more packets rather than grown in a starter
+  const starters = needsMoreCells && form === 'liquid' && viableCells > 0
+    ? Object.keys(STARTER_METHODS).map(method => planStarter(viableCells, targetCells, method))
+    : [];
+
+  return {
+    yeastName: yeast.name,
+    category,
+    form,
+    isHighGravity,
+    plato,
+    pitchRate,
+    targetCells,
+    packages,
+    cellsPerPackage,
+    manufactureDate,
+    ageDays,
+    viability,
+    viableCells,
+    packagesNeeded: viableCellsPerPackage > 0 ? Math.ceil(targetCells / viableCellsPerPackage) : null,
+    needsMoreCells,
+    starters
+  };
+}
+
+// Export safe wrappers for all calculation functions
+const safeCalculatePitchingPlan = (yeast, batch) =>
+    safeCalculation(() => calculatePitchingPlan(yeast, batch), null, {
+        calculator: 'pitch-rate',
+        operation: 'pitching_plan'
+    });
+
+export {
+    safeCalculatePitchingPlan as calculatePitchingPlan
+};
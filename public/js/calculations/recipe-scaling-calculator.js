@@ -0,0 +1,208 @@
+/**
+ * Recipe Scaling Calculator - Atomic Calculator Pattern
+ *
+ * Scales a validated recipe to a new batch size, brewhouse efficiency and kettle boil-off rate.
+ * Mashed fermentables are reweighted to hold the OG at the new efficiency, kettle hops are refined
+ * against the IBU formula until the IBU matches (the boil gravity shifts when boil-off doesn't scale
+ * with the batch), and the kettle and mash water are rebalanced from water volume tracking.
+ * The result is a new validated recipe, ready for the normal calculation pipeline.
+ *
+ * ARCHITECTURAL PATTERN: Atomic Calculator
+ * - Single-responsibility calculations with automatic error handling
+ * - Uses safeCalculation() wrapper for consistent fallback behavior
+ * - Returns plain values or fallbacks, never throws exceptions
+ * - Focused on brewing-specific recipe scaling
+ */
+
+import {
+  DEFAULT_EFFICIENCY,
+  THERMAL_CONTRACTION_DEFAULT,
+  SCALING_IBU_ITERATIONS,
+  SCALED_RECIPE_METADATA
+} from '../core/constants.js';
+import { calculateWaterVolumeTracking } from './water-volume-calculator.js';
+import { calculateTotalIBU, resolveIBUFormula, getInternalHopUse } from './ibu-calculator.js';
+import { INTERNAL_HOP_USES } from '../utilities/hop-use-normalizer.js';
+import { formatVolume } from '../formatters/unit-formatter.js';
+import { safeCalculation } from '../utilities/errors/error-utils.js';
+
+/**
+ * Whether a fermentable's extract depends on mash efficiency (same split as the gravity calculator)
+ * @param {Object} fermentable - Validated fermentable
+ * @returns {boolean} True for grains and adjuncts
+ */
+function isMashedFermentable(fermentable) {
+  const type = (fermentable.type || '').toLowerCase();
+  return type === 'grain' || type === 'adjunct';
+}
+
+/**
+ * Whether a hop addition adds bitterness (dry and packaging hops only scale with volume)
+ * @param {Object} hop - Validated hop
+ * @returns {boolean} True for mash, first wort, boil and whirlpool additions
+ */
+function isBitteringAddition(hop) {
+  const use = getInternalHopUse(hop);
+  return use !== INTERNAL_HOP_USES.DRY_HOP && use !== INTERNAL_HOP_USES.PACKAGING;
+}
+
+/**
+ * Pre-boil volume for the new batch on the same system
+ * Fermenter volume changes pass back through thermal contraction; evaporation is absolute (L/hr)
+ * @param {Object} recipeData - Source recipe
+ * @param {number} batchSizeL - New batch size
+ * @param {number} sourceBoilOffLHr - Boil-off rate behind the source recipe's volumes
+ * @param {number} boilOffRateLHr - Boil-off rate of the new kettle
+ * @returns {number|undefined} Pre-boil volume in liters, undefined when the recipe has none
+ */
+function scaleBoilSize(recipeData, batchSizeL, sourceBoilOffLHr, boilOffRateLHr) {
+  if (!(recipeData.boilSize > 0)) return recipeData.boilSize;
+
+  const boilHours = (recipeData.boilTime || 0) / 60;
+  return recipeData.boilSize
+    + (batchSizeL - recipeData.batchSize) / (1 - THERMAL_CONTRACTION_DEFAULT)
+    + (boilOffRateLHr - sourceBoilOffLHr) * boilHours;
+}
+
+/**
+ * Scale mash step water: infusions keep the water-to-grain ratio, sparge water makes up the
+ * difference to the new pre-boil volume (strike + sparge = pre-boil + absorption + deadspace)
+ * @param {Array} steps - Validated mash steps
+ * @param {Object} water - {grainFactor, sourceBoilSizeL, boilSizeL, deadspaceL}
+ * @returns {Array} Scaled mash steps
+ */
+function scaleMashSteps(steps, { grainFactor, sourceBoilSizeL, boilSizeL, deadspaceL }) {
+  const boilSizeChangeL = boilSizeL > 0 && sourceBoilSizeL > 0 ? boilSizeL - grainFactor * sourceBoilSizeL : 0;
+  const scaleWater = (step, scale) => ({
+    ...step,
+    ...(step.infuseAmount > 0 && { infuseAmount: scale(step.infuseAmount) }),
+    ...(step.amount > 0 && { amount: scale(step.amount) })
+  });
+
+  return steps.map(step => {
+    if ((step.type || '').toLowerCase() === 'sparge') {
+      return scaleWater(step, amountL =>
+        Math.max(0, grainFactor * amountL + boilSizeChangeL + deadspaceL * (1 - grainFactor)));
+    }
+    return scaleWater(step, amountL => amountL * grainFactor);
+  });
+}
+
+/**
+ * Scale a recipe to a new batch size, efficiency and boil-off rate
+ * @param {Object} recipeData - Pre-validated recipe data from RecipeValidator
+ * @param {Object} target - {batchSizeL, efficiency, boilOffRateLHr} - each defaults to the recipe's own
+ * @param {Object} [ibuOptions] - Calculation settings used for the IBU (ibuFormula, chillMethod, hopStorage, elevationFt)
+ * @returns {Object|null} Scaled validated recipe with a `scaling` summary, null without a batch size
+ */
+function scaleRecipe(recipeData, { batchSizeL, efficiency, boilOffRateLHr } = {}, ibuOptions = {}) {
+  if (!(recipeData?.batchSize > 0)) {
+    return null;
+  }
+
+  const newBatchSizeL = batchSizeL > 0 ? batchSizeL : recipeData.batchSize;
+  const newEfficiency = efficiency > 0 ? efficiency : recipeData.efficiency;
+  const volumeFactor = newBatchSizeL / recipeData.batchSize;
+
+  // Boil-off and deadspace behind the source recipe's water volumes
+  const sourceTracking = calculateWaterVolumeTracking(recipeData);
+  const isNoBoil = Boolean(sourceTracking?.isNoBoil);
+  const sourceBoilOffLHr = isNoBoil ? 0 : sourceTracking?.equipment?.boilOffRateLHr || 0;
+  const newBoilOffLHr = isNoBoil ? 0 : (boilOffRateLHr > 0 ? boilOffRateLHr : sourceBoilOffLHr);
+  const deadspaceL = (sourceTracking?.equipment?.mashTunDeadspace || 0) + (sourceTracking?.equipment?.lauterDeadspace || 0);
+
+  // Same extract from the mash at a different efficiency takes proportionally more or less grain
+  const efficiencyFactor = (recipeData.efficiency || DEFAULT_EFFICIENCY) / (newEfficiency || DEFAULT_EFFICIENCY);
+  const grainFactor = volumeFactor * efficiencyFactor;
+  const boilSizeL = scaleBoilSize(recipeData, newBatchSizeL, sourceBoilOffLHr, newBoilOffLHr);
+
+  const { ingredients } = recipeData;
+  const scaled = Object.fromEntries(
+    Object.entries(recipeData).filter(([key]) => !SCALED_RECIPE_METADATA.includes(key))
+  );
+  Object.assign(scaled, {
+    name: `${recipeData.name} (${formatVolume(newBatchSizeL)}${newEfficiency !== recipeData.efficiency ? `, ${newEfficiency}% eff` : ''})`,
+    batchSize: newBatchSizeL,
+    boilSize: boilSizeL,
+    efficiency: newEfficiency,
+    ingredients: {
+      ...ingredients,
+      fermentables: ingredients.fermentables.map(fermentable => ({
+        ...fermentable,
+        amount: fermentable.amount * (isMashedFermentable(fermentable) ? grainFactor : volumeFactor)
+      })),
+      miscs: (ingredients.miscs || []).map(misc => ({ ...misc, amount: misc.amount * volumeFactor })),
+      yeasts: (ingredients.yeasts || []).map(yeast => ({ ...yeast, amount: yeast.amount * volumeFactor })),
+      waters: (ingredients.waters || []).map(water => (water.amount > 0 ? { ...water, amount: water.amount * volumeFactor } : water))
+    },
+    mash: recipeData.mash ? {
+      ...recipeData.mash,
+      steps: scaleMashSteps(recipeData.mash.steps || [], {
+        grainFactor,
+        sourceBoilSizeL: recipeData.boilSize,
+        boilSizeL,
+        deadspaceL
+      })
+    } : recipeData.mash,
+    equipment: recipeData.equipment ? {
+      ...recipeData.equipment,
+      batchSize: newBatchSizeL,
+      boilSize: boilSizeL,
+      ...(recipeData.equipment.efficiency > 0 && { efficiency: newEfficiency }),
+      // A new kettle rate replaces whatever the source equipment declared
+      ...(boilOffRateLHr > 0 && { boilOffRate: boilOffRateLHr, evapRate: undefined })
+    } : recipeData.equipment
+  });
+
+  // Gravities derived from the old volumes no longer hold; color only holds at the same grain concentration.
+  // The declared stats belong to the source recipe, the scaled one is estimated from its own ingredients
+  delete scaled.preBoilGravity;
+  delete scaled.postBoilGravity;
+  delete scaled.og;
+  delete scaled.fg;
+  delete scaled.abv;
+  delete scaled.ibu;
+  if (efficiencyFactor !== 1) {
+    delete scaled.srm;
+  }
+
+  // Refine kettle hop weights until the recalculated IBU matches the source recipe
+  const formulaOptions = { ...ibuOptions, ibuFormula: resolveIBUFormula(recipeData, ibuOptions.ibuFormula) };
+  const targetIBU = calculateTotalIBU(recipeData, formulaOptions);
+  let hopFactor = volumeFactor;
+  const applyHopFactor = () => {
+    scaled.ingredients.hops = ingredients.hops.map(hop => ({
+      ...hop,
+      amount: hop.amount * (isBitteringAddition(hop) ? hopFactor : volumeFactor)
+    }));
+  };
+  for (let iteration = 0; iteration < SCALING_IBU_ITERATIONS && targetIBU > 0; iteration++) {
+    applyHopFactor();
+    const scaledIBU = calculateTotalIBU(scaled, formulaOptions);
+    if (!(scaledIBU > 0)) break;
+    hopFactor *= targetIBU / scaledIBU;
+  }
+  applyHopFactor();
+
+  scaled.scaling = {
+    sourceName: recipeData.name,
+    sourceBatchSizeL: recipeData.batchSize,
+    sourceEfficiency: recipeData.efficiency,
+    volumeFactor,
+    grainFactor,
+    hopFactor
+  };
+
+  return scaled;
+}
+
+// Export safe wrappers for all calculation functions
+const safeScaleRecipe = (recipeData, target, ibuOptions) =>
+    safeCalculation(() => scaleRecipe(recipeData, target, ibuOptions), null, {
+        calculator: 'recipe_scaling',
+        operation: 'scale_recipe'
+    });
+
+export {
+    safeScaleRecipe as scaleRecipe
+};
@@ -20,6 +20,7 @@ import {
   QT_TO_L,
   GRAIN_ABSORPTION_DEFAULT,
   GRAIN_ABSORPTION_ALLINONE,
+  BREWING_SYSTEM_TYPES,
   GRAIN_DISPLACEMENT_RATE,
   SPARGE_THRESHOLD_L,
   EXCESS_WATER_THRESHOLD_L,
@@ -182,9 +183,16 @@ function detectSpargeUsage(recipe) {
     }
   }
 
-  // Check equipment profile
+  // Check equipment profile - a saved profile's system type is definite, otherwise guess from the name
   const equipmentName = recipe.equipment?.name?.toLowerCase() || '';
-  if (equipmentName.includes('no sparge') || equipmentName.includes('biab')) {
+  const profileSystemType = BREWING_SYSTEM_TYPES[recipe.equipment?.systemType] ? recipe.equipment.systemType : null;
+  if (profileSystemType) {
+    indicators.equipment = {
+      usesSparge: profileSystemType === 'traditional',
+      confidence: profileSystemType === 'all-in-one' ? 'medium' : 'high',
+      source: profileSystemType === 'all-in-one' ? 'equipment_allinone' : 'equipment_profile'
+    };
+  } else if (equipmentName.includes('no sparge') || equipmentName.includes('biab')) {
     indicators.equipment = { usesSparge: false, confidence: 'high', source: 'equipment_profile' };
   } else if (equipmentName.includes('all in one') || equipmentName.includes('grainfather') || 
              equipmentName.includes('foundry') || equipmentName.includes('brewzilla')) {
@@ -400,46 +408,50 @@ function extractSpargeWaterFromMashSteps(mashSteps, spargeDetection) {
 }
 
 /**
- * Calculate grain absorption rate based on system type
- * @param {string} equipmentName - Equipment name
+ * Brewing system type from an equipment profile, or guessed from the equipment name for recipe files
+ * @param {Object} equipment - Recipe equipment ({name, systemType})
  * @param {Object} spargeDetection - Sparge detection result
- * @returns {number} Grain absorption rate in qt/lb
+ * @returns {string|null} BREWING_SYSTEM_TYPES key, null when the name gives no hint
  */
-function getGrainAbsorptionRate(equipmentName, spargeDetection) {
-  const name = (equipmentName || '').toLowerCase();
-  
-  // BIAB and no-sparge systems have higher absorption
-  if (name.includes('biab') || name.includes('no sparge') || !spargeDetection.usesSparge) {
-    return GRAIN_ABSORPTION_ALLINONE; // 0.325 qt/lb
-  }
-  
-  // All-in-one systems
+function getEquipmentSystemType(equipment, spargeDetection) {
+  if (BREWING_SYSTEM_TYPES[equipment?.systemType]) return equipment.systemType;
+
+  const name = (equipment?.name || '').toLowerCase();
+  if (name.includes('biab')) return 'biab';
+  if (name.includes('no sparge')) return 'no-sparge';
+  if (!spargeDetection.usesSparge) return null;
   if (name.includes('foundry') || name.includes('grainfather') || 
       name.includes('brewzilla') || name.includes('all in one')) {
-    return GRAIN_ABSORPTION_ALLINONE; // 0.325 qt/lb
+    return 'all-in-one';
   }
-  
-  // Traditional systems
-  return GRAIN_ABSORPTION_DEFAULT; // 0.125 qt/lb
+  return 'traditional';
+}
+
+/**
+ * Calculate grain absorption rate based on system type
+ * A measured rate from an equipment profile wins over the system type default
+ * @param {Object} equipment - Recipe equipment ({name, systemType, grainAbsorptionRate})
+ * @param {Object} spargeDetection - Sparge detection result
+ * @returns {number} Grain absorption rate in qt/lb
+ */
+function getGrainAbsorptionRate(equipment, spargeDetection) {
+  if (equipment?.grainAbsorptionRate > 0) return equipment.grainAbsorptionRate;
+
+  // BIAB, no-sparge and all-in-one systems have higher absorption
+  return getEquipmentSystemType(equipment, spargeDetection) === 'traditional'
+    ? GRAIN_ABSORPTION_DEFAULT // 0.125 qt/lb
+    : GRAIN_ABSORPTION_ALLINONE; // 0.325 qt/lb
 }
 
 /**
  * Get description of grain absorption system type for display
- * @param {string} equipmentName - Equipment name
+ * @param {Object} equipment - Recipe equipment ({name, systemType})
  * @param {Object} spargeDetection - Sparge detection result
  * @returns {string} System type description
  */
-function getGrainAbsorptionSystemType(equipmentName, spargeDetection) {
-  const name = (equipmentName || '').toLowerCase();
-  
-  if (name.includes('biab')) return 'BIAB System';
-  if (name.includes('no sparge')) return 'No-Sparge System';
-  if (!spargeDetection.usesSparge) return 'No-Sparge (detected)';
-  if (name.includes('foundry') || name.includes('grainfather') || 
-      name.includes('brewzilla') || name.includes('all in one')) {
-    return 'All-in-One System';
-  }
-  return 'Traditional System';
+function getGrainAbsorptionSystemType(equipment, spargeDetection) {
+  const systemType = getEquipmentSystemType(equipment, spargeDetection);
+  return systemType ? `${BREWING_SYSTEM_TYPES[systemType]} System` : 'No-Sparge (detected)';
 }
 
 /**
@@ -537,14 +549,14 @@ const safeExtractSpargeWaterFromMashSteps = (mashSteps, spargeDetection) =>
         operation: 'extract_water'
     });
 
-const safeGetGrainAbsorptionRate = (equipmentName, spargeDetection) => 
-    safeCalculation(() => getGrainAbsorptionRate(equipmentName, spargeDetection), GRAIN_ABSORPTION_DEFAULT, {
+const safeGetGrainAbsorptionRate = (equipment, spargeDetection) => 
+    safeCalculation(() => getGrainAbsorptionRate(equipment, spargeDetection), GRAIN_ABSORPTION_DEFAULT, {
         calculator: 'sparge',
         operation: 'grain_absorption_rate'
     });
 
-const safeGetGrainAbsorptionSystemType = (equipmentName, spargeDetection) => 
-    safeCalculation(() => getGrainAbsorptionSystemType(equipmentName, spargeDetection), 'Unknown System', {
+const safeGetGrainAbsorptionSystemType = (equipment, spargeDetection) => 
+    safeCalculation(() => getGrainAbsorptionSystemType(equipment, spargeDetection), 'Unknown System', {
         calculator: 'sparge',
         operation: 'system_type'
     });
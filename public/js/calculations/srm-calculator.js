@@ -2,7 +2,7 @@
  * SRM Calculator - Atomic Calculator Pattern
  * 
  * Calculates Standard Reference Method (SRM) color values based on fermentables.
- * Uses the Morey equation for SRM calculation.
+ * Uses the Morey, Daniels or Mosher equation, with EBC conversion and sRGB swatch colors.
  * 
  * ARCHITECTURAL PATTERN: Atomic Calculator
  * - Single-responsibility calculations with automatic error handling
@@ -18,7 +18,15 @@ import {
   MOREY_EXPONENT,
   LOVIBOND_TO_SRM_FACTOR,
   LOVIBOND_TO_SRM_OFFSET,
-  MAX_SRM
+  MAX_SRM,
+  DANIELS_COLOR_SLOPE,
+  DANIELS_COLOR_INTERCEPT,
+  MOSHER_COLOR_SLOPE,
+  MOSHER_COLOR_INTERCEPT,
+  COLOR_MODELS,
+  DEFAULT_COLOR_MODEL,
+  SRM_TO_EBC,
+  SRM_COLOR_CHART
 } from '../core/constants.js';
 
 import {
@@ -31,17 +39,29 @@ import {
 import { safeCalculation } from '../utilities/errors/error-utils.js';
 
 /**
- * Calculate SRM using the Morey equation
- * SRM = 1.4922 * (MCU^0.6859)
- * where MCU = (grain_color_in_lovibond * grain_weight_in_lbs) / batch_size_in_gallons
+ * Color models converting Malt Color Units to SRM
+ * Daniels and Mosher are linear fits for darker beers; below the point where they cross SRM = MCU
+ * they overstate color, so pale beers keep their MCU.
+ */
+const COLOR_MODEL_EQUATIONS = {
+  // SRM = 1.4922 * (MCU^0.6859)
+  morey: (mcu) => MOREY_MULTIPLIER * Math.pow(mcu, MOREY_EXPONENT),
+  daniels: (mcu) => Math.min(mcu, DANIELS_COLOR_SLOPE * mcu + DANIELS_COLOR_INTERCEPT),
+  mosher: (mcu) => Math.min(mcu, MOSHER_COLOR_SLOPE * mcu + MOSHER_COLOR_INTERCEPT)
+};
+
+/**
+ * Calculate SRM from the grain bill
+ * MCU = (grain_color_in_lovibond * grain_weight_in_lbs) / batch_size_in_gallons
  * 
  * @param {Array<Object>} fermentables - Pre-validated fermentable array from RecipeValidator
  * @param {number} batchSizeL - Pre-validated batch size in liters (> 0)
+ * @param {string} [colorModel='morey'] - COLOR_MODELS key
  * @returns {number} Calculated SRM value
  * @precondition fermentables array contains only valid objects with amount > 0, color >= 0
  * @precondition batchSizeL is a valid number > 0
  */
-function calculateSRM(fermentables, batchSizeL) {
+function calculateSRM(fermentables, batchSizeL, colorModel = DEFAULT_COLOR_MODEL) {
   // NO VALIDATION - Trust pre-validated input from RecipeValidator
   
   // Convert batch size to gallons
@@ -57,29 +77,131 @@ function calculateSRM(fermentables, batchSizeL) {
     totalMCU += mcuContribution;
   }
   
-  // Apply Morey equation to convert MCU to SRM
+  // Apply the color model to convert MCU to SRM
   if (totalMCU === 0) {
     return 0; // No fermentables = no color
   }
   
-  const srm = MOREY_MULTIPLIER * Math.pow(totalMCU, MOREY_EXPONENT);
+  const equation = COLOR_MODEL_EQUATIONS[normalizeColorModel(colorModel)] || COLOR_MODEL_EQUATIONS[DEFAULT_COLOR_MODEL];
+  const srm = equation(totalMCU);
   
   // Cap at maximum reasonable value
   return Math.min(srm, MAX_SRM);
 }
 
+/**
+ * Normalize a color model name or settings value to a COLOR_MODELS key
+ * @param {string} model - Model name in any case
+ * @returns {string|null} Model key or null if not recognized
+ */
+function normalizeColorModel(model) {
+  if (!model || typeof model !== 'string') {
+    return null;
+  }
+  const key = model.trim().toLowerCase();
+  return COLOR_MODELS[key] ? key : null;
+}
+
+/**
+ * Whether calculation settings ask for color to be recalculated instead of taken from the recipe file
+ * @param {Object} [options] - Calculation settings ({colorModel})
+ * @returns {boolean} True when a color model has been chosen
+ */
+function hasColorOverride(options = {}) {
+  return normalizeColorModel(options.colorModel) !== null;
+}
+
+/**
+ * Convert SRM to EBC
+ * @param {number} srm - Color in SRM
+ * @returns {number} Color in EBC
+ */
+function srmToEbc(srm) {
+  return srm * SRM_TO_EBC;
+}
+
+/**
+ * Convert EBC to SRM
+ * @param {number} ebc - Color in EBC
+ * @returns {number} Color in SRM
+ */
+function ebcToSrm(ebc) {
+  return ebc / SRM_TO_EBC;
+}
+
+/**
+ * Convert malt color in degrees Lovibond to SRM (SRM = 1.3546 * °L - 0.76)
+ * @param {number} lovibond - Malt color in °L
+ * @returns {number} Color in SRM (never negative)
+ */
+function lovibondToSrm(lovibond) {
+  return Math.max(0, LOVIBOND_TO_SRM_FACTOR * lovibond + LOVIBOND_TO_SRM_OFFSET);
+}
+
+/**
+ * Format an SRM value in the requested unit (one decimal below 10, whole numbers above)
+ * @param {number} srm - Color in SRM
+ * @param {string} [colorUnit='srm'] - 'srm' or 'ebc'
+ * @returns {string} Formatted number without unit label
+ */
+function formatColorValue(srm, colorUnit = 'srm') {
+  const value = colorUnit === 'ebc' ? srmToEbc(srm) : srm;
+  return value < 10 ? value.toFixed(1) : value.toFixed(0);
+}
+
+/**
+ * Approximate sRGB color of beer at a given SRM, interpolated from the SRM color chart
+ * @param {number} srm - Color in SRM
+ * @returns {string} Hex color (e.g. '#DE7C00')
+ */
+function getSRMColorHex(srm) {
+  const position = Math.min(Math.max(srm, 1), SRM_COLOR_CHART.length) - 1;
+  const lower = Math.floor(position);
+  const upper = Math.min(lower + 1, SRM_COLOR_CHART.length - 1);
+  const fraction = position - lower;
+
+  const toRGB = (hex) => [1, 3, 5].map(offset => parseInt(hex.slice(offset, offset + 2), 16));
+  const lowerRGB = toRGB(SRM_COLOR_CHART[lower]);
+  const upperRGB = toRGB(SRM_COLOR_CHART[upper]);
+
+  return '#' + lowerRGB
+    .map((channel, i) => Math.round(channel + (upperRGB[i] - channel) * fraction).toString(16).padStart(2, '0'))
+    .join('')
+    .toUpperCase();
+}
+
+/**
+ * Describe a malt's color for display: SRM, EBC and swatch color
+ * @param {number} lovibond - Malt color in °L
+ * @returns {Object|null} {srm, ebc, hex} or null when the color is unknown
+ */
+function getMaltColor(lovibond) {
+  if (!isValidColor(lovibond)) {
+    return null;
+  }
+  const srm = lovibondToSrm(lovibond);
+  return {
+    srm,
+    ebc: srmToEbc(srm),
+    hex: getSRMColorHex(srm)
+  };
+}
+
 /**
  * Calculate estimated SRM for a recipe, using calculated value when no SRM is provided
  * @param {Object} recipeData - Pre-validated recipe data from RecipeValidator
- * @returns {string} Formatted SRM string with calculated or existing value
+ * @param {Object} [options] - Calculation settings
+ * @param {string} [options.colorModel] - Color model override; when set the recipe's own SRM is recalculated
+ * @param {string} [options.colorUnit='srm'] - Unit of the returned value ('srm' or 'ebc')
+ * @returns {string} Formatted color string with calculated or existing value
  * @precondition recipeData.srm is undefined or valid number >= 0
  * @precondition recipeData.ingredients.fermentables is valid array (may be empty)
  * @precondition recipeData.batchSize is valid number > 0
  */
-function calculateEstimatedSRM(recipeData) {
-  // If we already have an SRM value, use it
-  if (recipeData.srm !== undefined && recipeData.srm !== null) {
-    return recipeData.srm < 10 ? recipeData.srm.toFixed(1) : recipeData.srm.toFixed(0);
+function calculateEstimatedSRM(recipeData, options = {}) {
+  // If we already have an SRM value and no model is chosen, use it
+  if (recipeData.srm !== undefined && recipeData.srm !== null && !hasColorOverride(options)) {
+    return formatColorValue(recipeData.srm, options.colorUnit);
   }
   
   // Handle empty fermentables array (valid but empty)
@@ -88,24 +210,27 @@ function calculateEstimatedSRM(recipeData) {
   }
   
   // Calculate SRM from fermentables (input guaranteed valid)
-  const calculatedSRM = calculateSRM(recipeData.ingredients.fermentables, recipeData.batchSize);
+  const calculatedSRM = calculateSRM(recipeData.ingredients.fermentables, recipeData.batchSize, options.colorModel);
   
   if (calculatedSRM === 0) {
     return '—';
   }
   
-  return calculatedSRM < 10 ? calculatedSRM.toFixed(1) : calculatedSRM.toFixed(0);
+  return formatColorValue(calculatedSRM, options.colorUnit);
 }
 
 /**
  * Get numeric SRM value (calculated or existing)
  * @param {Object} recipeData - Recipe data object
- * @returns {number|null} Numeric SRM value or null if unavailable
+ * @param {Object} [options] - Calculation settings (see calculateEstimatedSRM)
+ * @returns {number|null} Numeric color value in options.colorUnit (SRM by default) or null if unavailable
  */
-function getNumericSRM(recipeData) {
+function getNumericSRM(recipeData, options = {}) {
+  const toUnit = (srm) => (options.colorUnit === 'ebc' ? srmToEbc(srm) : srm);
+
   // Return existing SRM if available
-  if (isValidSRM(recipeData.srm)) {
-    return recipeData.srm;
+  if (isValidSRM(recipeData.srm) && !hasColorOverride(options)) {
+    return toUnit(recipeData.srm);
   }
   
   // Calculate SRM from fermentables
@@ -113,17 +238,18 @@ function getNumericSRM(recipeData) {
     return null;
   }
   
-  const calculatedSRM = calculateSRM(recipeData.ingredients.fermentables, recipeData.batchSize);
+  const calculatedSRM = calculateSRM(recipeData.ingredients.fermentables, recipeData.batchSize, options.colorModel);
   
-  return isValidSRM(calculatedSRM) ? calculatedSRM : null;
+  return isValidSRM(calculatedSRM) ? toUnit(calculatedSRM) : null;
 }
 
 /**
  * Parse SRM from formatted string back to number
- * @param {string} formattedSRM - Formatted SRM string  
+ * @param {string} formattedSRM - Formatted SRM or EBC string ("24 EBC" is recognized by its label)
+ * @param {string} [colorUnit='srm'] - Unit of an unlabeled value ('srm' or 'ebc')
  * @returns {number|null} Parsed SRM or null if invalid
  */
-function parseSRMFromFormatted(formattedSRM) {
+function parseSRMFromFormatted(formattedSRM, colorUnit = 'srm') {
   if (!formattedSRM || formattedSRM === '—') {
     return null;
   }
@@ -131,8 +257,10 @@ function parseSRMFromFormatted(formattedSRM) {
   // Remove any formatting and parse as float
   const cleaned = formattedSRM.replace(/[^\d.]/g, '');
   const parsed = parseFloat(cleaned);
+  const isEBC = /ebc/i.test(formattedSRM) || (colorUnit === 'ebc' && !/srm/i.test(formattedSRM));
+  const srm = isEBC ? ebcToSrm(parsed) : parsed;
   
-  return isValidSRM(parsed) ? parsed : null;
+  return isValidSRM(srm) ? srm : null;
 }
 
 /**
@@ -174,20 +302,20 @@ function validateSRMCalculation(fermentables) {
 }
 
 // Export safe wrappers for all calculation functions
-const safeCalculateEstimatedSRM = (recipeData) => 
-  safeCalculation(() => calculateEstimatedSRM(recipeData), '—', {
+const safeCalculateEstimatedSRM = (recipeData, options) => 
+  safeCalculation(() => calculateEstimatedSRM(recipeData, options), '—', {
     calculator: 'srm',
     operation: 'estimated_srm'
   });
 
-const safeGetNumericSRM = (recipeData) => 
-  safeCalculation(() => getNumericSRM(recipeData), null, {
+const safeGetNumericSRM = (recipeData, options) => 
+  safeCalculation(() => getNumericSRM(recipeData, options), null, {
     calculator: 'srm',
     operation: 'numeric_srm'
   });
 
-const safeParseSRMFromFormatted = (formattedSRM) => 
-  safeCalculation(() => parseSRMFromFormatted(formattedSRM), null, {
+const safeParseSRMFromFormatted = (formattedSRM, colorUnit) => 
+  safeCalculation(() => parseSRMFromFormatted(formattedSRM, colorUnit), null, {
     calculator: 'srm',
     operation: 'parse_formatted'
   });
@@ -198,8 +326,28 @@ const safeValidateSRMCalculation = (fermentables) =>
     operation: 'validate'
   });
 
+const safeGetSRMColorHex = (srm) => 
+  safeCalculation(() => getSRMColorHex(srm), SRM_COLOR_CHART[0], {
+    calculator: 'srm',
+    operation: 'color_hex'
+  });
+
+const safeGetMaltColor = (lovibond) => 
+  safeCalculation(() => getMaltColor(lovibond), null, {
+    calculator: 'srm',
+    operation: 'malt_color'
+  });
+
 export {
   calculateSRM,
+  safeGetMaltColor as getMaltColor,
+  normalizeColorModel,
+  hasColorOverride,
+  srmToEbc,
+  ebcToSrm,
+  lovibondToSrm,
+  formatColorValue,
+  safeGetSRMColorHex as getSRMColorHex,
   safeCalculateEstimatedSRM as calculateEstimatedSRM,
   safeGetNumericSRM as getNumericSRM,
   safeParseSRMFromFormatted as parseSRMFromFormatted,
@@ -0,0 +1,261 @@
+/**
+ * Water Chemistry Calculator - Atomic Calculator Pattern
+ *
+ * Recommends brewing salt additions that bring the source water close to the recipe's target
+ * profile, split between mash and sparge water, works out residual alkalinity and the acid that
+ * brings the sparge water down to its target pH.
+ *
+ * ARCHITECTURAL PATTERN: Atomic Calculator
+ * - Single-responsibility calculations with automatic error handling
+ * - Uses safeCalculation() wrapper for consistent fallback behavior
+ * - Returns plain values or fallbacks, never throws exceptions
+ * - Focused on brewing-specific water chemistry calculations
+ */
+
+import {
+  WATER_IONS,
+  BREWING_SALTS,
+  SALT_SOLVER_ION_WEIGHT_FLOOR_PPM,
+  SALT_SOLVER_ITERATIONS,
+  SALT_ADDITION_PRECISION_G,
+  CALCIUM_PPM_PER_MEQ,
+  MAGNESIUM_PPM_PER_MEQ,
+  BICARBONATE_PPM_PER_MEQ,
+  KOLBACH_CALCIUM_FACTOR,
+  KOLBACH_MAGNESIUM_FACTOR,
+  BREWING_ACIDS,
+  DEFAULT_TARGET_SPARGE_PH,
+  DEFAULT_SOURCE_WATER_PH,
+  CARBONIC_ACID_PKA1,
+  CARBONIC_ACID_PKA2
+} from '../core/constants.js';
+import { safeCalculation } from '../utilities/errors/error-utils.js';
+
+// Long-form property names RecipeValidator keeps alongside the ion symbols
+const ION_FIELDS = {
+  Ca: 'calcium',
+  Mg: 'magnesium',
+  Na: 'sodium',
+  SO4: 'sulfate',
+  Cl: 'chloride',
+  HCO3: 'bicarbonate'
+};
+
+/**
+ * Read a water profile into ion concentrations
+ * @param {Object} water - Validated water ingredient
+ * @returns {Object} {Ca, Mg, Na, SO4, Cl, HCO3} in ppm, null for ions the profile doesn't list
+ */
+function getIonProfile(water) {
+  const profile = {};
+  for (const ion of WATER_IONS) {
+    const value = parseFloat(water?.[ion] ?? water?.[ION_FIELDS[ion]]);
+    profile[ion] = Number.isFinite(value) && value >= 0 ? value : null;
+  }
+  return profile;
+}
+
+/**
+ * Ion profile after dissolving salts in every liter of water
+ * @param {Object} sourceIons - Source ion profile (missing ions count as 0)
+ * @param {Object} gramsPerLiter - Salt key → g/L
+ * @returns {Object} Resulting ion profile in ppm
+ */
+function applySalts(sourceIons, gramsPerLiter) {
+  const result = {};
+  for (const ion of WATER_IONS) {
+    result[ion] = (sourceIons[ion] || 0) + Object.entries(gramsPerLiter)
+      .reduce((sum, [key, grams]) => sum + grams * (BREWING_SALTS[key].ions[ion] || 0), 0);
+  }
+  return result;
+}
+
+/**
+ * Non-negative weighted least squares by coordinate descent
+ * Each pass sets one salt to the amount that best closes the remaining gap, never below zero
+ * @param {Object} sourceIons - Source ion profile
+ * @param {Object} targetIons - Target ion profile (null ions are ignored)
+ * @returns {Object} Salt key → g/L
+ */
+function solveSaltConcentrations(sourceIons, targetIons) {
+  const ions = WATER_IONS.filter(ion => targetIons[ion] !== null);
+  const weights = Object.fromEntries(ions.map(ion => [
+    ion,
+    1 / Math.max(targetIons[ion], SALT_SOLVER_ION_WEIGHT_FLOOR_PPM) ** 2
+  ]));
+  const gramsPerLiter = Object.fromEntries(Object.keys(BREWING_SALTS).map(key => [key, 0]));
+
+  for (let iteration = 0; iteration < SALT_SOLVER_ITERATIONS; iteration++) {
+    for (const [key, salt] of Object.entries(BREWING_SALTS)) {
+      const current = applySalts(sourceIons, gramsPerLiter);
+      let gradient = 0;
+      let curvature = 0;
+      for (const ion of ions) {
+        const contribution = salt.ions[ion] || 0;
+        gradient += weights[ion] * contribution * (current[ion] - targetIons[ion]);
+        curvature += weights[ion] * contribution ** 2;
+      }
+      if (curvature > 0) {
+        gramsPerLiter[key] = Math.max(0, gramsPerLiter[key] - gradient / curvature);
+      }
+    }
+  }
+
+  return gramsPerLiter;
+}
+
+/**
+ * Residual alkalinity (Kolbach) - how strongly the water pushes mash pH up
+ * @param {Object} ions - Ion profile in ppm (missing ions count as 0)
+ * @returns {number} Residual alkalinity in mEq/L (negative values lower mash pH)
+ */
+function calculateResidualAlkalinity(ions) {
+  const alkalinity = (ions?.HCO3 || 0) / BICARBONATE_PPM_PER_MEQ;
+  const calcium = (ions?.Ca || 0) / CALCIUM_PPM_PER_MEQ;
+  const magnesium = (ions?.Mg || 0) / MAGNESIUM_PPM_PER_MEQ;
+  return alkalinity - calcium / KOLBACH_CALCIUM_FACTOR - magnesium / KOLBACH_MAGNESIUM_FACTOR;
+}
+
+/**
+ * Average charge of dissolved carbonate species at a pH (mEq per mmol)
+ * Alkalinity is this charge times total carbonate, so the ratio between two pH values gives the
+ * share of alkalinity an acid has to neutralize
+ * @param {number} ph - Water pH
+ * @returns {number} Charge between 0 (all carbonic acid) and 2 (all carbonate)
+ */
+function getCarbonateCharge(ph) {
+  const r1 = 10 ** (ph - CARBONIC_ACID_PKA1);
+  const r2 = 10 ** (ph - CARBONIC_ACID_PKA2);
+  return (r1 + 2 * r1 * r2) / (1 + r1 + r1 * r2);
+}
+
+/**
+ * Calculate the acid that brings sparge water from its own pH down to the target
+ * @param {Object} sourceWater - Validated source water profile (pH read from water.ph when present)
+ * @param {Object} sparge - {spargeWaterL, targetPh (null uses DEFAULT_TARGET_SPARGE_PH)}
+ * @returns {Object|null} Sparge acidification plan, null without sparge water or a bicarbonate reading
+ */
+function calculateSpargeAcidification(sourceWater, { spargeWaterL = 0, targetPh = null } = {}) {
+  const sourceIons = getIonProfile(sourceWater);
+  if (!sourceWater || !(spargeWaterL > 0) || sourceIons.HCO3 === null) {
+    return null;
+  }
+
+  const declaredSourcePh = parseFloat(sourceWater.ph);
+  const isSourcePhDeclared = declaredSourcePh > 0 && declaredSourcePh < 14;
+  const sourcePh = isSourcePhDeclared ? declaredSourcePh : DEFAULT_SOURCE_WATER_PH;
+  const isTargetDeclared = targetPh > 0;
+  const spargePh = isTargetDeclared ? targetPh : DEFAULT_TARGET_SPARGE_PH;
+
+  const alkalinityMEqPerL = sourceIons.HCO3 / BICARBONATE_PPM_PER_MEQ;
+  const neutralizedFraction = spargePh < sourcePh
+    ? 1 - getCarbonateCharge(spargePh) / getCarbonateCharge(sourcePh)
+    : 0;
+  const acidMEq = alkalinityMEqPerL * neutralizedFraction * spargeWaterL;
+
+  return {
+    sourceName: sourceWater.name,
+    sourcePh,
+    isSourcePhDeclared,
+    alkalinityMEqPerL,
+    residualAlkalinity: calculateResidualAlkalinity(sourceIons),
+    spargeWaterL,
+    targetPh: spargePh,
+    isTargetDeclared,
+    acidMEq,
+    acids: Object.entries(BREWING_ACIDS).map(([key, acid]) => ({
+      key,
+      label: acid.label,
+      ml: acidMEq / acid.mEqPerMl
+    }))
+  };
+}
+
+const roundToScale = (grams) => Math.round(grams / SALT_ADDITION_PRECISION_G) / (1 / SALT_ADDITION_PRECISION_G);
+
+/**
+ * Calculate salt additions from source to target water
+ * Neutral salts are split in proportion to mash and sparge volumes so both waters match the target;
+ * alkaline salts go in the mash only
+ * @param {Object} sourceWater - Validated source water profile
+ * @param {Object} targetWater - Validated target water profile
+ * @param {Object} volumes - {mashWaterL, spargeWaterL}
+ * @returns {Object|null} Salt addition plan, null without both profiles or any water volume
+ */
+function calculateSaltAdditions(sourceWater, targetWater, { mashWaterL = 0, spargeWaterL = 0 } = {}) {
+  if (!sourceWater || !targetWater || sourceWater === targetWater) {
+    return null;
+  }
+
+  const mashL = Math.max(0, mashWaterL || 0);
+  const spargeL = Math.max(0, spargeWaterL || 0);
+  const totalL = mashL + spargeL;
+  const sourceIons = getIonProfile(sourceWater);
+  const targetIons = getIonProfile(targetWater);
+  if (!(totalL > 0) || WATER_IONS.every(ion => targetIons[ion] === null)) {
+    return null;
+  }
+
+  const solved = solveSaltConcentrations(sourceIons, targetIons);
+
+  const additions = [];
+  const appliedGramsPerLiter = {};
+  const mashGramsPerLiter = {};
+  for (const [key, salt] of Object.entries(BREWING_SALTS)) {
+    const totalGrams = roundToScale(solved[key] * totalL);
+    if (totalGrams <= 0) continue;
+
+    const mashGrams = salt.mashOnly ? totalGrams : roundToScale(totalGrams * mashL / totalL);
+    additions.push({
+      key,
+      label: salt.label,
+      mashOnly: !!salt.mashOnly,
+      mashGrams,
+      spargeGrams: Math.max(0, roundToScale(totalGrams - mashGrams)),
+      totalGrams
+    });
+    appliedGramsPerLiter[key] = totalGrams / totalL;
+    mashGramsPerLiter[key] = mashL > 0 ? mashGrams / mashL : 0;
+  }
+
+  const resultIons = applySalts(sourceIons, appliedGramsPerLiter);
+
+  return {
+    sourceName: sourceWater.name,
+    targetName: targetWater.name,
+    mashWaterL: mashL,
+    spargeWaterL: spargeL,
+    additions,
+    sourceIons,
+    targetIons,
+    resultIons,
+    mashIons: applySalts(sourceIons, mashGramsPerLiter),
+    sulfateChlorideRatio: resultIons.Cl > 0 ? resultIons.SO4 / resultIons.Cl : null
+  };
+}
+
+// Export safe wrappers for all calculation functions
+const safeCalculateSaltAdditions = (sourceWater, targetWater, volumes) =>
+    safeCalculation(() => calculateSaltAdditions(sourceWater, targetWater, volumes), null, {
+        calculator: 'water_chemistry',
+        operation: 'salt_additions'
+    });
+
+const safeCalculateResidualAlkalinity = (ions) =>
+    safeCalculation(() => calculateResidualAlkalinity(ions), 0, {
+        calculator: 'water_chemistry',
+        operation: 'residual_alkalinity'
+    });
+
+const safeCalculateSpargeAcidification = (sourceWater, sparge) =>
+    safeCalculation(() => calculateSpargeAcidification(sourceWater, sparge), null, {
+        calculator: 'water_chemistry',
+        operation: 'sparge_acidification'
+    });
+
+export {
+    getIonProfile,
+    safeCalculateResidualAlkalinity as calculateResidualAlkalinity,
+    safeCalculateSaltAdditions as calculateSaltAdditions,
+    safeCalculateSpargeAcidification as calculateSpargeAcidification
+};
@@ -278,6 +278,9 @@ function buildVolumeTrackingResult(processedData, evaporationResults, waterRequi
     preBoilVolumeFlag: evaporationResults.preBoilVolumeFlag,
     evapRateFlag: evaporationResults.evapRateFlag,
     trubLossFlag: evaporationResults.trubLossFlag,
+    kettleVolumeFlag: equipment.kettleVolume && volumeFlow.volumePreBoil > equipment.kettleVolume
+      ? `${formatVolume(volumeFlow.volumePreBoil)} pre-boil (hot) is more than the ${formatVolume(equipment.kettleVolume)} kettle holds.`
+      : null,
 
     isNoBoil: processedData.isNoBoil,
     systemType: systemType,
@@ -286,9 +289,11 @@ function buildVolumeTrackingResult(processedData, evaporationResults, waterRequi
     // Grain data (using clean inputs)
     totalGrainWeight: grainData.totalGrainWeight,
     totalGrainWeightFormatted: formatFermentableWeight(grainData.totalGrainWeight),
+    grainDisplacementL: grainData.grainDisplacementL,
     grainDisplacementFormatted: formatVolume(grainData.grainDisplacementL),
     
     // Water volumes (using flow-consistent rounded values)
+    strikeWaterL: volumeFlow.calculatedStrikeWaterL,
     strikeWaterFormatted: formatVolume(volumeFlow.calculatedStrikeWaterL),
     spargeWater: volumeFlow.roundedSpargeWaterL,
     spargeWaterFormatted: formatVolume(volumeFlow.roundedSpargeWaterL),
@@ -325,6 +330,8 @@ function buildVolumeTrackingResult(processedData, evaporationResults, waterRequi
     volumePostBoilFormatted: formatVolume(volumeFlow.calculatedPostBoilVolume),
     volumePostBoilNote: '(hot)',
     volumeToFermenterFormatted: formatVolume(volumeFlow.volumeToFermenter),
+    volumePreBoilL: volumeFlow.volumePreBoil,
+    volumePackagingL: volumeFlow.volumePackaging,
     volumePackagingFormatted: formatVolume(volumeFlow.volumePackaging),
     
     // Losses (rounded and potentially adjusted for flow consistency)
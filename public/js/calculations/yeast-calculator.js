@@ -3,6 +3,10 @@
  * 
  * Handles yeast attenuation calculations and estimations.
  * Provides functions for determining yeast performance metrics.
+ * Recipes with several cultures are analyzed together: each culture gets a role (primary, secondary,
+ * bottle), the most attenuative culture that ferments the wort sets the FG, and Brett or diastaticus
+ * working alongside a conventional strain push attenuation further by a configurable Brett factor.
+ * The predicted attenuation behind the FG also accounts for the mash schedule and unfermentable extract.
  * 
  * ARCHITECTURAL PATTERN: Atomic Calculator
  * - Single-responsibility calculations with automatic error handling
@@ -11,58 +15,220 @@
  * - Focused on brewing-specific yeast calculations
  */
 
-import { YEAST_ATTENUATION } from '../core/constants.js';
+import {
+  YEAST_ATTENUATION,
+  BREWING_TEMPERATURE_RANGES,
+  MIXED_FERMENTATION_MAX_ATTENUATION,
+  DEFAULT_BRETT_FACTOR,
+  MIN_BRETT_FACTOR,
+  MAX_BRETT_FACTOR
+} from '../core/constants.js';
+import { calculateAttenuationPrediction } from './fermentability-calculator.js';
 import { safeCalculation } from '../utilities/errors/error-utils.js';
 
+/**
+ * Role of a culture in the fermentation
+ * @param {Object} yeast - Pre-validated yeast object from RecipeValidator
+ * @returns {string} 'primary', 'secondary' or 'bottle' (CULTURE_ROLES key)
+ */
+function getCultureRole(yeast) {
+  const role = (yeast.role || '').toLowerCase();
+  if (role === 'primary' || role === 'secondary' || role === 'bottle') return role;
+  if (yeast.addToPackage) return 'bottle';
+  if (yeast.addToSecondary) return 'secondary';
+  return 'primary';
+}
+
+/**
+ * What a culture does to the wort
+ * Bacteria sour rather than attenuate; Brett, diastaticus and mixed cultures ferment dextrins
+ * @param {Object} yeast - Pre-validated yeast object from RecipeValidator
+ * @returns {string} 'bacteria', 'super' (super-attenuating) or 'yeast'
+ */
+function getCultureKind(yeast) {
+  const type = (yeast.type || '').toLowerCase();
+  const name = (yeast.name || '').toLowerCase();
+
+  if (['bacteria', 'lacto', 'pedio', 'malolactic'].includes(type) || /lacto|pedio/.test(name)) {
+    return 'bacteria';
+  }
+  if (yeast.glucoamylase === true || ['brett', 'wild', 'mixed-culture', 'spontaneous'].includes(type) ||
+      /brett|brux|diastaticus|sta-?1/.test(name)) {
+    return 'super';
+  }
+  return 'yeast';
+}
+
+/**
+ * Fermentation temperature range of a culture, declared or by yeast type
+ * @param {Object} yeast - Pre-validated yeast object from RecipeValidator
+ * @returns {Object} {min, max} in Celsius
+ */
+function getCultureTemperatureRange(yeast) {
+  if (yeast.minTemperature > 0 && yeast.maxTemperature > 0) {
+    return { min: yeast.minTemperature, max: yeast.maxTemperature };
+  }
+
+  const type = (yeast.type || '').toLowerCase();
+  const rangeKey = ['lager', 'wheat', 'wine', 'champagne', 'brett', 'kveik', 'saison', 'wild']
+    .find(key => type.includes(key)) || (type.includes('mixed') ? 'wild' : 'ale');
+  return BREWING_TEMPERATURE_RANGES[rangeKey];
+}
+
+/**
+ * Fermentation schedule as a list of stages with a temperature
+ * Cold crashes are left out - no culture is expected to be working through one
+ * @param {Object} fermentation - Validated fermentation data
+ * @returns {Array} [{name, temperature, isConditioning}] in schedule order
+ */
+function getFermentationStages(fermentation) {
+  if (!fermentation) return [];
+
+  let stages;
+  if (fermentation.steps?.length > 0) {
+    stages = fermentation.steps.map(step => ({ name: step.name, temperature: step.temperature }));
+  } else {
+    stages = [
+      { name: 'Primary', temperature: fermentation.primaryTemp },
+      { name: 'Secondary', temperature: fermentation.secondaryTemp },
+      { name: 'Tertiary', temperature: fermentation.tertiaryTemp }
+    ].slice(0, fermentation.fermentationStages || 1);
+  }
+  if (fermentation.age > 0 && fermentation.ageTemp > 0) {
+    stages.push({ name: 'Conditioning', temperature: fermentation.ageTemp, isConditioning: true });
+  }
+
+  return stages.filter(stage => stage.temperature > 0 && !/crash/i.test(stage.name || ''));
+}
+
+/**
+ * Stages a culture is expected to work through, given its role
+ * @param {string} role - Culture role
+ * @param {Array} stages - Fermentation stages (see getFermentationStages)
+ * @returns {Array} Stages the culture's temperature range is checked against
+ */
+function getStagesForRole(role, stages) {
+  const fermentationStages = stages.filter(stage => !stage.isConditioning);
+  if (role === 'bottle') return stages.filter(stage => stage.isConditioning);
+  if (role === 'secondary' && fermentationStages.length > 1) return fermentationStages.slice(1);
+  return fermentationStages.slice(0, 1);
+}
+
+/**
+ * Analyze every culture in the recipe and the attenuation they reach together
+ * @param {Object} recipeData - Pre-validated recipe data from RecipeValidator
+ * @param {Object} [options] - {brettFactor} share of the remaining attenuation Brett/diastaticus ferment out
+ * @returns {Object|null} {cultures, attenuation, attenuationSource, baseAttenuation, isMixed, brettFactor},
+ *   null without yeasts
+ * @precondition recipeData.ingredients.yeasts is valid array if present
+ */
+function analyzeCultures(recipeData, { brettFactor } = {}) {
+  const yeasts = recipeData.ingredients?.yeasts || [];
+  if (yeasts.length === 0) return null;
+
+  const factor = brettFactor >= MIN_BRETT_FACTOR && brettFactor <= MAX_BRETT_FACTOR ? brettFactor : DEFAULT_BRETT_FACTOR;
+  const stages = getFermentationStages(recipeData.fermentation);
+
+  const cultures = yeasts.map(yeast => {
+    const role = getCultureRole(yeast);
+    const kind = getCultureKind(yeast);
+    const range = getCultureTemperatureRange(yeast);
+    return {
+      name: yeast.name,
+      type: yeast.type,
+      role,
+      kind,
+      attenuation: getYeastAttenuation(yeast),
+      isActive: role !== 'bottle',
+      minTemperature: range.min,
+      maxTemperature: range.max,
+      stages: getStagesForRole(role, stages).map(stage => ({
+        name: stage.name,
+        temperature: stage.temperature,
+        status: stage.temperature < range.min ? 'cold' : stage.temperature > range.max ? 'warm' : 'ok'
+      }))
+    };
+  });
+
+  const active = cultures.filter(culture => culture.isActive);
+  const conventional = active.filter(culture => culture.kind === 'yeast');
+  const superAttenuators = active.filter(culture => culture.kind === 'super');
+  const mostAttenuative = (list) => list.reduce((best, culture) =>
+    (!best || culture.attenuation > best.attenuation ? culture : best), null);
+
+  const bestConventional = mostAttenuative(conventional);
+  const bestSuper = mostAttenuative(superAttenuators);
+  const isMixed = Boolean(bestConventional && bestSuper);
+
+  let attenuation;
+  let attenuationSource;
+  if (isMixed) {
+    // Brett/diastaticus finish what the conventional strain leaves, unless declared to go further on their own
+    const base = bestConventional.attenuation;
+    const mixedAttenuation = base + Math.max(0, MIXED_FERMENTATION_MAX_ATTENUATION - base) * factor;
+    attenuation = Math.max(mixedAttenuation, bestSuper.attenuation);
+    attenuationSource = bestSuper;
+  } else {
+    // Only bacteria (or nothing active): fall back to whatever culture is listed first
+    attenuationSource = bestConventional || bestSuper || cultures[0];
+    attenuation = bestConventional || bestSuper ? attenuationSource.attenuation : YEAST_ATTENUATION.default;
+  }
+
+  return {
+    cultures,
+    attenuation,
+    attenuationSource: attenuationSource.name,
+    baseAttenuation: bestConventional ? bestConventional.attenuation : null,
+    isMixed,
+    brettFactor: factor
+  };
+}
+
 /**
  * Calculate apparent attenuation
+ * A recipe file's own OG/FG win, so the stat agrees with the declared FG shown next to it; an estimated FG
+ * comes from the cultures' predicted attenuation, so that is shown with it
  * @param {Object} recipeData - Pre-validated recipe data from RecipeValidator
+ * @param {Object} [options] - {brettFactor} for mixed fermentations
  * @returns {string} Formatted apparent attenuation
  * @precondition recipeData.ingredients.yeasts is valid array if present
  * @precondition recipeData.og and recipeData.fg are valid gravities if present
  */
-function calculateApparentAttenuation(recipeData) {
-  // First try to get attenuation from yeast data (available as ATTENUATION in XML)
-  if (recipeData.ingredients?.yeasts?.length > 0) {
-    const yeast = recipeData.ingredients.yeasts[0];
-    if (yeast.attenuation !== undefined && yeast.attenuation !== null && yeast.attenuation > 0) {
-      return `${yeast.attenuation.toFixed(0)}%`;
-    }
-  }
-  
-  // Try to calculate from actual OG/FG if available
+function calculateApparentAttenuation(recipeData, options = {}) {
+  // Calculate from the declared OG/FG if available
   if (recipeData.og && recipeData.fg) {
     const apparentAttenuation = ((recipeData.og - recipeData.fg) / (recipeData.og - 1)) * 100;
     return `${apparentAttenuation.toFixed(0)}%`;
   }
   
-  // Fallback to estimated attenuation based on yeast type
-  const estimatedAttenuation = getEstimatedYeastAttenuation(recipeData);
-  return `${estimatedAttenuation.toFixed(0)}%`;
+  // Otherwise the most attenuative culture (Brett-adjusted), adjusted for the wort - the estimated FG uses the same
+  return `${getPredictedAttenuation(recipeData, options).toFixed(0)}%`;
 }
 
 /**
- * Estimate yeast attenuation based on yeast type when not provided in BeerXML
+ * Estimate the attenuation the recipe's cultures reach together
+ * Uses the most attenuative culture that ferments the wort (bottle cultures only carbonate)
  * @param {Object} recipeData - Pre-validated recipe data from RecipeValidator
+ * @param {Object} [options] - {brettFactor} for mixed fermentations
  * @returns {number} Estimated yeast attenuation percentage
  * @precondition recipeData.ingredients.yeasts is valid array if present
  */
-function getEstimatedYeastAttenuation(recipeData) {
-  
-  // First try to get attenuation from yeast data
-  if (recipeData.ingredients?.yeasts?.length > 0) {
-    const yeast = recipeData.ingredients.yeasts[0];
-    if (yeast.attenuation !== undefined && yeast.attenuation !== null && yeast.attenuation > 0) {
-      return yeast.attenuation;
-    }
-    
-    // Fallback to estimated attenuation based on yeast type
-    const yeastType = (yeast.type || '').toLowerCase();
-    return YEAST_ATTENUATION[yeastType] || YEAST_ATTENUATION.default;
-  }
-  
+function getEstimatedYeastAttenuation(recipeData, options = {}) {
+  const analysis = analyzeCultures(recipeData, options);
+
   // No yeast data available, default to typical ale attenuation
-  return YEAST_ATTENUATION.default;
+  return analysis ? analysis.attenuation : YEAST_ATTENUATION.default;
+}
+
+/**
+ * Predict the apparent attenuation the wort will reach: the cultures' attenuation adjusted for the
+ * saccharification rests and unfermentable extract (see fermentability-calculator)
+ * @param {Object} recipeData - Pre-validated recipe data from RecipeValidator
+ * @param {Object} [options] - {brettFactor} for mixed fermentations
+ * @returns {number} Predicted apparent attenuation percentage
+ */
+function getPredictedAttenuation(recipeData, options = {}) {
+  return calculateAttenuationPrediction(getEstimatedYeastAttenuation(recipeData, options), recipeData).attenuation;
 }
 
 /**
@@ -85,26 +251,40 @@ function getYeastAttenuation(yeast, recipeData) {
 }
 
 // Export safe wrappers for all calculation functions
-const safeCalculateApparentAttenuation = (recipeData) => 
-    safeCalculation(() => calculateApparentAttenuation(recipeData), '—', {
+const safeCalculateApparentAttenuation = (recipeData, options) => 
+    safeCalculation(() => calculateApparentAttenuation(recipeData, options), '—', {
         calculator: 'yeast',
         operation: 'apparent_attenuation'
     });
 
-const safeGetEstimatedYeastAttenuation = (recipeData) => 
-    safeCalculation(() => getEstimatedYeastAttenuation(recipeData), YEAST_ATTENUATION.default, {
+const safeGetEstimatedYeastAttenuation = (recipeData, options) => 
+    safeCalculation(() => getEstimatedYeastAttenuation(recipeData, options), YEAST_ATTENUATION.default, {
         calculator: 'yeast',
         operation: 'estimated_attenuation'
     });
 
+const safeGetPredictedAttenuation = (recipeData, options) =>
+    safeCalculation(() => getPredictedAttenuation(recipeData, options), YEAST_ATTENUATION.default, {
+        calculator: 'yeast',
+        operation: 'predicted_attenuation'
+    });
+
 const safeGetYeastAttenuation = (yeast, recipeData) => 
     safeCalculation(() => getYeastAttenuation(yeast, recipeData), YEAST_ATTENUATION.default, {
         calculator: 'yeast',
         operation: 'yeast_attenuation'
     });
 
+const safeAnalyzeCultures = (recipeData, options) =>
+    safeCalculation(() => analyzeCultures(recipeData, options), null, {
+        calculator: 'yeast',
+        operation: 'culture_analysis'
+    });
+
 export {
+    safeAnalyzeCultures as analyzeCultures,
     safeCalculateApparentAttenuation as calculateApparentAttenuation,
     safeGetEstimatedYeastAttenuation as getEstimatedYeastAttenuation,
+    safeGetPredictedAttenuation as getPredictedAttenuation,
     safeGetYeastAttenuation as getYeastAttenuation
 };
\ No newline at end of file
@@ -26,10 +26,12 @@ import {
   calculateDiastaticPowerTotal,
   analyzeGrainBill
 } from '../calculations/grain-bill-calculator.js';
+import { getSRMColorHex, getMaltColor } from '../calculations/srm-calculator.js';
 import {
   calculateBuGuRatio,
   calculateSulfateChlorideRatio
 } from '../calculations/recipe-metrics-calculator.js';
+import { scaleRecipe } from '../calculations/recipe-scaling-calculator.js';
 import { formatWeight, formatFermentableWeight } from '../formatters/unit-formatter.js';
 import { CalculationError } from '../utilities/errors/application-errors.js';
 import { safeExecute } from '../utilities/errors/error-utils.js';
@@ -43,9 +45,11 @@ export class CalculationOrchestrator {
    * Calculate all brewing values needed for recipe display
    * This is the main orchestration method that coordinates all calculations
    * @param {Object} validatedRecipeData - Validated recipe data from validator
+   * @param {Object} [settings] - User calculation settings ({ibuFormula, chillMethod, elevationFt, hopStorage, colorModel, colorUnit,
+   *   servingTempF, beerLine, tapHeightFt})
    * @returns {Object} All calculated values needed for formatting
    */
-  calculateAll(validatedRecipeData) {
+  calculateAll(validatedRecipeData, settings = {}) {
     return safeExecute(
       () => {
         // Defensive check - ensure we have valid recipe data
@@ -67,7 +71,7 @@ export class CalculationOrchestrator {
         }
 
         // Set the recipe in the calculation pipeline for caching
-        this.calculationCoordinator.setRecipe(validatedRecipeData);
+        this.calculationCoordinator.setRecipe(validatedRecipeData, settings);
         
         // Calculate core brewing values
         const coreValues = this.calculateCoreBrewingValues(validatedRecipeData);
@@ -111,6 +115,30 @@ export class CalculationOrchestrator {
     );
   }
 
+  /**
+   * Calculate only the headline values for list views such as the multi-recipe picker
+   * @param {Object} validatedRecipeData - Validated recipe data from validator
+   * @param {Object} [settings] - User calculation settings ({ibuFormula, chillMethod, elevationFt, hopStorage, colorModel, colorUnit,
+   *   servingTempF, beerLine, tapHeightFt})
+   * @returns {Object} Core brewing values (OG, FG, ABV, IBU, SRM, Carbonation)
+   */
+  calculateSummary(validatedRecipeData, settings = {}) {
+    this.calculationCoordinator.setRecipe(validatedRecipeData, settings);
+    return this.calculateCoreBrewingValues(validatedRecipeData);
+  }
+
+  /**
+   * Scale a recipe to a new batch size, efficiency and boil-off rate
+   * The result is validated recipe data for calculateAll, with a `scaling` summary of the factors applied
+   * @param {Object} validatedRecipeData - Validated recipe data from validator
+   * @param {Object} target - {batchSizeL, efficiency, boilOffRateLHr} - each defaults to the recipe's own
+   * @param {Object} [settings] - User calculation settings, so hops are rebalanced with the displayed IBU formula
+   * @returns {Object|null} Scaled recipe data, null when the recipe has no batch size
+   */
+  scaleRecipe(validatedRecipeData, target, settings = {}) {
+    return scaleRecipe(validatedRecipeData, target, settings);
+  }
+
   /**
    * Calculate core brewing values (OG, FG, ABV, IBU, SRM, Carbonation)
    * @param {Object} recipeData - Recipe data
@@ -121,17 +149,27 @@ export class CalculationOrchestrator {
       () => {
         const og = this.calculationCoordinator.getOG(recipeData);
         const fg = this.calculationCoordinator.getFG(recipeData);
+        const attenuationPrediction = this.calculationCoordinator.getAttenuationPrediction(recipeData);
         const abv = this.calculationCoordinator.getABV(recipeData);
         const ibu = this.calculationCoordinator.getIBU(recipeData);
+        const ibuFormula = this.calculationCoordinator.getIBUFormula(recipeData);
         const srm = this.calculationCoordinator.getSRM(recipeData);
+        const srmColor = getSRMColorHex(srm);
+        const colorModel = this.calculationCoordinator.getColorModel(recipeData);
+        const colorUnit = this.calculationCoordinator.getColorUnit();
         const carbonation = this.calculationCoordinator.getCarbonation(recipeData);
 
         return {
           og,
           fg,
+          attenuationPrediction,
           abv,
           ibu,
+          ibuFormula,
           srm,
+          srmColor,
+          colorModel,
+          colorUnit,
           carbonation
         };
       },
@@ -230,11 +268,25 @@ export class CalculationOrchestrator {
         const dryHopRate = calculateDryHopRate(hops, batchSize);
         const aromaHopRate = calculateAromaHopRate(hops, batchSize);
         const hopBreakdown = getHopTimingBreakdown(hops);
+        const adjustedHopAlphas = this.calculationCoordinator.getAdjustedHopAlphas(recipeData);
+
+        // Calculate yeast pitching
+        const pitchingPlan = this.calculationCoordinator.getPitchingPlan(recipeData);
+
+        // Analyze cultures against the fermentation schedule
+        const cultureAnalysis = this.calculationCoordinator.getCultureAnalysis(recipeData);
+
+        // Calculate priming for bottle conditioning
+        const primingPlan = this.calculationCoordinator.getPrimingPlan(recipeData);
+
+        // Calculate keg force carbonation and line balance
+        const keggingPlan = this.calculationCoordinator.getKeggingPlan(recipeData);
         
         // Calculate fermentable analysis  
         const totalFermentableWeight = calculateTotalFermentablesWeight(fermentables);
         const diastaticPower = calculateDiastaticPowerTotal(fermentables);
         const grainBillAnalysis = analyzeGrainBill(fermentables);
+        const fermentableColors = fermentables.map(fermentable => getMaltColor(fermentable.color));
         
         // Calculate BU/GU ratio
         const ibu = this.calculationCoordinator.getIBU(recipeData);
@@ -284,6 +336,28 @@ export class CalculationOrchestrator {
           // Calculate sulfate:chloride ratio from target profile (or source if no target)
           sulfateChlorideRatio = calculateSulfateChlorideRatio(targetWaterProfile || sourceWaterProfile);
         }
+
+        // Salt additions from source to target water
+        const saltAdditions = targetWaterProfile
+          ? this.calculationCoordinator.getSaltAdditions(recipeData, sourceWaterProfile, targetWaterProfile)
+          : null;
+
+        // Predicted mash pH with the (adjusted) mash water
+        const mashPh = this.calculationCoordinator.getMashPh(recipeData, sourceWaterProfile, saltAdditions);
+
+        // Strike temperature and step infusions
+        const infusionPlan = this.calculationCoordinator.getInfusionPlan(recipeData);
+
+        // Hydrometer and refractometer quick-reference tables
+        const gravityCorrections = this.calculationCoordinator.getGravityCorrections(recipeData);
+
+        // What to do when the pre-boil reading misses
+        const boilCorrections = this.calculationCoordinator.getBoilCorrections(recipeData);
+
+        // Acid to bring the sparge water down to the sparge pH
+        const spargeAcidification = sourceWaterProfile
+          ? this.calculationCoordinator.getSpargeAcidification(recipeData, sourceWaterProfile)
+          : null;
         
         
         return {
@@ -295,6 +369,13 @@ export class CalculationOrchestrator {
           aromaHopRate,
           aromaHopRateFormatted: aromaHopRate > 0 ? `${aromaHopRate.toFixed(2)} g/L` : '0.00 g/L',
           hopBreakdown,
+          adjustedHopAlphas,
+          
+          // Yeast pitching and packaging
+          pitchingPlan,
+          cultureAnalysis,
+          primingPlan,
+          keggingPlan,
           
           // Fermentable analysis
           totalFermentableWeight,
@@ -302,6 +383,7 @@ export class CalculationOrchestrator {
           diastaticPower,
           diastaticPowerFormatted: diastaticPower > 0 ? `${diastaticPower.toFixed(0)}°L` : '0°L',
           grainBillAnalysis,
+          fermentableColors,
           
           // Recipe ratios
           buGuRatio,
@@ -312,7 +394,13 @@ export class CalculationOrchestrator {
           sulfateChlorideRatioFormatted: sulfateChlorideRatio > 0 ? 
             (sulfateChlorideRatio === Infinity ? '∞' : `${sulfateChlorideRatio.toFixed(1)}:1`) : '0:1',
           sourceWaterProfile,
-          targetWaterProfile
+          targetWaterProfile,
+          saltAdditions,
+          mashPh,
+          spargeAcidification,
+          infusionPlan,
+          gravityCorrections,
+          boilCorrections
         };
       },
       {
@@ -324,17 +412,29 @@ export class CalculationOrchestrator {
           aromaHopRate: 0,
           aromaHopRateFormatted: '0.00 g/L',
           hopBreakdown: { bittering: 0, flavor: 0, aroma: 0, dryHop: 0, total: 0 },
+          adjustedHopAlphas: [],
+          pitchingPlan: null,
+          cultureAnalysis: null,
+          primingPlan: null,
+          keggingPlan: null,
           totalFermentableWeight: 0,
           totalFermentableWeightFormatted: '0 oz',
           diastaticPower: 0,
           diastaticPowerFormatted: '0°L',
           grainBillAnalysis: { totalWeight: 0, basePercent: 0, specialtyPercent: 0, adjunctPercent: 0 },
+          fermentableColors: [],
           buGuRatio: 0,
           buGuRatioFormatted: '0.00',
           sulfateChlorideRatio: 0,
           sulfateChlorideRatioFormatted: '0:1',
           sourceWaterProfile: null,
-          targetWaterProfile: null
+          targetWaterProfile: null,
+          saltAdditions: null,
+          mashPh: null,
+          spargeAcidification: null,
+          infusionPlan: null,
+          gravityCorrections: null,
+          boilCorrections: null
         },
         errorType: CalculationError,
         context: { operation: 'calculate-recipe-analysis', recipeId: recipeData.id || 'unknown' }
@@ -457,17 +557,29 @@ export class CalculationOrchestrator {
         aromaHopRate: 0,
         aromaHopRateFormatted: '0.00 g/L',
         hopBreakdown: { bittering: 0, flavor: 0, aroma: 0, dryHop: 0, total: 0 },
+        adjustedHopAlphas: [],
+        pitchingPlan: null,
+        cultureAnalysis: null,
+        primingPlan: null,
+        keggingPlan: null,
         totalFermentableWeight: 0,
         totalFermentableWeightFormatted: '0 oz',
         diastaticPower: 0,
         diastaticPowerFormatted: '0°L',
         grainBillAnalysis: { totalWeight: 0, basePercent: 0, specialtyPercent: 0, adjunctPercent: 0 },
+        fermentableColors: [],
         buGuRatio: 0,
         buGuRatioFormatted: '0.00',
         sulfateChlorideRatio: 0,
         sulfateChlorideRatioFormatted: '0:1',
         sourceWaterProfile: null,
-        targetWaterProfile: null
+        targetWaterProfile: null,
+        saltAdditions: null,
+        mashPh: null,
+        spargeAcidification: null,
+        infusionPlan: null,
+        gravityCorrections: null,
+        boilCorrections: null
       },
       brewDayMeasurements: {
         firstRunningsGravityFormatted: '—',
@@ -24,6 +24,15 @@ export const TRUB_LOSS_MAX = 4; // liters
 export const TRUB_LOSS_DEFAULT = 1.5; // liters
 export const FERMENTER_LOSS_DEFAULT = 0.5; // liters
 export const THERMAL_CONTRACTION_DEFAULT = 0.04; // 4%
+export const HOP_ABSORPTION_DEFAULT = 0; // qt/lb of kettle hops (not counted unless an equipment profile measures it)
+
+// Brewing system types (keys match classifyBrewingSystem types, values are display names)
+export const BREWING_SYSTEM_TYPES = {
+  traditional: 'Traditional',
+  biab: 'BIAB',
+  'all-in-one': 'All-in-One',
+  'no-sparge': 'No-Sparge'
+};
 
 // === GRAVITY CALCULATIONS ===
 // Gravity ranges for last runnings
@@ -51,6 +60,37 @@ export const LOVIBOND_TO_SRM_OFFSET = -0.76;
 // Maximum reasonable SRM value (very dark stout)
 export const MAX_SRM = 40;
 
+// Linear color models - both overstate very pale beers, so color never exceeds MCU
+export const DANIELS_COLOR_SLOPE = 0.2;     // SRM = 0.2 * MCU + 8.4
+export const DANIELS_COLOR_INTERCEPT = 8.4;
+export const MOSHER_COLOR_SLOPE = 0.3;      // SRM = 0.3 * MCU + 4.7
+export const MOSHER_COLOR_INTERCEPT = 4.7;
+
+// Color models (keys are used in calculation settings, values are display names)
+export const COLOR_MODELS = {
+  morey: 'Morey',
+  daniels: 'Daniels',
+  mosher: 'Mosher'
+};
+export const DEFAULT_COLOR_MODEL = 'morey';
+
+// Color units (keys are used in calculation settings, values are labels)
+export const COLOR_UNITS = {
+  srm: 'SRM',
+  ebc: 'EBC'
+};
+export const DEFAULT_COLOR_UNIT = 'srm';
+export const SRM_TO_EBC = 1.97;
+
+// sRGB beer color by whole SRM (index 0 = SRM 1 ... index 39 = SRM 40)
+export const SRM_COLOR_CHART = [
+  '#FFE699', '#FFD878', '#FFCA5A', '#FFBF42', '#FBB123', '#F8A600', '#F39C00', '#EA8F00',
+  '#E58500', '#DE7C00', '#D77200', '#CF6900', '#CB6200', '#C35900', '#BB5100', '#B54C00',
+  '#B04500', '#A63E00', '#A13700', '#9B3200', '#952D00', '#8E2900', '#882300', '#821E00',
+  '#7B1A00', '#771900', '#701400', '#6A0E00', '#660D00', '#5E0B00', '#5A0A02', '#600903',
+  '#520907', '#4C0505', '#470606', '#440607', '#3F0708', '#3B0607', '#3A070B', '#36080A'
+];
+
 // === EFFICIENCY CALCULATIONS ===
 export const DEFAULT_EFFICIENCY = 70;
 export const MIN_EFFICIENCY = 30;
@@ -66,6 +106,38 @@ export const YEAST_ATTENUATION = {
   default: 75
 };
 
+// Mixed fermentation: Brett and diastaticus keep fermenting the dextrins a conventional strain leaves behind.
+// The Brett factor is the share of the gap between that strain's attenuation and the ceiling they close.
+export const MIXED_FERMENTATION_MAX_ATTENUATION = 95;
+export const DEFAULT_BRETT_FACTOR = 0.75;
+export const MIN_BRETT_FACTOR = 0;
+export const MAX_BRETT_FACTOR = 1;
+
+// When each culture goes in: primary and secondary cultures ferment the wort, bottle cultures only carbonate
+export const CULTURE_ROLES = {
+  primary: 'Primary',
+  secondary: 'Secondary',
+  bottle: 'Bottle'
+};
+
+// === WORT FERMENTABILITY ===
+// Yeast attenuation figures assume an all-malt wort mashed around 66°C (151°F) for an hour.
+// Hotter rests favor alpha-amylase and leave more dextrins; longer rests let beta-amylase finish.
+export const SACCHARIFICATION_REFERENCE_TEMP_C = 66;
+export const SACCHARIFICATION_REFERENCE_MINUTES = 60;
+export const SACCHARIFICATION_RANGE_C = { min: 60, max: 73 };      // Rests inside count toward fermentability - mash out (~76°C) does not
+export const SACCHARIFICATION_EFFECT_LIMITS_C = { min: 62, max: 72 }; // Little further change outside
+export const SACCHARIFICATION_MINUTES_LIMITS = { min: 20, max: 120 };
+export const ATTENUATION_PER_DEGREE_C = -1.5;      // Apparent attenuation points per °C above the reference
+export const ATTENUATION_PER_DOUBLED_REST = 1.5;   // Apparent attenuation points per doubling of rest time
+// Share of each ingredient's extract the yeast can't ferment
+export const UNFERMENTABLE_EXTRACT = {
+  crystal: 0.4,
+  dextrin: 0.6,
+  lactose: 1,
+  maltodextrin: 1
+};
+
 // Brewing domain temperature ranges based on yeast strain characteristics (in Celsius)
 // These ranges reflect optimal fermentation temperatures for different yeast types
 export const BREWING_TEMPERATURE_RANGES = {
@@ -81,6 +153,40 @@ export const BREWING_TEMPERATURE_RANGES = {
   'default': { min: 18, max: 24 }     // 64-75°F - Standard ale range fallback
 };
 
+// === YEAST PITCHING ===
+// Target pitch rates in million cells per mL per °Plato (lager types pitch double; kveik pitches very low)
+export const PITCH_RATES = {
+  ale: { normal: 0.75, highGravity: 1.0 },
+  lager: { normal: 1.5, highGravity: 2.0 },
+  kveik: { normal: 0.25, highGravity: 0.35 }
+};
+export const HIGH_GRAVITY_PITCH_OG = 1.060;
+
+// Package cell counts in billions at manufacture
+export const LIQUID_YEAST_PACKAGE_CELLS = 100;    // White Labs / Wyeast / Imperial packs
+export const LIQUID_YEAST_PACKAGE_L = 0.125;      // BeerXML liquid yeast volume per package
+export const DRY_YEAST_CELLS_PER_GRAM = 10;
+export const DRY_YEAST_PACKET_GRAMS = 11.5;
+
+// Viability loss in percentage points per day since manufacture
+export const YEAST_VIABILITY_LOSS_PER_DAY = {
+  liquid: 0.7,    // ~21% per month
+  dry: 0.04       // ~15% per year
+};
+
+// Starters: ~1.037 wort made from 100 g DME per liter
+export const STARTER_EXTRACT_G_PER_L = 100;
+export const STARTER_STEP_SIZES_L = [0.5, 1, 1.5, 2, 2.5, 3, 4];
+// Braukaiser stir plate growth: 1.4 billion cells per gram of extract, then 2.33 - 0.67 × inoculation rate
+export const STARTER_MAX_GROWTH_PER_GRAM = 1.4;
+export const STARTER_GROWTH_INTERCEPT = 2.33;
+export const STARTER_GROWTH_SLOPE = 0.67;
+// Growth relative to a stir plate
+export const STARTER_METHODS = {
+  'stir-plate': { label: 'Stir plate', growthFactor: 1.0 },
+  shaken: { label: 'Shaken', growthFactor: 0.5 }
+};
+
 // === IBU CALCULATIONS ===
 export const KG_TO_OZ = 35.274;
 export const L_TO_QT = 1.05669;
@@ -92,13 +198,116 @@ export const BOIL_TIME_FACTOR_COEFFICIENT = 0.04;
 export const BOIL_TIME_FACTOR_DIVISOR = 4.15;
 
 // Hop utilization adjustments
-export const WHIRLPOOL_MAX_TIME = 10; // Whirlpool/flameout hops get max 10 min equivalent
+export const WHIRLPOOL_MAX_TIME = 10; // Whirlpool hops get max 10 min equivalent when cooling isn't modeled
 export const DEFAULT_NON_BOIL_TIME = 5; // Default time for unspecified non-boil hops
 
+// Hop form utilization relative to whole leaf (Daniels has its own pellet column and skips these)
+export const HOP_FORM_UTILIZATION_FACTORS = {
+  leaf: 1.00,
+  plug: 1.02,
+  pellet: 1.10,
+  powder: 1.10,  // Cryo/lupulin powder is pelletized like regular pellets
+  extract: 1.00
+};
+
+// Alpha acid loss in storage (Garetz): AA = AA0 * e^(-k * TF * days), k = ln(100 / (100 - HSI)) / 180
+export const HOP_AGING_REFERENCE_DAYS = 180;       // HSI is % alpha lost over 6 months at 20 C
+export const HOP_AGING_REFERENCE_TEMP_C = 20;
+export const HOP_AGING_TEMP_HALVING_C = 15;        // loss rate halves for every 15 C colder
+export const DEFAULT_HOP_STABILITY_INDEX = 25;     // % lost in 6 months when the recipe has no HSI
+export const HOP_HARVEST_MONTH = 8;                // September (0-based) for year-only harvest dates
+export const MS_PER_DAY = 86400000;
+
+// Hop storage for alpha degradation (keys are used in calculation settings)
+export const HOP_STORAGE_CONDITIONS = {
+  freezer: { label: 'Freezer', tempC: -18 },
+  refrigerator: { label: 'Refrigerator', tempC: 3 },
+  room: { label: 'Room temperature', tempC: 20 }
+};
+export const DEFAULT_HOP_STORAGE = 'freezer';
+
+// IBU formula models (keys are used in calculation settings, values are display names)
+export const IBU_FORMULAS = {
+  tinseth: 'Tinseth',
+  rager: 'Rager',
+  garetz: 'Garetz',
+  daniels: 'Daniels',
+  mibu: 'mIBU'
+};
+export const DEFAULT_IBU_FORMULA = 'tinseth';
+
+// Rager: utilization % = 18.11 + 13.86 * tanh((time - 31.32) / 18.27)
+export const RAGER_UTILIZATION_BASE = 18.11;
+export const RAGER_UTILIZATION_AMPLITUDE = 13.86;
+export const RAGER_TIME_OFFSET = 31.32;
+export const RAGER_TIME_SCALE = 18.27;
+
+// Rager/Daniels gravity adjustment: GA = (boil gravity - 1.050) / 0.2 above 1.050
+export const GRAVITY_ADJUSTMENT_THRESHOLD = 1.050;
+export const GRAVITY_ADJUSTMENT_DIVISOR = 0.2;
+
+// Garetz utilization % by boil time (minutes, upper bound inclusive) from "Using Hops"
+export const GARETZ_UTILIZATION_TABLE = [
+  { maxTime: 10, utilization: 0 },
+  { maxTime: 15, utilization: 2 },
+  { maxTime: 20, utilization: 5 },
+  { maxTime: 25, utilization: 8 },
+  { maxTime: 30, utilization: 11 },
+  { maxTime: 35, utilization: 14 },
+  { maxTime: 40, utilization: 16 },
+  { maxTime: 45, utilization: 18 },
+  { maxTime: 50, utilization: 19 },
+  { maxTime: 60, utilization: 20 },
+  { maxTime: 70, utilization: 21 },
+  { maxTime: 80, utilization: 22 },
+  { maxTime: Infinity, utilization: 23 }
+];
+export const GARETZ_HOPPING_RATE_DIVISOR = 260; // HF = (CF * IBU / 260) + 1
+export const GARETZ_ELEVATION_STEP_FT = 550;    // TF = (elevation / 550 * 0.02) + 1
+export const GARETZ_ELEVATION_FACTOR = 0.02;
+export const GARETZ_MAX_ITERATIONS = 20;        // Hopping-rate factor depends on the IBU being solved for
+export const GARETZ_CONVERGENCE_IBU = 0.01;
+
+// Daniels utilization % by boil time (minutes, lower bound inclusive) from "Designing Great Beers"
+export const DANIELS_UTILIZATION_TABLE = [
+  { minTime: 75, whole: 27, pellet: 34 },
+  { minTime: 60, whole: 24, pellet: 30 },
+  { minTime: 45, whole: 22, pellet: 27 },
+  { minTime: 30, whole: 19, pellet: 24 },
+  { minTime: 20, whole: 15, pellet: 19 },
+  { minTime: 10, whole: 12, pellet: 15 },
+  { minTime: 0, whole: 5, pellet: 6 }
+];
+
+// Post-flameout isomerization: boil minutes are converted to equivalent minutes at boiling
+// with relative rate = 2.39e11 * e^(-9773 / T) (kelvin), ~1.0 at boiling (Malowicki / mIBU)
+export const ISOMERIZATION_RATE_FACTOR = 2.39e11;
+export const ISOMERIZATION_ACTIVATION_K = 9773;
+export const KELVIN_OFFSET = 273.15;
+export const HOP_STAND_MAX_TEMP_C = 99;           // additions recorded below this are hop stands, not boil
+export const NATURAL_COOLING_AMPLITUDE_K = 53.70; // open kettle: T(t) = 53.70 * e^(-0.01831 t) + 319.55 (kelvin)
+export const NATURAL_COOLING_RATE = 0.01831;
+export const NATURAL_COOLING_FLOOR_K = 319.55;
+export const IMMERSION_CHILL_RATE = 0.14;         // Newton cooling constant per minute, ~20 min to pitching temp
+export const IMMERSION_COOLANT_TEMP_C = 20;
+export const POST_BOIL_INTEGRATION_MINUTES = 120; // cooling tail after the stand; rate is negligible beyond this
+export const POST_BOIL_INTEGRATION_STEP = 0.5;    // minutes
+
+// Chilling after flameout/hop stand (keys are used in calculation settings, values are display names)
+export const CHILL_METHODS = {
+  immersion: 'Immersion chiller',
+  'no-chill': 'No-chill'
+};
+export const DEFAULT_CHILL_METHOD = 'immersion';
+
+// mIBU: wort is assumed to cool naturally for at least this long before forced chilling
+export const MIBU_DEFAULT_POST_BOIL_TIME = 10;
+
 // === STAT RANGE DEFAULTS ===
 export const STAT_BASE_RANGES = {
   'IBU': { min: -9, max: 110 },
   'SRM': { min: 0, max: 54 },
+  'EBC': { min: 0, max: 106 },
   'ABV': { min: 0, max: 15 },
   'OG': { min: 1.030, max: 1.090 },
   'FG': { min: 0.990, max: 1.050 },
@@ -167,6 +376,142 @@ export const DEFAULT_CARBONATION = 2.4;
 export const DEFAULT_CARB_MIN = 2.2;
 export const DEFAULT_CARB_MAX = 2.8;
 
+// === PRIMING & BOTTLE CONDITIONING ===
+export const CO2_GRAMS_PER_LITER_PER_VOLUME = 1.977;   // 1 volume of CO2 dissolved in 1 L of beer
+export const DEFAULT_FERMENTATION_TEMP_C = 20;          // Residual CO2 basis when the recipe has no fermentation temperatures
+export const BOTTLE_CONDITIONING_TEMP_C = 21;           // Pressure shown for bottles conditioning at room temperature
+
+// Grams of CO2 released per gram of priming sugar (fully fermented)
+export const GLUCOSE_CO2_YIELD = 0.489;
+export const MALT_EXTRACT_FERMENTABILITY = 0.68;
+export const PRIMING_SUGARS = {
+  'corn-sugar': { label: 'Corn sugar', co2Yield: 0.489 },
+  'table-sugar': { label: 'Table sugar', co2Yield: 0.515 },
+  dme: { label: 'Dry malt extract', co2Yield: 0.335 },
+  honey: { label: 'Honey', co2Yield: 0.38 }
+};
+
+// Bottle ratings in volumes of CO2
+export const STANDARD_BOTTLE_MAX_VOLUMES = 3.0;        // Regular 12 oz / 500 mL crown-cap bottles
+export const HEAVY_BOTTLE_MAX_VOLUMES = 4.5;           // Belgian / champagne bottles
+
+// === KEGGING & DRAUGHT BALANCE ===
+export const DEFAULT_SERVING_TEMP_F = 38;              // Typical kegerator temperature
+export const SEA_LEVEL_PRESSURE_PSI = 14.696;
+export const PSI_TO_BAR = 0.0689476;
+export const BEER_LINE_RISE_PSI_PER_FT = 0.5;          // Pressure lost per foot the faucet sits above the keg
+export const FAUCET_PRESSURE_PSI = 1;                  // Pressure left at the faucet for a clean pour
+export const MIN_BEER_LINE_FT = 3;
+
+// Beer line resistance by inside diameter (keys are used in calculation settings), Brewers Association Draught Beer Quality Manual
+export const BEER_LINES = {
+  '3/16-vinyl': { label: '3/16" vinyl', resistancePsiPerFt: 3.0 },
+  '1/4-vinyl': { label: '1/4" vinyl', resistancePsiPerFt: 0.85 },
+  '5/16-vinyl': { label: '5/16" vinyl', resistancePsiPerFt: 0.4 },
+  '3/8-vinyl': { label: '3/8" vinyl', resistancePsiPerFt: 0.2 }
+};
+export const DEFAULT_BEER_LINE = '3/16-vinyl';
+export const DEFAULT_TAP_HEIGHT_FT = 1;                // Faucet height above the middle of the keg
+
+// Force-carbonation table: temperatures around the serving temperature in 2°F steps
+export const KEG_TABLE_TEMP_STEPS_F = [-4, -2, 0, 2, 4];
+
+// === WATER CHEMISTRY ===
+export const WATER_IONS = ['Ca', 'Mg', 'Na', 'SO4', 'Cl', 'HCO3'];
+
+// Brewing salts: ppm of each ion added by 1 g dissolved in 1 L (keys are stable ids, labels are display names)
+// Alkaline salts are dosed for the total water volume but all go into the mash - sparge water should not gain alkalinity
+export const BREWING_SALTS = {
+  gypsum: { label: 'Gypsum (CaSO₄)', ions: { Ca: 232.8, SO4: 557.9 } },
+  'calcium-chloride': { label: 'Calcium chloride (CaCl₂)', ions: { Ca: 272.6, Cl: 482.3 } },
+  epsom: { label: 'Epsom salt (MgSO₄)', ions: { Mg: 98.6, SO4: 389.6 } },
+  'table-salt': { label: 'Table salt (NaCl)', ions: { Na: 393.4, Cl: 606.6 } },
+  'baking-soda': { label: 'Baking soda (NaHCO₃)', ions: { Na: 273.7, HCO3: 726.4 }, mashOnly: true },
+  chalk: { label: 'Chalk (CaCO₃)', ions: { Ca: 400.4, HCO3: 1219.2 }, mashOnly: true }
+};
+
+// Salt solver: squared ion errors weighted by 1 / max(target, floor)² so small targets still count
+export const SALT_SOLVER_ION_WEIGHT_FLOOR_PPM = 10;
+export const SALT_SOLVER_ITERATIONS = 500;
+export const SALT_ADDITION_PRECISION_G = 0.1;          // Additions are rounded to what a brewing scale can weigh
+
+// Residual alkalinity (Kolbach): RA = alkalinity - Ca/3.5 - Mg/7, all in mEq/L
+export const CALCIUM_PPM_PER_MEQ = 20.04;
+export const MAGNESIUM_PPM_PER_MEQ = 12.15;
+export const BICARBONATE_PPM_PER_MEQ = 61.02;
+export const KOLBACH_CALCIUM_FACTOR = 3.5;
+export const KOLBACH_MAGNESIUM_FACTOR = 7;
+
+// === GRAVITY READING CORRECTIONS ===
+export const DEFAULT_WORT_CORRECTION_FACTOR = 1.04;    // Refractometer Brix ÷ true wort Brix
+export const MIN_WORT_CORRECTION_FACTOR = 0.9;
+export const MAX_WORT_CORRECTION_FACTOR = 1.2;
+export const DEFAULT_HYDROMETER_CALIBRATION_F = 60;
+export const HYDROMETER_TABLE_TEMPS_F = [50, 60, 70, 80, 90, 100, 120, 140];
+export const REFRACTOMETER_TABLE_STEP_BRIX = 1;
+export const TERRILL_TABLE_STEP_BRIX = 0.5;
+export const CORRECTION_TABLE_PADDING_ROWS = 3;        // Rows either side of the expected reading
+
+// === PRE-BOIL CORRECTIONS ===
+export const DME_PPG = 44;                              // Dry malt extract, gravity points per lb per gallon
+export const SUCROSE_PPG = 46;                          // Table sugar
+export const BOIL_CORRECTION_TOLERANCE_POINTS = 1;      // OG misses smaller than this need no correction
+export const BOIL_CORRECTION_GRAVITY_OFFSETS = [-8, -6, -4, -2, 0, 2, 4, 6, 8];  // Pre-boil reading misses in points
+export const BOIL_CORRECTION_VOLUME_OFFSETS = [-0.1, -0.05, 0.05, 0.1];         // Pre-boil volume misses as a fraction
+
+// === RECIPE SCALING ===
+export const SCALING_IBU_ITERATIONS = 4;               // Hop weight refinements to hold IBU (Garetz isn't linear)
+export const SCALED_RECIPE_METADATA = ['id', 'owner', 'ownerName', 'privacy', 'savedAt', 'updatedAt', 'version', 'imageData'];
+
+// === MASH INFUSIONS ===
+export const GRAIN_SPECIFIC_HEAT = 0.4;                // Heat capacity of dry grain relative to water (per kg)
+export const DEFAULT_GRAIN_TEMP_C = 20;                // Room temperature grain when the recipe doesn't say
+export const MAX_TUN_SPECIFIC_HEAT = 1;                // Larger values are water-grain ratios some exporters store in the field
+export const BOILING_POINT_SEA_LEVEL_C = 100;
+export const BOILING_POINT_DROP_C_PER_FT = 1 / 900;    // ~1 °F per 500 ft of elevation
+
+// Decoction: portion rests at saccharification temperature before boiling, then returns to the main mash
+export const DECOCTION_REST_TEMP_C = 70;
+export const DECOCTION_CONVERTED_TEMP_C = 62;          // Pulled from a mash this warm, the portion is already converting - no rest
+export const DECOCTION_REST_MIN = 15;
+export const DECOCTION_BOIL_MIN = 15;
+export const DECOCTION_HEATING_RATE_C_PER_MIN = 1.5;   // Stirred thick mash on a burner
+export const DECOCTION_THICK_MASH_FACTOR = 1.2;        // Thick portion holds less heat per liter than the whole mash
+
+// === MASH PH ===
+export const DEFAULT_TARGET_MASH_PH = 5.4;
+export const L_PER_KG_PER_QT_PER_LB = 2.086;           // Mash thickness qt/lb → L/kg
+
+// Distilled water mash pH by malt class: intercept + perLovibond × color (Troester / Kaiser measurements)
+export const MALT_DI_PH = {
+  base: { intercept: 5.75, perLovibond: -0.0135 },     // Pale 2-row ~5.72, Munich 10 °L ~5.62
+  crystal: { intercept: 5.22, perLovibond: -0.00504 }, // C40 ~5.02, C120 ~4.62
+  roast: { intercept: 4.70, perLovibond: 0 },
+  acidulated: { intercept: 5.75, perLovibond: 0 }      // Acidity is counted separately
+};
+// Malt buffering in mEq per kg per pH unit
+export const MALT_BUFFER_CAPACITY = {
+  base: 40,
+  crystal: 50,
+  roast: 40,
+  acidulated: 40
+};
+export const ROAST_MALT_MIN_LOVIBOND = 200;
+export const ACIDULATED_MALT_ACID_MEQ_PER_KG = 333;   // ~3% lactic acid by weight
+
+// Acids for mash pH adjustment (mEq of acidity per mL at mash pH)
+export const BREWING_ACIDS = {
+  lactic: { label: 'Lactic acid 88%', mEqPerMl: 11.8 },
+  phosphoric: { label: 'Phosphoric acid 10%', mEqPerMl: 1.1 },
+  phosphoric85: { label: 'Phosphoric acid 85%', mEqPerMl: 14.6 }
+};
+
+// === SPARGE WATER ACIDIFICATION ===
+export const DEFAULT_TARGET_SPARGE_PH = 5.8;
+export const DEFAULT_SOURCE_WATER_PH = 8.0;            // Typical municipal supply when the profile has no pH
+export const CARBONIC_ACID_PKA1 = 6.38;
+export const CARBONIC_ACID_PKA2 = 10.38;
+
 // === TEMPERATURE CONVERSIONS ===
 export const CELSIUS_TO_FAHRENHEIT_MULTIPLIER = 9/5;
 export const CELSIUS_TO_FAHRENHEIT_OFFSET = 32;
@@ -177,6 +522,7 @@ export const GRAMS_PER_KG = 1000;
 export const OZ_PER_LB = 16;
 export const MINUTES_PER_DAY = 1440;
 export const GALLONS_TO_QUARTS = 4;
+export const METERS_PER_FOOT = 0.3048;
 
 // === GRAVITY CALCULATION CONSTANTS ===
 export const YIELD_TO_PPG_CONVERSION = 0.46;
@@ -240,10 +586,14 @@ export const EVENTS = {
   BACK_TO_DATA_PREVIEW: 'backToDataPreview',
   PAGE_CHANGED: 'pageChanged',
   SAVE_RECIPE: 'saveRecipe',
+  EXPORT_RECIPE: 'exportRecipe',
   SHOW_MY_RECIPES: 'showMyRecipes',
   LOAD_SAVED_RECIPE: 'loadSavedRecipe',
   RECIPE_SAVED: 'recipeSaved',
   RECIPE_LOADED: 'recipeLoaded',
+  CALCULATION_SETTINGS_CHANGED: 'calculationSettingsChanged',
+  SCALE_RECIPE: 'scaleRecipe',
+  EQUIPMENT_PROFILE_CHANGED: 'equipmentProfileChanged',
   OFFLINE_QUEUE_PROCESSED: 'offlineQueueProcessed',
   AUTH_STATE_CHANGED: 'authStateChanged',
   AUTH_ERROR: 'authError'
@@ -17,7 +17,9 @@ import {
   DEFAULT_CARBONATION,
   DEFAULT_EFFICIENCY,
   DEFAULT_BOIL_TIME,
-  DEFAULT_MASH_TIME
+  DEFAULT_MASH_TIME,
+  COLOR_UNITS,
+  METERS_PER_FOOT
 } from './constants.js';
 import {
   formatWeight,
@@ -34,7 +36,9 @@ import {
   formatFermentable,
   formatHop,
   formatYeast,
-  formatMisc
+  formatMisc,
+  formatPitchingPlan,
+  formatCultureAnalysis
 } from '../formatters/ingredient-formatter.js';
 import {
   capitalizeFirst,
@@ -42,6 +46,7 @@ import {
   formatMashPh,
   formatSpargePh
 } from '../formatters/text-formatter.js';
+import { formatColorValue, srmToEbc } from '../calculations/srm-calculator.js';
 import {
   extractMashPh,
   extractSpargePh
@@ -112,7 +117,7 @@ class RecipeFormatter {
           ...this.formatCalculatedValuesFromData(calculatedData),
           ...this.formatBrewDayMeasurementsFromData(calculatedData, recipeData),
           ...this.formatVolumeData(waterVolumeTrackingData),
-          ...this.formatSubComponents(recipeData),
+          ...this.formatSubComponents(recipeData, calculatedData),
           ...this.getRecipeFlagsFromData(recipeData)
         };
 
@@ -124,6 +129,16 @@ class RecipeFormatter {
 
         // Add recipe analysis data
         formatted.recipeAnalysis = recipeAnalysisData;
+        formatted.yeastPitching = formatPitchingPlan(recipeAnalysisData?.pitchingPlan);
+        formatted.yeastCultures = formatCultureAnalysis(recipeAnalysisData?.cultureAnalysis);
+        formatted.packaging = this.formatPrimingPlan(recipeAnalysisData?.primingPlan);
+        formatted.kegging = this.formatKeggingPlan(recipeAnalysisData?.keggingPlan);
+        formatted.saltAdditions = this.formatSaltAdditions(recipeAnalysisData?.saltAdditions);
+        formatted.mashPhPrediction = this.formatMashPhPrediction(recipeAnalysisData?.mashPh);
+        formatted.spargeAcidification = this.formatSpargeAcidification(recipeAnalysisData?.spargeAcidification);
+        formatted.infusionPlan = this.formatInfusionPlan(recipeAnalysisData?.infusionPlan, recipeData?.mash?.steps);
+        formatted.gravityCorrections = this.formatGravityCorrections(recipeAnalysisData?.gravityCorrections);
+        formatted.boilCorrections = this.formatBoilCorrections(recipeAnalysisData?.boilCorrections);
 
         // Add calculatedValues property for test compatibility
         formatted.calculatedValues = {
@@ -170,13 +185,26 @@ class RecipeFormatter {
     return safeExecute(
       () => {
         const coreValues = (calculatedData && calculatedData.coreValues) || {};
+        const srm = coreValues.srm || 0;
+        const colorUnit = coreValues.colorUnit === 'ebc' ? 'ebc' : 'srm';
+        const srmFormatted = formatColorValue(srm);
+        const ebcFormatted = formatColorValue(srm, 'ebc');
         
         return {
           ogFormatted: formatGravity(coreValues.og),
           fgFormatted: formatGravity(coreValues.fg),
+          fgAdjustmentFormatted: this.formatAttenuationPrediction(coreValues.attenuationPrediction),
           abvFormatted: `${(coreValues.abv || 0).toFixed(1)}%`,
           ibuFormatted: (coreValues.ibu || 0).toFixed(0),
-          srmFormatted: (coreValues.srm || 0) < 10 ? (coreValues.srm || 0).toFixed(1) : (coreValues.srm || 0).toFixed(0),
+          ibuFormula: coreValues.ibuFormula || null,
+          srmFormatted,
+          ebcFormatted,
+          // Color in the unit chosen in calculation settings, with its label and swatch
+          colorUnit,
+          colorLabel: COLOR_UNITS[colorUnit],
+          colorFormatted: colorUnit === 'ebc' ? ebcFormatted : srmFormatted,
+          srmColor: coreValues.srmColor || null,
+          colorModel: coreValues.colorModel || null,
           carbonationFormatted: (coreValues.carbonation || 0).toFixed(1),
           
           // Store raw values for subsequent calculations
@@ -185,6 +213,7 @@ class RecipeFormatter {
           abv: coreValues.abv || 5.0,
           ibu: coreValues.ibu || 25,
           srm: coreValues.srm || 4,
+          ebc: srmToEbc(coreValues.srm || 4),
           carbonation: coreValues.carbonation || 2.4
         };
       },
@@ -195,12 +224,20 @@ class RecipeFormatter {
           abvFormatted: '5.0%',
           ibuFormatted: '25',
           srmFormatted: '4',
+          ebcFormatted: '7.9',
+          colorUnit: 'srm',
+          colorLabel: COLOR_UNITS.srm,
+          colorFormatted: '4',
+          srmColor: null,
+          colorModel: null,
+          fgAdjustmentFormatted: null,
           carbonationFormatted: '2.4',
           og: 1.050,
           fg: 1.012,
           abv: 5.0,
           ibu: 25,
           srm: 4,
+          ebc: srmToEbc(4),
           carbonation: 2.4
         },
         errorType: FormatError,
@@ -209,6 +246,28 @@ class RecipeFormatter {
     );
   }
 
+  /**
+   * Explain how the mash schedule and unfermentables moved the attenuation behind the estimated FG
+   * @param {Object|null} prediction - Attenuation prediction from fermentability-calculator
+   * @returns {string|null} e.g. "FG attenuation 72%: yeast 77%, mash 156°F / 60 min −3%, unfermentables −2%",
+   *   null when the FG comes from the recipe file or nothing moved it
+   */
+  formatAttenuationPrediction(prediction) {
+    if (!prediction) return null;
+
+    const formatPoints = (points) => `${points > 0 ? '+' : '−'}${Math.abs(points).toFixed(0)}%`;
+    const parts = [];
+    if (Math.abs(prediction.mashAdjustment) >= 0.5) {
+      parts.push(`mash ${formatTemperature(prediction.saccharificationTempC)} / ${Math.round(prediction.restMinutes)} min ${formatPoints(prediction.mashAdjustment)}`);
+    }
+    if (Math.abs(prediction.unfermentableAdjustment) >= 0.5) {
+      parts.push(`unfermentables ${formatPoints(prediction.unfermentableAdjustment)}`);
+    }
+    if (parts.length === 0) return null;
+
+    return `FG attenuation ${prediction.attenuation.toFixed(0)}%: yeast ${prediction.yeastAttenuation.toFixed(0)}%, ${parts.join(', ')}`;
+  }
+
   /**
    * Format brew day measurements using pre-calculated data
    * @param {Object} calculatedData - Pre-calculated data from orchestrator
@@ -491,20 +550,25 @@ class RecipeFormatter {
   /**
    * Format sub-components (ingredients, mash, fermentation, etc.)
    * @param {Object} recipeData - Raw recipe data
+   * @param {Object} [calculatedData] - Pre-calculated data (adjusted hop alphas, malt colors, color unit)
    * @returns {Object} Formatted sub-components
    */
-  formatSubComponents(recipeData) {
+  formatSubComponents(recipeData, calculatedData = null) {
     return safeExecute(
       () => {
         return {
           // Formatted ingredients
-          ingredients: this.formatIngredients(recipeData?.ingredients, recipeData),
+          ingredients: this.formatIngredients(recipeData?.ingredients, recipeData, {
+            adjustedHopAlphas: calculatedData?.recipeAnalysis?.adjustedHopAlphas,
+            fermentableColors: calculatedData?.recipeAnalysis?.fermentableColors,
+            colorUnit: calculatedData?.coreValues?.colorUnit
+          }),
           
           // Formatted style info
           style: this.formatStyle(recipeData?.style),
           
           // Formatted mash
-          mash: this.formatMash(recipeData?.mash),
+          mash: this.formatMash(recipeData?.mash, calculatedData?.recipeAnalysis?.infusionPlan),
           
           // Formatted fermentation
           fermentation: this.formatFermentation(recipeData?.fermentation),
@@ -527,7 +591,7 @@ class RecipeFormatter {
     );
   }
 
-  formatIngredients(ingredients, recipeData) {
+  formatIngredients(ingredients, recipeData, { adjustedHopAlphas = [], fermentableColors = [], colorUnit = 'srm' } = {}) {
     return safeExecute(
       () => {
         if (!ingredients) {
@@ -545,8 +609,8 @@ class RecipeFormatter {
 
         return {
           fermentables: safeExecute(
-            () => (ingredients.fermentables || []).map(f => 
-              formatFermentable(f, totalFermentableWeight)
+            () => (ingredients.fermentables || []).map((f, index) => 
+              formatFermentable(f, totalFermentableWeight, fermentableColors?.[index], colorUnit)
             ),
             {
               fallback: [],
@@ -556,8 +620,8 @@ class RecipeFormatter {
           ),
           
           hops: safeExecute(
-            () => (ingredients.hops || []).map(h => 
-              formatHop(h)
+            () => (ingredients.hops || []).map((h, index) => 
+              formatHop(h, adjustedHopAlphas?.[index])
             ),
             {
               fallback: [],
@@ -674,7 +738,7 @@ class RecipeFormatter {
     );
   }
 
-  formatMash(mash) {
+  formatMash(mash, infusionPlan = null) {
     return safeExecute(
       () => {
         if (mash === null) {
@@ -700,8 +764,9 @@ class RecipeFormatter {
           spargeTempFormatted: formatTemperature(mash.spargeTemp),
           phFormatted: mash.ph > 0 ? mash.ph.toFixed(2) : '—',
           steps: safeExecute(
-            () => mash.steps ? mash.steps.map(step => ({
+            () => mash.steps ? mash.steps.map((step, index) => ({
               ...step,
+              ...this.formatStepInfusion(infusionPlan?.steps?.[index]),
               stepTempFormatted: formatTemperature(step.stepTemp),
               stepTimeFormatted: formatTime(step.stepTime),
               infuseAmountFormatted: step.infuseAmount ? formatVolume(step.infuseAmount, 'gal') : '0 gal',
@@ -730,6 +795,84 @@ class RecipeFormatter {
     );
   }
 
+  /**
+   * Format the strike water, boiling water or decoction for one mash step, with the tun overflow flag
+   * @param {Object|null} stepPlan - Step entry from the infusion plan
+   * @returns {Object} Fields merged into the formatted mash step
+   */
+  formatStepInfusion(stepPlan) {
+    if (!stepPlan) {
+      return { infusionFormatted: null, decoctionScheduleFormatted: null, overflowsTun: false, mashVolumeFormatted: '—' };
+    }
+
+    let infusionFormatted = null;
+    let decoctionScheduleFormatted = null;
+    if (stepPlan.role === 'strike') {
+      infusionFormatted = `Strike: ${formatVolume(stepPlan.waterL)} at ${formatTemperature(stepPlan.waterTempC)}`;
+    } else if (stepPlan.role === 'infusion' && stepPlan.waterL > 0) {
+      if (!stepPlan.isDeclared) {
+        infusionFormatted = `Add ${formatVolume(stepPlan.waterL)} boiling water (${formatTemperature(stepPlan.waterTempC)})`;
+      } else if (stepPlan.isFeasible) {
+        infusionFormatted = `Add ${formatVolume(stepPlan.waterL)} at ${formatTemperature(stepPlan.waterTempC)}`;
+      } else {
+        infusionFormatted = `⚠️ ${formatVolume(stepPlan.waterL)} would need ${formatTemperature(stepPlan.waterTempC)} water — add more boiling water or direct heat`;
+      }
+    } else if (stepPlan.role === 'decoction' && !stepPlan.isFeasible) {
+      infusionFormatted = '⚠️ Boiling the whole mash won\'t reach this rest — add direct heat';
+    } else if (stepPlan.role === 'decoction') {
+      const decoctionFormatted = formatVolume(stepPlan.decoctionL);
+      infusionFormatted = `Pull ${decoctionFormatted} thick mash (${Math.round(stepPlan.decoctionFraction * 100)}%)`;
+      const actions = {
+        pull: `Pull ${decoctionFormatted} thick mash`,
+        rest: 'Heat and rest',
+        boil: 'Boil, stirring',
+        return: 'Return to main mash'
+      };
+      decoctionScheduleFormatted = stepPlan.schedule.phases.map(phase => ({
+        startFormatted: `${Math.round(phase.startMin)} min`,
+        actionFormatted: actions[phase.phase],
+        tempFormatted: formatTemperature(phase.tempC),
+        durationFormatted: phase.durationMin > 0 ? formatTime(phase.durationMin) : null
+      }));
+    }
+
+    return {
+      infusionFormatted,
+      decoctionScheduleFormatted,
+      overflowsTun: stepPlan.overflowsTun,
+      mashVolumeFormatted: formatVolume(stepPlan.mashVolumeL)
+    };
+  }
+
+  /**
+   * Format strike temperature and step infusion totals for the Volume Breakdown
+   * @param {Object|null} plan - Infusion plan from mash-infusion-calculator
+   * @param {Array} [mashSteps] - Recipe mash steps, for naming steps that overflow the tun
+   * @returns {Object|null} Formatted infusion plan, null without a plan
+   */
+  formatInfusionPlan(plan, mashSteps = []) {
+    return safeExecute(
+      () => {
+        if (!plan) return null;
+
+        return {
+          strikeTempFormatted: formatTemperature(plan.strikeTempC),
+          strikeWaterFormatted: formatVolume(plan.strikeWaterL),
+          hasInfusions: plan.infusionWaterL > 0,
+          infusionWaterFormatted: formatVolume(plan.infusionWaterL),
+          finalMashVolumeFormatted: formatVolume(plan.finalMashVolumeL),
+          overflowsTun: plan.overflowStepIndexes.length > 0,
+          overflowStepNames: plan.overflowStepIndexes.map(index => mashSteps[index]?.name || `Step ${index + 1}`)
+        };
+      },
+      {
+        fallback: null,
+        errorType: FormatError,
+        context: { operation: 'format-infusion-plan', hasPlan: !!plan }
+      }
+    );
+  }
+
   formatFermentation(fermentation) {
     return safeExecute(
       () => {
@@ -780,6 +923,307 @@ class RecipeFormatter {
     );
   }
 
+  /**
+   * Format priming sugar amounts and bottle pressure for the Packaging section
+   * @param {Object|null} plan - Priming plan from carbonation-calculator
+   * @returns {Object|null} Formatted packaging data, null without a plan
+   */
+  formatPrimingPlan(plan) {
+    return safeExecute(
+      () => {
+        if (!plan) return null;
+
+        const formatSugarWeight = (grams) => `${formatWeight(grams / 1000, 'g')} (${formatWeight(grams / 1000, 'oz')})`;
+        const bottleWarnings = {
+          'heavy-bottles': `${plan.targetVolumes.toFixed(1)} volumes is above what standard bottles are rated for - use heavy Belgian or champagne bottles`,
+          danger: `${plan.targetVolumes.toFixed(1)} volumes can burst glass bottles - keg this beer or lower the carbonation target`
+        };
+
+        return {
+          targetVolumesFormatted: `${plan.targetVolumes.toFixed(1)} vol`,
+          packagedVolumeFormatted: formatVolume(plan.packagedVolumeL),
+          fermentationTempFormatted: `${formatTemperature(plan.fermentationTempC)}${plan.isFermentationTempAssumed ? ' (assumed)' : ''}`,
+          residualVolumesFormatted: `${plan.residualVolumes.toFixed(2)} vol`,
+          addedVolumesFormatted: `${plan.addedVolumes.toFixed(2)} vol`,
+          sugars: plan.sugars.map(sugar => ({
+            label: sugar.label,
+            isCustom: sugar.isCustom,
+            amountFormatted: formatSugarWeight(sugar.grams)
+          })),
+          bottlePressureFormatted: `${Math.max(0, plan.bottlePressurePsi).toFixed(0)} psi at ${formatTemperature(plan.conditioningTempC)}`,
+          bottleWarning: plan.bottleWarning,
+          bottleWarningFormatted: plan.bottleWarning ? bottleWarnings[plan.bottleWarning] : null
+        };
+      },
+      {
+        fallback: null,
+        errorType: FormatError,
+        context: { operation: 'format-priming-plan', hasPlan: !!plan }
+      }
+    );
+  }
+
+  /**
+   * Format salt additions and the adjusted water profile for the Water Profiles section
+   * @param {Object|null} plan - Salt addition plan from water-chemistry-calculator
+   * @returns {Object|null} Formatted salt additions, null without a plan
+   */
+  formatSaltAdditions(plan) {
+    return safeExecute(
+      () => {
+        if (!plan) return null;
+
+        const formatGrams = (grams) => (grams > 0 ? `${grams.toFixed(1)} g` : '—');
+
+        return {
+          hasSparge: plan.spargeWaterL > 0,
+          mashWaterFormatted: formatVolume(plan.mashWaterL),
+          spargeWaterFormatted: formatVolume(plan.spargeWaterL),
+          additions: plan.additions.map(addition => ({
+            label: addition.label,
+            mashOnly: addition.mashOnly,
+            mashFormatted: formatGrams(addition.mashGrams),
+            spargeFormatted: formatGrams(addition.spargeGrams),
+            totalFormatted: formatGrams(addition.totalGrams)
+          })),
+          resultProfile: { ...plan.resultIons },
+          sulfateChlorideRatioFormatted: plan.sulfateChlorideRatio !== null
+            ? `${plan.sulfateChlorideRatio.toFixed(1)}:1`
+            : '—'
+        };
+      },
+      {
+        fallback: null,
+        errorType: FormatError,
+        context: { operation: 'format-salt-additions', hasPlan: !!plan }
+      }
+    );
+  }
+
+  /**
+   * Format predicted vs target mash pH and the acid that closes the gap
+   * @param {Object|null} prediction - Mash pH prediction from mash-ph-calculator
+   * @returns {Object|null} Formatted prediction, null without one
+   */
+  formatMashPhPrediction(prediction) {
+    return safeExecute(
+      () => {
+        if (!prediction) return null;
+
+        const waterNotes = {
+          adjusted: 'with salts',
+          source: 'source water',
+          distilled: 'distilled water'
+        };
+        let acidFormatted = 'None needed';
+        if (prediction.acidMEq > 0) {
+          acidFormatted = prediction.acids
+            .map(acid => `${acid.ml.toFixed(1)} mL ${acid.label}`)
+            .join(' or ');
+        }
+
+        return {
+          predictedPhFormatted: `${formatMashPh(prediction.predictedPh)} (${waterNotes[prediction.waterSource]})`,
+          distilledPhFormatted: formatMashPh(prediction.distilledPh),
+          isDistilledWater: prediction.waterSource === 'distilled',
+          targetPhFormatted: formatMashPh(prediction.targetPh),
+          isTargetDeclared: prediction.isTargetDeclared,
+          residualAlkalinityFormatted: `${prediction.residualAlkalinity.toFixed(2)} mEq/L`,
+          acidFormatted
+        };
+      },
+      {
+        fallback: null,
+        errorType: FormatError,
+        context: { operation: 'format-mash-ph-prediction', hasPrediction: !!prediction }
+      }
+    );
+  }
+
+  /**
+   * Format source water alkalinity and the acid that brings the sparge water to its target pH
+   * @param {Object|null} plan - Sparge acidification plan from water-chemistry-calculator
+   * @returns {Object|null} Formatted sparge acidification, null without a plan
+   */
+  formatSpargeAcidification(plan) {
+    return safeExecute(
+      () => {
+        if (!plan) return null;
+
+        return {
+          spargeWaterFormatted: formatVolume(plan.spargeWaterL),
+          sourcePhFormatted: `${formatSpargePh(plan.sourcePh)}${plan.isSourcePhDeclared ? '' : ' (assumed)'}`,
+          targetPhFormatted: `${formatSpargePh(plan.targetPh)}${plan.isTargetDeclared ? '' : ' (default)'}`,
+          alkalinityFormatted: `${plan.alkalinityMEqPerL.toFixed(2)} mEq/L`,
+          residualAlkalinityFormatted: `${plan.residualAlkalinity.toFixed(2)} mEq/L`,
+          acids: plan.acids.map(acid => ({
+            label: acid.label,
+            amountFormatted: plan.acidMEq > 0 ? `${acid.ml.toFixed(1)} mL` : 'None needed'
+          }))
+        };
+      },
+      {
+        fallback: null,
+        errorType: FormatError,
+        context: { operation: 'format-sparge-acidification', hasPlan: !!plan }
+      }
+    );
+  }
+
+  /**
+   * Format hydrometer and refractometer quick-reference tables for the Brew Day Measurements section
+   * @param {Object|null} corrections - Correction tables from measurement-correction-calculator
+   * @returns {Object|null} Formatted tables, null without corrections
+   */
+  formatGravityCorrections(corrections) {
+    return safeExecute(
+      () => {
+        if (!corrections) return null;
+
+        const formatPoints = (points) => {
+          const rounded = Math.round(points * 10) / 10;
+          if (rounded === 0) return '0';
+          return `${rounded > 0 ? '+' : '−'}${Math.abs(rounded).toFixed(1)}`;
+        };
+        const { hydrometer, refractometer, terrill } = corrections;
+
+        return {
+          wortCorrectionFactorFormatted: corrections.wortCorrectionFactor.toFixed(2),
+          hydrometer: {
+            calibrationTempFormatted: `${hydrometer.calibrationTempF}°F`,
+            columnsFormatted: hydrometer.gravities.map(gravity => `${gravity.label} ${gravity.sg.toFixed(3)}`),
+            rows: hydrometer.rows.map(row => ({
+              tempFormatted: `${row.tempF}°F`,
+              isCalibrationTemp: row.isCalibrationTemp,
+              correctionsFormatted: row.correctionsPoints.map(formatPoints)
+            }))
+          },
+          refractometer: {
+            rows: refractometer.rows.map(row => ({
+              brixFormatted: row.brix.toFixed(1),
+              sgFormatted: row.sg.toFixed(3),
+              labelFormatted: row.labels.join(', ')
+            }))
+          },
+          terrill: terrill ? {
+            originalBrixFormatted: `${terrill.originalBrixReading.toFixed(1)} °Bx`,
+            rows: terrill.rows.map(row => ({
+              brixFormatted: row.brix.toFixed(1),
+              fgFormatted: row.fg.toFixed(3),
+              labelFormatted: row.labels.join(', ')
+            }))
+          } : null
+        };
+      },
+      {
+        fallback: null,
+        errorType: FormatError,
+        context: { operation: 'format-gravity-corrections', hasCorrections: !!corrections }
+      }
+    );
+  }
+
+  /**
+   * Format the pre-boil "if you're off" lookup table
+   * @param {Object|null} corrections - Correction table from boil-correction-calculator
+   * @returns {Object|null} Formatted correction table with the resolved plan for the measured-reading advisor,
+   *   null without one
+   */
+  formatBoilCorrections(corrections) {
+    return safeExecute(
+      () => {
+        if (!corrections) return null;
+
+        const { plan } = corrections;
+
+        return {
+          plan,
+          preBoilGravityFormatted: formatGravity(plan.preBoilGravity),
+          preBoilVolumeFormatted: formatVolume(plan.preBoilVolumeL),
+          targetOgFormatted: formatGravity(plan.og),
+          boilOffFormatted: `${formatVolume(plan.boilOffRateLHr)}/hr`,
+          gravityRows: corrections.gravityRows.map(row =>
+            this.formatBoilCorrection(row, formatGravity(row.preBoilGravity), row.offsetPoints === 0)),
+          volumeRows: corrections.volumeRows.map(row =>
+            this.formatBoilCorrection(row, `${formatVolume(row.preBoilVolumeL)} at ${formatGravity(row.preBoilGravity)}`))
+        };
+      },
+      {
+        fallback: null,
+        errorType: FormatError,
+        context: { operation: 'format-boil-corrections', hasCorrections: !!corrections }
+      }
+    );
+  }
+
+  /**
+   * Format the advice for one pre-boil reading, a lookup table row or a measured reading
+   * Each option is {actionFormatted, resultFormatted} with the post-boil volume and IBU it ends up at
+   * @param {Object} advice - Correction advice from boil-correction-calculator
+   * @param {string} readingFormatted - Pre-boil reading the advice is for
+   * @param {boolean} [isPlanned=false] - Whether the reading is the planned one
+   * @returns {Object} Formatted advice
+   */
+  formatBoilCorrection(advice, readingFormatted, isPlanned = false) {
+    const formatIBU = (ibu) => (ibu === null ? '' : ` · ${ibu.toFixed(0)} IBU`);
+    const formatOption = (option, actionFormatted) => (option ? {
+      actionFormatted,
+      resultFormatted: `${formatVolume(option.postBoilVolumeL)}${formatIBU(option.ibu)}`
+    } : null);
+
+    return {
+      readingFormatted,
+      isPlanned,
+      expectedOgFormatted: formatGravity(advice.expectedOg),
+      resultFormatted: `${formatVolume(advice.postBoilVolumeL)}${formatIBU(advice.ibu)}`,
+      isOnTarget: advice.isOnTarget,
+      extendBoil: formatOption(advice.extendBoil, `+${Math.ceil(advice.extendBoil?.extraMinutes)} min`),
+      dme: formatOption(advice.dme, formatFermentableWeight(advice.dme?.weightKg)),
+      sugar: formatOption(advice.sugar, formatFermentableWeight(advice.sugar?.weightKg)),
+      dilute: formatOption(advice.dilute, formatVolume(advice.dilute?.waterL))
+    };
+  }
+
+  /**
+   * Format regulator pressure, line balance and the force-carbonation pressure table
+   * @param {Object|null} plan - Kegging plan from kegging-calculator
+   * @returns {Object|null} Formatted kegging data, null without a plan
+   */
+  formatKeggingPlan(plan) {
+    return safeExecute(
+      () => {
+        if (!plan) return null;
+
+        const targetIndex = plan.tableVolumes.findIndex(volumes => volumes === Math.round(plan.targetVolumes * 10) / 10);
+
+        return {
+          regulatorFormatted: `${plan.regulatorPsi.toFixed(1)} psi (${plan.regulatorBar.toFixed(2)} bar)`,
+          servingTempFormatted: formatTemperature(plan.servingTempC),
+          altitudeCorrectionFormatted: plan.elevationFt > 0
+            ? `+${plan.altitudeCorrectionPsi.toFixed(1)} psi at ${Math.round(plan.elevationFt)} ft`
+            : null,
+          lineLengthFormatted: `${plan.lineLengthFt.toFixed(1)} ft (${(plan.lineLengthFt * METERS_PER_FOOT).toFixed(1)} m)`,
+          beerLineFormatted: plan.beerLineLabel,
+          tapHeightFormatted: `${plan.tapHeightFt} ft`,
+          pressureTable: {
+            volumesFormatted: plan.tableVolumes.map(volumes => `${volumes.toFixed(1)} vol`),
+            targetIndex,
+            rows: plan.pressureTable.map(row => ({
+              tempFormatted: formatTemperature(row.tempC),
+              isServingTemp: row.isServingTemp,
+              pressuresFormatted: row.pressuresPsi.map(psi => psi.toFixed(1))
+            }))
+          }
+        };
+      },
+      {
+        fallback: null,
+        errorType: FormatError,
+        context: { operation: 'format-kegging-plan', hasPlan: !!plan }
+      }
+    );
+  }
+
   /**
    * Generate fermentation stage steps for detailed fermentation display
    * @param {Object} fermentation - Fermentation data object
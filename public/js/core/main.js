@@ -212,17 +212,42 @@ const LazyModules = {
     return new SectionManager();
   },
   
+  async getCalculationSettings() {
+    const { CalculationSettings } = await import('../ui/components/calculation-settings.js');
+    return new CalculationSettings();
+  },
+  
+  async getRecipeScaler() {
+    const { RecipeScaler } = await import('../ui/components/recipe-scaler.js');
+    return new RecipeScaler();
+  },
+  
+  async getEquipmentProfiles() {
+    const { EquipmentProfiles } = await import('../ui/components/equipment-profiles.js');
+    return new EquipmentProfiles();
+  },
+  
   // Feature modules (loaded when features are used)
   async getPrintControls() {
     const { PrintControls } = await import('../ui/components/print-controls.js');
     return new PrintControls();
   },
   
+  async getExportManager() {
+    const { ExportManager } = await import('../exporters/export-manager.js');
+    return new ExportManager();
+  },
+  
   async getDataPreview() {
     const { DataPreview } = await import('../ui/pages/data-preview.js');
     return new DataPreview();
   },
   
+  async getRecipePicker() {
+    const { RecipePickerModal } = await import('../ui/components/recipe-picker-modal.js');
+    return new RecipePickerModal();
+  },
+  
   async getDebugToggle() {
     const { debugToggle } = await import('../ui/components/debug-toggle.js');
     return debugToggle;
@@ -249,8 +274,13 @@ class BrewLogApp {
     this.formatter = null;
     this.renderer = null;
     this.sectionManager = null;
+    this.calculationSettings = null;
+    this.recipeScaler = null;
+    this.equipmentProfiles = null;
     this.printControls = null;
     this.dataPreview = null;
+    this.recipePicker = null;
+    this.exportManager = null;
     this.debugToggle = null;
     
     // Track which lazy modules have been loaded
@@ -371,9 +401,30 @@ class BrewLogApp {
           // Create a mock event to reuse existing file handling logic
           const mockEvent = { target: { files: files } };
           this.handleFileLoad(mockEvent);
+        } else {
+          // Text selection dragged from another window (e.g. a recipe page's XML source)
+          this.handleTextImport(e.dataTransfer.getData('text/plain'), 'drop');
         }
       });
     }
+
+    // Paste recipe content anywhere on the upload page
+    document.addEventListener('paste', (e) => {
+      if (this.navigationManager.getCurrentView() !== 'upload' || this.isEditableTarget(e.target)) {
+        return;
+      }
+      const files = e.clipboardData?.files;
+      if (files?.length > 0) {
+        e.preventDefault();
+        this.handleFileLoad({ target: { files } });
+        return;
+      }
+      const text = e.clipboardData?.getData('text/plain');
+      if (text?.trim()) {
+        e.preventDefault();
+        this.handleTextImport(text, 'paste');
+      }
+    });
     
     // Listen for data preview navigation events
     window.addEventListener(EVENTS.CONTINUE_TO_RECIPE, () => {
@@ -392,8 +443,12 @@ class BrewLogApp {
     
     // Listen for recipe storage events
     window.addEventListener(EVENTS.SAVE_RECIPE, () => this.saveCurrentRecipe());
+    window.addEventListener(EVENTS.EXPORT_RECIPE, (e) => this.exportCurrentRecipe(e.detail.format));
     window.addEventListener(EVENTS.SHOW_MY_RECIPES, () => this.showMyRecipes());
     window.addEventListener(EVENTS.LOAD_SAVED_RECIPE, (e) => this.loadSavedRecipe(e.detail.recipeId));
+    window.addEventListener(EVENTS.CALCULATION_SETTINGS_CHANGED, () => this.recalculateCurrentRecipe());
+    window.addEventListener(EVENTS.SCALE_RECIPE, (e) => this.scaleCurrentRecipe(e.detail));
+    window.addEventListener(EVENTS.EQUIPMENT_PROFILE_CHANGED, () => this.recalculateCurrentRecipe());
     
     // Listen for toast events from storage manager
     window.addEventListener('showToast', (e) => {
@@ -418,6 +473,37 @@ class BrewLogApp {
     const file = event.target.files[0];
     if (!file) return;
 
+    await this.importRecipe({
+      name: file.name,
+      size: file.size,
+      type: file.type,
+      read: () => this.readFile(file)
+    }, 'handleFileLoad');
+  }
+
+  /**
+   * Import recipe content pasted from the clipboard or dropped as a text selection.
+   * Recipe sites often show BeerXML as page source rather than offering a download.
+   * @param {string} text - BeerXML, BeerJSON, Brewfather JSON or plain recipe text
+   * @param {string} source - 'paste' or 'drop'
+   */
+  async handleTextImport(text, source = 'paste') {
+    if (!text || !text.trim()) return;
+
+    await this.importRecipe({
+      name: undefined, // No file name - ParserManager detects the format from the content
+      size: text.length,
+      type: `text/${source}`,
+      read: async () => text
+    }, 'handleTextImport');
+  }
+
+  /**
+   * Parse, validate and display recipe content from a file or text source
+   * @param {Object} source - {name, size, type, read} where read() resolves to the raw content
+   * @param {string} method - Calling handler, for error context
+   */
+  async importRecipe(source, method) {
     let currentPhase = 'initialization';
     try {
       // LAZY LOAD: Ensure recipe processing modules are loaded
@@ -429,31 +515,83 @@ class BrewLogApp {
 
       // Parse phase - extract raw data from file
       currentPhase = 'file_reading';
-      const fileContent = await this.readFile(file);
+      const fileContent = await source.read();
       
       currentPhase = 'parsing';
-      const rawRecipeData = this.parser.parseFile(fileContent, file.name);
+      const rawRecipes = this.parser.parseAllRecipes(fileContent, source.name);
       
       // Track successful recipe import
-      const fileFormat = this.detectFileFormat(file.name, fileContent);
+      const fileFormat = source.name ? this.detectFileFormat(source.name, fileContent) : rawRecipes[0].sourceFormat;
       analyticsManager.trackRecipeImported(fileFormat, true);
       
       // Validate phase - apply brewing domain defaults and validate ranges
+      // Each recipe is validated on its own so one invalid recipe doesn't block the rest of a library file
       currentPhase = 'validation';
-      const validatedRecipeData = this.validator.validateRecipe(rawRecipeData);
+      const validations = rawRecipes.map(rawRecipe => {
+        try {
+          return { recipe: this.validator.validateRecipe(rawRecipe) };
+        } catch (error) {
+          return { error };
+        }
+      });
+      const validatedRecipes = validations.map(validation => validation.recipe);
+      if (rawRecipes.length === 1 && validations[0].error) {
+        throw validations[0].error;
+      }
+      
+      // Library files hold several recipes - let the user open one or bulk-save a selection
+      let selectedIndex = 0;
+      if (rawRecipes.length > 1) {
+        currentPhase = 'recipe_selection';
+        await Promise.all([
+          this.ensureModuleLoaded('recipePicker'),
+          this.ensureModuleLoaded('calculator'),
+          this.ensureModuleLoaded('calculationSettings')
+        ]);
+        const summaries = validations.map(({ recipe, error }, index) => {
+          if (error) {
+            const rawRecipe = rawRecipes[index];
+            return { name: rawRecipe.name, styleName: rawRecipe.style?.name, invalidReason: error.userMessage || error.message };
+          }
+          const { og, ibu } = this.calculator.calculateSummary(recipe, this.calculationSettings.getSettings());
+          return { name: recipe.name, styleName: recipe.style?.name, og, ibu };
+        });
+        const selection = await this.recipePicker.show(summaries, {
+          fileName: source.name,
+          canSave: clerkAuth.isUserSignedIn()
+        });
+        
+        if (selection.action === 'save') {
+          currentPhase = 'bulk_save';
+          await this.saveRecipesFromFile(selection.indices.map(index => validatedRecipes[index]));
+          return;
+        }
+        if (selection.action !== 'open') {
+          return;
+        }
+        selectedIndex = selection.index;
+      }
+      const rawRecipeData = rawRecipes[selectedIndex];
+      const validatedRecipeData = validatedRecipes[selectedIndex];
       
       // Store both raw and validated data in navigation manager
       currentPhase = 'data_storage';
       this.navigationManager.setParsedData(rawRecipeData); // raw data for data preview analysis
       this.navigationManager.setValidatedData(validatedRecipeData); // validated data for calculations
       
-      // Go directly to recipe view
       currentPhase = 'ui_rendering';
+      if (rawRecipeData.sourceFormat === 'text') {
+        // Text import is heuristic - show what was recognized before building the brew log
+        this.showDataPreview();
+        return;
+      }
+
+      // Go directly to recipe view
       await this.showRecipeFromPreview();
       
     } catch (error) {
       // Track failed import
-      const fileFormat = this.detectFileFormat(file?.name || 'unknown', '');
+      const fileFormat = this.detectFileFormat(source.name || 'unknown', '');
       analyticsManager.trackRecipeImported(fileFormat, false);
       analyticsManager.trackImportError(fileFormat, currentPhase);
       
@@ -461,17 +599,26 @@ class BrewLogApp {
       const errorContext = {
         phase: currentPhase,
         component: 'BrewLogApp',
-        method: 'handleFileLoad',
-        fileName: file?.name,
-        fileSize: file?.size,
-        fileType: file?.type,
+        method,
+        fileName: source.name,
+        fileSize: source.size,
+        fileType: source.type,
         timestamp: new Date().toISOString()
       };
       
-      errorHandler.handleFileError(error, file.name, errorContext);
+      errorHandler.handleFileError(error, source.name || 'pasted recipe', errorContext);
     }
   }
   
+  /**
+   * Whether an event target accepts typed input, so paste should be left alone
+   * @param {EventTarget} target - Event target
+   * @returns {boolean} True for inputs, textareas and contenteditable elements
+   */
+  isEditableTarget(target) {
+    return Boolean(target?.closest?.('input, textarea, select, [contenteditable=""], [contenteditable="true"]'));
+  }
+  
   showDataPreview() {
     const dataPreviewContainer = this.navigationManager.switchToView('data-preview');
     if (dataPreviewContainer) {
@@ -491,10 +638,15 @@ class BrewLogApp {
       await this.ensureModuleLoaded('formatter');
       await this.ensureModuleLoaded('renderer');
       await this.ensureModuleLoaded('sectionManager');
+      await this.ensureModuleLoaded('calculationSettings');
+      await this.ensureModuleLoaded('recipeScaler');
+      await this.ensureModuleLoaded('equipmentProfiles');
+      await this.equipmentProfiles.ensureLoaded();
 
-      // Calculate phase - orchestrate all brewing calculations
+      // Calculate phase - orchestrate all brewing calculations on the selected equipment profile
       currentPhase = 'calculation';
-      const calculatedData = this.calculator.calculateAll(this.navigationManager.validatedData);
+      const recipeData = this.equipmentProfiles.applyTo(this.navigationManager.validatedData);
+      const calculatedData = this.calculator.calculateAll(recipeData, this.calculationSettings.getSettings());
       
       // Track recipe calculations performed
       analyticsManager.trackCalculationUsed('ibu');
@@ -504,7 +656,7 @@ class BrewLogApp {
       
       // Format phase - format data for display using pre-calculated values
       currentPhase = 'formatting';
-      const formattedRecipe = this.formatter.formatRecipe(this.navigationManager.validatedData, calculatedData);
+      const formattedRecipe = this.formatter.formatRecipe(recipeData, calculatedData);
       this.navigationManager.setCurrentRecipe(formattedRecipe);
       
       // Clear any previous recipe image data to prevent conflicts
@@ -523,6 +675,9 @@ class BrewLogApp {
         // Re-initialize section manager after recipe is rendered, passing the recipe data
         this.sectionManager.setupControls(formattedRecipe);
         this.sectionManager.applyPreferences();
+        this.calculationSettings.setupControls(formattedRecipe);
+        this.equipmentProfiles.setupControls(this.navigationManager.validatedData);
+        this.recipeScaler.setupControls(this.navigationManager.validatedData);
         
         // Initialize print controls for recipe view
         await this.ensureModuleLoaded('printControls');
@@ -545,6 +700,71 @@ class BrewLogApp {
     }
   }
 
+  /**
+   * Re-run calculations for the displayed recipe after the user changes calculation settings or equipment profile
+   */
+  recalculateCurrentRecipe() {
+    const validatedData = this.navigationManager.validatedData;
+    if (this.navigationManager.getCurrentView() !== 'recipe-view' || !validatedData) return;
+
+    try {
+      const recipeData = this.equipmentProfiles ? this.equipmentProfiles.applyTo(validatedData) : validatedData;
+      const calculatedData = this.calculator.calculateAll(recipeData, this.calculationSettings.getSettings());
+      const formattedRecipe = this.formatter.formatRecipe(recipeData, calculatedData);
+      this.navigationManager.setCurrentRecipe(formattedRecipe);
+
+      const container = document.getElementById('recipeContainer');
+      if (container) {
+        this.renderer.render(formattedRecipe, container);
+        this.sectionManager.setupControls(formattedRecipe);
+        this.sectionManager.applyPreferences();
+        this.calculationSettings.setupControls(formattedRecipe);
+        this.equipmentProfiles?.setupControls(validatedData);
+        this.recipeScaler?.setupControls(validatedData);
+        this.loadRecipeImage(window.currentRecipeId);
+      }
+    } catch (error) {
+      errorHandler.handleError(error, {
+        component: 'BrewLogApp',
+        method: 'recalculateCurrentRecipe',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * Show the displayed recipe scaled to a new batch size, efficiency or boil-off rate
+   * The scaled recipe replaces the validated data, so it renders and saves like any new recipe
+   * @param {Object} target - {batchSizeL, efficiency, boilOffRateLHr} from the recipe scaler
+   */
+  async scaleCurrentRecipe(target) {
+    const validatedData = this.navigationManager.validatedData;
+    if (this.navigationManager.getCurrentView() !== 'recipe-view' || !validatedData) return;
+
+    try {
+      await this.ensureModuleLoaded('calculator');
+      await this.ensureModuleLoaded('calculationSettings');
+
+      const scaledRecipe = this.calculator.scaleRecipe(validatedData, target, this.calculationSettings.getSettings());
+      if (!scaledRecipe) {
+        this.showToast('This recipe has no batch size to scale from', 'warning');
+        return;
+      }
+
+      this.navigationManager.setParsedData(scaledRecipe);
+      this.navigationManager.setValidatedData(scaledRecipe);
+      await this.showRecipeFromPreview();
+      this.showToast(`Scaled to ${scaledRecipe.name} - save it to keep it as a new recipe`, 'success');
+    } catch (error) {
+      errorHandler.handleError(error, {
+        component: 'BrewLogApp',
+        method: 'scaleCurrentRecipe',
+        timestamp: new Date().toISOString()
+      });
+      this.showToast('Failed to scale recipe', 'error');
+    }
+  }
+
   readFile(file) {
     return new Promise((resolve, reject) => {
       const reader = new FileReader();
@@ -574,6 +794,8 @@ class BrewLogApp {
       return 'beerxml';
     } else if (extension === 'bsmx') {
       return 'beersmith';
+    } else if (extension === 'txt') {
+      return 'text';
     }
     
     // Fall back to content detection
@@ -656,6 +878,78 @@ class BrewLogApp {
     }
   }
 
+  /**
+   * Save several recipes from a multi-recipe file to My Recipes without opening them
+   * Each recipe is calculated and formatted the same way as a viewed recipe before saving
+   * @param {Array<Object>} validatedRecipes - Validated recipes selected in the recipe picker
+   */
+  async saveRecipesFromFile(validatedRecipes) {
+    await Promise.all([
+      this.ensureModuleLoaded('calculator'),
+      this.ensureModuleLoaded('formatter'),
+      this.ensureModuleLoaded('calculationSettings')
+    ]);
+
+    let savedCount = 0;
+    let failedCount = 0;
+    // Sequential so duplicate prompts from saveRecipeWithDuplicateCheck appear one at a time
+    for (const validatedRecipe of validatedRecipes) {
+      try {
+        const calculatedData = this.calculator.calculateAll(validatedRecipe, this.calculationSettings.getSettings());
+        const formattedRecipe = this.formatter.formatRecipe(validatedRecipe, calculatedData);
+
+        const result = await storageManager.saveRecipeWithDuplicateCheck(formattedRecipe);
+        if (result.action === 'created' || result.action === 'updated') {
+          savedCount++;
+          window.dispatchEvent(new CustomEvent(EVENTS.RECIPE_SAVED, {
+            detail: {
+              recipeId: result.id,
+              offline: result.offline,
+              action: result.action
+            }
+          }));
+        }
+      } catch (error) {
+        failedCount++;
+        debug.error(DEBUG_CATEGORIES.STORAGE, `Failed to save "${validatedRecipe.name || 'Unnamed'}" from file:`, error);
+      }
+    }
+
+    if (failedCount > 0) {
+      this.showToast(`Saved ${savedCount} of ${validatedRecipes.length} recipes - ${failedCount} could not be saved`, 'warning');
+    } else if (savedCount > 0) {
+      this.showToast(`Saved ${savedCount} recipe${savedCount === 1 ? '' : 's'} to My Recipes`, 'success');
+    }
+  }
+
+  /**
+   * Export the current recipe to a file in the requested format
+   * @param {string} format - Export format identifier (e.g. 'beerxml')
+   */
+  async exportCurrentRecipe(format) {
+    if (!this.navigationManager.validatedData) {
+      errorHandler.handleError(new Error('No recipe to export'), {
+        component: 'BrewLogApp',
+        method: 'exportCurrentRecipe',
+        userMessage: 'Please load a recipe before exporting'
+      });
+      return;
+    }
+
+    try {
+      await this.ensureModuleLoaded('exportManager');
+      const fileName = await this.exportManager.downloadRecipe(this.navigationManager.validatedData, format);
+      this.showToast(`Recipe exported as ${fileName}`, 'success');
+    } catch (error) {
+      errorHandler.handleError(error, {
+        component: 'BrewLogApp',
+        method: 'exportCurrentRecipe',
+        format
+      });
+      this.showToast('Failed to export recipe', 'error');
+    }
+  }
+
   /**
    * Show the My Recipes page
    */
@@ -1091,6 +1385,27 @@ class BrewLogApp {
           }
           break;
           
+        case 'calculationSettings':
+          if (!this.calculationSettings) {
+            this.calculationSettings = await LazyModules.getCalculationSettings();
+            debug.log(DEBUG_CATEGORIES.LOADING, 'Lazy loaded: CalculationSettings');
+          }
+          break;
+          
+        case 'recipeScaler':
+          if (!this.recipeScaler) {
+            this.recipeScaler = await LazyModules.getRecipeScaler();
+            debug.log(DEBUG_CATEGORIES.LOADING, 'Lazy loaded: RecipeScaler');
+          }
+          break;
+          
+        case 'equipmentProfiles':
+          if (!this.equipmentProfiles) {
+            this.equipmentProfiles = await LazyModules.getEquipmentProfiles();
+            debug.log(DEBUG_CATEGORIES.LOADING, 'Lazy loaded: EquipmentProfiles');
+          }
+          break;
+          
         case 'printControls':
           if (!this.printControls) {
             this.printControls = await LazyModules.getPrintControls();
@@ -1106,6 +1421,20 @@ class BrewLogApp {
           }
           break;
           
+        case 'recipePicker':
+          if (!this.recipePicker) {
+            this.recipePicker = await LazyModules.getRecipePicker();
+            debug.log(DEBUG_CATEGORIES.LOADING, 'Lazy loaded: RecipePickerModal');
+          }
+          break;
+          
+        case 'exportManager':
+          if (!this.exportManager) {
+            this.exportManager = await LazyModules.getExportManager();
+            debug.log(DEBUG_CATEGORIES.LOADING, 'Lazy loaded: ExportManager');
+          }
+          break;
+          
         case 'debugToggle':
           if (!this.debugToggle) {
             this.debugToggle = await LazyModules.getDebugToggle();
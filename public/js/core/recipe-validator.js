@@ -132,8 +132,11 @@ class RecipeValidator {
         fg: this.validateGravity(rawRecipeData.fg, 'fg'),
         abv: this.validatePercentage(rawRecipeData.abv, 'abv'),
         ibu: this.validateRange(rawRecipeData.ibu, this.brewingLimits.ibu),
+        ibuMethod: this.validateString(rawRecipeData.ibuMethod),
         srm: this.validateRange(rawRecipeData.srm, this.brewingLimits.srm),
         carbonation: this.validateRange(rawRecipeData.carbonation, this.brewingLimits.carbonation),
+        primingSugarName: this.validateString(rawRecipeData.primingSugarName),
+        primingSugarEquiv: this.validateRange(rawRecipeData.primingSugarEquiv, { min: 0, max: 10 }, { allowZero: false }),
 
         // Complex objects - validate structure
         style: this.validateStyle(rawRecipeData.style),
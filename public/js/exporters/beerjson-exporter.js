@@ -0,0 +1,610 @@
+/**
+ * BeerJSON Exporter
+ * Serializes validated internal recipe data into a BeerJSON 1.0 document
+ * Every measurement is written as a unit-tagged {unit, value} object in internal units
+ */
+
+import { denormalizeHopUse, INTERNAL_HOP_USES } from '../utilities/hop-use-normalizer.js';
+import { DEFAULT_EFFICIENCY } from '../core/constants.js';
+import { FormatError } from '../utilities/errors/application-errors.js';
+import {
+  MINUTES_PER_DAY,
+  COUNT_UNITS,
+  getDisplayUnit,
+  resolveHopUse,
+  getHopTimeMinutes,
+  formatNumber,
+  compact
+} from './export-utils.js';
+
+const BEERJSON_VERSION = 1.0;
+
+// BeerJSON unit identifiers (case-sensitive, see measureable_units.json)
+const UNITS = {
+  PERCENT: '%',
+  CELSIUS: 'C',
+  LOVIBOND: 'Lovi',
+  SRM: 'SRM',
+  LITER: 'l',
+  KILOGRAM: 'kg',
+  SG: 'sg',
+  PPM: 'ppm',
+  PH: 'pH',
+  LITERS_PER_KG: 'l/kg',
+  SPECIFIC_HEAT: 'Cal/(g C)'
+};
+
+// IBUMethodType enum - any other formula is exported as "Other"
+const IBU_METHODS = ['Rager', 'Tinseth', 'Garetz'];
+
+// TimeType values must be integers, so fractional times step down to a finer unit
+const FINER_TIME_UNITS = {
+  week: { unit: 'day', factor: 7 },
+  day: { unit: 'hr', factor: 24 },
+  hr: { unit: 'min', factor: 60 },
+  min: { unit: 'sec', factor: 60 }
+};
+
+class BeerJSONExporter {
+  constructor() {
+    this.version = BEERJSON_VERSION;
+  }
+
+  /**
+   * Export a single recipe as a BeerJSON document
+   * @param {Object} recipe - Validated recipe data
+   * @returns {Object} BeerJSON document with a `beerjson` root
+   */
+  exportRecipe(recipe) {
+    return this.exportRecipes([recipe]);
+  }
+
+  /**
+   * Export one or more recipes as a single BeerJSON document
+   * @param {Array} recipes - Validated recipe data objects
+   * @returns {Object} BeerJSON document with a `beerjson` root
+   */
+  exportRecipes(recipes) {
+    if (!Array.isArray(recipes) || recipes.length === 0) {
+      throw new FormatError('No recipes provided for BeerJSON export', {
+        userMessage: 'There is no recipe to export.',
+        details: { exporter: 'BeerJSON', phase: 'INPUT_VALIDATION', recipeCount: 0 }
+      });
+    }
+
+    try {
+      const document = {
+        version: this.version,
+        recipes: recipes.map(recipe => this.buildRecipe(recipe))
+      };
+
+      // BeerJSON keeps equipment at the document root rather than inside the recipe
+      const equipments = recipes
+        .map(recipe => this.buildEquipment(recipe.equipment))
+        .filter(Boolean);
+      if (equipments.length > 0) {
+        document.equipments = equipments;
+      }
+
+      return { beerjson: document };
+    } catch (error) {
+      // Re-throw FormatError instances as-is
+      if (error instanceof FormatError) {
+        throw error;
+      }
+      // Wrap other errors in FormatError
+      throw new FormatError(`Failed to export BeerJSON: ${error.message}`, {
+        userMessage: 'Unable to export this recipe as BeerJSON.',
+        details: { exporter: 'BeerJSON', phase: 'SERIALIZATION', originalError: error.message }
+      });
+    }
+  }
+
+  /**
+   * Serialize a BeerJSON document for download
+   * @param {Object} document - BeerJSON document from exportRecipe/exportRecipes
+   * @returns {string} Pretty-printed JSON
+   */
+  stringify(document) {
+    return JSON.stringify(document, null, 2) + '\n';
+  }
+
+  buildRecipe(recipe) {
+    if (!recipe || typeof recipe !== 'object') {
+      throw new FormatError('Invalid recipe data provided to BeerJSON exporter', {
+        userMessage: 'The recipe data is incomplete and cannot be exported.',
+        details: { exporter: 'BeerJSON', phase: 'RECIPE_SERIALIZATION', inputType: typeof recipe }
+      });
+    }
+
+    const ingredients = recipe.ingredients || {};
+
+    return compact({
+      name: recipe.name || 'Untitled Recipe',
+      type: this.mapRecipeType(recipe.type),
+      author: recipe.brewer || '',
+      coauthor: recipe.coauthor || undefined,
+      created: this.formatDate(recipe.date),
+      batch_size: this.measure(recipe.batchSize, UNITS.LITER),
+      efficiency: this.buildEfficiency(recipe.efficiency),
+      style: this.buildStyle(recipe.style),
+      ingredients: {
+        fermentable_additions: this.buildList(ingredients.fermentables, fermentable => this.buildFermentable(fermentable)),
+        hop_additions: this.buildList(ingredients.hops, hop => this.buildHop(hop)),
+        miscellaneous_additions: this.buildList(ingredients.miscs, misc => this.buildMisc(misc)),
+        culture_additions: this.buildList(ingredients.yeasts, yeast => this.buildCulture(yeast)),
+        water_additions: this.buildList(ingredients.waters, water => this.buildWater(water))
+      },
+      mash: this.buildMash(recipe.mash),
+      notes: recipe.notes || undefined,
+      original_gravity: this.measure(recipe.og, UNITS.SG, 4),
+      final_gravity: this.measure(recipe.fg, UNITS.SG, 4),
+      alcohol_by_volume: this.measure(recipe.abv, UNITS.PERCENT, 2),
+      ibu_estimate: this.buildIBUEstimate(recipe.ibuMethod),
+      color_estimate: this.measure(recipe.srm, UNITS.SRM, 1),
+      // Recipe-level carbonation is a plain number of volumes CO2 in BeerJSON 1.0
+      carbonation: formatNumber(recipe.carbonation ?? recipe.fermentation?.carbonation, 2),
+      fermentation: this.buildFermentation(recipe.fermentation, recipe),
+      boil: this.buildBoil(recipe)
+    });
+  }
+
+  /**
+   * Build the IBU estimate record - BeerJSON 1.0 only carries the formula name
+   */
+  buildIBUEstimate(ibuMethod) {
+    if (!ibuMethod) return undefined;
+    const method = IBU_METHODS.find(name => name.toLowerCase() === ibuMethod.toLowerCase());
+    return { method: method || 'Other' };
+  }
+
+  /**
+   * Build the efficiency record - BeerJSON requires brewhouse efficiency
+   */
+  buildEfficiency(efficiency) {
+    if (efficiency && typeof efficiency === 'object') {
+      return compact({
+        brewhouse: this.measure(efficiency.brewhouse ?? efficiency.mash ?? DEFAULT_EFFICIENCY, UNITS.PERCENT, 1),
+        conversion: this.measure(efficiency.conversion, UNITS.PERCENT, 1),
+        lauter: this.measure(efficiency.lauter, UNITS.PERCENT, 1),
+        mash: this.measure(efficiency.mash, UNITS.PERCENT, 1)
+      });
+    }
+    return { brewhouse: this.measure(efficiency ?? DEFAULT_EFFICIENCY, UNITS.PERCENT, 1) };
+  }
+
+  buildStyle(style) {
+    if (!style) return undefined;
+
+    const categoryNumber = parseInt(style.categoryNumber, 10);
+    const styleLetter = String(style.styleLetter || '').trim().toUpperCase();
+
+    return compact({
+      name: style.name || 'Unknown Style',
+      category: style.category || '',
+      category_number: isFinite(categoryNumber) ? categoryNumber : undefined,
+      style_letter: /^[A-Z]$/.test(styleLetter) ? styleLetter : undefined,
+      style_guide: style.styleGuide || '',
+      type: this.mapStyleType(style.type)
+    });
+  }
+
+  buildFermentable(fermentable) {
+    return compact({
+      name: fermentable.name || 'Unknown Fermentable',
+      type: this.mapFermentableType(fermentable.type),
+      origin: fermentable.origin,
+      producer: fermentable.supplier || fermentable.producer,
+      yield: compact({
+        fine_grind: this.measure(fermentable.yield, UNITS.PERCENT, 1),
+        fine_coarse_difference: this.measure(fermentable.coarseFineDiff, UNITS.PERCENT, 1)
+      }),
+      color: this.measure(fermentable.color, UNITS.LOVIBOND, 1),
+      amount: this.measure(fermentable.amount, UNITS.KILOGRAM),
+      timing: fermentable.addAfterBoil ? { use: 'add_to_fermentation' } : undefined
+    });
+  }
+
+  buildHop(hop) {
+    return compact({
+      name: hop.name || 'Unknown Hop',
+      producer: hop.producer,
+      product_id: hop.product_id,
+      origin: hop.origin,
+      year: hop.year !== undefined ? String(hop.year) : undefined,
+      form: this.mapHopForm(hop.form),
+      alpha_acid: this.measure(hop.alpha, UNITS.PERCENT, 2),
+      beta_acid: this.measure(hop.beta, UNITS.PERCENT, 2),
+      amount: this.measure(hop.amount, UNITS.KILOGRAM, 5),
+      timing: this.buildHopTiming(hop)
+    });
+  }
+
+  /**
+   * Build hop timing from the internal use - whole-day dry hop and packaging durations are written in days
+   */
+  buildHopTiming(hop) {
+    const internalUse = resolveHopUse(hop);
+    const minutes = getHopTimeMinutes(hop);
+    const days = minutes / MINUTES_PER_DAY;
+    const isPostBoil = internalUse === INTERNAL_HOP_USES.DRY_HOP || internalUse === INTERNAL_HOP_USES.PACKAGING;
+    const step = parseInt(hop.step ?? hop.timing?.step, 10);
+
+    return compact({
+      use: denormalizeHopUse(internalUse, 'beerjson'),
+      duration: isPostBoil && Number.isInteger(days)
+        ? this.duration(days, 'day')
+        : this.duration(minutes, 'min'),
+      step: isFinite(step) ? step : undefined
+    });
+  }
+
+  buildCulture(yeast) {
+    return compact({
+      name: yeast.name || 'Unknown Yeast',
+      type: this.mapCultureType(yeast.type),
+      form: this.mapCultureForm(yeast.form),
+      producer: yeast.laboratory,
+      product_id: yeast.productId,
+      attenuation: this.measure(yeast.attenuation, UNITS.PERCENT, 1),
+      cell_count_billions: yeast.cellCount > 0 ? Math.round(yeast.cellCount) : undefined,
+      production_date: yeast.manufactureDate,
+      amount: this.buildAmount(yeast.amount ?? 1, yeast)
+    });
+  }
+
+  buildMisc(misc) {
+    return compact({
+      name: misc.name || 'Unknown Addition',
+      producer: misc.producer,
+      product_id: misc.product_id,
+      type: this.mapMiscType(misc.type),
+      amount: this.buildAmount(misc.amount ?? 0, misc),
+      timing: compact({
+        use: this.mapMiscUse(misc.use),
+        duration: this.duration(misc.time ?? 0, 'min')
+      })
+    });
+  }
+
+  buildWater(water) {
+    // BeerJSON requires every major ion, so missing values are written as zero
+    return compact({
+      name: water.name || 'Unknown Water',
+      producer: water.producer,
+      calcium: this.measure(water.calcium ?? 0, UNITS.PPM, 1),
+      magnesium: this.measure(water.magnesium ?? 0, UNITS.PPM, 1),
+      sodium: this.measure(water.sodium ?? 0, UNITS.PPM, 1),
+      chloride: this.measure(water.chloride ?? 0, UNITS.PPM, 1),
+      sulfate: this.measure(water.sulfate ?? 0, UNITS.PPM, 1),
+      bicarbonate: this.measure(water.bicarbonate ?? 0, UNITS.PPM, 1),
+      carbonate: this.measure(water.carbonate, UNITS.PPM, 1),
+      potassium: this.measure(water.potassium, UNITS.PPM, 1),
+      iron: this.measure(water.iron, UNITS.PPM, 1),
+      nitrate: this.measure(water.nitrate, UNITS.PPM, 1),
+      nitrite: this.measure(water.nitrite, UNITS.PPM, 1),
+      ph: this.measure(water.ph, UNITS.PH, 2),
+      notes: water.notes,
+      amount: this.measure(water.amount, UNITS.LITER)
+    });
+  }
+
+  buildMash(mash) {
+    // A BeerJSON mash procedure needs at least one step
+    if (!mash || !Array.isArray(mash.steps) || mash.steps.length === 0) return undefined;
+
+    return compact({
+      name: mash.name || 'Mash',
+      grain_temperature: this.measure(mash.grainTemp ?? 20, UNITS.CELSIUS, 1),
+      notes: mash.notes,
+      mash_steps: mash.steps.map(step => this.buildMashStep(step))
+    });
+  }
+
+  buildMashStep(step) {
+    return compact({
+      name: step.name || 'Mash Step',
+      type: this.mapMashStepType(step.type),
+      amount: this.measure(step.infuseAmount, UNITS.LITER),
+      step_temperature: this.measure(step.stepTemp ?? 0, UNITS.CELSIUS, 1),
+      step_time: this.duration(step.stepTime ?? 0, 'min'),
+      ramp_time: this.duration(step.rampTime, 'min'),
+      end_temperature: this.measure(step.endTemp, UNITS.CELSIUS, 1),
+      description: step.description,
+      water_grain_ratio: this.measure(step.waterGrainRatio, UNITS.LITERS_PER_KG, 2),
+      infuse_temperature: this.measure(step.infuseTemp, UNITS.CELSIUS, 1),
+      start_ph: this.measure(step.start_ph, UNITS.PH, 2),
+      end_ph: this.measure(step.end_ph ?? step.pH, UNITS.PH, 2)
+    });
+  }
+
+  /**
+   * Build the fermentation procedure from explicit steps, or from BeerXML-style stage fields
+   * Internal fermentation ages are days
+   */
+  buildFermentation(fermentation, recipe) {
+    if (!fermentation) return undefined;
+
+    let steps;
+    if (Array.isArray(fermentation.steps) && fermentation.steps.length > 0) {
+      steps = fermentation.steps.map(step => ({
+        name: step.name,
+        temperature: step.temperature,
+        days: step.time
+      }));
+    } else {
+      steps = [
+        { name: 'Primary', temperature: fermentation.primaryTemp, days: fermentation.primaryAge },
+        { name: 'Secondary', temperature: fermentation.secondaryTemp, days: fermentation.secondaryAge },
+        { name: 'Tertiary', temperature: fermentation.tertiaryTemp, days: fermentation.tertiaryAge },
+        { name: 'Conditioning', temperature: fermentation.ageTemp, days: fermentation.age }
+      ].filter(step => step.temperature !== undefined || step.days);
+    }
+
+    // A BeerJSON fermentation procedure needs at least one step
+    if (steps.length === 0) return undefined;
+
+    return {
+      name: fermentation.name || recipe.BF_FERMENTATION_PROFILE_NAME || 'Fermentation',
+      fermentation_steps: steps.map(step => compact({
+        name: step.name || 'Fermentation Step',
+        start_temperature: this.measure(step.temperature, UNITS.CELSIUS, 1),
+        step_time: this.duration(step.days, 'day')
+      }))
+    };
+  }
+
+  buildBoil(recipe) {
+    const boilTime = recipe.boilTime ?? recipe.equipment?.boilTime;
+    if (boilTime === undefined || boilTime === null) return undefined;
+
+    return compact({
+      pre_boil_size: this.measure(recipe.boilSize ?? recipe.equipment?.boilSize, UNITS.LITER),
+      boil_time: this.duration(boilTime, 'min')
+    });
+  }
+
+  /**
+   * Build a BeerJSON equipment set from the flat internal equipment record
+   * Only vessels with a known maximum volume are written, as the schema requires it
+   */
+  buildEquipment(equipment) {
+    if (!equipment) return undefined;
+
+    const boilRatePerHour = equipment.evapRate && equipment.boilSize
+      ? (equipment.evapRate / 100) * equipment.boilSize
+      : undefined;
+
+    const items = [
+      {
+        form: 'Mash Tun',
+        maximum_volume: equipment.tunVolume,
+        loss: equipment.mashTunDeadspace ?? equipment.lauterDeadspace,
+        weight: this.measure(equipment.tunWeight, UNITS.KILOGRAM),
+        specific_heat: this.measure(equipment.tunSpecificHeat, UNITS.SPECIFIC_HEAT)
+      },
+      {
+        form: 'Brew Kettle',
+        maximum_volume: equipment.boilSize,
+        loss: equipment.trubChillerLoss,
+        boil_rate_per_hour: this.measure(boilRatePerHour, UNITS.LITER)
+      },
+      {
+        form: 'Fermenter',
+        maximum_volume: equipment.batchSize,
+        loss: equipment.fermenterLoss
+      }
+    ].filter(item => this.isPresent(item.maximum_volume));
+
+    if (items.length === 0) return undefined;
+
+    const name = equipment.name || 'Equipment';
+    return {
+      name,
+      equipment_items: items.map(item => compact({
+        ...item,
+        name: `${name} ${item.form}`,
+        maximum_volume: this.measure(item.maximum_volume, UNITS.LITER),
+        loss: this.measure(item.loss ?? 0, UNITS.LITER)
+      }))
+    };
+  }
+
+  buildList(items, buildItem) {
+    return Array.isArray(items) ? items.map(item => buildItem(item)) : [];
+  }
+
+  /**
+   * Build a mass, volume or count amount for yeasts and miscs
+   * Count units are recovered from displayAmount (e.g. "2 pkg"), otherwise amountIsWeight decides
+   */
+  buildAmount(amount, item) {
+    const displayUnit = getDisplayUnit(item);
+    if (COUNT_UNITS.includes(displayUnit)) {
+      return this.measure(amount, displayUnit);
+    }
+    return this.measure(amount, item.amountIsWeight ? UNITS.KILOGRAM : UNITS.LITER, 5);
+  }
+
+  // Mapping functions - internal values may come from any source format, so match case-insensitively
+  mapRecipeType(type) {
+    const typeMap = {
+      'all grain': 'all grain',
+      'biab': 'all grain',
+      'partial mash': 'partial mash',
+      'extract': 'extract',
+      'cider': 'cider',
+      'mead': 'mead',
+      'wine': 'wine',
+      'kombucha': 'kombucha',
+      'soda': 'soda'
+    };
+    return typeMap[type?.toLowerCase()] || 'all grain';
+  }
+
+  mapStyleType(type) {
+    const typeMap = {
+      'cider': 'cider',
+      'mead': 'mead',
+      'wine': 'wine',
+      'kombucha': 'kombucha',
+      'soda': 'soda',
+      'other': 'other'
+    };
+    // BeerXML's Ale, Lager, Wheat and Mixed style types are all beer
+    return typeMap[type?.toLowerCase()] || 'beer';
+  }
+
+  mapFermentableType(type) {
+    const typeMap = {
+      'grain': 'grain',
+      'base': 'grain',
+      'sugar': 'sugar',
+      'honey': 'honey',
+      'extract': 'extract',
+      'liquid extract': 'extract',
+      'dry extract': 'dry extract',
+      'fruit': 'fruit',
+      'juice': 'juice',
+      'adjunct': 'other',
+      'other': 'other'
+    };
+    return typeMap[type?.toLowerCase()] || 'grain';
+  }
+
+  mapHopForm(form) {
+    const formMap = {
+      'pellet': 'pellet',
+      'plug': 'plug',
+      'leaf': 'leaf',
+      'leaf (wet)': 'leaf (wet)',
+      'wet': 'leaf (wet)',
+      'extract': 'extract',
+      'powder': 'powder'
+    };
+    return formMap[form?.toLowerCase()];
+  }
+
+  mapCultureType(type) {
+    const typeMap = {
+      'ale': 'ale',
+      'wheat': 'ale',
+      'lager': 'lager',
+      'kveik': 'kveik',
+      'wine': 'wine',
+      'champagne': 'champagne',
+      'brett': 'brett',
+      'lacto': 'lacto',
+      'pedio': 'pedio',
+      'bacteria': 'bacteria',
+      'mixed-culture': 'mixed-culture',
+      'spontaneous': 'spontaneous',
+      'malolactic': 'malolactic',
+      'other': 'other'
+    };
+    return typeMap[type?.toLowerCase()] || 'ale';
+  }
+
+  mapCultureForm(form) {
+    const formMap = {
+      'liquid': 'liquid',
+      'dry': 'dry',
+      'slant': 'slant',
+      'culture': 'culture',
+      'dregs': 'dregs'
+    };
+    return formMap[form?.toLowerCase()] || 'liquid';
+  }
+
+  mapMiscType(type) {
+    const typeMap = {
+      'spice': 'spice',
+      'fining': 'fining',
+      'water agent': 'water agent',
+      'herb': 'herb',
+      'flavor': 'flavor',
+      'wood': 'wood',
+      'other': 'other'
+    };
+    return typeMap[type?.toLowerCase()] || 'other';
+  }
+
+  mapMiscUse(use) {
+    const useMap = {
+      'mash': 'add_to_mash',
+      'add_to_mash': 'add_to_mash',
+      'boil': 'add_to_boil',
+      'add_to_boil': 'add_to_boil',
+      'primary': 'add_to_fermentation',
+      'secondary': 'add_to_fermentation',
+      'add_to_fermentation': 'add_to_fermentation',
+      'bottling': 'add_to_package',
+      'add_to_package': 'add_to_package'
+    };
+    return useMap[use?.toLowerCase()] || 'add_to_boil';
+  }
+
+  mapMashStepType(type) {
+    const typeMap = {
+      'infusion': 'infusion',
+      'temperature': 'temperature',
+      'decoction': 'decoction',
+      'souring mash': 'souring mash',
+      'souring wort': 'souring wort',
+      'drain mash tun': 'drain mash tun',
+      'sparge': 'sparge'
+    };
+    return typeMap[type?.toLowerCase()] || 'infusion';
+  }
+
+  // Serialization helpers
+
+  /**
+   * Build a unit-tagged measurement, or undefined when the value is missing
+   * @param {number} value - Value in internal units
+   * @param {string} unit - BeerJSON unit identifier
+   * @param {number} decimals - Rounding precision
+   * @returns {Object|undefined} {unit, value} measurement
+   */
+  measure(value, unit, decimals = 3) {
+    const number = formatNumber(value, decimals);
+    return number === undefined ? undefined : { unit, value: number };
+  }
+
+  /**
+   * Build a TimeType measurement with an integer value, stepping down units for fractional times
+   * e.g. 1.5 days becomes 36 hr, 0.25 min becomes 15 sec
+   * @param {number} value - Time value
+   * @param {string} unit - Starting BeerJSON time unit
+   * @returns {Object|undefined} {unit, value} measurement
+   */
+  duration(value, unit) {
+    if (!this.isPresent(value)) return undefined;
+
+    let time = Number(value);
+    let timeUnit = unit;
+    while (Math.abs(time - Math.round(time)) > 1e-6 && FINER_TIME_UNITS[timeUnit]) {
+      time *= FINER_TIME_UNITS[timeUnit].factor;
+      timeUnit = FINER_TIME_UNITS[timeUnit].unit;
+    }
+    return { unit: timeUnit, value: Math.round(time) };
+  }
+
+  /**
+   * BeerJSON dates are ISO (YYYY-MM-DD), anything else is dropped
+   */
+  formatDate(date) {
+    if (!date) return undefined;
+    const isoMatch = String(date).match(/\d{4}-\d{2}-\d{2}/);
+    if (isoMatch) return isoMatch[0];
+
+    const parsed = new Date(date);
+    return isNaN(parsed.getTime()) ? undefined : parsed.toISOString().slice(0, 10);
+  }
+
+  isPresent(value) {
+    return value !== undefined && value !== null && value !== '' && isFinite(Number(value));
+  }
+}
+
+export { BeerJSONExporter };
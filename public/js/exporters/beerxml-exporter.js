@@ -0,0 +1,491 @@
+/**
+ * BeerXML Exporter
+ * Serializes validated internal recipe data into a BeerXML 1.0 <RECIPES> document
+ * Mirrors the field coverage of BeerXMLParser so recipes round-trip cleanly
+ */
+
+import { denormalizeHopUse } from '../utilities/hop-use-normalizer.js';
+import { FormatError } from '../utilities/errors/application-errors.js';
+import { resolveHopUse, getHopTimeMinutes, formatNumber } from './export-utils.js';
+
+const BEERXML_VERSION = 1;
+const INDENT = '  ';
+
+class BeerXMLExporter {
+  constructor() {
+    this.version = BEERXML_VERSION;
+  }
+
+  /**
+   * Export a single recipe as a BeerXML document
+   * @param {Object} recipe - Validated recipe data
+   * @returns {string} BeerXML document
+   */
+  exportRecipe(recipe) {
+    return this.exportRecipes([recipe]);
+  }
+
+  /**
+   * Export one or more recipes as a single BeerXML document
+   * @param {Array} recipes - Validated recipe data objects
+   * @returns {string} BeerXML document with a <RECIPES> root
+   */
+  exportRecipes(recipes) {
+    if (!Array.isArray(recipes) || recipes.length === 0) {
+      throw new FormatError('No recipes provided for BeerXML export', {
+        userMessage: 'There is no recipe to export.',
+        details: { exporter: 'BeerXML', phase: 'INPUT_VALIDATION', recipeCount: 0 }
+      });
+    }
+
+    try {
+      const lines = ['<?xml version="1.0" encoding="UTF-8"?>', '<RECIPES>'];
+      recipes.forEach(recipe => lines.push(...this.buildRecipe(recipe, 1)));
+      lines.push('</RECIPES>');
+      return lines.join('\n') + '\n';
+    } catch (error) {
+      // Re-throw FormatError instances as-is
+      if (error instanceof FormatError) {
+        throw error;
+      }
+      // Wrap other errors in FormatError
+      throw new FormatError(`Failed to export BeerXML: ${error.message}`, {
+        userMessage: 'Unable to export this recipe as BeerXML.',
+        details: { exporter: 'BeerXML', phase: 'SERIALIZATION', originalError: error.message }
+      });
+    }
+  }
+
+  buildRecipe(recipe, depth) {
+    if (!recipe || typeof recipe !== 'object') {
+      throw new FormatError('Invalid recipe data provided to BeerXML exporter', {
+        userMessage: 'The recipe data is incomplete and cannot be exported.',
+        details: { exporter: 'BeerXML', phase: 'RECIPE_SERIALIZATION', inputType: typeof recipe }
+      });
+    }
+
+    const ingredients = recipe.ingredients || {};
+    const fermentation = recipe.fermentation || {};
+    const children = [
+      ...this.element('NAME', recipe.name || 'Untitled Recipe'),
+      ...this.element('VERSION', this.version),
+      ...this.element('TYPE', this.mapRecipeType(recipe.type)),
+      ...this.element('BREWER', recipe.brewer || ''),
+      ...this.element('DATE', recipe.date),
+      ...this.element('BATCH_SIZE', formatNumber(recipe.batchSize)),
+      ...this.element('BOIL_SIZE', formatNumber(recipe.boilSize ?? recipe.equipment?.boilSize ?? recipe.batchSize)),
+      ...this.element('BOIL_TIME', formatNumber(recipe.boilTime)),
+      ...this.element('EFFICIENCY', formatNumber(this.extractEfficiency(recipe.efficiency))),
+      ...this.element('OG', formatNumber(recipe.og, 4)),
+      ...this.element('FG', formatNumber(recipe.fg, 4)),
+      ...this.element('ABV', formatNumber(recipe.abv, 2)),
+      ...this.element('IBU', formatNumber(recipe.ibu, 1)),
+      ...this.element('IBU_METHOD', recipe.ibuMethod),
+      ...this.element('EST_COLOR', formatNumber(recipe.srm, 1)),
+      ...this.element('CARBONATION', formatNumber(recipe.carbonation ?? fermentation.carbonation, 2)),
+      ...this.element('PRIMING_SUGAR_NAME', recipe.primingSugarName),
+      ...this.element('PRIMING_SUGAR_EQUIV', formatNumber(recipe.primingSugarEquiv, 2)),
+      ...this.element('NOTES', recipe.notes),
+      ...this.buildFermentationFields(fermentation),
+      ...this.buildStyle(recipe.style),
+      ...this.buildList('FERMENTABLES', ingredients.fermentables, fermentable => this.buildFermentable(fermentable)),
+      ...this.buildList('HOPS', ingredients.hops, hop => this.buildHop(hop)),
+      ...this.buildList('YEASTS', ingredients.yeasts, yeast => this.buildYeast(yeast)),
+      ...this.buildList('MISCS', ingredients.miscs, misc => this.buildMisc(misc)),
+      ...this.buildList('WATERS', ingredients.waters, water => this.buildWater(water)),
+      ...this.buildMash(recipe.mash),
+      ...this.buildEquipment(recipe.equipment),
+      // Preserve Brewfather fermentation profile fields for round-tripping
+      ...this.element('BF_FERMENTATION_PROFILE_ID', recipe.BF_FERMENTATION_PROFILE_ID),
+      ...this.element('BF_FERMENTATION_PROFILE_NAME', recipe.BF_FERMENTATION_PROFILE_NAME)
+    ];
+
+    return this.wrap('RECIPE', children, depth);
+  }
+
+  /**
+   * Build recipe-level fermentation fields (BeerXML has no separate fermentation record)
+   */
+  buildFermentationFields(fermentation) {
+    return [
+      ...this.element('FERMENTATION_STAGES', fermentation.fermentationStages),
+      ...this.element('PRIMARY_AGE', formatNumber(fermentation.primaryAge)),
+      ...this.element('PRIMARY_TEMP', formatNumber(fermentation.primaryTemp, 1)),
+      ...this.element('SECONDARY_AGE', formatNumber(fermentation.secondaryAge)),
+      ...this.element('SECONDARY_TEMP', formatNumber(fermentation.secondaryTemp, 1)),
+      ...this.element('TERTIARY_AGE', formatNumber(fermentation.tertiaryAge)),
+      ...this.element('TERTIARY_TEMP', formatNumber(fermentation.tertiaryTemp, 1)),
+      ...this.element('AGE', formatNumber(fermentation.age)),
+      ...this.element('AGE_TEMP', formatNumber(fermentation.ageTemp, 1))
+    ];
+  }
+
+  buildStyle(style) {
+    if (!style) return [];
+
+    // BeerXML requires the full set of style range fields
+    return this.wrap('STYLE', [
+      ...this.element('NAME', style.name || 'Unknown Style'),
+      ...this.element('VERSION', this.version),
+      ...this.element('CATEGORY', style.category || ''),
+      ...this.element('CATEGORY_NUMBER', style.categoryNumber || ''),
+      ...this.element('STYLE_LETTER', style.styleLetter || ''),
+      ...this.element('STYLE_GUIDE', style.styleGuide || ''),
+      ...this.element('TYPE', this.mapStyleType(style.type)),
+      ...this.element('OG_MIN', formatNumber(style.ogMin ?? 1.0, 4)),
+      ...this.element('OG_MAX', formatNumber(style.ogMax ?? 1.2, 4)),
+      ...this.element('FG_MIN', formatNumber(style.fgMin ?? 1.0, 4)),
+      ...this.element('FG_MAX', formatNumber(style.fgMax ?? 1.2, 4)),
+      ...this.element('IBU_MIN', formatNumber(style.ibuMin ?? 0, 1)),
+      ...this.element('IBU_MAX', formatNumber(style.ibuMax ?? 150, 1)),
+      ...this.element('COLOR_MIN', formatNumber(style.colorMin ?? style.srmMin ?? 0, 1)),
+      ...this.element('COLOR_MAX', formatNumber(style.colorMax ?? style.srmMax ?? 100, 1)),
+      ...this.element('ABV_MIN', formatNumber(style.abvMin, 1)),
+      ...this.element('ABV_MAX', formatNumber(style.abvMax, 1)),
+      ...this.element('CARB_MIN', formatNumber(style.carbMin, 1)),
+      ...this.element('CARB_MAX', formatNumber(style.carbMax, 1))
+    ], 0);
+  }
+
+  buildFermentable(fermentable) {
+    return this.wrap('FERMENTABLE', [
+      ...this.element('NAME', fermentable.name || 'Unknown Fermentable'),
+      ...this.element('VERSION', this.version),
+      ...this.element('TYPE', this.mapFermentableType(fermentable.type)),
+      ...this.element('AMOUNT', formatNumber(fermentable.amount)),
+      ...this.element('YIELD', formatNumber(fermentable.yield, 1)),
+      ...this.element('COLOR', formatNumber(fermentable.color, 1)),
+      ...this.element('ADD_AFTER_BOIL', this.formatBoolean(fermentable.addAfterBoil)),
+      ...this.element('ORIGIN', fermentable.origin),
+      ...this.element('SUPPLIER', fermentable.supplier),
+      ...this.element('NOTES', fermentable.notes),
+      ...this.element('COARSE_FINE_DIFF', formatNumber(fermentable.coarseFineDiff, 1)),
+      ...this.element('MOISTURE', formatNumber(fermentable.moisture, 1)),
+      ...this.element('DIASTATIC_POWER', formatNumber(fermentable.diastaticPower, 1)),
+      ...this.element('PROTEIN', formatNumber(fermentable.protein, 1)),
+      ...this.element('MAX_IN_BATCH', formatNumber(fermentable.maxInBatch, 1)),
+      ...this.element('RECOMMEND_MASH', this.formatBoolean(fermentable.recommendMash)),
+      ...this.element('BF_ID', fermentable.BF_ID)
+    ], 0);
+  }
+
+  buildHop(hop) {
+    const internalUse = resolveHopUse(hop);
+
+    return this.wrap('HOP', [
+      ...this.element('NAME', hop.name || 'Unknown Hop'),
+      ...this.element('VERSION', this.version),
+      ...this.element('ALPHA', formatNumber(hop.alpha, 2)),
+      ...this.element('AMOUNT', formatNumber(hop.amount, 5)),
+      ...this.element('USE', denormalizeHopUse(internalUse, 'beerxml')),
+      ...this.element('TIME', formatNumber(getHopTimeMinutes(hop), 1)),
+      ...this.element('NOTES', hop.notes),
+      ...this.element('TYPE', this.mapHopType(hop.type)),
+      ...this.element('FORM', this.mapHopForm(hop.form)),
+      ...this.element('BETA', formatNumber(hop.beta, 2)),
+      ...this.element('HSI', formatNumber(hop.hsi, 1)),
+      ...this.element('ORIGIN', hop.origin),
+      ...this.element('SUBSTITUTES', hop.substitutes),
+      ...this.element('HUMULENE', formatNumber(hop.humulene, 2)),
+      ...this.element('CARYOPHYLLENE', formatNumber(hop.caryophyllene, 2)),
+      ...this.element('COHUMULONE', formatNumber(hop.cohumulone, 2)),
+      ...this.element('MYRCENE', formatNumber(hop.myrcene, 2)),
+      ...this.element('BF_ID', hop.BF_ID)
+    ], 0);
+  }
+
+  buildYeast(yeast) {
+    return this.wrap('YEAST', [
+      ...this.element('NAME', yeast.name || 'Unknown Yeast'),
+      ...this.element('VERSION', this.version),
+      ...this.element('TYPE', this.mapYeastType(yeast.type)),
+      ...this.element('FORM', this.mapYeastForm(yeast.form)),
+      ...this.element('AMOUNT', formatNumber(yeast.amount, 4)),
+      ...this.element('AMOUNT_IS_WEIGHT', this.formatBoolean(yeast.amountIsWeight)),
+      ...this.element('LABORATORY', yeast.laboratory),
+      ...this.element('PRODUCT_ID', yeast.productId),
+      ...this.element('MIN_TEMPERATURE', formatNumber(yeast.minTemperature, 1)),
+      ...this.element('MAX_TEMPERATURE', formatNumber(yeast.maxTemperature, 1)),
+      ...this.element('ATTENUATION', formatNumber(yeast.attenuation, 1)),
+      ...this.element('NOTES', yeast.notes),
+      ...this.element('DISPLAY_AMOUNT', yeast.displayAmount),
+      ...this.element('BF_ID', yeast.BF_ID)
+    ], 0);
+  }
+
+  buildMisc(misc) {
+    return this.wrap('MISC', [
+      ...this.element('NAME', misc.name || 'Unknown Addition'),
+      ...this.element('VERSION', this.version),
+      ...this.element('TYPE', this.mapMiscType(misc.type)),
+      ...this.element('USE', this.mapMiscUse(misc.use)),
+      ...this.element('TIME', formatNumber(misc.time ?? 0, 1)),
+      ...this.element('AMOUNT', formatNumber(misc.amount ?? 0, 5)),
+      ...this.element('AMOUNT_IS_WEIGHT', this.formatBoolean(misc.amountIsWeight)),
+      ...this.element('USE_FOR', misc.useFor),
+      ...this.element('NOTES', misc.notes),
+      ...this.element('DISPLAY_AMOUNT', misc.displayAmount),
+      ...this.element('BF_ID', misc.BF_ID)
+    ], 0);
+  }
+
+  buildWater(water) {
+    // BeerXML requires every ion field, so missing values are written as zero
+    return this.wrap('WATER', [
+      ...this.element('NAME', water.name || 'Unknown Water'),
+      ...this.element('VERSION', this.version),
+      ...this.element('AMOUNT', formatNumber(water.amount ?? 0)),
+      ...this.element('CALCIUM', formatNumber(water.calcium ?? 0, 1)),
+      ...this.element('BICARBONATE', formatNumber(water.bicarbonate ?? 0, 1)),
+      ...this.element('SULFATE', formatNumber(water.sulfate ?? 0, 1)),
+      ...this.element('CHLORIDE', formatNumber(water.chloride ?? 0, 1)),
+      ...this.element('SODIUM', formatNumber(water.sodium ?? 0, 1)),
+      ...this.element('MAGNESIUM', formatNumber(water.magnesium ?? 0, 1)),
+      ...this.element('PH', formatNumber(water.ph, 2)),
+      ...this.element('NOTES', water.notes)
+    ], 0);
+  }
+
+  buildMash(mash) {
+    if (!mash) return [];
+
+    return this.wrap('MASH', [
+      ...this.element('NAME', mash.name || 'Mash'),
+      ...this.element('VERSION', this.version),
+      ...this.element('GRAIN_TEMP', formatNumber(mash.grainTemp ?? 20, 1)),
+      ...this.buildList('MASH_STEPS', mash.steps, step => this.buildMashStep(step)),
+      ...this.element('NOTES', mash.notes),
+      ...this.element('TUN_TEMP', formatNumber(mash.tunTemp, 1)),
+      ...this.element('SPARGE_TEMP', formatNumber(mash.spargeTemp, 1)),
+      // NOTE: In BeerXML spec, the PH field represents sparge water pH, not mash pH
+      ...this.element('PH', formatNumber(mash.ph, 2)),
+      ...this.element('TUN_WEIGHT', formatNumber(mash.tunWeight)),
+      ...this.element('TUN_SPECIFIC_HEAT', formatNumber(mash.tunSpecificHeat)),
+      ...this.element('EQUIP_ADJUST', this.formatBoolean(mash.equipAdjust))
+    ], 0);
+  }
+
+  buildMashStep(step) {
+    return this.wrap('MASH_STEP', [
+      ...this.element('NAME', step.name || 'Mash Step'),
+      ...this.element('VERSION', this.version),
+      ...this.element('TYPE', this.mapMashStepType(step.type)),
+      ...this.element('INFUSE_AMOUNT', formatNumber(step.infuseAmount)),
+      ...this.element('STEP_TEMP', formatNumber(step.stepTemp, 1)),
+      ...this.element('STEP_TIME', formatNumber(step.stepTime ?? 0)),
+      ...this.element('RAMP_TIME', formatNumber(step.rampTime)),
+      ...this.element('END_TEMP', formatNumber(step.endTemp, 1)),
+      ...this.element('DESCRIPTION', step.description),
+      ...this.element('WATER_GRAIN_RATIO', formatNumber(step.waterGrainRatio, 2)),
+      ...this.element('DECOCTION_AMT', formatNumber(step.decoctionAmt)),
+      ...this.element('INFUSE_TEMP', formatNumber(step.infuseTemp, 1))
+    ], 0);
+  }
+
+  buildEquipment(equipment) {
+    if (!equipment) return [];
+
+    // Brewfather exports store mash tun deadspace in LAUTER_DEADSPACE (see BeerXMLParser.parseEquipment)
+    const lauterDeadspace = equipment.mashTunDeadspace || equipment.lauterDeadspace;
+
+    return this.wrap('EQUIPMENT', [
+      ...this.element('NAME', equipment.name || 'Equipment'),
+      ...this.element('VERSION', this.version),
+      ...this.element('BOIL_SIZE', formatNumber(equipment.boilSize ?? 0)),
+      ...this.element('BATCH_SIZE', formatNumber(equipment.batchSize ?? 0)),
+      ...this.element('TUN_VOLUME', formatNumber(equipment.tunVolume)),
+      ...this.element('TUN_WEIGHT', formatNumber(equipment.tunWeight)),
+      ...this.element('TUN_SPECIFIC_HEAT', formatNumber(equipment.tunSpecificHeat)),
+      ...this.element('TOP_UP_WATER', formatNumber(equipment.topUpWater)),
+      ...this.element('TRUB_CHILLER_LOSS', formatNumber(equipment.trubChillerLoss)),
+      ...this.element('EVAP_RATE', formatNumber(equipment.evapRate, 2)),
+      ...this.element('BOIL_TIME', formatNumber(equipment.boilTime)),
+      ...this.element('CALC_BOIL_VOLUME', this.formatBoolean(equipment.calcBoilVolume)),
+      ...this.element('LAUTER_DEADSPACE', formatNumber(lauterDeadspace)),
+      ...this.element('TOP_UP_KETTLE', formatNumber(equipment.topUpKettle)),
+      ...this.element('HOP_UTILIZATION', formatNumber(equipment.hopUtilization, 1)),
+      ...this.element('NOTES', equipment.notes?.trim())
+    ], 0);
+  }
+
+  /**
+   * Build a BeerXML record set (e.g. <HOPS>), always present even when empty
+   */
+  buildList(tagName, items, buildItem) {
+    const records = Array.isArray(items) ? items.flatMap(item => buildItem(item)) : [];
+    return this.wrap(tagName, records, 0);
+  }
+
+  extractEfficiency(efficiency) {
+    if (efficiency && typeof efficiency === 'object') {
+      return efficiency.brewhouse ?? efficiency.mash ?? efficiency.conversion;
+    }
+    return efficiency;
+  }
+
+  // Mapping functions - internal values may come from any source format, so match case-insensitively
+  mapRecipeType(type) {
+    const typeMap = {
+      'all grain': 'All Grain',
+      'biab': 'All Grain',
+      'partial mash': 'Partial Mash',
+      'extract': 'Extract'
+    };
+    return typeMap[type?.toLowerCase()] || 'All Grain';
+  }
+
+  mapStyleType(type) {
+    const typeMap = {
+      'lager': 'Lager',
+      'ale': 'Ale',
+      'mead': 'Mead',
+      'wheat': 'Wheat',
+      'mixed': 'Mixed',
+      'cider': 'Cider'
+    };
+    return typeMap[type?.toLowerCase()] || 'Ale';
+  }
+
+  mapFermentableType(type) {
+    const typeMap = {
+      'grain': 'Grain',
+      'base': 'Grain',
+      'sugar': 'Sugar',
+      'honey': 'Sugar',
+      'extract': 'Extract',
+      'liquid extract': 'Extract',
+      'dry extract': 'Dry Extract',
+      'adjunct': 'Adjunct',
+      'fruit': 'Adjunct',
+      'juice': 'Adjunct',
+      'other': 'Adjunct'
+    };
+    return typeMap[type?.toLowerCase()] || 'Grain';
+  }
+
+  mapHopType(type) {
+    const typeMap = {
+      'bittering': 'Bittering',
+      'aroma': 'Aroma',
+      'both': 'Both',
+      'aroma/bittering': 'Both',
+      'bittering/aroma': 'Both',
+      'flavor': 'Aroma'
+    };
+    return typeMap[type?.toLowerCase()];
+  }
+
+  mapHopForm(form) {
+    const formMap = {
+      'pellet': 'Pellet',
+      'plug': 'Plug',
+      'leaf': 'Leaf',
+      'leaf (wet)': 'Leaf',
+      'extract': 'Pellet',
+      'powder': 'Pellet'
+    };
+    return formMap[form?.toLowerCase()];
+  }
+
+  mapYeastType(type) {
+    const typeMap = {
+      'ale': 'Ale',
+      'kveik': 'Ale',
+      'lager': 'Lager',
+      'wheat': 'Wheat',
+      'wine': 'Wine',
+      'champagne': 'Champagne'
+    };
+    return typeMap[type?.toLowerCase()] || 'Ale';
+  }
+
+  mapYeastForm(form) {
+    const formMap = {
+      'liquid': 'Liquid',
+      'dry': 'Dry',
+      'slant': 'Slant',
+      'culture': 'Culture',
+      'dregs': 'Culture'
+    };
+    return formMap[form?.toLowerCase()] || 'Liquid';
+  }
+
+  mapMiscType(type) {
+    const typeMap = {
+      'spice': 'Spice',
+      'fining': 'Fining',
+      'water agent': 'Water Agent',
+      'herb': 'Herb',
+      'flavor': 'Flavor',
+      'other': 'Other'
+    };
+    return typeMap[type?.toLowerCase()] || 'Other';
+  }
+
+  mapMiscUse(use) {
+    const useMap = {
+      'boil': 'Boil',
+      'add_to_boil': 'Boil',
+      'mash': 'Mash',
+      'add_to_mash': 'Mash',
+      'primary': 'Primary',
+      'add_to_fermentation': 'Primary',
+      'secondary': 'Secondary',
+      'bottling': 'Bottling',
+      'add_to_package': 'Bottling'
+    };
+    return useMap[use?.toLowerCase()] || 'Boil';
+  }
+
+  mapMashStepType(type) {
+    const typeMap = {
+      'infusion': 'Infusion',
+      'temperature': 'Temperature',
+      'decoction': 'Decoction'
+    };
+    return typeMap[type?.toLowerCase()] || 'Infusion';
+  }
+
+  // Serialization helpers
+
+  /**
+   * Wrap child lines in a parent tag, indenting children one level deeper
+   * @param {string} tagName - Parent tag name
+   * @param {Array} children - Child lines (already indented relative to the parent)
+   * @param {number} depth - Indentation depth of the parent tag
+   * @returns {Array} Indented lines
+   */
+  wrap(tagName, children, depth) {
+    const lines = [`<${tagName}>`, ...children.map(line => INDENT + line), `</${tagName}>`];
+    return lines.map(line => INDENT.repeat(depth) + line);
+  }
+
+  /**
+   * Build a single element line, omitting it entirely when the value is missing
+   * @returns {Array} Zero or one lines
+   */
+  element(tagName, value) {
+    if (value === undefined || value === null || (typeof value === 'number' && isNaN(value))) {
+      return [];
+    }
+    return [`<${tagName}>${this.escapeXml(String(value))}</${tagName}>`];
+  }
+
+  formatBoolean(value) {
+    if (value === undefined || value === null) {
+      return undefined;
+    }
+    return value ? 'TRUE' : 'FALSE';
+  }
+
+  escapeXml(text) {
+    return text
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+  }
+}
+
+export { BeerXMLExporter };
@@ -0,0 +1,421 @@
+/**
+ * Brewfather Exporter
+ * Serializes validated internal recipe data into Brewfather's native recipe JSON
+ * Inverse of BrewfatherConverter - applies the same BREWFATHER_MAPPINGS tables in reverse
+ */
+
+import { BREWFATHER_MAPPINGS } from '../parsers/brewfather-converter.js';
+import { denormalizeHopUse, INTERNAL_HOP_USES } from '../utilities/hop-use-normalizer.js';
+import { FormatError } from '../utilities/errors/application-errors.js';
+import {
+  MINUTES_PER_DAY,
+  COUNT_UNITS,
+  getDisplayUnit,
+  resolveHopUse,
+  getHopTimeMinutes,
+  formatNumber,
+  compact
+} from './export-utils.js';
+
+const GRAMS_PER_KG = 1000;
+const ML_PER_LITER = 1000;
+
+// US spoon measures, the same 6 tsp / 2 tbsp per fl oz BeerSmithParser uses
+const ML_PER_SPOON = { tsp: 4.92892, tbsp: 14.7868 };
+
+// Water profile name prefixes written by BrewfatherConverter.convertWater
+const WATER_PROFILE_PREFIXES = {
+  source: 'Source: ',
+  target: 'Target: ',
+  sparge: 'Sparge: '
+};
+
+class BrewfatherExporter {
+  constructor() {
+    this.reverseMappings = Object.fromEntries(
+      Object.entries(BREWFATHER_MAPPINGS).map(([name, table]) => [name, this.invertMapping(table)])
+    );
+  }
+
+  /**
+   * Export a recipe as a Brewfather-importable recipe object
+   * @param {Object} recipe - Validated recipe data
+   * @returns {Object} Brewfather recipe JSON
+   */
+  exportRecipe(recipe) {
+    if (!recipe || typeof recipe !== 'object') {
+      throw new FormatError('Invalid recipe data provided to Brewfather exporter', {
+        userMessage: 'The recipe data is incomplete and cannot be exported.',
+        details: { exporter: 'Brewfather', phase: 'INPUT_VALIDATION', inputType: typeof recipe }
+      });
+    }
+
+    try {
+      return this.buildRecipe(recipe);
+    } catch (error) {
+      // Re-throw FormatError instances as-is
+      if (error instanceof FormatError) {
+        throw error;
+      }
+      // Wrap other errors in FormatError
+      throw new FormatError(`Failed to export Brewfather JSON: ${error.message}`, {
+        userMessage: 'Unable to export this recipe for Brewfather.',
+        details: { exporter: 'Brewfather', phase: 'SERIALIZATION', originalError: error.message }
+      });
+    }
+  }
+
+  /**
+   * Serialize a Brewfather recipe for download
+   * @param {Object} brewfatherRecipe - Recipe from exportRecipe
+   * @returns {string} Pretty-printed JSON
+   */
+  stringify(brewfatherRecipe) {
+    return JSON.stringify(brewfatherRecipe, null, 2) + '\n';
+  }
+
+  buildRecipe(recipe) {
+    const ingredients = recipe.ingredients || {};
+    const efficiency = recipe.efficiency && typeof recipe.efficiency === 'object'
+      ? recipe.efficiency
+      : { brewhouse: recipe.efficiency };
+
+    return compact({
+      _type: 'recipe',
+      name: recipe.name || 'Untitled Recipe',
+      author: recipe.brewer || '',
+      type: this.reverseMap('recipeType', recipe.type, 'All Grain'),
+      batchSize: formatNumber(recipe.batchSize),
+      boilSize: formatNumber(recipe.boilSize ?? recipe.equipment?.boilSize),
+      boilTime: formatNumber(recipe.boilTime ?? recipe.equipment?.boilTime),
+      efficiency: formatNumber(efficiency.brewhouse, 1),
+      mashEfficiency: formatNumber(efficiency.mash, 1),
+      og: formatNumber(recipe.og, 4),
+      fg: formatNumber(recipe.fg, 4),
+      abv: formatNumber(recipe.abv, 2),
+      ibu: formatNumber(recipe.ibu, 1),
+      ibuFormula: this.reverseMap('ibuFormula', recipe.ibuMethod),
+      color: formatNumber(recipe.srm, 1),
+      carbonation: formatNumber(recipe.carbonation ?? recipe.fermentation?.carbonation, 2),
+      notes: recipe.notes || undefined,
+      style: this.buildStyle(recipe.style),
+      fermentables: this.buildList(ingredients.fermentables, fermentable => this.buildFermentable(fermentable)),
+      hops: this.buildList(ingredients.hops, hop => this.buildHop(hop)),
+      yeasts: this.buildList(ingredients.yeasts, yeast => this.buildYeast(yeast)),
+      miscs: this.buildList(ingredients.miscs, misc => this.buildMisc(misc)),
+      water: this.buildWater(ingredients.waters),
+      mash: this.buildMash(recipe.mash),
+      fermentation: this.buildFermentation(recipe.fermentation, recipe),
+      equipment: this.buildEquipment(recipe.equipment, recipe)
+    });
+  }
+
+  buildStyle(style) {
+    if (!style) return undefined;
+
+    return compact({
+      name: style.name || 'Unknown Style',
+      category: style.category,
+      categoryNumber: style.categoryNumber,
+      styleLetter: style.styleLetter,
+      styleGuide: style.styleGuide,
+      type: style.type,
+      ogMin: formatNumber(style.ogMin, 4),
+      ogMax: formatNumber(style.ogMax, 4),
+      fgMin: formatNumber(style.fgMin, 4),
+      fgMax: formatNumber(style.fgMax, 4),
+      ibuMin: formatNumber(style.ibuMin, 1),
+      ibuMax: formatNumber(style.ibuMax, 1),
+      colorMin: formatNumber(style.colorMin ?? style.srmMin, 1),
+      colorMax: formatNumber(style.colorMax ?? style.srmMax, 1),
+      abvMin: formatNumber(style.abvMin, 1),
+      abvMax: formatNumber(style.abvMax, 1),
+      carbMin: formatNumber(style.carbMin, 1),
+      carbMax: formatNumber(style.carbMax, 1)
+    });
+  }
+
+  buildFermentable(fermentable) {
+    const potentialPercentage = formatNumber(fermentable.yield, 1);
+
+    return compact({
+      name: fermentable.name || 'Unknown Fermentable',
+      type: this.reverseMap('fermentableType', fermentable.type, 'Grain'),
+      amount: formatNumber(fermentable.amount),
+      color: formatNumber(fermentable.color, 1),
+      potentialPercentage,
+      // Same yield-to-potential relationship BrewfatherConverter.completeYieldObject uses
+      potential: potentialPercentage !== undefined
+        ? formatNumber(1 + (potentialPercentage / 100 * 0.046), 4)
+        : undefined,
+      use: fermentable.addAfterBoil ? this.reverseMap('fermentableUse', 'add_to_fermentation') : undefined,
+      origin: fermentable.origin,
+      supplier: fermentable.supplier || fermentable.producer,
+      coarseFineDiff: formatNumber(fermentable.coarseFineDiff, 1),
+      moisture: formatNumber(fermentable.moisture, 1),
+      diastaticPower: formatNumber(fermentable.diastaticPower, 1),
+      protein: formatNumber(fermentable.protein, 1),
+      maxInBatch: formatNumber(fermentable.maxInBatch, 1),
+      notes: fermentable.notes
+    });
+  }
+
+  /**
+   * Build a hop addition - Brewfather stores hop amounts in grams, hop form in `type`,
+   * and dry hop times in days; BrewfatherConverter reads the form from `form`, so both are written
+   */
+  buildHop(hop) {
+    const internalUse = resolveHopUse(hop);
+    const minutes = getHopTimeMinutes(hop);
+    const isPostBoil = internalUse === INTERNAL_HOP_USES.DRY_HOP || internalUse === INTERNAL_HOP_USES.PACKAGING;
+    const hopForm = this.reverseMap('hopForm', hop.form, 'Pellet');
+
+    return compact({
+      name: hop.name || 'Unknown Hop',
+      alpha: formatNumber(hop.alpha, 2),
+      beta: formatNumber(hop.beta, 2),
+      amount: formatNumber((hop.amount ?? 0) * GRAMS_PER_KG, 2),
+      // Prefer the original Brewfather use so hopstand/whirlpool labels survive the round trip
+      use: hop.originalBrewfatherUse || denormalizeHopUse(internalUse, 'brewfather'),
+      time: isPostBoil
+        ? formatNumber(minutes / MINUTES_PER_DAY, 2)
+        : formatNumber(minutes, 1),
+      timeUnit: isPostBoil ? 'days' : undefined,
+      type: hopForm,
+      form: hopForm,
+      origin: hop.origin,
+      year: hop.year,
+      hsi: formatNumber(hop.hsi, 1),
+      humulene: formatNumber(hop.humulene, 2),
+      caryophyllene: formatNumber(hop.caryophyllene, 2),
+      cohumulone: formatNumber(hop.cohumulone, 2),
+      myrcene: formatNumber(hop.myrcene, 2),
+      substitutes: hop.substitutes,
+      notes: hop.notes
+    });
+  }
+
+  buildYeast(yeast) {
+    const { amount, unit } = this.buildAmount(yeast.amount ?? 1, yeast);
+
+    return compact({
+      name: yeast.name || 'Unknown Yeast',
+      type: this.reverseMap('yeastType', yeast.type, 'Ale'),
+      form: this.reverseMap('yeastForm', yeast.form, 'Liquid'),
+      amount,
+      unit,
+      laboratory: yeast.laboratory,
+      productId: yeast.productId,
+      cellsPerPack: yeast.cellCount,
+      manufacturingDate: yeast.manufactureDate,
+      attenuation: formatNumber(yeast.attenuation, 1),
+      minTemp: formatNumber(yeast.minTemperature, 1),
+      maxTemp: formatNumber(yeast.maxTemperature, 1),
+      maxAbv: formatNumber(yeast.maxAbv ?? yeast.alcohol_tolerance, 1),
+      flocculation: this.reverseMap('flocculation', yeast.flocculation),
+      description: yeast.description,
+      notes: yeast.notes
+    });
+  }
+
+  buildMisc(misc) {
+    const { amount, unit } = this.buildAmount(misc.amount ?? 0, misc);
+
+    return compact({
+      name: misc.name || 'Unknown Addition',
+      type: this.reverseMap('miscType', misc.type, this.titleCase(misc.type || 'Other')),
+      use: this.reverseMap('miscUse', this.toBeerJSONMiscUse(misc.use), 'Boil'),
+      time: formatNumber(misc.time, 1),
+      timeIsDays: false,
+      amount,
+      unit,
+      notes: misc.notes
+    });
+  }
+
+  /**
+   * Rebuild Brewfather's source/target/sparge water profiles from the prefixed
+   * water additions BrewfatherConverter produces; unprefixed waters become the source
+   */
+  buildWater(waters) {
+    if (!Array.isArray(waters) || waters.length === 0) return undefined;
+
+    const water = {};
+    waters.forEach(profile => {
+      const name = profile.name || '';
+      const [slot, prefix] = Object.entries(WATER_PROFILE_PREFIXES)
+        .find(([, candidate]) => name.startsWith(candidate)) || ['source', ''];
+      if (water[slot]) return;
+
+      water[slot] = compact({
+        name: name.slice(prefix.length) || 'Water',
+        calcium: formatNumber(profile.calcium, 1),
+        magnesium: formatNumber(profile.magnesium, 1),
+        sodium: formatNumber(profile.sodium, 1),
+        chloride: formatNumber(profile.chloride, 1),
+        sulfate: formatNumber(profile.sulfate, 1),
+        bicarbonate: formatNumber(profile.bicarbonate, 1),
+        ph: formatNumber(profile.ph, 2)
+      });
+    });
+    return water;
+  }
+
+  buildMash(mash) {
+    if (!mash) return undefined;
+
+    return compact({
+      name: mash.name || 'Mash',
+      grainTemp: formatNumber(mash.grainTemp, 1),
+      steps: this.buildList(mash.steps, step => compact({
+        name: step.name || '',
+        type: this.reverseMap('mashStepType', step.type, 'Temperature'),
+        stepTemp: formatNumber(step.stepTemp, 1),
+        stepTime: formatNumber(step.stepTime),
+        rampTime: formatNumber(step.rampTime),
+        infuseAmount: formatNumber(step.infuseAmount)
+      }))
+    });
+  }
+
+  /**
+   * Build the fermentation profile, carrying over the Brewfather profile id/name
+   * kept by RecipeValidator.preserveBrewfatherFields
+   */
+  buildFermentation(fermentation, recipe) {
+    if (!fermentation && !recipe.BF_FERMENTATION_PROFILE_NAME) return undefined;
+
+    const source = fermentation || {};
+    let steps;
+    if (Array.isArray(source.steps) && source.steps.length > 0) {
+      steps = source.steps.map(step => ({ type: step.name, stepTemp: step.temperature, stepTime: step.time }));
+    } else {
+      steps = [
+        { type: 'Primary', stepTemp: source.primaryTemp, stepTime: source.primaryAge },
+        { type: 'Secondary', stepTemp: source.secondaryTemp, stepTime: source.secondaryAge },
+        { type: 'Tertiary', stepTemp: source.tertiaryTemp, stepTime: source.tertiaryAge },
+        { type: 'Conditioning', stepTemp: source.ageTemp, stepTime: source.age }
+      ].filter(step => step.stepTime);
+    }
+
+    return compact({
+      _id: recipe.BF_FERMENTATION_PROFILE_ID,
+      name: recipe.BF_FERMENTATION_PROFILE_NAME || source.name || 'Fermentation',
+      steps: steps.map(step => compact({
+        type: step.type || 'Primary',
+        stepTemp: formatNumber(step.stepTemp, 1),
+        stepTime: formatNumber(step.stepTime, 1)
+      }))
+    });
+  }
+
+  buildEquipment(equipment, recipe) {
+    if (!equipment) return undefined;
+
+    const boilSize = equipment.boilSize ?? recipe.boilSize;
+    const deadSpace = equipment.mashTunDeadspace ?? equipment.lauterDeadspace ?? 0;
+    const boilOffPerHr = equipment.boilOffPerHr ?? (equipment.evapRate && boilSize
+      ? (equipment.evapRate / 100) * boilSize
+      : undefined);
+
+    return compact({
+      name: equipment.name || 'Equipment',
+      batchSize: formatNumber(equipment.batchSize ?? recipe.batchSize),
+      boilSize: formatNumber(boilSize),
+      boilTime: formatNumber(equipment.boilTime ?? recipe.boilTime),
+      boilOffPerHr: formatNumber(boilOffPerHr),
+      mashTunVolume: formatNumber(equipment.tunVolume),
+      // BrewfatherConverter sizes the kettle as mashWaterMax + mashTunDeadSpace, which BeerJSONParser
+      // reads back as the equipment boil size and the base of the evaporation rate
+      mashWaterMax: boilSize ? formatNumber(boilSize - deadSpace) : undefined,
+      mashTunDeadSpace: formatNumber(deadSpace),
+      trubChillerLoss: formatNumber(equipment.trubChillerLoss),
+      fermenterLoss: formatNumber(equipment.fermenterLoss),
+      fermenterTopUp: formatNumber(equipment.topUpWater),
+      notes: equipment.notes?.trim() || undefined
+    });
+  }
+
+  buildList(items, buildItem) {
+    return Array.isArray(items) ? items.map(item => buildItem(item)) : [];
+  }
+
+  /**
+   * Convert an internal amount to a Brewfather amount/unit pair
+   * Count and spoon units are recovered from displayAmount (e.g. "2 pkg", "1 tsp"),
+   * other weights go to grams and volumes to ml
+   */
+  buildAmount(amount, item) {
+    const displayUnit = getDisplayUnit(item);
+    if (COUNT_UNITS.includes(displayUnit)) {
+      return { amount: formatNumber(amount, 2), unit: displayUnit === 'each' ? 'each' : 'pkg' };
+    }
+    if (displayUnit in ML_PER_SPOON) {
+      // BeerJSON and Brewfather imports keep the spoon count, BeerXML and BeerSmith imports store liters
+      const isSpoonCount = Math.abs(amount - parseFloat(item.displayAmount)) < 1e-6;
+      if (isSpoonCount || !item.amountIsWeight) {
+        const spoons = isSpoonCount ? amount : amount * ML_PER_LITER / ML_PER_SPOON[displayUnit];
+        return { amount: formatNumber(spoons, 2), unit: this.reverseMap('miscUnit', displayUnit) };
+      }
+    }
+    if (item.amountIsWeight) {
+      return { amount: formatNumber(amount * GRAMS_PER_KG, 2), unit: this.reverseMap('miscUnit', 'g') };
+    }
+    return { amount: formatNumber(amount * ML_PER_LITER, 2), unit: this.reverseMap('miscUnit', 'ml') };
+  }
+
+  /**
+   * Internal misc uses are either BeerXML words (Boil, Primary) or BeerJSON timing uses
+   */
+  toBeerJSONMiscUse(use) {
+    if (!use) return undefined;
+    if (use.startsWith('add_to_')) return use;
+    const brewfatherUse = Object.keys(BREWFATHER_MAPPINGS.miscUse)
+      .find(key => key.toLowerCase() === use.toLowerCase());
+    return brewfatherUse ? BREWFATHER_MAPPINGS.miscUse[brewfatherUse] : undefined;
+  }
+
+  // Reverse mapping helpers
+
+  /**
+   * Invert a Brewfather -> BeerJSON table; the first Brewfather key for each value wins
+   * @param {Object} table - Mapping table from BREWFATHER_MAPPINGS
+   * @returns {Object} Lowercased BeerJSON value -> Brewfather value
+   */
+  invertMapping(table) {
+    const inverted = {};
+    Object.entries(table).forEach(([brewfatherValue, beerJSONValue]) => {
+      const key = beerJSONValue.toLowerCase();
+      if (!(key in inverted)) {
+        inverted[key] = brewfatherValue;
+      }
+    });
+    return inverted;
+  }
+
+  /**
+   * Map an internal value back to Brewfather vocabulary
+   * Internal values may already be Brewfather/BeerXML words (e.g. "Pellet"), so those pass through
+   * @param {string} mappingName - BREWFATHER_MAPPINGS table name
+   * @param {string} value - Internal value
+   * @param {string} [fallback] - Value used when nothing matches
+   * @returns {string|undefined} Brewfather value
+   */
+  reverseMap(mappingName, value, fallback = undefined) {
+    if (!value) return fallback;
+
+    const lowerValue = String(value).toLowerCase();
+    const reversed = this.reverseMappings[mappingName][lowerValue];
+    if (reversed) return reversed;
+
+    const brewfatherValue = Object.keys(BREWFATHER_MAPPINGS[mappingName])
+      .find(key => key.toLowerCase() === lowerValue);
+    return brewfatherValue || fallback;
+  }
+
+  titleCase(text) {
+    return String(text).replace(/\b\w/g, letter => letter.toUpperCase());
+  }
+}
+
+export { BrewfatherExporter };
@@ -0,0 +1,156 @@
+/**
+ * Export Manager
+ * Routes recipe exports to the appropriate format exporter and handles file download
+ */
+
+import { BeerXMLExporter } from './beerxml-exporter.js';
+import { BeerJSONExporter } from './beerjson-exporter.js';
+import { BrewfatherExporter } from './brewfather-exporter.js';
+import { debug, DEBUG_CATEGORIES } from '../utilities/debug.js';
+import { FormatError } from '../utilities/errors/application-errors.js';
+
+class ExportManager {
+  constructor() {
+    this.beerXMLExporter = new BeerXMLExporter();
+    this.beerJSONExporter = new BeerJSONExporter();
+    this.brewfatherExporter = new BrewfatherExporter();
+    this.beerJSONValidator = null; // Loaded on first BeerJSON export (pulls in AJV and the schemas)
+  }
+
+  /**
+   * Serialize a validated recipe into the requested format
+   * @param {Object} recipe - Validated recipe data (internal model)
+   * @param {string} format - Format identifier ('beerxml', 'beerjson', 'brewfather')
+   * @returns {Promise<Object>} Export result with content, mimeType and fileName
+   */
+  async exportRecipe(recipe, format) {
+    debug.log(DEBUG_CATEGORIES.PARSER, `Exporting "${recipe?.name || 'Unnamed'}" as ${format}`);
+
+    let content;
+    switch (format) {
+      case 'beerxml':
+        content = this.beerXMLExporter.exportRecipe(recipe);
+        break;
+      case 'beerjson': {
+        const document = this.beerJSONExporter.exportRecipe(recipe);
+        await this.validateBeerJSON(document);
+        content = this.beerJSONExporter.stringify(document);
+        break;
+      }
+      case 'brewfather':
+        content = this.brewfatherExporter.stringify(this.brewfatherExporter.exportRecipe(recipe));
+        break;
+      default:
+        throw new FormatError(`Unsupported export format: ${format}`, {
+          userMessage: 'This export format is not supported.',
+          details: {
+            exporter: 'ExportManager',
+            phase: 'FORMAT_SELECTION',
+            requestedFormat: format,
+            supportedFormats: this.getSupportedFormats().map(f => f.id)
+          }
+        });
+    }
+
+    const formatInfo = this.getSupportedFormats().find(f => f.id === format);
+    return {
+      content,
+      mimeType: formatInfo.mimeType,
+      fileName: `${this.sanitizeFileName(recipe.name)}${formatInfo.extension}`
+    };
+  }
+
+  /**
+   * Export a recipe and trigger a browser download
+   * @param {Object} recipe - Validated recipe data (internal model)
+   * @param {string} format - Format identifier
+   * @returns {Promise<string>} Downloaded file name
+   */
+  async downloadRecipe(recipe, format) {
+    const { content, mimeType, fileName } = await this.exportRecipe(recipe, format);
+
+    const dataBlob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(dataBlob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+
+    URL.revokeObjectURL(url);
+    return fileName;
+  }
+
+  /**
+   * Validate a BeerJSON document against the official schemas so only schema-valid files are offered
+   * @param {Object} document - BeerJSON document with a `beerjson` root
+   * @throws {FormatError} If the document does not conform to BeerJSON 1.0
+   */
+  async validateBeerJSON(document) {
+    if (!this.beerJSONValidator) {
+      const { BeerJSONValidator } = await import('../utilities/validation/beerjson-validator.js');
+      this.beerJSONValidator = new BeerJSONValidator();
+    }
+
+    const result = await this.beerJSONValidator.validate(document);
+    if (!result.valid) {
+      debug.error(DEBUG_CATEGORIES.PARSER, 'BeerJSON export failed schema validation', result.errors);
+      throw new FormatError(`BeerJSON export failed schema validation with ${result.summary.errorCount} error(s)`, {
+        userMessage: 'This recipe could not be converted to valid BeerJSON.',
+        details: {
+          exporter: 'BeerJSON',
+          phase: 'SCHEMA_VALIDATION',
+          errors: result.errors,
+          report: this.beerJSONValidator.generateReport(result)
+        }
+      });
+    }
+  }
+
+  /**
+   * Build a filesystem-safe file name from the recipe name
+   * @param {string} name - Recipe name
+   * @returns {string} Safe base file name
+   */
+  sanitizeFileName(name) {
+    const safeName = (name || 'recipe')
+      .replace(/[^a-z0-9\-_ ]/gi, '')
+      .trim()
+      .replace(/\s+/g, '-');
+    return safeName || 'recipe';
+  }
+
+  /**
+   * Get list of supported export formats
+   * @returns {Array} Array of supported format objects
+   */
+  getSupportedFormats() {
+    return [
+      {
+        id: 'beerxml',
+        name: 'BeerXML',
+        extension: '.xml',
+        mimeType: 'application/xml',
+        description: 'BeerXML 1.0 format (BeerSmith, Brewfather and most desktop tools)'
+      },
+      {
+        id: 'beerjson',
+        name: 'BeerJSON',
+        extension: '.json',
+        mimeType: 'application/json',
+        description: 'BeerJSON 1.0 format, validated against the official schemas'
+      },
+      {
+        id: 'brewfather',
+        name: 'Brewfather',
+        extension: '.json',
+        mimeType: 'application/json',
+        description: 'Brewfather recipe JSON for import back into Brewfather'
+      }
+    ];
+  }
+}
+
+export { ExportManager };
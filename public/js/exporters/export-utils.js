@@ -0,0 +1,92 @@
+/**
+ * Export Utilities
+ * Helpers shared by the BeerXML, BeerJSON and Brewfather exporters
+ */
+
+import { normalizeHopUse, INTERNAL_HOP_USES } from '../utilities/hop-use-normalizer.js';
+import { MINUTES_PER_DAY } from '../core/constants.js';
+
+// BeerJSON/internal count units for countable amounts (yeast packs, tablets)
+const COUNT_UNITS = ['each', 'unit', 'pkg', '1', 'dimensionless'];
+
+// Count units BeerSmith and BeerXML tools write into display amounts
+const COUNT_UNIT_ALIASES = { item: 'each', items: 'each' };
+
+/**
+ * Unit of an ingredient's display amount (e.g. "2 pkg" -> "pkg"), count aliases resolved to COUNT_UNITS
+ * @param {Object} item - Yeast or misc data
+ * @returns {string|undefined} Lowercased display unit
+ */
+function getDisplayUnit(item) {
+  const unit = String(item.displayAmount || '').trim().split(/\s+/).pop()?.toLowerCase();
+  return COUNT_UNIT_ALIASES[unit] || unit;
+}
+
+/**
+ * Resolve a hop's use to the internal vocabulary before an exporter denormalizes it
+ * BeerXML-sourced hops keep their raw use, BeerJSON/Brewfather hops are already normalized
+ * @param {Object} hop - Hop data
+ * @returns {string} Internal hop use type
+ */
+function resolveHopUse(hop) {
+  if (Object.values(INTERNAL_HOP_USES).includes(hop.use)) {
+    return hop.use;
+  }
+  const rawUse = hop.originalBrewfatherUse || hop.use;
+  return normalizeHopUse(rawUse, hop.time, hop.sourceFormat || 'beerxml').use;
+}
+
+/**
+ * Hop time in minutes - BeerXML times are always minutes, BeerJSON dry hops may carry days or hours
+ * @param {Object} hop - Hop data
+ * @returns {number} Time in minutes
+ */
+function getHopTimeMinutes(hop) {
+  const time = hop.time ?? 0;
+  const unit = hop.timeUnit?.toLowerCase();
+  if (unit === 'day' || unit === 'days') {
+    return time * MINUTES_PER_DAY;
+  }
+  if (unit === 'hour' || unit === 'hr') {
+    return time * 60;
+  }
+  return time;
+}
+
+/**
+ * Round a number for readability, then drop trailing zeros
+ * @param {*} value - Number or numeric string
+ * @param {number} decimals - Rounding precision
+ * @returns {number|undefined} Rounded number, undefined for missing or non-numeric values
+ */
+function formatNumber(value, decimals = 3) {
+  if (value === undefined || value === null || value === '') {
+    return undefined;
+  }
+  const number = Number(value);
+  if (!isFinite(number)) {
+    return undefined;
+  }
+  return parseFloat(number.toFixed(decimals));
+}
+
+/**
+ * Drop undefined properties so optional fields are omitted rather than null
+ * @param {Object} record - Record to clean
+ * @returns {Object} Record without undefined properties
+ */
+function compact(record) {
+  return Object.fromEntries(
+    Object.entries(record).filter(([, value]) => value !== undefined)
+  );
+}
+
+export {
+  MINUTES_PER_DAY,
+  COUNT_UNITS,
+  getDisplayUnit,
+  resolveHopUse,
+  getHopTimeMinutes,
+  formatNumber,
+  compact
+};
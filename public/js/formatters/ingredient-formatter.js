@@ -6,29 +6,39 @@ import {
   formatFermentableWeight, 
   formatWeight, 
   formatVolume, 
-  formatTemperatureRange 
+  formatTemperature,
+  formatTemperatureRange,
+  formatDecimalPlaces
 } from './unit-formatter.js';
 import { formatHopTime, formatTime, formatMiscTime } from './time-formatter.js';
 import { capitalizeFirst, toTitleCase, formatUseType } from './text-formatter.js';
 import { isValidNumber } from '../utilities/validation/validation-utils.js';
 import { formatPercentage, formatConditionalAmount } from '../utilities/formatting/formatting-utils.js';
-import { BREWING_TEMPERATURE_RANGES } from '../core/constants.js';
+import { BREWING_TEMPERATURE_RANGES, STARTER_METHODS, CULTURE_ROLES } from '../core/constants.js';
 
 /**
  * Format fermentable ingredient
  * @param {Object} fermentable - Fermentable ingredient data
  * @param {number} totalWeight - Total weight of all fermentables
+ * @param {Object|null} [maltColor] - Pre-calculated {srm, ebc, hex} for the malt color
+ * @param {string} [colorUnit='srm'] - 'ebc' shows malt color in EBC instead of °L
  * @returns {Object} Formatted fermentable
  */
-export function formatFermentable(fermentable, totalWeight) {
+export function formatFermentable(fermentable, totalWeight, maltColor = null, colorUnit = 'srm') {
   if (!fermentable) return null;
   
+  let colorFormatted = '—';
+  if (colorUnit === 'ebc' && maltColor) {
+    colorFormatted = `${maltColor.ebc < 10 ? maltColor.ebc.toFixed(1) : Math.round(maltColor.ebc)} EBC`;
+  } else if (fermentable.color !== undefined) {
+    colorFormatted = `${fermentable.color < 5 ? fermentable.color.toFixed(1) : Math.round(fermentable.color)} °L`;
+  }
+  
   return {
     ...fermentable,
     amountFormatted: fermentable.amount ? formatFermentableWeight(fermentable.amount) : '0 oz',
-    colorFormatted: fermentable.color !== undefined ? 
-      `${fermentable.color < 5 ? fermentable.color.toFixed(1) : Math.round(fermentable.color)} °L` : 
-      '—',
+    colorFormatted,
+    colorSwatch: maltColor?.hex || null,
     yieldFormatted: fermentable.yield !== undefined ? formatPercentage(fermentable.yield, 0) : '—',
     percentage: totalWeight > 0 && fermentable.amount ? 
       formatPercentage((fermentable.amount / totalWeight) * 100) : 
@@ -40,15 +50,17 @@ export function formatFermentable(fermentable, totalWeight) {
 /**
  * Format hop ingredient
  * @param {Object} hop - Hop ingredient data
+ * @param {number|null} [adjustedAlpha] - Storage-aged alpha acid % (null when the hop's age is unknown)
  * @returns {Object} Formatted hop
  */
-export function formatHop(hop) {
+export function formatHop(hop, adjustedAlpha = null) {
   if (!hop) return null;
   
   return {
     ...hop,
     amountFormatted: hop.amount ? formatWeight(hop.amount, 'oz') : '0.0 oz',
     alphaFormatted: hop.alpha !== undefined ? formatPercentage(hop.alpha) : '—',
+    adjustedAlphaFormatted: Number.isFinite(adjustedAlpha) ? formatPercentage(adjustedAlpha) : '',
     timeFormatted: formatHopTime(hop.use || '', hop.time || 0, hop.timeUnit),
     useFormatted: formatUseType(hop.use || '', hop.step || null),
     typeFormatted: capitalizeFirst(hop.type || ''),
@@ -139,6 +151,87 @@ export function formatYeastTemperatureRange(minC, maxC, yeastType) {
   return formatTemperatureRange(range.min, range.max);
 }
 
+/**
+ * Format the yeast pitching plan for the Yeast & Pitching section
+ * @param {Object|null} plan - Pitching plan from pitch-rate-calculator
+ * @returns {Object|null} Formatted plan, null without a plan
+ */
+export function formatPitchingPlan(plan) {
+  if (!plan) return null;
+
+  const formatCells = (billions) => `${Math.round(billions)} billion`;
+  const packageLabel = plan.form === 'dry' ? 'packet' : 'pkg';
+  const packages = formatDecimalPlaces(plan.packages, 0, 1);
+
+  let adviceFormatted;
+  if (!plan.needsMoreCells) {
+    adviceFormatted = 'Pitch directly - no starter needed';
+  } else if (plan.form === 'dry') {
+    adviceFormatted = `Pitch ${plan.packagesNeeded} ${packageLabel}s (rehydrated)`;
+  } else if (plan.starters.some(starter => starter.reachesTarget)) {
+    adviceFormatted = 'Make a starter';
+  } else {
+    adviceFormatted = `Make a starter and add packages (${plan.packagesNeeded} needed without one)`;
+  }
+
+  return {
+    yeastName: plan.yeastName || 'Yeast',
+    pitchRateFormatted: `${plan.pitchRate} M cells/mL/°P${plan.isHighGravity ? ' (high gravity)' : ''}`,
+    targetCellsFormatted: formatCells(plan.targetCells),
+    packagesFormatted: `${packages} ${packageLabel} × ${formatCells(plan.cellsPerPackage)}`,
+    viabilityFormatted: plan.ageDays === null
+      ? `${plan.viability}% (date unknown)`
+      : `${Math.round(plan.viability)}% (${plan.ageDays} days old)`,
+    viableCellsFormatted: formatCells(plan.viableCells),
+    adviceFormatted,
+    starters: plan.starters.map(starter => ({
+      methodLabel: STARTER_METHODS[starter.method]?.label || starter.method,
+      stepsFormatted: starter.steps
+        .map(step => `${formatVolume(step.volumeL, 'l')} (${Math.round(step.extractGrams)} g DME)`)
+        .join(' → '),
+      finalCellsFormatted: formatCells(starter.finalCells),
+      reachesTarget: starter.reachesTarget
+    }))
+  };
+}
+
+/**
+ * Format the culture analysis for the Yeast & Pitching section
+ * @param {Object|null} analysis - Culture analysis from yeast-calculator
+ * @returns {Object|null} Formatted cultures and the attenuation behind the FG, null without yeast
+ */
+export function formatCultureAnalysis(analysis) {
+  if (!analysis) return null;
+
+  const stageNotes = { cold: ' (too cold)', warm: ' (too warm)', ok: '' };
+  const attenuation = Math.round(analysis.attenuation);
+
+  return {
+    cultures: analysis.cultures.map(culture => {
+      let attenuationFormatted = `${Math.round(culture.attenuation)}%`;
+      if (!culture.isActive) {
+        attenuationFormatted = 'Carbonation only';
+      } else if (culture.kind === 'bacteria') {
+        attenuationFormatted = 'Souring';
+      }
+
+      return {
+        name: culture.name || 'Yeast',
+        roleFormatted: CULTURE_ROLES[culture.role] || capitalizeFirst(culture.role),
+        attenuationFormatted,
+        tempRangeFormatted: formatTemperatureRange(culture.minTemperature, culture.maxTemperature),
+        stagesFormatted: culture.stages
+          .map(stage => `${stage.name} ${formatTemperature(stage.temperature)}${stageNotes[stage.status]}`)
+          .join(', ')
+      };
+    }),
+    attenuationFormatted: analysis.isMixed
+      ? `${attenuation}% (${Math.round(analysis.baseAttenuation)}% + Brett factor ${analysis.brettFactor})`
+      : `${attenuation}% (${analysis.attenuationSource || 'Yeast'})`,
+    isMixed: analysis.isMixed
+  };
+}
+
 /**
  * Format misc ingredient
  * @param {Object} misc - Misc ingredient data
@@ -13,8 +13,23 @@ class BeerJSONParser {
   }
 
   parseFile(jsonContent) {
+    return this.parseRecipes(jsonContent, 1)[0];
+  }
+
+  /**
+   * Parse every entry of a BeerJSON document's `recipes` array
+   * @param {string} jsonContent - Raw BeerJSON content
+   * @returns {Array<Object>} Parsed recipes in document order
+   */
+  parseAllRecipes(jsonContent) {
+    return this.parseRecipes(jsonContent);
+  }
+
+  parseRecipes(jsonContent, limit = Infinity) {
     try {
-      const jsonData = JSON.parse(jsonContent);
+      const parsedJson = JSON.parse(jsonContent);
+      // Accept both the spec's 'beerjson' root wrapper and unwrapped documents
+      const jsonData = parsedJson.beerjson || parsedJson;
       
       // Validate BeerJSON structure - handle both string and number versions
       let versionString = null;
@@ -40,11 +55,10 @@ class BeerJSONParser {
         });
       }
 
-      // Parse the first recipe
-      const recipeData = jsonData.recipes[0];
+      // Documents carry at most one shared equipment profile in practice
       const equipmentData = jsonData.equipments ? jsonData.equipments[0] : null;
       
-      return this.parseRecipe(recipeData, equipmentData);
+      return jsonData.recipes.slice(0, limit).map(recipeData => this.parseRecipe(recipeData, equipmentData));
     } catch (error) {
       // Re-throw RecipeParsingError instances as-is
       if (error instanceof RecipeParsingError) {
@@ -79,6 +93,7 @@ class BeerJSONParser {
       fg: this.extractValue(recipeData.final_gravity),
       abv: this.extractValue(recipeData.alcohol_by_volume),
       ibu: this.extractIBU(recipeData.ibu_estimate),
+      ibuMethod: recipeData.ibu_estimate?.method,
       srm: this.extractValue(recipeData.color_estimate),
       carbonation: this.extractValue(recipeData.carbonation),
       notes: recipeData.notes,
@@ -103,9 +118,31 @@ class BeerJSONParser {
       equipment: this.parseEquipment(equipmentData, recipeData)
     };
 
+    this.applyBoilStepTemperatures(recipe.ingredients.hops, recipeData.boil?.boil_steps);
+
     return recipe;
   }
 
+  /**
+   * Give boil-side hop additions the temperature of the boil step they reference
+   * BeerJSON timing has no temperature of its own; a hop stand is modelled as a boil step
+   * (e.g. "Whirlpool" at 80 C) and the addition points at it with timing.step (1-based)
+   * @param {Array} hops - Parsed hop additions
+   * @param {Array} boilSteps - BeerJSON boil.boil_steps
+   */
+  applyBoilStepTemperatures(hops, boilSteps) {
+    if (!Array.isArray(hops) || !Array.isArray(boilSteps)) return;
+
+    hops.forEach(hop => {
+      if (hop.temperature !== undefined || hop.originalUse !== 'add_to_boil' || !hop.step) return;
+      const boilStep = boilSteps[hop.step - 1];
+      const temperature = boilStep?.start_temperature || boilStep?.end_temperature;
+      if (temperature) {
+        hop.temperature = this.extractValue(temperature);
+      }
+    });
+  }
+
 
   /**
    * Extract time value for fermentation (keeps days as days)
@@ -343,6 +380,7 @@ class BeerJSONParser {
       if (ferm.yield?.coarse_fine_difference) obj.coarseFineDiff = this.extractValue(ferm.yield.coarse_fine_difference);
       if (ferm.color) obj.color = this.extractValue(ferm.color);
       if (ferm.timing?.use === 'late') obj.addAfterBoil = true;
+      if (ferm.timing?.use === 'add_to_package') obj.addToPackage = true;
       if (ferm.origin) obj.origin = ferm.origin;
       if (ferm.producer) obj.supplier = ferm.producer;
       if (ferm.moisture) obj.moisture = this.extractValue(ferm.moisture);
@@ -451,6 +489,8 @@ class BeerJSONParser {
       if (hop.substitutes) obj.substitutes = hop.substitutes;
       if (hop.year) obj.year = hop.year;
       if (hop.oil_total) obj.oil_total = this.extractValue(hop.oil_total);
+      // Hop stand temperature carried over from Brewfather "temp" by the converter
+      if (hop.temperature) obj.temperature = this.extractValue(hop.temperature);
       
       // BeerJSON-specific extended fields
       if (hop.producer) obj.producer = hop.producer;
@@ -510,6 +550,9 @@ class BeerJSONParser {
       
       if (culture.producer) obj.laboratory = culture.producer;
       if (culture.product_id) obj.productId = culture.product_id;
+      if (culture.cell_count_billions > 0) obj.cellCount = culture.cell_count_billions;
+      // Not in BeerJSON 1.0 - written by the Brewfather converter for viability estimates
+      if (culture.production_date) obj.manufactureDate = culture.production_date;
       
       // Create nested temperature_range object for data preview dot notation access
       if (culture.temperature_range) {
@@ -523,7 +566,10 @@ class BeerJSONParser {
           obj.temperature_range.max = this.extractValue(culture.temperature_range.maximum);
         }
       }
-      if (culture.attenuation_range?.minimum || culture.attenuation_range?.maximum) {
+      if (culture.attenuation) {
+        // An addition's own attenuation is more specific than the culture's published range
+        obj.attenuation = this.extractValue(culture.attenuation);
+      } else if (culture.attenuation_range?.minimum || culture.attenuation_range?.maximum) {
         // Use average of range if both available, otherwise use what's available
         const min = this.extractValue(culture.attenuation_range?.minimum);
         const max = this.extractValue(culture.attenuation_range?.maximum);
@@ -545,6 +591,10 @@ class BeerJSONParser {
       if (culture.best_for) obj.best_for = culture.best_for;
       if (culture.pof !== undefined) obj.pof = culture.pof;
       if (culture.glucoamylase !== undefined) obj.glucoamylase = culture.glucoamylase;
+
+      // Cultures pitched after the first fermentation step or at packaging (Brett secondaries, bottling yeast)
+      if (culture.timing?.use === 'add_to_package') obj.addToPackage = true;
+      else if (culture.timing?.step > 1) obj.addToSecondary = true;
       
       return obj;
     });
@@ -665,7 +715,8 @@ class BeerJSONParser {
       const obj = {};
       if (step.name) obj.name = step.name;
       if (step.type) obj.type = step.type;
-      if (step.infuse_amount) obj.infuseAmount = this.extractValue(step.infuse_amount);
+      // BeerJSON 1.0 names the infusion volume 'amount', older exports used 'infuse_amount'
+      if (step.amount || step.infuse_amount) obj.infuseAmount = this.extractValue(step.amount || step.infuse_amount);
       if (step.step_temperature) obj.stepTemp = this.extractValue(step.step_temperature);
       if (step.step_time) obj.stepTime = this.extractValue(step.step_time);
       if (step.ramp_time) obj.rampTime = this.extractValue(step.ramp_time);
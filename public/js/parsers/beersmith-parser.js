@@ -0,0 +1,458 @@
+/**
+ * BeerSmith Parser
+ * Converts BeerSmith 2/3 native .bsmx files to the internal recipe data structure
+ * Output matches BeerXML parser output (metric units, BeerXML vocabulary)
+ *
+ * BSMX stores weights in ounces, volumes in US fluid ounces and temperatures in °F,
+ * and uses numeric codes instead of BeerXML's enumerated strings.
+ */
+
+import {
+  parseNumber,
+  parseRawPercentage,
+  getValidString
+} from '../utilities/validation/validation-utils.js';
+import { RecipeParsingError } from '../utilities/errors/application-errors.js';
+import { KG_TO_OZ, L_TO_FL_OZ, MINUTES_PER_DAY } from '../core/constants.js';
+
+// BeerSmith enumerations, indexed by the numeric code stored in the file
+const RECIPE_TYPES = ['Extract', 'Partial Mash', 'All Grain'];
+const FERMENTABLE_TYPES = ['Grain', 'Extract', 'Sugar', 'Adjunct', 'Dry Extract'];
+const HOP_USES = ['Boil', 'Dry Hop', 'Mash', 'First Wort', 'Aroma'];
+const HOP_TYPES = ['Bittering', 'Aroma', 'Both'];
+const HOP_FORMS = ['Pellet', 'Plug', 'Leaf'];
+const YEAST_TYPES = ['Ale', 'Lager', 'Wine', 'Champagne', 'Wheat'];
+const YEAST_FORMS = ['Liquid', 'Dry', 'Slant', 'Culture'];
+const FLOCCULATIONS = ['Low', 'Medium', 'High', 'Very High'];
+const MISC_TYPES = ['Spice', 'Fining', 'Herb', 'Flavor', 'Other', 'Water Agent'];
+const MISC_USES = ['Boil', 'Mash', 'Primary', 'Secondary', 'Bottling', 'Sparge'];
+const MASH_STEP_TYPES = ['Infusion', 'Temperature', 'Decoction'];
+const STYLE_TYPES = ['Lager', 'Ale', 'Mead', 'Wheat', 'Mixed', 'Cider'];
+
+// Misc display units by F_M_UNITS code - amounts are stored in oz (weight) or fl oz (volume)
+// `perOunce` converts the stored ounce value into the display unit
+const MISC_UNITS = [
+  { unit: 'mg', isWeight: true, perOunce: 1000000 / KG_TO_OZ },
+  { unit: 'g', isWeight: true, perOunce: 1000 / KG_TO_OZ },
+  { unit: 'oz', isWeight: true, perOunce: 1 },
+  { unit: 'lb', isWeight: true, perOunce: 1 / 16 },
+  { unit: 'kg', isWeight: true, perOunce: 1 / KG_TO_OZ },
+  { unit: 'ml', isWeight: false, perOunce: 1000 / L_TO_FL_OZ },
+  { unit: 'tsp', isWeight: false, perOunce: 6 },
+  { unit: 'tbsp', isWeight: false, perOunce: 2 },
+  { unit: 'cup', isWeight: false, perOunce: 1 / 8 },
+  { unit: 'pt', isWeight: false, perOunce: 1 / 16 },
+  { unit: 'qt', isWeight: false, perOunce: 1 / 32 },
+  { unit: 'l', isWeight: false, perOunce: 1 / L_TO_FL_OZ },
+  { unit: 'gal', isWeight: false, perOunce: 1 / 128 },
+  { unit: 'items', isWeight: false, perOunce: null }
+];
+
+// Entities valid in plain XML - everything else BeerSmith writes is an HTML entity
+const XML_ENTITIES = ['amp', 'lt', 'gt', 'quot', 'apos'];
+
+class BeerSmithParser {
+  parseFile(bsmxContent) {
+    return this.parseRecipes(bsmxContent, 1)[0];
+  }
+
+  /**
+   * Parse every recipe in a .bsmx file (BeerSmith exports whole folders as one file)
+   * @param {string} bsmxContent - Raw .bsmx content
+   * @returns {Array<Object>} Parsed recipes in document order
+   */
+  parseAllRecipes(bsmxContent) {
+    return this.parseRecipes(bsmxContent);
+  }
+
+  parseRecipes(bsmxContent, limit = Infinity) {
+    try {
+      const parser = new DOMParser();
+      const xmlDoc = parser.parseFromString(this.toWellFormedXml(bsmxContent), 'text/xml');
+
+      const parserError = xmlDoc.querySelector('parsererror');
+      if (parserError) {
+        throw new RecipeParsingError('Invalid BeerSmith file format detected', {
+          userMessage: 'The uploaded file is not a valid BeerSmith .bsmx file. Please check the file format.',
+          details: { parser: 'BeerSmith', phase: 'XML_VALIDATION', error: parserError.textContent }
+        });
+      }
+
+      const recipeNodes = Array.from(xmlDoc.querySelectorAll('Recipe'));
+      if (recipeNodes.length === 0) {
+        throw new RecipeParsingError('No recipe found in BeerSmith file', {
+          userMessage: 'The BeerSmith file does not contain any recipes. Equipment, style and ingredient libraries cannot be imported.',
+          details: { parser: 'BeerSmith', phase: 'RECIPE_DETECTION' }
+        });
+      }
+
+      return recipeNodes.slice(0, limit).map(recipeNode => this.parseRecipe(recipeNode));
+    } catch (error) {
+      // Re-throw RecipeParsingError instances as-is
+      if (error instanceof RecipeParsingError) {
+        throw error;
+      }
+      // Wrap other errors in RecipeParsingError
+      throw new RecipeParsingError(`Failed to parse BeerSmith file: ${error.message}`, {
+        userMessage: 'Unable to process the BeerSmith file. The file may be corrupted or use an unsupported format.',
+        details: { parser: 'BeerSmith', phase: 'GENERAL_PARSING', originalError: error.message }
+      });
+    }
+  }
+
+  /**
+   * BSMX is not well-formed XML: it uses HTML entities (&rsquo;, &deg;, &nbsp;), bare ampersands
+   * and, for some exports, several top-level elements. Convert those to something DOMParser accepts.
+   * @param {string} bsmxContent - Raw .bsmx content
+   * @returns {string} Well-formed XML wrapped in a single root element
+   */
+  toWellFormedXml(bsmxContent) {
+    const body = bsmxContent
+      .replace(/^\uFEFF/, '')
+      .replace(/<\?xml[^>]*\?>/i, '')
+      .replace(/&(#\d+;|#x[0-9a-f]+;|[a-z][a-z0-9]*;)?/gi, (match, entity) => {
+        if (!entity) return '&amp;';
+        if (entity.startsWith('#') || XML_ENTITIES.includes(entity.slice(0, -1))) {
+          return match;
+        }
+        return this.decodeHtmlEntity(match);
+      });
+    return `<bsmx>${body}</bsmx>`;
+  }
+
+  /**
+   * Replace an HTML named entity with numeric character references
+   * @param {string} entity - Entity including & and ; (e.g. "&rsquo;")
+   * @returns {string} Numeric reference(s), or an escaped literal if the entity is unknown
+   */
+  decodeHtmlEntity(entity) {
+    const textarea = document.createElement('textarea');
+    textarea.innerHTML = entity;
+    const decoded = textarea.value;
+    if (decoded === entity) {
+      return `&amp;${entity.slice(1)}`;
+    }
+    return Array.from(decoded).map(char => `&#${char.codePointAt(0)};`).join('');
+  }
+
+  parseRecipe(recipeNode) {
+    const equipmentNode = recipeNode.querySelector('F_R_EQUIPMENT');
+
+    return {
+      name: this.getElementText(recipeNode, 'F_R_NAME'),
+      brewer: this.getElementText(recipeNode, 'F_R_BREWER'),
+      date: this.getElementText(recipeNode, 'F_R_DATE'),
+      batchSize: this.parseVolume(equipmentNode, 'F_E_BATCH_VOL'),
+      boilSize: this.parseVolume(equipmentNode, 'F_E_BOIL_VOL'),
+      boilTime: this.parseOptionalNumber(equipmentNode, 'F_E_BOIL_TIME'),
+      efficiency: this.parseOptionalNumber(equipmentNode, 'F_E_EFFICIENCY'),
+      notes: this.getElementText(recipeNode, 'F_R_NOTES'),
+      type: this.lookup(RECIPE_TYPES, this.getElementText(recipeNode, 'F_R_TYPE')),
+      isBrewfatherExport: false,
+      style: this.parseStyle(recipeNode),
+      ingredients: this.parseIngredients(recipeNode),
+      mash: this.parseMash(recipeNode),
+      fermentation: this.parseFermentation(recipeNode),
+      equipment: this.parseEquipment(equipmentNode)
+    };
+  }
+
+  parseStyle(recipeNode) {
+    const styleNode = recipeNode.querySelector('F_R_STYLE');
+    if (!styleNode) return null;
+
+    return {
+      name: this.getElementText(styleNode, 'F_S_NAME'),
+      category: this.getElementText(styleNode, 'F_S_CATEGORY'),
+      categoryNumber: this.getElementText(styleNode, 'F_S_NUMBER'),
+      styleLetter: this.getElementText(styleNode, 'F_S_LETTER'),
+      styleGuide: this.getElementText(styleNode, 'F_S_GUIDE'),
+      type: this.lookup(STYLE_TYPES, this.getElementText(styleNode, 'F_S_TYPE')),
+      ogMin: this.parseOptionalNumber(styleNode, 'F_S_MIN_OG'),
+      ogMax: this.parseOptionalNumber(styleNode, 'F_S_MAX_OG'),
+      fgMin: this.parseOptionalNumber(styleNode, 'F_S_MIN_FG'),
+      fgMax: this.parseOptionalNumber(styleNode, 'F_S_MAX_FG'),
+      ibuMin: this.parseOptionalNumber(styleNode, 'F_S_MIN_IBU'),
+      ibuMax: this.parseOptionalNumber(styleNode, 'F_S_MAX_IBU'),
+      colorMin: this.parseOptionalNumber(styleNode, 'F_S_MIN_COLOR'),
+      colorMax: this.parseOptionalNumber(styleNode, 'F_S_MAX_COLOR'),
+      abvMin: this.parseOptionalNumber(styleNode, 'F_S_MIN_ABV'),
+      abvMax: this.parseOptionalNumber(styleNode, 'F_S_MAX_ABV'),
+      carbMin: this.parseOptionalNumber(styleNode, 'F_S_MIN_CARB'),
+      carbMax: this.parseOptionalNumber(styleNode, 'F_S_MAX_CARB')
+    };
+  }
+
+  parseIngredients(recipeNode) {
+    const ingredientsNode = recipeNode.querySelector('Ingredients');
+    const nodesOf = (tagName) => ingredientsNode ? Array.from(ingredientsNode.querySelectorAll(tagName)) : [];
+
+    return {
+      fermentables: nodesOf('Grain').map(node => this.parseFermentable(node)),
+      hops: nodesOf('Hops').map(node => this.parseHop(node)),
+      yeasts: nodesOf('Yeast').map(node => this.parseYeast(node)),
+      miscs: nodesOf('Misc').map(node => this.parseMisc(node)),
+      waters: nodesOf('Water').map(node => this.parseWater(node))
+    };
+  }
+
+  parseFermentable(node) {
+    const obj = {};
+    if (this.getElementText(node, 'F_G_NAME') !== undefined) obj.name = this.getElementText(node, 'F_G_NAME');
+    // Fruit, juice and honey codes beyond the BeerXML set are treated as adjuncts
+    if (node.querySelector('F_G_TYPE')) obj.type = this.lookup(FERMENTABLE_TYPES, this.getElementText(node, 'F_G_TYPE'), 'Adjunct');
+    if (node.querySelector('F_G_AMOUNT')) obj.amount = this.parseWeight(node, 'F_G_AMOUNT');
+    if (node.querySelector('F_G_YIELD')) obj.yield = parseRawPercentage(this.getElementText(node, 'F_G_YIELD'));
+    if (node.querySelector('F_G_COLOR')) obj.color = parseNumber(this.getElementText(node, 'F_G_COLOR'));
+    if (node.querySelector('F_G_ADD_AFTER_BOIL')) obj.addAfterBoil = this.parseFlag(node, 'F_G_ADD_AFTER_BOIL');
+    if (this.getElementText(node, 'F_G_ORIGIN') !== undefined) obj.origin = this.getElementText(node, 'F_G_ORIGIN');
+    if (this.getElementText(node, 'F_G_SUPPLIER') !== undefined) obj.supplier = this.getElementText(node, 'F_G_SUPPLIER');
+    if (node.querySelector('F_G_COARSE_FINE_DIFF')) obj.coarseFineDiff = parseRawPercentage(this.getElementText(node, 'F_G_COARSE_FINE_DIFF'));
+    if (node.querySelector('F_G_MOISTURE')) obj.moisture = parseRawPercentage(this.getElementText(node, 'F_G_MOISTURE'));
+    if (node.querySelector('F_G_DIASTATIC_POWER')) obj.diastaticPower = parseNumber(this.getElementText(node, 'F_G_DIASTATIC_POWER'));
+    if (node.querySelector('F_G_PROTEIN')) obj.protein = parseRawPercentage(this.getElementText(node, 'F_G_PROTEIN'));
+    if (node.querySelector('F_G_MAX_IN_BATCH')) obj.maxInBatch = parseRawPercentage(this.getElementText(node, 'F_G_MAX_IN_BATCH'));
+    if (this.getElementText(node, 'F_G_NOTES') !== undefined) obj.notes = this.getElementText(node, 'F_G_NOTES');
+    return obj;
+  }
+
+  parseHop(node) {
+    const obj = {};
+    if (this.getElementText(node, 'F_H_NAME') !== undefined) obj.name = this.getElementText(node, 'F_H_NAME');
+    if (node.querySelector('F_H_ALPHA')) obj.alpha = parseRawPercentage(this.getElementText(node, 'F_H_ALPHA'));
+    if (node.querySelector('F_H_AMOUNT')) obj.amount = this.parseWeight(node, 'F_H_AMOUNT');
+    obj.use = this.lookup(HOP_USES, this.getElementText(node, 'F_H_USE'), 'Boil');
+
+    // Dry hop contact time is kept in days; BeerXML hop times are minutes
+    if (obj.use === 'Dry Hop' && node.querySelector('F_H_DRY_HOP_TIME')) {
+      const days = parseNumber(this.getElementText(node, 'F_H_DRY_HOP_TIME'));
+      if (days !== undefined) obj.time = days * MINUTES_PER_DAY;
+    } else if (node.querySelector('F_H_BOIL_TIME')) {
+      obj.time = parseNumber(this.getElementText(node, 'F_H_BOIL_TIME'));
+    }
+
+    if (node.querySelector('F_H_TYPE')) obj.type = this.lookup(HOP_TYPES, this.getElementText(node, 'F_H_TYPE'));
+    if (node.querySelector('F_H_FORM')) obj.form = this.lookup(HOP_FORMS, this.getElementText(node, 'F_H_FORM'));
+    if (this.getElementText(node, 'F_H_ORIGIN') !== undefined) obj.origin = this.getElementText(node, 'F_H_ORIGIN');
+    if (node.querySelector('F_H_BETA')) obj.beta = parseRawPercentage(this.getElementText(node, 'F_H_BETA'));
+    if (node.querySelector('F_H_HSI')) obj.hsi = parseRawPercentage(this.getElementText(node, 'F_H_HSI'));
+    if (this.getElementText(node, 'F_H_NOTES') !== undefined) obj.notes = this.getElementText(node, 'F_H_NOTES');
+
+    // Uses are mapped to BeerXML vocabulary, so normalize them the BeerXML way
+    obj.sourceFormat = 'beerxml';
+    return obj;
+  }
+
+  parseYeast(node) {
+    const obj = {};
+    if (this.getElementText(node, 'F_Y_NAME') !== undefined) obj.name = this.getElementText(node, 'F_Y_NAME');
+    if (node.querySelector('F_Y_TYPE')) obj.type = this.lookup(YEAST_TYPES, this.getElementText(node, 'F_Y_TYPE'));
+    if (node.querySelector('F_Y_FORM')) obj.form = this.lookup(YEAST_FORMS, this.getElementText(node, 'F_Y_FORM'));
+
+    // BeerSmith counts yeast in packages
+    const packages = this.parseOptionalNumber(node, 'F_Y_AMOUNT');
+    if (packages !== undefined) {
+      obj.amount = packages;
+      obj.displayAmount = `${packages} pkg`;
+      obj.amountIsWeight = false;
+    }
+
+    if (this.getElementText(node, 'F_Y_LAB') !== undefined) obj.laboratory = this.getElementText(node, 'F_Y_LAB');
+    if (this.getElementText(node, 'F_Y_PRODUCT_ID') !== undefined) obj.productId = this.getElementText(node, 'F_Y_PRODUCT_ID');
+
+    // Billion cells per package and package date, for pitch rate viability
+    const cells = this.parseOptionalNumber(node, 'F_Y_CELLS');
+    if (cells > 0) obj.cellCount = cells;
+    if (this.getElementText(node, 'F_Y_CULTURE_DATE')) obj.manufactureDate = this.getElementText(node, 'F_Y_CULTURE_DATE');
+    if (node.querySelector('F_Y_MIN_TEMP')) obj.minTemperature = this.parseTemperature(node, 'F_Y_MIN_TEMP');
+    if (node.querySelector('F_Y_MAX_TEMP')) obj.maxTemperature = this.parseTemperature(node, 'F_Y_MAX_TEMP');
+    if (node.querySelector('F_Y_FLOCCULATION')) obj.flocculation = this.lookup(FLOCCULATIONS, this.getElementText(node, 'F_Y_FLOCCULATION'));
+
+    // BeerSmith stores an attenuation range; use its midpoint like BeerXML's single ATTENUATION
+    const minAttenuation = this.parseOptionalNumber(node, 'F_Y_MIN_ATTENUATION');
+    const maxAttenuation = this.parseOptionalNumber(node, 'F_Y_MAX_ATTENUATION');
+    if (minAttenuation !== undefined && maxAttenuation !== undefined) {
+      obj.attenuation = (minAttenuation + maxAttenuation) / 2;
+    } else if (minAttenuation !== undefined || maxAttenuation !== undefined) {
+      obj.attenuation = minAttenuation ?? maxAttenuation;
+    }
+
+    if (this.getElementText(node, 'F_Y_NOTES') !== undefined) obj.notes = this.getElementText(node, 'F_Y_NOTES');
+    return obj;
+  }
+
+  parseMisc(node) {
+    const obj = {};
+    if (this.getElementText(node, 'F_M_NAME') !== undefined) obj.name = this.getElementText(node, 'F_M_NAME');
+    if (node.querySelector('F_M_TYPE')) obj.type = this.lookup(MISC_TYPES, this.getElementText(node, 'F_M_TYPE'), 'Other');
+    if (node.querySelector('F_M_USE')) obj.use = this.lookup(MISC_USES, this.getElementText(node, 'F_M_USE'), 'Boil');
+    if (node.querySelector('F_M_TIME')) obj.time = parseNumber(this.getElementText(node, 'F_M_TIME'));
+
+    const storedAmount = this.parseOptionalNumber(node, 'F_M_AMOUNT');
+    if (storedAmount !== undefined) {
+      const unitInfo = this.lookup(MISC_UNITS, this.getElementText(node, 'F_M_UNITS'), MISC_UNITS[1]);
+      if (unitInfo.perOunce === null) {
+        obj.amount = storedAmount;
+        obj.displayAmount = `${storedAmount} ${unitInfo.unit}`;
+        obj.amountIsWeight = false;
+      } else {
+        obj.amount = unitInfo.isWeight ? storedAmount / KG_TO_OZ : storedAmount / L_TO_FL_OZ;
+        obj.displayAmount = `${parseFloat((storedAmount * unitInfo.perOunce).toFixed(2))} ${unitInfo.unit}`;
+        obj.amountIsWeight = unitInfo.isWeight;
+      }
+    }
+
+    if (this.getElementText(node, 'F_M_USE_FOR') !== undefined) obj.useFor = this.getElementText(node, 'F_M_USE_FOR');
+    if (this.getElementText(node, 'F_M_NOTES') !== undefined) obj.notes = this.getElementText(node, 'F_M_NOTES');
+    return obj;
+  }
+
+  parseWater(node) {
+    const obj = {};
+    if (this.getElementText(node, 'F_W_NAME') !== undefined) obj.name = this.getElementText(node, 'F_W_NAME');
+    if (node.querySelector('F_W_AMOUNT')) obj.amount = this.parseVolume(node, 'F_W_AMOUNT');
+    if (node.querySelector('F_W_CALCIUM')) obj.calcium = parseNumber(this.getElementText(node, 'F_W_CALCIUM'));
+    if (node.querySelector('F_W_BICARB')) obj.bicarbonate = parseNumber(this.getElementText(node, 'F_W_BICARB'));
+    if (node.querySelector('F_W_SULFATE')) obj.sulfate = parseNumber(this.getElementText(node, 'F_W_SULFATE'));
+    if (node.querySelector('F_W_CHLORIDE')) obj.chloride = parseNumber(this.getElementText(node, 'F_W_CHLORIDE'));
+    if (node.querySelector('F_W_SODIUM')) obj.sodium = parseNumber(this.getElementText(node, 'F_W_SODIUM'));
+    if (node.querySelector('F_W_MAGNESIUM')) obj.magnesium = parseNumber(this.getElementText(node, 'F_W_MAGNESIUM'));
+    if (node.querySelector('F_W_PH')) obj.ph = parseNumber(this.getElementText(node, 'F_W_PH'));
+    if (this.getElementText(node, 'F_W_NOTES') !== undefined) obj.notes = this.getElementText(node, 'F_W_NOTES');
+    return obj;
+  }
+
+  parseMash(recipeNode) {
+    const mashNode = recipeNode.querySelector('F_R_MASH');
+    if (!mashNode) return null;
+
+    const mash = {};
+    if (this.getElementText(mashNode, 'F_MH_NAME') !== undefined) mash.name = this.getElementText(mashNode, 'F_MH_NAME');
+    if (mashNode.querySelector('F_MH_GRAIN_TEMP')) mash.grainTemp = this.parseTemperature(mashNode, 'F_MH_GRAIN_TEMP');
+    if (mashNode.querySelector('F_MH_TUN_TEMP')) mash.tunTemp = this.parseTemperature(mashNode, 'F_MH_TUN_TEMP');
+    if (mashNode.querySelector('F_MH_SPARGE_TEMP')) mash.spargeTemp = this.parseTemperature(mashNode, 'F_MH_SPARGE_TEMP');
+    if (this.getElementText(mashNode, 'F_MH_NOTES') !== undefined) mash.notes = this.getElementText(mashNode, 'F_MH_NOTES');
+    mash.steps = Array.from(mashNode.querySelectorAll('MashStep')).map(node => this.parseMashStep(node));
+    return mash;
+  }
+
+  parseMashStep(node) {
+    const obj = {};
+    if (this.getElementText(node, 'F_MS_NAME') !== undefined) obj.name = this.getElementText(node, 'F_MS_NAME');
+    if (node.querySelector('F_MS_TYPE')) obj.type = this.lookup(MASH_STEP_TYPES, this.getElementText(node, 'F_MS_TYPE'), 'Infusion');
+    if (node.querySelector('F_MS_INFUSION')) obj.infuseAmount = this.parseVolume(node, 'F_MS_INFUSION');
+    if (node.querySelector('F_MS_STEP_TEMP')) obj.stepTemp = this.parseTemperature(node, 'F_MS_STEP_TEMP');
+    if (node.querySelector('F_MS_STEP_TIME')) obj.stepTime = parseNumber(this.getElementText(node, 'F_MS_STEP_TIME'));
+    if (node.querySelector('F_MS_RISE_TIME')) obj.rampTime = parseNumber(this.getElementText(node, 'F_MS_RISE_TIME'));
+    if (node.querySelector('F_MS_INFUSION_TEMP')) obj.infuseTemp = this.parseTemperature(node, 'F_MS_INFUSION_TEMP');
+    if (node.querySelector('F_MS_DECOCTION_AMT')) obj.decoctionAmt = this.parseVolume(node, 'F_MS_DECOCTION_AMT');
+    return obj;
+  }
+
+  parseFermentation(recipeNode) {
+    const ageNode = recipeNode.querySelector('F_R_AGE');
+    if (!ageNode) return {};
+
+    const fermentation = {};
+    const stages = [
+      ['primaryAge', 'F_A_PRIM_DAYS', 'primaryTemp', 'F_A_PRIM_TEMP'],
+      ['secondaryAge', 'F_A_SEC_DAYS', 'secondaryTemp', 'F_A_SEC_TEMP'],
+      ['tertiaryAge', 'F_A_TERT_DAYS', 'tertiaryTemp', 'F_A_TERT_TEMP']
+    ];
+    stages.forEach(([ageKey, ageTag, tempKey, tempTag]) => {
+      const days = this.parseOptionalNumber(ageNode, ageTag);
+      if (days) {
+        fermentation[ageKey] = days;
+        fermentation[tempKey] = this.parseTemperature(ageNode, tempTag);
+      }
+    });
+    fermentation.fermentationStages = stages.filter(([ageKey]) => fermentation[ageKey]).length || undefined;
+
+    const ageDays = this.parseOptionalNumber(ageNode, 'F_A_AGE');
+    if (ageDays) {
+      fermentation.age = ageDays;
+      fermentation.ageTemp = this.parseTemperature(ageNode, 'F_A_AGE_TEMP');
+    }
+    return fermentation;
+  }
+
+  parseEquipment(equipmentNode) {
+    if (!equipmentNode) return null;
+
+    const equipment = {};
+    if (this.getElementText(equipmentNode, 'F_E_NAME') !== undefined) equipment.name = this.getElementText(equipmentNode, 'F_E_NAME');
+    if (equipmentNode.querySelector('F_E_BOIL_VOL')) equipment.boilSize = this.parseVolume(equipmentNode, 'F_E_BOIL_VOL');
+    if (equipmentNode.querySelector('F_E_BATCH_VOL')) equipment.batchSize = this.parseVolume(equipmentNode, 'F_E_BATCH_VOL');
+    if (equipmentNode.querySelector('F_E_MASH_VOL')) equipment.tunVolume = this.parseVolume(equipmentNode, 'F_E_MASH_VOL');
+    if (equipmentNode.querySelector('F_E_TUN_MASS')) equipment.tunWeight = this.parseWeight(equipmentNode, 'F_E_TUN_MASS');
+    if (equipmentNode.querySelector('F_E_TUN_SPECIFIC_HEAT')) equipment.tunSpecificHeat = parseNumber(this.getElementText(equipmentNode, 'F_E_TUN_SPECIFIC_HEAT'));
+    if (equipmentNode.querySelector('F_E_TOP_UP')) equipment.topUpWater = this.parseVolume(equipmentNode, 'F_E_TOP_UP');
+    if (equipmentNode.querySelector('F_E_TOP_UP_KETTLE')) equipment.topUpKettle = this.parseVolume(equipmentNode, 'F_E_TOP_UP_KETTLE');
+    if (equipmentNode.querySelector('F_E_TRUB_LOSS')) equipment.trubChillerLoss = this.parseVolume(equipmentNode, 'F_E_TRUB_LOSS');
+    if (equipmentNode.querySelector('F_E_FERMENTER_LOSS')) equipment.fermenterLoss = this.parseVolume(equipmentNode, 'F_E_FERMENTER_LOSS');
+    if (equipmentNode.querySelector('F_E_BOIL_TIME')) equipment.boilTime = parseNumber(this.getElementText(equipmentNode, 'F_E_BOIL_TIME'));
+    if (equipmentNode.querySelector('F_E_HOP_UTIL')) equipment.hopUtilization = parseRawPercentage(this.getElementText(equipmentNode, 'F_E_HOP_UTIL'));
+    if (this.getElementText(equipmentNode, 'F_E_NOTES') !== undefined) equipment.notes = this.getElementText(equipmentNode, 'F_E_NOTES');
+
+    // BeerSmith stores boil-off as a volume per hour; the internal model uses BeerXML's %/hr
+    const boilOff = this.parseVolume(equipmentNode, 'F_E_BOIL_OFF');
+    if (boilOff !== undefined && equipment.boilSize) {
+      equipment.evapRate = (boilOff / equipment.boilSize) * 100;
+    }
+
+    // Same treatment as non-Brewfather BeerXML: deadspace is lost below the false bottom
+    const deadspace = this.parseVolume(equipmentNode, 'F_E_TUN_DEADSPACE');
+    if (deadspace !== undefined) equipment.lauterDeadspace = deadspace;
+    equipment.mashTunDeadspace = 0;
+    return equipment;
+  }
+
+  // Value helpers
+
+  /**
+   * Map a BeerSmith numeric code to its value
+   * @param {Array} values - Enumeration indexed by code
+   * @param {string} code - Code text from the file
+   * @param {*} fallback - Value for missing or unknown codes
+   * @returns {*} Mapped value
+   */
+  lookup(values, code, fallback = undefined) {
+    const index = parseInt(code, 10);
+    return Number.isInteger(index) && index >= 0 && index < values.length ? values[index] : fallback;
+  }
+
+  parseFlag(parentNode, tagName) {
+    return parseNumber(this.getElementText(parentNode, tagName)) === 1;
+  }
+
+  parseWeight(parentNode, tagName) {
+    const ounces = this.parseOptionalNumber(parentNode, tagName);
+    return ounces === undefined ? undefined : ounces / KG_TO_OZ;
+  }
+
+  parseVolume(parentNode, tagName) {
+    const fluidOunces = this.parseOptionalNumber(parentNode, tagName);
+    return fluidOunces === undefined ? undefined : fluidOunces / L_TO_FL_OZ;
+  }
+
+  parseTemperature(parentNode, tagName) {
+    const fahrenheit = this.parseOptionalNumber(parentNode, tagName);
+    return fahrenheit === undefined ? undefined : (fahrenheit - 32) * 5 / 9;
+  }
+
+  parseOptionalNumber(parentNode, tagName) {
+    if (!parentNode) return undefined;
+    return parseNumber(this.getElementText(parentNode, tagName));
+  }
+
+  getElementText(parentNode, tagName) {
+    const element = parentNode.querySelector(tagName);
+    if (!element) {
+      return undefined;
+    }
+    const trimmed = getValidString(element.textContent, '', { trim: true });
+    return trimmed === '' ? undefined : trimmed;
+  }
+}
+
+export { BeerSmithParser };
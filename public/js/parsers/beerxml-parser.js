@@ -17,6 +17,19 @@ class BeerXMLParser {
   }
 
   parseFile(xmlContent) {
+    return this.parseRecipes(xmlContent, 1)[0];
+  }
+
+  /**
+   * Parse every recipe in a BeerXML document (e.g. a BeerSmith library exported as one <RECIPES> file)
+   * @param {string} xmlContent - Raw BeerXML content
+   * @returns {Array<Object>} Parsed recipes in document order
+   */
+  parseAllRecipes(xmlContent) {
+    return this.parseRecipes(xmlContent);
+  }
+
+  parseRecipes(xmlContent, limit = Infinity) {
     try {
       const parser = new DOMParser();
       const xmlDoc = parser.parseFromString(xmlContent, 'text/xml');
@@ -30,16 +43,15 @@ class BeerXMLParser {
         });
       }
 
-      // Find the first recipe
-      const recipeNode = xmlDoc.querySelector('RECIPE');
-      if (!recipeNode) {
+      const recipeNodes = Array.from(xmlDoc.querySelectorAll('RECIPE'));
+      if (recipeNodes.length === 0) {
         throw new RecipeParsingError('No recipe found in BeerXML file', {
           userMessage: 'The BeerXML file does not contain any recipe data.',
           details: { parser: 'BeerXML', phase: 'RECIPE_DETECTION' }
         });
       }
 
-      return this.parseRecipe(recipeNode);
+      return recipeNodes.slice(0, limit).map(recipeNode => this.parseRecipe(recipeNode));
     } catch (error) {
       // Re-throw RecipeParsingError instances as-is
       if (error instanceof RecipeParsingError) {
@@ -69,8 +81,11 @@ class BeerXMLParser {
       fg: this.parseOptionalFloat(recipeNode, 'FG'),
       abv: this.parseOptionalFloat(recipeNode, 'ABV'),
       ibu: this.parseOptionalFloat(recipeNode, 'IBU'),
+      ibuMethod: this.getElementText(recipeNode, 'IBU_METHOD') || undefined,
       srm: this.parseOptionalFloat(recipeNode, 'EST_COLOR'),
       carbonation: this.parseOptionalFloat(recipeNode, 'CARBONATION'),
+      primingSugarName: this.getElementText(recipeNode, 'PRIMING_SUGAR_NAME'),
+      primingSugarEquiv: this.parseOptionalFloat(recipeNode, 'PRIMING_SUGAR_EQUIV'),
       notes: this.getElementText(recipeNode, 'NOTES'),
       type: this.getElementText(recipeNode, 'TYPE'),
       isBrewfatherExport: isBrewfatherExport,
@@ -239,6 +254,9 @@ class BeerXMLParser {
       if (node.querySelector('MIN_TEMPERATURE')) obj.minTemperature = parseNumber(this.getElementText(node, 'MIN_TEMPERATURE'));
       if (node.querySelector('MAX_TEMPERATURE')) obj.maxTemperature = parseNumber(this.getElementText(node, 'MAX_TEMPERATURE'));
       if (node.querySelector('ATTENUATION')) obj.attenuation = parseRawPercentage(this.getElementText(node, 'ATTENUATION'));
+      if (node.querySelector('ADD_TO_SECONDARY')) {
+        obj.addToSecondary = this.getElementText(node, 'ADD_TO_SECONDARY').toUpperCase() === 'TRUE';
+      }
       if (this.getElementText(node, 'NOTES') !== '') obj.notes = this.getElementText(node, 'NOTES');
       
       // Preserve Brewfather BF_ID
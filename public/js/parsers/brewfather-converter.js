@@ -37,6 +37,126 @@ const BEERJSON_UNITS = {
 
 import { normalizeHopUse } from '../utilities/hop-use-normalizer.js';
 
+/**
+ * Brewfather to BeerJSON vocabulary mappings, keyed by Brewfather value
+ * When several Brewfather values share a BeerJSON value, the first one listed is
+ * the one BrewfatherExporter writes back
+ */
+export const BREWFATHER_MAPPINGS = {
+  recipeType: {
+    'Extract': 'extract',
+    'Partial Mash': 'partial mash', 
+    'All Grain': 'all grain',
+    'BIAB': 'biab'
+  },
+  fermentableType: {
+    'Grain': 'grain',
+    'Extract': 'extract',
+    'Liquid Extract': 'extract',  // Both liquid and dry extracts map to 'extract' or 'dry extract'
+    'Dry Extract': 'dry extract',
+    'Sugar': 'sugar',
+    'Adjunct': 'other'
+  },
+  // BeerJSON 1.0 requires specific timing use enums
+  fermentableUse: {
+    'Mash': 'add_to_mash',
+    'Boil': 'add_to_boil',
+    'Fermentation': 'add_to_fermentation',
+    'Bottling': 'add_to_package',
+    'Packaging': 'add_to_package'
+  },
+  hopUse: {
+    'Boil': 'add_to_boil',
+    'Dry Hop': 'add_to_fermentation',
+    'Aroma': 'add_to_boil',  // Aroma is typically late boil
+    'First Wort': 'add_to_boil',  // First wort is still a boil addition
+    'Whirlpool': 'add_to_boil'  // Whirlpool is post-boil but part of boil process
+  },
+  hopForm: {
+    'Pellet': 'pellet',
+    'Leaf': 'leaf',
+    'Plug': 'plug',
+    'Extract': 'extract'
+  },
+  yeastType: {
+    'Ale': 'ale',
+    'Lager': 'lager', 
+    'Wheat': 'wheat',
+    'Wine': 'wine',
+    'Champagne': 'champagne',
+    'Wild': 'wild'
+  },
+  yeastForm: {
+    'Liquid': 'liquid',
+    'Dry': 'dry',
+    'Slant': 'slant',
+    'Culture': 'culture'
+  },
+  flocculation: {
+    'Low': 'low',
+    'Medium': 'medium',
+    'Medium-Low': 'medium',
+    'Medium-High': 'medium',
+    'High': 'high',
+    'Very High': 'very high'
+  },
+  // Only common categories are standardized, descriptive types are preserved lowercased
+  miscType: {
+    'Water Agent': 'water agent',
+    'Other': 'other'
+  },
+  miscUnit: {
+    'kg': 'kg',
+    'g': 'g',
+    'oz': 'oz',
+    'lb': 'lb',
+    'tsp': 'tsp',
+    'tbsp': 'tbsp',
+    'l': 'l',
+    'ml': 'ml',
+    'each': 'each'
+  },
+  // BeerJSON 1.0 requires specific timing use enums
+  miscUse: {
+    'Mash': 'add_to_mash',
+    'Boil': 'add_to_boil',
+    'Fermentation': 'add_to_fermentation',
+    'Primary': 'add_to_fermentation',
+    'Secondary': 'add_to_fermentation',
+    'Bottling': 'add_to_package',
+    'Packaging': 'add_to_package'
+  },
+  mashStepType: {
+    'Infusion': 'infusion',
+    'Temperature': 'temperature',
+    'Decoction': 'decoction'
+  },
+  ibuFormula: {
+    'tinseth': 'Tinseth',
+    'rager': 'Rager',
+    'garetz': 'Garetz'
+  },
+  styleType: {
+    // Beer styles - most Brewfather styles are beer
+    'IPA': 'beer',
+    'Stout': 'beer', 
+    'Porter': 'beer',
+    'Lager': 'beer',
+    'Ale': 'beer',
+    'Wheat': 'beer',
+    'Sour': 'beer',
+    'Pilsner': 'beer',
+    'Belgian': 'beer',
+    
+    // Other beverage types
+    'Cider': 'cider',
+    'Mead': 'mead',
+    'Wine': 'wine',
+    'Kombucha': 'kombucha',
+    'Soda': 'soda'
+  }
+};
+
 export class BrewfatherConverter {
   constructor() {
     this.brewfatherSpecificFields = [
@@ -200,7 +320,7 @@ export class BrewfatherConverter {
       };
     }
 
-    if (data.ibu) {
+    if (data.ibu || data.ibuFormula) {
       // BeerJSON 1.0 requires ibu_estimate to only contain "method" property
       recipe.ibu_estimate = {
         method: this.mapIBUFormula(data.ibuFormula)
@@ -400,8 +520,14 @@ export class BrewfatherConverter {
       sourceFormat: 'brewfather'
     };
 
-    // Note: Temperature is not allowed in TimingType schema
-    // Hop temperature should be stored elsewhere if needed
+    // Temperature is not allowed in TimingType schema, so hop stand temperature
+    // is kept at addition level alongside originalBrewfatherUse for IBU modeling
+    if (typeof hop.temp === 'number') {
+      addition.temperature = {
+        unit: BEERJSON_UNITS.CELSIUS,
+        value: hop.temp
+      };
+    }
 
     // Add only fields allowed in HopVarietyBase (for HopAdditionType)
     if (hop.origin) addition.origin = hop.origin;
@@ -415,6 +541,13 @@ export class BrewfatherConverter {
       };
     }
     if (hop.year) addition.year = hop.year;
+    // Hop Storage Index feeds the alpha acid aging estimate
+    if (typeof hop.hsi === 'number' && hop.hsi > 0) {
+      addition.hsi = {
+        unit: BEERJSON_UNITS.PERCENT,
+        value: hop.hsi
+      };
+    }
 
     // Note: The following fields are only allowed in VarietyInformation, not HopAdditionType:
     // - type, notes, substitutes, percent_lost, oil_content
@@ -440,6 +573,10 @@ export class BrewfatherConverter {
     // Add optional fields
     if (yeast.laboratory) addition.producer = yeast.laboratory;
     if (yeast.productId) addition.product_id = yeast.productId;
+    if (typeof yeast.cellsPerPack === 'number' && yeast.cellsPerPack > 0) {
+      addition.cell_count_billions = Math.round(yeast.cellsPerPack);
+    }
+    if (yeast.manufacturingDate) addition.production_date = yeast.manufacturingDate;
     if ((yeast.minTemp || yeast.tempMin) && (yeast.maxTemp || yeast.tempMax)) {
       addition.temperature_range = {
         minimum: {
@@ -1065,109 +1202,45 @@ export class BrewfatherConverter {
     return cleaned;
   }
 
-  // Mapping functions
+  // Mapping functions - tables live in BREWFATHER_MAPPINGS so exporters can apply them in reverse
   mapRecipeType(type) {
-    const typeMap = {
-      'Extract': 'extract',
-      'Partial Mash': 'partial mash', 
-      'All Grain': 'all grain',
-      'BIAB': 'biab'
-    };
-    return typeMap[type] || 'extract';
+    return BREWFATHER_MAPPINGS.recipeType[type] || 'extract';
   }
 
   mapFermentableType(type) {
-    const typeMap = {
-      'Grain': 'grain',
-      'Extract': 'extract',
-      'Liquid Extract': 'extract',  // Both liquid and dry extracts map to 'extract' or 'dry extract'
-      'Dry Extract': 'dry extract',
-      'Sugar': 'sugar',
-      'Adjunct': 'other'
-    };
-    return typeMap[type] || 'grain';
+    return BREWFATHER_MAPPINGS.fermentableType[type] || 'grain';
   }
 
   mapFermentableUse(use) {
-    // BeerJSON 1.0 requires specific timing use enums
-    const useMap = {
-      'Mash': 'add_to_mash',
-      'Boil': 'add_to_boil',
-      'Fermentation': 'add_to_fermentation',
-      'Bottling': 'add_to_package',
-      'Packaging': 'add_to_package'
-    };
-    return useMap[use] || 'add_to_mash';
+    return BREWFATHER_MAPPINGS.fermentableUse[use] || 'add_to_mash';
   }
 
   mapHopUse(use) {
-    // BeerJSON 1.0 requires specific timing use enums
-    const useMap = {
-      'Boil': 'add_to_boil',
-      'Dry Hop': 'add_to_fermentation',
-      'Aroma': 'add_to_boil',  // Aroma is typically late boil
-      'First Wort': 'add_to_boil',  // First wort is still a boil addition
-      'Whirlpool': 'add_to_boil'  // Whirlpool is post-boil but part of boil process
-    };
-    return useMap[use] || 'add_to_boil';
+    return BREWFATHER_MAPPINGS.hopUse[use] || 'add_to_boil';
   }
 
   mapHopForm(form) {
-    const formMap = {
-      'Pellet': 'pellet',
-      'Leaf': 'leaf',
-      'Plug': 'plug',
-      'Extract': 'extract'
-    };
-    return formMap[form] || 'pellet';
+    return BREWFATHER_MAPPINGS.hopForm[form] || 'pellet';
   }
 
   mapYeastType(type) {
-    const typeMap = {
-      'Ale': 'ale',
-      'Lager': 'lager', 
-      'Wheat': 'wheat',
-      'Wine': 'wine',
-      'Champagne': 'champagne',
-      'Wild': 'wild'
-    };
-    return typeMap[type] || 'ale';
+    return BREWFATHER_MAPPINGS.yeastType[type] || 'ale';
   }
 
   mapYeastForm(form) {
-    const formMap = {
-      'Liquid': 'liquid',
-      'Dry': 'dry',
-      'Slant': 'slant',
-      'Culture': 'culture'
-    };
-    return formMap[form] || 'liquid';
+    return BREWFATHER_MAPPINGS.yeastForm[form] || 'liquid';
   }
 
   mapFlocculation(floc) {
-    const flocMap = {
-      'Low': 'low',
-      'Medium': 'medium',
-      'Medium-Low': 'medium',
-      'Medium-High': 'medium',
-      'High': 'high',
-      'Very High': 'very high'
-    };
-    return flocMap[floc] || 'medium';
+    return BREWFATHER_MAPPINGS.flocculation[floc] || 'medium';
   }
 
   mapMiscType(type) {
     if (!type) return 'other'; // Default fallback
     
-    // Only standardize common categories, preserve descriptive types
-    const standardizedMap = {
-      'Water Agent': 'water agent',
-      'Other': 'other'
-    };
-    
     // If it's a term that needs standardization, use the mapping
-    if (standardizedMap[type]) {
-      return standardizedMap[type];
+    if (BREWFATHER_MAPPINGS.miscType[type]) {
+      return BREWFATHER_MAPPINGS.miscType[type];
     }
     
     // Otherwise, preserve the original description with lowercase formatting
@@ -1175,80 +1248,28 @@ export class BrewfatherConverter {
   }
 
   mapMiscUnit(unit) {
-    const unitMap = {
-      'kg': 'kg',
-      'g': 'g',
-      'oz': 'oz',
-      'lb': 'lb',
-      'tsp': 'tsp',
-      'tbsp': 'tbsp',
-      'l': 'l',
-      'ml': 'ml',
-      'each': 'each'
-    };
-    return unitMap[unit] || 'g';
+    return BREWFATHER_MAPPINGS.miscUnit[unit] || 'g';
   }
 
   mapMiscUse(use) {
     if (!use) return 'add_to_boil'; // Default fallback
     
-    // BeerJSON 1.0 requires specific timing use enums
-    const useMap = {
-      'Mash': 'add_to_mash',
-      'Boil': 'add_to_boil',
-      'Fermentation': 'add_to_fermentation',
-      'Primary': 'add_to_fermentation',
-      'Secondary': 'add_to_fermentation',
-      'Bottling': 'add_to_package',
-      'Packaging': 'add_to_package'
-    };
-    
     // Try to map common terms, otherwise default to boil
-    return useMap[use] || 'add_to_boil';
+    return BREWFATHER_MAPPINGS.miscUse[use] || 'add_to_boil';
   }
 
   mapMashStepType(type) {
-    const typeMap = {
-      'Infusion': 'infusion',
-      'Temperature': 'temperature',
-      'Decoction': 'decoction'
-    };
-    return typeMap[type] || 'infusion';
+    return BREWFATHER_MAPPINGS.mashStepType[type] || 'infusion';
   }
 
   mapIBUFormula(formula) {
-    const formulaMap = {
-      'tinseth': 'Tinseth',
-      'rager': 'Rager',
-      'garetz': 'Garetz'
-    };
-    return formulaMap[formula] || 'Tinseth';
+    return BREWFATHER_MAPPINGS.ibuFormula[formula] || 'Tinseth';
   }
 
   mapStyleType(type) {
     if (!type) return 'beer'; // Default fallback for beer styles
     
-    const styleTypeMap = {
-      // Beer styles - most Brewfather styles are beer
-      'IPA': 'beer',
-      'Stout': 'beer', 
-      'Porter': 'beer',
-      'Lager': 'beer',
-      'Ale': 'beer',
-      'Wheat': 'beer',
-      'Sour': 'beer',
-      'Pilsner': 'beer',
-      'Belgian': 'beer',
-      
-      // Other beverage types
-      'Cider': 'cider',
-      'Mead': 'mead',
-      'Wine': 'wine',
-      'Kombucha': 'kombucha',
-      'Soda': 'soda'
-    };
-    
-    return styleTypeMap[type] || 'beer'; // Default to beer for unrecognized styles
+    return BREWFATHER_MAPPINGS.styleType[type] || 'beer'; // Default to beer for unrecognized styles
   }
 
   /**
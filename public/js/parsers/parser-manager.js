@@ -5,6 +5,8 @@
 
 import { BeerXMLParser } from './beerxml-parser.js';
 import { BeerJSONParser } from './beerjson-parser.js';
+import { BeerSmithParser } from './beersmith-parser.js';
+import { TextRecipeParser } from './text-recipe-parser.js';
 import { BrewfatherConverter } from './brewfather-converter.js';
 import { debug, DEBUG_CATEGORIES } from '../utilities/debug.js';
 import { RecipeParsingError } from '../utilities/errors/application-errors.js';
@@ -13,16 +15,33 @@ class ParserManager {
   constructor() {
     this.beerXMLParser = new BeerXMLParser();
     this.beerJSONParser = new BeerJSONParser();
+    this.beerSmithParser = new BeerSmithParser();
+    this.textRecipeParser = new TextRecipeParser();
     this.brewfatherConverter = new BrewfatherConverter();
   }
 
   /**
    * Parse a file by detecting its format and routing to the appropriate parser
    * @param {string} fileContent - The raw file content
-   * @param {string} fileName - The original file name for format detection
+   * @param {string} [fileName] - The original file name for format detection; omit for pasted content
    * @returns {Object} Parsed recipe data in standardized internal format
    */
   parseFile(fileContent, fileName) {
+    return this.parseRecipes(fileContent, fileName, false)[0];
+  }
+
+  /**
+   * Parse every recipe in a file - BeerXML <RECIPES> libraries and BeerJSON `recipes` arrays
+   * can hold several, Brewfather exports always hold one
+   * @param {string} fileContent - The raw file content
+   * @param {string} [fileName] - The original file name for format detection; omit for pasted content
+   * @returns {Array<Object>} Parsed recipes in standardized internal format
+   */
+  parseAllRecipes(fileContent, fileName) {
+    return this.parseRecipes(fileContent, fileName, true);
+  }
+
+  parseRecipes(fileContent, fileName, includeAll) {
     debug.group(DEBUG_CATEGORIES.PARSER, 'Starting file parsing', () => {
       debug.log(DEBUG_CATEGORIES.PARSER, `File: ${fileName}`);
       debug.log(DEBUG_CATEGORIES.PARSER, `Size: ${fileContent.length} characters`);
@@ -32,26 +51,40 @@ class ParserManager {
     debug.log(DEBUG_CATEGORIES.PARSER, `Detected format: ${format}`);
     
     try {
-      let recipe;
+      let recipes;
       switch (format) {
         case 'beerxml':
           debug.log(DEBUG_CATEGORIES.PARSER, 'Parsing as BeerXML...');
-          recipe = this.beerXMLParser.parseFile(fileContent);
+          recipes = includeAll
+            ? this.beerXMLParser.parseAllRecipes(fileContent)
+            : [this.beerXMLParser.parseFile(fileContent)];
           break;
         case 'beerjson':
           debug.log(DEBUG_CATEGORIES.PARSER, 'Parsing as BeerJSON...');
-          recipe = this.beerJSONParser.parseFile(fileContent);
+          recipes = includeAll
+            ? this.beerJSONParser.parseAllRecipes(fileContent)
+            : [this.beerJSONParser.parseFile(fileContent)];
+          break;
+        case 'beersmith':
+          debug.log(DEBUG_CATEGORIES.PARSER, 'Parsing as BeerSmith BSMX...');
+          recipes = includeAll
+            ? this.beerSmithParser.parseAllRecipes(fileContent)
+            : [this.beerSmithParser.parseFile(fileContent)];
+          break;
+        case 'text':
+          debug.log(DEBUG_CATEGORIES.PARSER, 'Parsing as plain-text recipe...');
+          recipes = [this.textRecipeParser.parseText(fileContent)];
           break;
         case 'brewfather':
           debug.log(DEBUG_CATEGORIES.PARSER, 'Converting Brewfather to BeerJSON and parsing...');
           // Convert Brewfather format to BeerJSON then parse
           const brewfatherData = JSON.parse(fileContent);
           const convertedBeerJSON = this.brewfatherConverter.convert(brewfatherData);
-          recipe = this.beerJSONParser.parseFile(JSON.stringify(convertedBeerJSON));
+          recipes = [this.beerJSONParser.parseFile(JSON.stringify(convertedBeerJSON))];
           break;
         default:
           throw new RecipeParsingError(`Unsupported file format: ${format}`, {
-            userMessage: 'Unsupported file format. Please provide a BeerXML (.xml) or BeerJSON (.json) file.',
+            userMessage: 'Unsupported file format. Please provide a BeerXML (.xml), BeerJSON (.json), BeerSmith (.bsmx) or plain-text (.txt) recipe.',
             details: { 
               parser: 'ParserManager', 
               phase: 'FORMAT_DETECTION', 
@@ -63,21 +96,26 @@ class ParserManager {
                 contentLength: fileContent?.length || 0,
                 contentStart: fileContent?.substring(0, 100) || 'No content'
               },
-              supportedFormats: ['BeerXML (.xml)', 'BeerJSON (.json)', 'Brewfather (.json)'],
+              supportedFormats: ['BeerXML (.xml)', 'BeerJSON (.json)', 'Brewfather (.json)', 'BeerSmith (.bsmx)', 'Plain text (.txt)'],
               remediation: 'Export your recipe from brewing software in BeerXML or BeerJSON format'
             }
           });
       }
       
       debug.group(DEBUG_CATEGORIES.PARSER, 'Parsing completed successfully', () => {
-        debug.log(DEBUG_CATEGORIES.PARSER, `Recipe name: ${recipe.name || 'Unnamed'}`);
-        debug.log(DEBUG_CATEGORIES.PARSER, `Fermentables: ${recipe.ingredients?.fermentables?.length || 0}`);
-        debug.log(DEBUG_CATEGORIES.PARSER, `Hops: ${recipe.ingredients?.hops?.length || 0}`);
+        debug.log(DEBUG_CATEGORIES.PARSER, `Recipes: ${recipes.length}`);
+        recipes.forEach(recipe => {
+          debug.log(DEBUG_CATEGORIES.PARSER, `Recipe name: ${recipe.name || 'Unnamed'}`);
+          debug.log(DEBUG_CATEGORIES.PARSER, `Fermentables: ${recipe.ingredients?.fermentables?.length || 0}`);
+          debug.log(DEBUG_CATEGORIES.PARSER, `Hops: ${recipe.ingredients?.hops?.length || 0}`);
+        });
       });
       
       // Add format metadata to recipe data
-      recipe.sourceFormat = format;
-      return recipe;
+      recipes.forEach(recipe => {
+        recipe.sourceFormat = format;
+      });
+      return recipes;
       
     } catch (error) {
       // Re-throw RecipeParsingError instances as-is
@@ -109,24 +147,40 @@ class ParserManager {
 
   /**
    * Detect file format based on extension and content
-   * @param {string} fileName - The file name
+   * @param {string} [fileName] - The file name; when missing the format is detected from content
    * @param {string} fileContent - The file content for validation
-   * @returns {string} Format identifier ('beerxml', 'beerjson', 'brewfather', or 'unknown')
+   * @returns {string} Format identifier ('beerxml', 'beerjson', 'brewfather', 'beersmith', 'text', or 'unknown')
    */
   detectFormat(fileName, fileContent) {
     if (!fileName) {
-      return 'unknown';
+      return this.detectFormatFromContent(fileContent);
     }
 
     const extension = fileName.toLowerCase().split('.').pop();
     
     switch (extension) {
       case 'xml':
+        // BeerSmith native XML saved with an .xml extension
+        if (this.isBeerSmithContent(fileContent)) {
+          return 'beersmith';
+        }
         // Validate that it's actually XML content
         if (this.isValidXML(fileContent)) {
           return 'beerxml';
         }
         break;
+      case 'bsmx':
+        // BSMX uses HTML entities, so it is usually not valid XML until the parser cleans it up
+        if (this.isBeerSmithContent(fileContent)) {
+          return 'beersmith';
+        }
+        break;
+      case 'txt':
+        // Free-form recipe text is parsed heuristically
+        if (fileContent?.trim()) {
+          return 'text';
+        }
+        break;
       case 'json':
         // Validate that it's actually JSON content and determine JSON format
         if (this.isValidJSON(fileContent)) {
@@ -138,6 +192,31 @@ class ParserManager {
     return 'unknown';
   }
 
+  /**
+   * Detect format from content alone, for text pasted from the clipboard or dropped as a selection
+   * @param {string} content - The raw content
+   * @returns {string} Format identifier ('beerxml', 'beerjson', 'brewfather', 'beersmith', 'text', or 'unknown')
+   */
+  detectFormatFromContent(content) {
+    const trimmed = typeof content === 'string' ? content.trim() : '';
+    if (!trimmed) {
+      return 'unknown';
+    }
+
+    if (trimmed.startsWith('<')) {
+      if (this.isBeerSmithContent(trimmed)) {
+        return 'beersmith';
+      }
+      return this.isValidXML(trimmed) ? 'beerxml' : 'unknown';
+    }
+    if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+      return this.isValidJSON(trimmed) ? this.detectJSONFormat(trimmed) : 'unknown';
+    }
+
+    // Anything else is treated as a recipe written out as plain text
+    return 'text';
+  }
+
   /**
    * Basic XML validation
    * @param {string} content - Content to validate
@@ -153,6 +232,15 @@ class ParserManager {
     }
   }
 
+  /**
+   * Detect BeerSmith native content by its prefixed recipe tags
+   * @param {string} content - Content to check
+   * @returns {boolean} True if the content looks like a .bsmx recipe file
+   */
+  isBeerSmithContent(content) {
+    return typeof content === 'string' && /<Recipe>/.test(content) && /<F_R_NAME>/.test(content);
+  }
+
   /**
    * Basic JSON validation
    * @param {string} content - Content to validate
@@ -176,6 +264,11 @@ class ParserManager {
     try {
       const data = JSON.parse(content);
       
+      // Spec-compliant BeerJSON wraps the document in a 'beerjson' root object
+      if (data.beerjson && typeof data.beerjson === 'object') {
+        return 'beerjson';
+      }
+      
       // BeerJSON format has a 'version' field and 'recipes' array at root level
       if (data.version && data.recipes && Array.isArray(data.recipes)) {
         return 'beerjson';
@@ -186,6 +279,11 @@ class ParserManager {
         return 'brewfather';
       }
       
+      // Brewfather recipe JSON without sync metadata (e.g. written by BrewfatherExporter)
+      if (data._type === 'recipe' && Array.isArray(data.fermentables)) {
+        return 'brewfather';
+      }
+      
       // If it has a recipes array but no version, it might be malformed BeerJSON
       if (data.recipes && Array.isArray(data.recipes)) {
         return 'beerjson';
@@ -220,6 +318,16 @@ class ParserManager {
         name: 'Brewfather',
         extensions: ['.json'],
         description: 'Brewfather native format (automatically converted to BeerJSON)'
+      },
+      {
+        name: 'BeerSmith',
+        extensions: ['.bsmx'],
+        description: 'BeerSmith 2/3 native format (imperial units converted to metric)'
+      },
+      {
+        name: 'Plain text',
+        extensions: ['.txt'],
+        description: 'Recipe text as shared on forums (ingredients recognized heuristically)'
       }
     ];
   }
@@ -0,0 +1,607 @@
+/**
+ * Text Recipe Parser
+ * Heuristically extracts a recipe from free text as shared on forums and in emails, e.g.
+ * "10 lb Pale Malt (2 Row)" / "2 oz Cascade @ 60 min" / "Batch size: 23 L"
+ * Output matches BeerXML parser output (metric units, BeerXML vocabulary)
+ *
+ * Free text rarely carries malt color or hop alpha acids, which the validator requires,
+ * so typical values are filled in by name and reported in `textImport.estimatedValues`.
+ */
+
+import { RecipeParsingError } from '../utilities/errors/application-errors.js';
+import {
+  KG_TO_LB,
+  KG_TO_OZ,
+  L_TO_GAL,
+  QT_TO_L,
+  GRAMS_PER_KG,
+  ML_PER_LITER,
+  MINUTES_PER_DAY,
+  DEFAULT_BATCH_SIZE,
+  DEFAULT_BOIL_TIME,
+  BOIL_OFF_RATE_TYPICAL_L_HR
+} from '../core/constants.js';
+
+const QUANTITY = String.raw`(\d+\s+\d+\/\d+|\d+\/\d+|\d*[.,]?\d+)`;
+
+// Longer unit spellings first so alternation does not stop at a prefix
+const WEIGHT_UNITS = [
+  { pattern: 'kilograms?|kilos?|kgs?', toKg: 1 },
+  { pattern: 'pounds?|lbs?', toKg: 1 / KG_TO_LB },
+  { pattern: 'ounces?|oz', toKg: 1 / KG_TO_OZ },
+  { pattern: 'grams?|gr|g', toKg: 1 / GRAMS_PER_KG }
+];
+const VOLUME_UNITS = [
+  { pattern: 'gallons?|gal', toL: 1 / L_TO_GAL },
+  { pattern: 'quarts?|qts?', toL: QT_TO_L },
+  { pattern: 'ml', toL: 1 / ML_PER_LITER },
+  { pattern: 'liters?|litres?|l', toL: 1 }
+];
+
+const WEIGHT_UNIT = WEIGHT_UNITS.map(unit => unit.pattern).join('|');
+const VOLUME_UNIT = VOLUME_UNITS.map(unit => unit.pattern).join('|');
+const WEIGHT_QUANTITY = new RegExp(String.raw`(?:^|[^\w.,/])${QUANTITY}\s*(${WEIGHT_UNIT})\b\.?`, 'gi');
+const VOLUME_QUANTITY = String.raw`${QUANTITY}\s*(${VOLUME_UNIT})\b`;
+
+// Section headings on a line of their own, or followed by a colon and content
+const SECTION_HEADERS = [
+  { pattern: /^(?:grains?|malts?|grist|grain bill|malt bill|fermentables?|extracts?)$/i, section: 'fermentables' },
+  { pattern: /^(?:dry[\s-]?hops?|dry[\s-]?hopping)$/i, section: 'dryHops' },
+  { pattern: /^(?:hops?|hop schedule|hop additions|boil additions)$/i, section: 'hops' },
+  { pattern: /^(?:yeasts?|cultures?|fermentation organisms?)$/i, section: 'yeast' },
+  { pattern: /^(?:other|others|misc|miscellaneous|extras|additions|other ingredients)$/i, section: 'misc' },
+  { pattern: /^(?:notes?|instructions|directions|procedure|method)$/i, section: 'notes' },
+  { pattern: /^(?:water|water profile|mash|mash schedule|fermentation|packaging|stats|specs|vital statistics)$/i, section: 'other' }
+];
+
+const YEAST_PATTERN = /\byeast\b|wyeast|\bwlp\s*-?\d|white labs|safale|saflager|safbrew|fermentis|lallemand|lalbrew|\bus-05\b|\b[swk]-\d{2}\b|w-34\/70|\boyl-\d|\bomega yeast|\bimperial\s+[a-z]\d{2}\b|nottingham|windsor/i;
+const NOT_YEAST_PATTERN = /nutrient|energizer|extract/i;
+const HOP_HINT_PATTERN = /@|\bmin(?:ute)?s?\b|dry[\s-]?hop|flame[\s-]?out|knock[\s-]?out|whirlpool|hop[\s-]?stand|\bfwh\b|first wort|%\s*(?:aa|a\.a\.|alpha)|\baa\b/i;
+const FERMENTABLE_HINT_PATTERN = /malt|grain|barley|wheat|rye|oats?\b|sugar|dextrose|honey|candi|syrup|extract|\bdme\b|\blme\b|flaked|rice|corn|crystal\s*-?\s*\d|caramel|cara\w+|munich|vienna|pils|2[\s-]?row|maris otter|chocolate|roast/i;
+
+// Typical malt colors (°L) by name, first match wins
+const MALT_COLORS = [
+  [/roast(?:ed)? barley/i, 300],
+  [/black patent|black malt|carafa/i, 500],
+  [/chocolate/i, 350],
+  [/special\s*b/i, 150],
+  [/carapils|carafoam|dextrin/i, 1.5],
+  [/carahell|carared/i, 10],
+  [/crystal|caramel|cara/i, 40],
+  [/brown malt/i, 65],
+  [/biscuit|victory|amber/i, 25],
+  [/melanoidin/i, 25],
+  [/aromatic/i, 20],
+  [/munich/i, 9],
+  [/smoked|rauch/i, 5],
+  [/vienna/i, 3.5],
+  [/rye/i, 3.5],
+  [/dry malt extract|\bdme\b|extract|\blme\b/i, 4],
+  [/pils/i, 1.7],
+  [/wheat/i, 2],
+  [/flaked|oats?\b|rice|corn|maize|sugar|dextrose|honey|syrup/i, 1]
+];
+const DEFAULT_MALT_COLOR = 3;
+
+// Typical alpha acids (%) by variety
+const HOP_ALPHAS = [
+  [/cascade/i, 5.5],
+  [/centennial/i, 10],
+  [/chinook/i, 13],
+  [/citra/i, 12],
+  [/columbus|\bctz\b|zeus|tomahawk/i, 15],
+  [/simcoe/i, 13],
+  [/mosaic/i, 12.5],
+  [/amarillo/i, 9],
+  [/magnum/i, 13],
+  [/warrior/i, 16],
+  [/nugget/i, 13],
+  [/galena/i, 13],
+  [/el dorado/i, 15],
+  [/galaxy/i, 14],
+  [/nelson/i, 12.5],
+  [/northern brewer/i, 8.5],
+  [/perle/i, 8],
+  [/sterling/i, 7],
+  [/cluster/i, 7],
+  [/motueka/i, 7],
+  [/fuggle/i, 4.5],
+  [/goldings|\bekg\b/i, 5],
+  [/willamette/i, 5],
+  [/mo?u?n?t\.?\s*hood/i, 5],
+  [/liberty/i, 4.5],
+  [/tettnang/i, 4.5],
+  [/spalt/i, 4.5],
+  [/hallertau/i, 4],
+  [/crystal/i, 4],
+  [/saaz/i, 3.5]
+];
+const DEFAULT_HOP_ALPHA = 5;
+
+class TextRecipeParser {
+  /**
+   * Parse free recipe text into the internal recipe structure
+   * @param {string} text - Pasted or uploaded recipe text
+   * @returns {Object} Parsed recipe data with a `textImport` report of what was recognized
+   */
+  parseText(text) {
+    try {
+      if (typeof text !== 'string' || text.trim() === '') {
+        throw new RecipeParsingError('Recipe text is empty', {
+          userMessage: 'There is no recipe text to import.',
+          details: { parser: 'Text', phase: 'INPUT_VALIDATION' }
+        });
+      }
+
+      const recipe = this.createEmptyRecipe();
+      const report = { recognizedLines: 0, unrecognizedLines: [], estimatedValues: [] };
+      const notes = [];
+      let section = null;
+
+      text.split(/\r?\n/).forEach(rawLine => {
+        let line = rawLine.replace(/^\s*(?:[-*•·>]+|\d+[.)](?=\s))\s*/, '').trim();
+        if (!line) return;
+
+        const header = this.matchSectionHeader(line);
+        if (header) {
+          section = header.section;
+          report.recognizedLines++;
+          if (!header.rest) return;
+          line = header.rest;
+        }
+
+        if (section === 'notes') {
+          notes.push(line);
+          report.recognizedLines++;
+          return;
+        }
+
+        if (this.parseLine(line, section, recipe, report)) {
+          report.recognizedLines++;
+        } else if (!recipe.name && !this.hasIngredients(recipe)) {
+          // An unlabelled first line is almost always the recipe title
+          recipe.name = line;
+          report.recognizedLines++;
+        } else {
+          report.unrecognizedLines.push(line);
+        }
+      });
+
+      if (!this.hasIngredients(recipe)) {
+        throw new RecipeParsingError('No ingredients recognized in recipe text', {
+          userMessage: 'No fermentables, hops or yeast could be found in the text. Put one ingredient per line, e.g. "10 lb Pale Malt" or "1 oz Cascade @ 60 min".',
+          details: { parser: 'Text', phase: 'INGREDIENT_DETECTION', unrecognizedLines: report.unrecognizedLines.length }
+        });
+      }
+
+      this.estimateVolumes(recipe, report);
+
+      // First wort hops stay in the kettle for the whole boil
+      recipe.ingredients.hops
+        .filter(hop => hop.use === 'First Wort' && hop.time === undefined)
+        .forEach(hop => { hop.time = recipe.boilTime ?? DEFAULT_BOIL_TIME; });
+
+      if (notes.length > 0) recipe.notes = notes.join('\n');
+      recipe.textImport = report;
+      return recipe;
+    } catch (error) {
+      // Re-throw RecipeParsingError instances as-is
+      if (error instanceof RecipeParsingError) {
+        throw error;
+      }
+      // Wrap other errors in RecipeParsingError
+      throw new RecipeParsingError(`Failed to parse recipe text: ${error.message}`, {
+        userMessage: 'Unable to read a recipe from the text. Please check the formatting and try again.',
+        details: { parser: 'Text', phase: 'GENERAL_PARSING', originalError: error.message }
+      });
+    }
+  }
+
+  createEmptyRecipe() {
+    return {
+      name: undefined,
+      isBrewfatherExport: false,
+      style: null,
+      ingredients: { fermentables: [], hops: [], yeasts: [], miscs: [], waters: [] },
+      mash: null,
+      fermentation: {},
+      equipment: null
+    };
+  }
+
+  /**
+   * Gravity and IBU calculations need batch and boil volumes, which short posts often omit
+   * @param {Object} recipe - Recipe being built
+   * @param {Object} report - textImport report
+   */
+  estimateVolumes(recipe, report) {
+    if (recipe.batchSize === undefined) {
+      recipe.batchSize = DEFAULT_BATCH_SIZE / L_TO_GAL;
+      report.estimatedValues.push({ field: 'batchSize', name: 'Batch size', value: `${recipe.batchSize.toFixed(1)} L` });
+    }
+    if (recipe.boilSize === undefined) {
+      const boilTime = recipe.boilTime ?? DEFAULT_BOIL_TIME;
+      recipe.boilSize = recipe.batchSize + BOIL_OFF_RATE_TYPICAL_L_HR * (boilTime / 60);
+      report.estimatedValues.push({ field: 'boilSize', name: 'Boil size', value: `${recipe.boilSize.toFixed(1)} L` });
+    }
+  }
+
+  hasIngredients(recipe) {
+    const { fermentables, hops, yeasts } = recipe.ingredients;
+    return fermentables.length > 0 || hops.length > 0 || yeasts.length > 0;
+  }
+
+  matchSectionHeader(line) {
+    const match = line.match(/^([a-z][a-z\s-]*?)\s*(?::\s*(.*))?$/i);
+    if (!match) return null;
+    const header = SECTION_HEADERS.find(({ pattern }) => pattern.test(match[1].trim()));
+    return header ? { section: header.section, rest: (match[2] || '').trim() } : null;
+  }
+
+  /**
+   * Recognize one line as ingredients or recipe details
+   * @returns {boolean} True if anything on the line was recognized
+   */
+  parseLine(line, section, recipe, report) {
+    const isYeastLine = this.isYeast(line);
+    if (section === 'yeast' && !isYeastLine && this.parseDetails(line, recipe)) {
+      return true;
+    }
+    if (section === 'yeast') {
+      recipe.ingredients.yeasts.push(this.parseYeast(line, report));
+      return true;
+    }
+
+    // Split before looking for yeast, so a yeast at the end of a one-line ingredient list
+    // doesn't turn the whole line into a single yeast
+    const segments = this.splitWeightedSegments(line);
+    if (segments.length === 0) {
+      if (section !== 'misc' && isYeastLine) {
+        recipe.ingredients.yeasts.push(this.parseYeast(line, report));
+        return true;
+      }
+      return this.parseDetails(line, recipe);
+    }
+
+    segments.forEach(({ amount, text: segmentText, prefix, source }) => {
+      let text = segmentText;
+      if (section !== 'misc') {
+        // "11.5 g US-05" - the weighed quantity is the yeast itself
+        if (this.isYeast(`${prefix} ${text.split(/[,;]/)[0]}`)) {
+          recipe.ingredients.yeasts.push(this.parseYeast(`${prefix} ${source}`, report));
+          return;
+        }
+        // "30g Fuggles @ 60, 1 pkg Wyeast 1968" - a counted yeast trails the weighed ingredient
+        const separator = this.findYeastSeparator(text);
+        if (separator !== -1) {
+          recipe.ingredients.yeasts.push(this.parseYeast(text.slice(separator + 1).trim(), report));
+          text = text.slice(0, separator).trim();
+        }
+      }
+
+      if (section === 'misc') {
+        recipe.ingredients.miscs.push(this.parseMisc(amount, text || prefix));
+      } else if (section === 'hops' || section === 'dryHops' || (section !== 'fermentables' && this.looksLikeHop(`${prefix} ${text}`))) {
+        recipe.ingredients.hops.push(this.parseHop(amount, text, prefix, section === 'dryHops', report));
+      } else {
+        recipe.ingredients.fermentables.push(this.parseFermentable(amount, text || prefix, report));
+      }
+    });
+    return true;
+  }
+
+  /**
+   * Whether text names a yeast - yeast nutrient, energizer and extract don't count
+   */
+  isYeast(text) {
+    return YEAST_PATTERN.test(text) && !NOT_YEAST_PATTERN.test(text);
+  }
+
+  /**
+   * Find a comma or semicolon separated yeast mention in a segment's text
+   * @param {string} text - Segment text after the weighed quantity
+   * @returns {number} Index of the separator before the yeast, -1 if there is none
+   */
+  findYeastSeparator(text) {
+    const separators = Array.from(text.matchAll(/[,;]/g));
+    const separator = separators.find((match, i) =>
+      this.isYeast(text.slice(match.index + 1, separators[i + 1]?.index ?? text.length))
+    );
+    return separator ? separator.index : -1;
+  }
+
+  /**
+   * Split a line on weighed quantities - forum posts often put a whole grain bill on one line
+   * @param {string} line - Line text
+   * @returns {Array<Object>} Segments of {amount (kg), text, prefix, source} - prefix is any text before the
+   *   first quantity, source is the segment as written from its quantity on
+   */
+  splitWeightedSegments(line) {
+    const matches = Array.from(line.matchAll(WEIGHT_QUANTITY));
+    if (matches.length === 0) return [];
+
+    const prefix = line.slice(0, matches[0].index).replace(/[:\-–]\s*$/, '').trim();
+    const segments = [];
+    let pendingAmount = 0;
+
+    matches.forEach((match, i) => {
+      const end = i + 1 < matches.length ? matches[i + 1].index : line.length;
+      const text = line.slice(match.index + match[0].length, end).replace(/^\s*(?:of\s+)?/i, '').trim();
+      const amount = pendingAmount + this.parseQuantity(match[1]) * this.unitFactor(WEIGHT_UNITS, match[2], 'toKg');
+
+      // "1 lb 4 oz Munich" - carry a bare quantity into the next one
+      if (!/[a-z]/i.test(text) && i + 1 < matches.length) {
+        pendingAmount = amount;
+        return;
+      }
+      pendingAmount = 0;
+      segments.push({
+        amount,
+        text: /[a-z]/i.test(text) ? text : '',
+        prefix: segments.length === 0 ? prefix : '',
+        source: line.slice(match.index, end).trim()
+      });
+    });
+    return segments;
+  }
+
+  looksLikeHop(text) {
+    if (FERMENTABLE_HINT_PATTERN.test(text)) return false;
+    return HOP_HINT_PATTERN.test(text) || HOP_ALPHAS.some(([pattern]) => pattern.test(text));
+  }
+
+  parseFermentable(amount, text, report) {
+    const obj = { amount };
+    obj.name = this.cleanName(text
+      .replace(/\(?\s*\d+(?:[.,]\d+)?\s*°?\s*(?:L|lovibond|SRM|EBC)\b\s*\)?/i, '')
+      .replace(/\(?\s*\d+(?:[.,]\d+)?\s*%\s*\)?/, '')
+      .replace(/\s*@.*$/, ''));
+
+    const colorMatch = text.match(/(\d+(?:[.,]\d+)?)\s*°?\s*(L|lovibond|SRM|EBC)\b/i);
+    const crystalMatch = text.match(/(?:crystal|caramel|cara)\s*-?\s*(\d{1,3})\b/i);
+    if (colorMatch) {
+      const value = this.parseQuantity(colorMatch[1]);
+      obj.color = /ebc/i.test(colorMatch[2]) ? value * 0.508 : value;
+    } else if (crystalMatch) {
+      obj.color = parseInt(crystalMatch[1], 10);
+    } else {
+      obj.color = this.estimate(MALT_COLORS, obj.name, DEFAULT_MALT_COLOR);
+      report.estimatedValues.push({ field: 'fermentable.color', name: obj.name, value: obj.color });
+    }
+
+    if (/dry malt extract|\bdme\b|spray/i.test(text)) {
+      obj.type = 'Dry Extract';
+      obj.yield = 95;
+    } else if (/extract|\blme\b/i.test(text)) {
+      obj.type = 'Extract';
+      obj.yield = 78;
+    } else if (/sugar|dextrose|honey|candi|syrup|sucrose/i.test(text)) {
+      obj.type = 'Sugar';
+      obj.yield = 100;
+    } else if (/flaked|rice hulls?|torrified|\boats?\b|corn|maize/i.test(text)) {
+      obj.type = 'Adjunct';
+    } else {
+      obj.type = 'Grain';
+    }
+    return obj;
+  }
+
+  parseHop(amount, text, prefix, isDryHop, report) {
+    const obj = { amount };
+    const context = `${prefix} ${text}`;
+    const minutes = context.match(/(\d+(?:[.,]\d+)?)\s*(?:min(?:ute)?s?|mins?\.?)\b/i) || context.match(/@\s*(\d+(?:[.,]\d+)?)/);
+    const days = context.match(/(\d+(?:[.,]\d+)?)\s*(?:days?|d)\b/i);
+
+    if (isDryHop || /dry[\s-]?hop/i.test(context)) {
+      obj.use = 'Dry Hop';
+      if (days) obj.time = this.parseQuantity(days[1]) * MINUTES_PER_DAY;
+    } else if (/\bfwh\b|first wort/i.test(context)) {
+      obj.use = 'First Wort';
+    } else if (/flame[\s-]?out|knock[\s-]?out|whirlpool|hop[\s-]?stand/i.test(context)) {
+      obj.use = 'Aroma';
+      obj.time = minutes ? this.parseQuantity(minutes[1]) : 0;
+    } else if (/\bmash\b/i.test(context)) {
+      obj.use = 'Mash';
+      if (minutes) obj.time = this.parseQuantity(minutes[1]);
+    } else {
+      obj.use = 'Boil';
+      if (minutes) obj.time = this.parseQuantity(minutes[1]);
+    }
+
+    const form = context.match(/pellets?|leaf|whole|plugs?|cryo/i);
+    if (form) obj.form = /pellet|cryo/i.test(form[0]) ? 'Pellet' : /plug/i.test(form[0]) ? 'Plug' : 'Leaf';
+
+    // "Cascade 1 oz @ 60 min" puts the variety before the quantity
+    // and "1 oz Cascade at 60 min" leaves a connector before the time
+    const nameOf = (value) => this.cleanName(value.split(/@|\(|\[|,|;|\s[-–]\s|\sat\s|\d/)[0]
+      .replace(/\b(?:hops?|pellets?|leaf|whole|plugs?|dry[\s-]?hop|fwh|first wort|flame[\s-]?out|whirlpool|hop[\s-]?stand|boil|bittering|aroma|flavou?r)\b/gi, '')
+      .replace(/(?:\s(?:at|for)|@)\s*$/i, ''));
+    obj.name = nameOf(text) || nameOf(prefix) || 'Unknown Hop';
+
+    const alphaMatch = context.match(/(\d+(?:[.,]\d+)?)\s*%/) || context.match(/(?:aa|alpha)\s*[:=]?\s*(\d+(?:[.,]\d+)?)/i);
+    if (alphaMatch) {
+      obj.alpha = this.parseQuantity(alphaMatch[1]);
+    } else {
+      obj.alpha = this.estimate(HOP_ALPHAS, obj.name, DEFAULT_HOP_ALPHA);
+      report.estimatedValues.push({ field: 'hop.alpha', name: obj.name, value: obj.alpha });
+    }
+
+    // Uses are written in BeerXML vocabulary, so normalize them the BeerXML way
+    obj.sourceFormat = 'beerxml';
+    return obj;
+  }
+
+  parseYeast(line, report) {
+    const obj = {};
+    const labs = [
+      [/wyeast\s*(\d{4})/i, 'Wyeast'],
+      [/\bwlp\s*-?(\d{3,4})/i, 'White Labs', 'WLP'],
+      [/\b(w-34\/70|us-05|[swk]-\d{2}|t-58|wb-06|be-\d{3})\b/i, 'Fermentis'],
+      [/\b(oyl-\d{3})\b/i, 'Omega'],
+      [/\bimperial\s+([a-z]\d{2})\b/i, 'Imperial'],
+      [/lallemand|lalbrew|nottingham|windsor/i, 'Lallemand']
+    ];
+    const lab = labs.find(([pattern]) => pattern.test(line));
+    if (lab) {
+      const [pattern, laboratory, productPrefix = ''] = lab;
+      obj.laboratory = laboratory;
+      const productId = line.match(pattern)[1];
+      if (productId) obj.productId = `${productPrefix}${productId}`.toUpperCase();
+    }
+
+    const weight = Array.from(line.matchAll(WEIGHT_QUANTITY))[0];
+    const count = line.match(new RegExp(String.raw`${QUANTITY}\s*(?:x\b|pkgs?|packs?|packets?|packages?|vials?|sachets?|smack\s*packs?|pouch(?:es)?)`, 'i'));
+    if (weight) {
+      // Dry yeast is weighed; the internal model keeps weights in kg
+      obj.amount = this.parseQuantity(weight[1]) * this.unitFactor(WEIGHT_UNITS, weight[2], 'toKg');
+      obj.amountIsWeight = true;
+      obj.form = 'Dry';
+    } else {
+      const packages = count ? this.parseQuantity(count[1]) : 1;
+      obj.amount = packages;
+      obj.displayAmount = `${packages} pkg`;
+      obj.amountIsWeight = false;
+      if (!count) report.estimatedValues.push({ field: 'yeast.amount', name: 'Yeast', value: obj.displayAmount });
+    }
+    if (!obj.form && (obj.laboratory === 'Fermentis' || obj.laboratory === 'Lallemand' || /\bdry\b/i.test(line))) {
+      obj.form = 'Dry';
+    }
+
+    obj.type = /lager|w-34\/70|s-23|wlp8\d\d|wyeast\s*2\d{3}/i.test(line) ? 'Lager'
+      : /wheat|hefe|wb-06|weizen/i.test(line) ? 'Wheat' : 'Ale';
+
+    const attenuation = line.match(/(\d+(?:[.,]\d+)?)\s*%\s*(?:apparent\s+)?atten/i) || line.match(/atten\w*\s*[:=]?\s*(\d+(?:[.,]\d+)?)/i);
+    if (attenuation) obj.attenuation = this.parseQuantity(attenuation[1]);
+
+    obj.name = this.cleanName(line
+      .replace(/^\s*yeast\s*[:\-]\s*/i, '')
+      .replace(weight ? weight[0] : '', ' ')
+      .replace(count ? count[0] : '', ' ')
+      .replace(/\(?\s*\d+(?:[.,]\d+)?\s*%[^)]*\)?/g, '')) || 'Yeast';
+    return obj;
+  }
+
+  parseMisc(amount, text) {
+    const minutes = text.match(/(\d+(?:[.,]\d+)?)\s*min/i);
+    const grams = parseFloat((amount * GRAMS_PER_KG).toFixed(1));
+    return {
+      name: this.cleanName(text.split(/@|\(|\d/)[0]),
+      type: 'Other',
+      use: 'Boil',
+      amount,
+      amountIsWeight: true,
+      displayAmount: `${grams} g`,
+      time: minutes ? this.parseQuantity(minutes[1]) : undefined
+    };
+  }
+
+  /**
+   * Recognize recipe-level details (name, style, batch size, gravities, boil time)
+   * @returns {boolean} True if any detail was found on the line
+   */
+  parseDetails(line, recipe) {
+    let found = false;
+    const label = (pattern) => {
+      const match = line.match(new RegExp(String.raw`^\s*(?:${pattern})\s*[:\-–]\s*(.+)$`, 'i'));
+      return match ? match[1].trim() : undefined;
+    };
+
+    const name = label('recipe(?:\\s+name)?|name|title|beer');
+    if (name) {
+      recipe.name = name;
+      return true;
+    }
+    const style = label('(?:bjcp\\s+)?style');
+    if (style) {
+      recipe.style = { name: style };
+      return true;
+    }
+    const brewer = label('brewer|author|brewed by');
+    if (brewer) {
+      recipe.brewer = brewer;
+      return true;
+    }
+
+    const batch = line.match(new RegExp(String.raw`(?:batch(?:\s+size)?|yield|volume into fermenter)\s*[:=\-]?\s*${VOLUME_QUANTITY}`, 'i'))
+      || line.match(new RegExp(String.raw`${VOLUME_QUANTITY}\s+batch`, 'i'));
+    if (batch) {
+      recipe.batchSize = this.parseQuantity(batch[1]) * this.unitFactor(VOLUME_UNITS, batch[2], 'toL');
+      found = true;
+    }
+
+    const boilSize = line.match(new RegExp(String.raw`(?:pre[\s-]?boil|boil)\s+(?:size|volume)\s*[:=\-]?\s*${VOLUME_QUANTITY}`, 'i'));
+    if (boilSize) {
+      recipe.boilSize = this.parseQuantity(boilSize[1]) * this.unitFactor(VOLUME_UNITS, boilSize[2], 'toL');
+      found = true;
+    }
+
+    const boilTime = line.match(/boil(?:\s+time)?\s*[:=\-]?\s*(\d+)\s*min/i) || line.match(/(\d+)[\s-]*min(?:ute)?s?\s+boil/i);
+    if (boilTime) {
+      recipe.boilTime = parseInt(boilTime[1], 10);
+      found = true;
+    }
+
+    const og = line.match(/\b(?:og|o\.g\.|original gravity)\s*[:=\-]?\s*(1[.,]\d{2,3})/i);
+    if (og) {
+      recipe.og = this.parseQuantity(og[1]);
+      found = true;
+    }
+
+    const fg = line.match(/\b(?:fg|f\.g\.|final gravity)\s*[:=\-]?\s*(1[.,]\d{2,3})/i);
+    if (fg) {
+      recipe.fg = this.parseQuantity(fg[1]);
+      found = true;
+    }
+
+    const efficiency = line.match(/efficiency\s*[:=\-]?\s*(\d+(?:[.,]\d+)?)\s*%?/i);
+    if (efficiency) {
+      recipe.efficiency = this.parseQuantity(efficiency[1]);
+      found = true;
+    }
+
+    const type = line.match(/\b(all[\s-]?grain|partial[\s-]?mash|extract|biab)\b/i);
+    if (type && (found || /type/i.test(line))) {
+      const value = type[1].toLowerCase();
+      recipe.type = value.startsWith('partial') ? 'Partial Mash' : value === 'extract' ? 'Extract' : 'All Grain';
+      found = true;
+    }
+
+    return found;
+  }
+
+  // Value helpers
+
+  /**
+   * Parse a quantity written as "1.5", "1,5", "1/2" or "1 1/2"
+   * @param {string} text - Quantity text
+   * @returns {number} Numeric value
+   */
+  parseQuantity(text) {
+    const value = text.trim().replace(',', '.');
+    const mixed = value.match(/^(\d+)\s+(\d+)\/(\d+)$/);
+    if (mixed) return parseInt(mixed[1], 10) + parseInt(mixed[2], 10) / parseInt(mixed[3], 10);
+    const fraction = value.match(/^(\d+)\/(\d+)$/);
+    if (fraction) return parseInt(fraction[1], 10) / parseInt(fraction[2], 10);
+    return parseFloat(value);
+  }
+
+  unitFactor(units, unitText, key) {
+    const unit = units.find(({ pattern }) => new RegExp(`^(?:${pattern})$`, 'i').test(unitText));
+    return unit ? unit[key] : 1;
+  }
+
+  estimate(table, name, fallback) {
+    const entry = table.find(([pattern]) => pattern.test(name));
+    return entry ? entry[1] : fallback;
+  }
+
+  cleanName(text) {
+    return text
+      .replace(/\(\s*\)/g, '')
+      .replace(/\s+/g, ' ')
+      .replace(/^[\s,;:\-–@]+|[\s,;:\-–@(]+$/g, '')
+      .trim();
+  }
+}
+
+export { TextRecipeParser };
@@ -1288,6 +1288,97 @@ class StorageManager {
     }
   }
 
+  /**
+   * List the signed-in user's equipment profiles
+   * @returns {Promise<Array>} - Profiles sorted by name, empty when not signed in
+   */
+  async listEquipmentProfiles() {
+    await this.init();
+    await this.ensureValidSession();
+    
+    const userId = this.getEffectiveUserId();
+    if (!userId) {
+      return [];
+    }
+    
+    try {
+      const snapshot = await this.db.ref(`users/${userId}/equipmentProfiles`).once('value');
+      const profiles = snapshot.val() || {};
+      return Object.entries(profiles)
+        .map(([id, profile]) => ({ ...profile, id }))
+        .sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+    } catch (error) {
+      errorHandler.handleError(error, {
+        component: 'StorageManager',
+        method: 'listEquipmentProfiles'
+      });
+      return [];
+    }
+  }
+
+  /**
+   * Save an equipment profile for the signed-in user
+   * @param {Object} profile - Equipment profile (a new one is created when it has no id)
+   * @returns {Promise<string>} - The ID of the saved profile
+   */
+  async saveEquipmentProfile(profile) {
+    await this.init();
+    await this.ensureValidSession();
+    
+    const userId = this.getEffectiveUserId();
+    if (!userId) {
+      throw new Error('User must be signed in to save equipment profiles');
+    }
+    
+    this.verifyUserAccess(userId);
+    const profileId = profile.id || `equipment_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    
+    try {
+      const cleanedProfile = this.cleanForFirebase({
+        ...profile,
+        id: profileId,
+        updatedAt: new Date().toISOString()
+      });
+      await this.db.ref(`users/${userId}/equipmentProfiles/${profileId}`).set(cleanedProfile);
+      debug.log(DEBUG_CATEGORIES.STORAGE, `Saved equipment profile: ${profileId}`);
+      return profileId;
+    } catch (error) {
+      errorHandler.handleError(error, {
+        component: 'StorageManager',
+        method: 'saveEquipmentProfile',
+        profileId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Delete one of the signed-in user's equipment profiles
+   * @param {string} profileId - The ID of the profile to delete
+   */
+  async deleteEquipmentProfile(profileId) {
+    await this.init();
+    await this.ensureValidSession();
+    
+    const userId = this.getEffectiveUserId();
+    if (!userId) {
+      throw new Error('User must be signed in to delete equipment profiles');
+    }
+
+    this.verifyUserAccess(userId);
+
+    try {
+      await this.db.ref(`users/${userId}/equipmentProfiles/${profileId}`).remove();
+    } catch (error) {
+      errorHandler.handleError(error, {
+        component: 'StorageManager',
+        method: 'deleteEquipmentProfile',
+        profileId
+      });
+      throw error;
+    }
+  }
+
   /**
    * Generate a shareable URL for a recipe
    * @param {string} recipeId - The recipe ID
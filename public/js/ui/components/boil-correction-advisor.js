@@ -0,0 +1,76 @@
+/**
+ * Boil Correction Advisor
+ * Brew day advice for the pre-boil gravity and volume actually measured: the OG the wort is heading for
+ * and the ways to bring it back on target. Attaches to the inputs MeasurementsRenderer puts above the
+ * printable "if you're off" tables; an empty input stands for the planned value
+ */
+
+import { calculateBoilCorrection } from '../../calculations/boil-correction-calculator.js';
+import { RecipeFormatter } from '../../core/formatter.js';
+import { MeasurementsRenderer } from '../renderers/measurements-renderer.js';
+import { formatGravity } from '../../utilities/formatting/formatting-utils.js';
+import { formatVolume } from '../../formatters/unit-formatter.js';
+import { isValidGravity } from '../../utilities/validation/validation-utils.js';
+import { L_TO_GAL } from '../../core/constants.js';
+
+class BoilCorrectionAdvisor {
+  constructor() {
+    this.formatter = new RecipeFormatter();
+  }
+
+  /**
+   * Wire the measured pre-boil inputs of the rendered recipe to the advice row
+   * Call after RecipeRenderer has rendered the Brew Day Measurements section
+   * @param {HTMLElement} container - Recipe container
+   * @param {Object|null} corrections - Formatted boil corrections (with the resolved plan)
+   */
+  setupControls(container, corrections) {
+    const advisor = container?.querySelector('.boil-correction-advisor');
+    if (!advisor || !corrections?.plan) return;
+
+    const { plan } = corrections;
+    const gravityInput = advisor.querySelector('#measuredPreBoilGravity');
+    const volumeInput = advisor.querySelector('#measuredPreBoilVolume');
+    gravityInput.placeholder = plan.preBoilGravity.toFixed(3);
+    volumeInput.placeholder = (plan.preBoilVolumeL * L_TO_GAL).toFixed(2);
+
+    const update = () => this.showAdvice(advisor, plan, gravityInput.value, volumeInput.value);
+    gravityInput.addEventListener('input', update);
+    volumeInput.addEventListener('input', update);
+  }
+
+  /**
+   * Render the advice row for the measured reading, nothing until a gravity or volume is entered
+   * @param {HTMLElement} advisor - Advisor block
+   * @param {Object} plan - Resolved plan from boil-correction-calculator
+   * @param {string} gravityValue - Measured pre-boil gravity input
+   * @param {string} volumeValue - Measured pre-boil volume input (gal)
+   */
+  showAdvice(advisor, plan, gravityValue, volumeValue) {
+    const body = advisor.querySelector('tbody');
+    if (!body) return;
+
+    const gravity = parseFloat(gravityValue);
+    const volumeGal = parseFloat(volumeValue);
+    const hasGravity = isValidGravity(gravity) && gravity > 1;
+    const hasVolume = volumeGal > 0;
+    if (!hasGravity && !hasVolume) {
+      body.innerHTML = '';
+      return;
+    }
+
+    const measured = {
+      preBoilGravity: hasGravity ? gravity : plan.preBoilGravity,
+      preBoilVolumeL: hasVolume ? volumeGal / L_TO_GAL : plan.preBoilVolumeL
+    };
+    const advice = calculateBoilCorrection(measured, plan);
+    body.innerHTML = advice
+      ? MeasurementsRenderer.generateBoilCorrectionRow(this.formatter.formatBoilCorrection(
+        advice,
+        `${formatVolume(measured.preBoilVolumeL)} at ${formatGravity(measured.preBoilGravity)}`
+      ))
+      : '';
+  }
+}
+
+export { BoilCorrectionAdvisor };
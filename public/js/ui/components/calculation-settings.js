@@ -0,0 +1,294 @@
+/**
+ * Calculation Settings
+ * User overrides for how recipe values are calculated (IBU formula, chilling method, brewery elevation,
+ * hop storage for alpha acid aging, color model and color units), the kegerator setup used for
+ * force-carbonation pressure and line balancing, the instruments behind the gravity correction tables and
+ * how far Brett or diastaticus take a mixed fermentation
+ * Rendered into the section controls panel and persisted in localStorage
+ */
+
+import { errorHandler } from '../../utilities/errors/error-handler.js';
+import { DataLoadError } from '../../utilities/errors/application-errors.js';
+import { escapeHtml } from '../../formatters/text-formatter.js';
+import {
+  EVENTS, IBU_FORMULAS, CHILL_METHODS, DEFAULT_CHILL_METHOD, HOP_STORAGE_CONDITIONS, DEFAULT_HOP_STORAGE,
+  COLOR_MODELS, DEFAULT_COLOR_MODEL, COLOR_UNITS, DEFAULT_COLOR_UNIT, DEFAULT_SERVING_TEMP_F, BEER_LINES,
+  DEFAULT_BEER_LINE, DEFAULT_TAP_HEIGHT_FT, DEFAULT_WORT_CORRECTION_FACTOR, MIN_WORT_CORRECTION_FACTOR,
+  MAX_WORT_CORRECTION_FACTOR, DEFAULT_HYDROMETER_CALIBRATION_F, DEFAULT_BRETT_FACTOR, MIN_BRETT_FACTOR, MAX_BRETT_FACTOR
+} from '../../core/constants.js';
+
+const STORAGE_KEY = 'brewlog-calculation-settings';
+
+class CalculationSettings {
+  constructor() {
+    this.settings = this.loadPreferences();
+    this.currentRecipe = null;
+  }
+
+  /**
+   * Settings passed to CalculationOrchestrator.calculateAll
+   * @returns {Object} {ibuFormula, chillMethod, elevationFt, hopStorage, hopFormFactors, colorModel, colorUnit, servingTempF, beerLine,
+   * tapHeightFt, wortCorrectionFactor, hydrometerCalibrationF, brettFactor} - ibuFormula/chillMethod
+   * are '' when the recipe's own IBU applies, colorModel is '' when the recipe's own color applies
+   */
+  getSettings() {
+    return { ...this.settings };
+  }
+
+  /**
+   * Render the settings block at the end of the section controls panel
+   * Call after SectionManager.setupControls, which rebuilds the panel
+   * @param {Object} recipeData - Recipe being displayed (for its declared IBU method)
+   */
+  setupControls(recipeData = null) {
+    if (recipeData) {
+      this.currentRecipe = recipeData;
+    }
+
+    const content = document.querySelector('#sectionControls .section-controls-content');
+    if (!content) return;
+
+    content.querySelector('.calculation-settings')?.remove();
+    content.insertAdjacentHTML('beforeend', this.createControlsHTML());
+    this.attachEventListeners(content.querySelector('.calculation-settings'));
+  }
+
+  createControlsHTML() {
+    const declaredMethod = this.currentRecipe?.ibuMethod;
+    const recipeDefaultLabel = `Recipe default (${declaredMethod || IBU_FORMULAS.tinseth})`;
+    const formulaOptions = Object.entries(IBU_FORMULAS).map(([key, label]) => `
+      <option value="${key}" ${this.settings.ibuFormula === key ? 'selected' : ''}>${label}</option>
+    `).join('');
+    const chillOptions = Object.entries(CHILL_METHODS).map(([key, label]) => `
+      <option value="${key}" ${this.settings.chillMethod === key ? 'selected' : ''}>${label}</option>
+    `).join('');
+    const storageOptions = Object.entries(HOP_STORAGE_CONDITIONS).map(([key, condition]) => `
+      <option value="${key}" ${this.settings.hopStorage === key ? 'selected' : ''}>${condition.label}</option>
+    `).join('');
+    const colorModelOptions = Object.entries(COLOR_MODELS).map(([key, label]) => `
+      <option value="${key}" ${this.settings.colorModel === key ? 'selected' : ''}>${label}</option>
+    `).join('');
+    const colorUnitOptions = Object.entries(COLOR_UNITS).map(([key, label]) => `
+      <option value="${key}" ${this.settings.colorUnit === key ? 'selected' : ''}>${label}</option>
+    `).join('');
+    const beerLineOptions = Object.entries(BEER_LINES).map(([key, line]) => `
+      <option value="${key}" ${this.settings.beerLine === key ? 'selected' : ''}>${escapeHtml(line.label)}</option>
+    `).join('');
+
+    return `
+      <div class="calculation-settings">
+        <div class="calculation-settings-title">Calculations</div>
+        <label class="calculation-setting">
+          <span class="toggle-label">IBU formula</span>
+          <select id="ibuFormulaSetting">
+            <option value="" ${this.settings.ibuFormula ? '' : 'selected'}>${escapeHtml(recipeDefaultLabel)}</option>
+            ${formulaOptions}
+          </select>
+        </label>
+        <label class="calculation-setting" title="Post-flameout isomerization is modeled for the chosen method; by default only for hop stands with a recorded temperature (${CHILL_METHODS[DEFAULT_CHILL_METHOD]})">
+          <span class="toggle-label">Chilling</span>
+          <select id="chillMethodSetting">
+            <option value="" ${this.settings.chillMethod ? '' : 'selected'}>Recipe default</option>
+            ${chillOptions}
+          </select>
+        </label>
+        <label class="calculation-setting" title="Used by the Garetz IBU formula, keg regulator pressure and the boiling point for mash infusions">
+          <span class="toggle-label">Elevation (ft)</span>
+          <input type="number" id="elevationSetting" min="0" max="15000" step="100" value="${this.settings.elevationFt || 0}">
+        </label>
+        <label class="calculation-setting" title="Used to estimate alpha acid loss for hops with a harvest year">
+          <span class="toggle-label">Hop storage</span>
+          <select id="hopStorageSetting">
+            ${storageOptions}
+          </select>
+        </label>
+        <label class="calculation-setting" title="Credit pellet, plug and cryo hops with higher utilization than leaf hops in calculated IBUs">
+          <span class="toggle-label">Hop form factors</span>
+          <input type="checkbox" id="hopFormFactorsSetting" ${this.settings.hopFormFactors ? 'checked' : ''}>
+        </label>
+        <label class="calculation-setting">
+          <span class="toggle-label">Color model</span>
+          <select id="colorModelSetting">
+            <option value="" ${this.settings.colorModel ? '' : 'selected'}>Recipe default (${COLOR_MODELS[DEFAULT_COLOR_MODEL]})</option>
+            ${colorModelOptions}
+          </select>
+        </label>
+        <label class="calculation-setting">
+          <span class="toggle-label">Color units</span>
+          <select id="colorUnitSetting">
+            ${colorUnitOptions}
+          </select>
+        </label>
+        <label class="calculation-setting">
+          <span class="toggle-label">Serving temp (°F)</span>
+          <input type="number" id="servingTempSetting" min="28" max="60" step="1" value="${this.settings.servingTempF}">
+        </label>
+        <label class="calculation-setting">
+          <span class="toggle-label">Beer line</span>
+          <select id="beerLineSetting">
+            ${beerLineOptions}
+          </select>
+        </label>
+        <label class="calculation-setting" title="Faucet height above the middle of the keg">
+          <span class="toggle-label">Tap height (ft)</span>
+          <input type="number" id="tapHeightSetting" min="-5" max="20" step="0.5" value="${this.settings.tapHeightFt}">
+        </label>
+        <label class="calculation-setting" title="Refractometer reading ÷ true wort Brix, for the refractometer correction tables">
+          <span class="toggle-label">Refractometer WCF</span>
+          <input type="number" id="wortCorrectionFactorSetting" min="${MIN_WORT_CORRECTION_FACTOR}" max="${MAX_WORT_CORRECTION_FACTOR}" step="0.01" value="${this.settings.wortCorrectionFactor}">
+        </label>
+        <label class="calculation-setting" title="Temperature your hydrometer reads true at">
+          <span class="toggle-label">Hydrometer calibration (°F)</span>
+          <input type="number" id="hydrometerCalibrationSetting" min="50" max="80" step="1" value="${this.settings.hydrometerCalibrationF}">
+        </label>
+        <label class="calculation-setting" title="Share of the dextrins a conventional strain leaves that Brett or diastaticus ferment out (0-1)">
+          <span class="toggle-label">Brett/diastaticus factor</span>
+          <input type="number" id="brettFactorSetting" min="${MIN_BRETT_FACTOR}" max="${MAX_BRETT_FACTOR}" step="0.05" value="${this.settings.brettFactor}">
+        </label>
+      </div>
+    `;
+  }
+
+  attachEventListeners(container) {
+    if (!container) return;
+
+    container.querySelector('#ibuFormulaSetting')?.addEventListener('change', (e) => {
+      this.updateSetting('ibuFormula', e.target.value);
+    });
+
+    container.querySelector('#chillMethodSetting')?.addEventListener('change', (e) => {
+      this.updateSetting('chillMethod', e.target.value);
+    });
+
+    container.querySelector('#hopStorageSetting')?.addEventListener('change', (e) => {
+      this.updateSetting('hopStorage', e.target.value);
+    });
+
+    container.querySelector('#hopFormFactorsSetting')?.addEventListener('change', (e) => {
+      this.updateSetting('hopFormFactors', e.target.checked);
+    });
+
+    container.querySelector('#colorModelSetting')?.addEventListener('change', (e) => {
+      this.updateSetting('colorModel', e.target.value);
+    });
+
+    container.querySelector('#colorUnitSetting')?.addEventListener('change', (e) => {
+      this.updateSetting('colorUnit', e.target.value);
+    });
+
+    container.querySelector('#elevationSetting')?.addEventListener('change', (e) => {
+      const elevationFt = parseFloat(e.target.value);
+      this.updateSetting('elevationFt', Number.isFinite(elevationFt) && elevationFt > 0 ? elevationFt : 0);
+    });
+
+    container.querySelector('#servingTempSetting')?.addEventListener('change', (e) => {
+      const servingTempF = parseFloat(e.target.value);
+      this.updateSetting('servingTempF', Number.isFinite(servingTempF) && servingTempF > 0 ? servingTempF : DEFAULT_SERVING_TEMP_F);
+    });
+
+    container.querySelector('#beerLineSetting')?.addEventListener('change', (e) => {
+      this.updateSetting('beerLine', e.target.value);
+    });
+
+    container.querySelector('#tapHeightSetting')?.addEventListener('change', (e) => {
+      const tapHeightFt = parseFloat(e.target.value);
+      this.updateSetting('tapHeightFt', Number.isFinite(tapHeightFt) ? tapHeightFt : DEFAULT_TAP_HEIGHT_FT);
+    });
+
+    container.querySelector('#wortCorrectionFactorSetting')?.addEventListener('change', (e) => {
+      const wortCorrectionFactor = parseFloat(e.target.value);
+      const isValid = wortCorrectionFactor >= MIN_WORT_CORRECTION_FACTOR && wortCorrectionFactor <= MAX_WORT_CORRECTION_FACTOR;
+      this.updateSetting('wortCorrectionFactor', isValid ? wortCorrectionFactor : DEFAULT_WORT_CORRECTION_FACTOR);
+    });
+
+    container.querySelector('#hydrometerCalibrationSetting')?.addEventListener('change', (e) => {
+      const hydrometerCalibrationF = parseFloat(e.target.value);
+      this.updateSetting('hydrometerCalibrationF', hydrometerCalibrationF > 0 ? hydrometerCalibrationF : DEFAULT_HYDROMETER_CALIBRATION_F);
+    });
+
+    container.querySelector('#brettFactorSetting')?.addEventListener('change', (e) => {
+      const brettFactor = parseFloat(e.target.value);
+      const isValid = brettFactor >= MIN_BRETT_FACTOR && brettFactor <= MAX_BRETT_FACTOR;
+      this.updateSetting('brettFactor', isValid ? brettFactor : DEFAULT_BRETT_FACTOR);
+    });
+  }
+
+  updateSetting(key, value) {
+    if (this.settings[key] === value) return;
+
+    this.settings[key] = value;
+    this.savePreferences();
+    window.dispatchEvent(new CustomEvent(EVENTS.CALCULATION_SETTINGS_CHANGED, {
+      detail: { settings: this.getSettings() }
+    }));
+  }
+
+  loadPreferences() {
+    const defaults = {
+      ibuFormula: '',
+      chillMethod: '',
+      elevationFt: 0,
+      hopStorage: DEFAULT_HOP_STORAGE,
+      hopFormFactors: false,
+      colorModel: '',
+      colorUnit: DEFAULT_COLOR_UNIT,
+      servingTempF: DEFAULT_SERVING_TEMP_F,
+      beerLine: DEFAULT_BEER_LINE,
+      tapHeightFt: DEFAULT_TAP_HEIGHT_FT,
+      wortCorrectionFactor: DEFAULT_WORT_CORRECTION_FACTOR,
+      hydrometerCalibrationF: DEFAULT_HYDROMETER_CALIBRATION_F,
+      brettFactor: DEFAULT_BRETT_FACTOR
+    };
+
+    try {
+      const saved = localStorage.getItem(STORAGE_KEY);
+      if (saved) {
+        const parsed = JSON.parse(saved);
+        // Drop formulas that are no longer offered
+        if (parsed.ibuFormula && !IBU_FORMULAS[parsed.ibuFormula]) {
+          delete parsed.ibuFormula;
+        }
+        if (parsed.chillMethod && !CHILL_METHODS[parsed.chillMethod]) {
+          delete parsed.chillMethod;
+        }
+        if (!HOP_STORAGE_CONDITIONS[parsed.hopStorage]) {
+          delete parsed.hopStorage;
+        }
+        if (parsed.colorModel && !COLOR_MODELS[parsed.colorModel]) {
+          delete parsed.colorModel;
+        }
+        if (!COLOR_UNITS[parsed.colorUnit]) {
+          delete parsed.colorUnit;
+        }
+        if (!BEER_LINES[parsed.beerLine]) {
+          delete parsed.beerLine;
+        }
+        return Object.assign(defaults, parsed);
+      }
+    } catch (error) {
+      errorHandler.handleError(new DataLoadError('Failed to load calculation settings', {
+        userMessage: 'Unable to load your calculation settings. Using default settings.',
+        severity: 'warning',
+        recoverable: true,
+        details: { component: 'calculation-settings', operation: 'load_preferences', originalError: error.message }
+      }), { context: 'calculation_settings_load' });
+    }
+
+    return defaults;
+  }
+
+  savePreferences() {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(this.settings));
+    } catch (error) {
+      errorHandler.handleError(new DataLoadError('Failed to save calculation settings', {
+        userMessage: 'Unable to save your calculation settings. Settings may not persist.',
+        severity: 'warning',
+        recoverable: true,
+        details: { component: 'calculation-settings', operation: 'save_preferences', originalError: error.message }
+      }), { context: 'calculation_settings_save' });
+    }
+  }
+}
+
+export { CalculationSettings };
@@ -0,0 +1,334 @@
+/**
+ * Equipment Profiles
+ * Saved brewing systems (vessel volumes, dead space, boil-off, losses, absorption and tun thermal mass)
+ * that override the equipment in the recipe file. Profiles are stored per user through StorageManager;
+ * the selected profile is remembered in localStorage and applied before calculations run
+ */
+
+import { storageManager } from '../../storage/storage-manager.js';
+import { errorHandler } from '../../utilities/errors/error-handler.js';
+import { DataLoadError } from '../../utilities/errors/application-errors.js';
+import { escapeHtml } from '../../formatters/text-formatter.js';
+import { applyEquipmentProfile } from '../../utilities/data/water-calculation-preprocessor.js';
+import {
+  EVENTS, L_TO_GAL, KG_TO_LB, BREWING_SYSTEM_TYPES, BOIL_OFF_RATE_TYPICAL_L_HR, TRUB_LOSS_DEFAULT,
+  FERMENTER_LOSS_DEFAULT, GRAIN_ABSORPTION_DEFAULT, GRAIN_ABSORPTION_ALLINONE, HOP_ABSORPTION_DEFAULT
+} from '../../core/constants.js';
+
+const STORAGE_KEY = 'brewlog-equipment-profile';
+
+const litersToGal = (liters) => liters * L_TO_GAL;
+const galToLiters = (gal) => gal / L_TO_GAL;
+const unchanged = (value) => value;
+
+// Profile values are stored in recipe units (L, kg, qt/lb) and edited in US units
+const PROFILE_FIELDS = [
+  { key: 'tunVolume', label: 'Mash tun volume (gal)', step: 0.25, toDisplay: litersToGal, fromDisplay: galToLiters },
+  { key: 'mashTunDeadspace', label: 'Mash tun dead space (gal)', step: 0.05, toDisplay: litersToGal, fromDisplay: galToLiters },
+  { key: 'kettleVolume', label: 'Kettle volume (gal)', step: 0.25, toDisplay: litersToGal, fromDisplay: galToLiters },
+  { key: 'boilOffRate', label: 'Boil-off (gal/hr)', step: 0.05, toDisplay: litersToGal, fromDisplay: galToLiters },
+  { key: 'trubChillerLoss', label: 'Trub & chiller loss (gal)', step: 0.05, toDisplay: litersToGal, fromDisplay: galToLiters },
+  { key: 'grainAbsorptionRate', label: 'Grain absorption (qt/lb)', step: 0.005, toDisplay: unchanged, fromDisplay: unchanged },
+  { key: 'fermenterLoss', label: 'Fermenter loss (gal)', step: 0.05, toDisplay: litersToGal, fromDisplay: galToLiters },
+  { key: 'hopAbsorptionRate', label: 'Hop absorption (qt/lb)', step: 0.05, toDisplay: unchanged, fromDisplay: unchanged },
+  { key: 'tunWeight', label: 'Mash tun weight (lb)', step: 0.5, toDisplay: (kg) => kg * KG_TO_LB, fromDisplay: (lb) => lb / KG_TO_LB },
+  { key: 'tunSpecificHeat', label: 'Tun specific heat (cal/g·°C)', step: 0.01, toDisplay: unchanged, fromDisplay: unchanged }
+];
+
+class EquipmentProfiles {
+  constructor() {
+    this.profiles = [];
+    this.isLoaded = false;
+    this.selectedProfileId = this.loadSelection();
+    this.editingProfile = null;
+    this.currentRecipe = null;
+
+    // Profiles belong to the signed-in user - signing out drops them and brews on the recipe's equipment again
+    window.addEventListener(EVENTS.AUTH_STATE_CHANGED, (e) => {
+      this.isLoaded = false;
+      if (e.detail?.isSignedIn) return;
+
+      this.profiles = [];
+      this.editingProfile = null;
+      if (this.selectedProfileId) {
+        this.selectProfile('', { force: true });
+      }
+    });
+  }
+
+  /**
+   * Load the signed-in user's profiles once (nothing to load when signed out)
+   */
+  async ensureLoaded() {
+    if (this.isLoaded) return;
+
+    this.profiles = storageManager.getEffectiveUserId() ? await storageManager.listEquipmentProfiles() : [];
+    this.isLoaded = true;
+  }
+
+  /**
+   * Profile the recipe is brewed on
+   * @returns {Object|null} Selected equipment profile, null when the recipe's own equipment applies
+   */
+  getSelectedProfile() {
+    return this.profiles.find(profile => profile.id === this.selectedProfileId) || null;
+  }
+
+  /**
+   * Recipe data with the selected profile's equipment, ready for CalculationOrchestrator.calculateAll
+   * @param {Object} recipeData - Validated recipe data
+   * @returns {Object} Recipe data on the selected profile, unchanged without one
+   */
+  applyTo(recipeData) {
+    return applyEquipmentProfile(recipeData, this.getSelectedProfile());
+  }
+
+  /**
+   * Render the equipment block at the end of the section controls panel
+   * Call after SectionManager.setupControls, which rebuilds the panel
+   * @param {Object} recipeData - Validated recipe being displayed (its equipment seeds new profiles)
+   */
+  setupControls(recipeData = null) {
+    if (recipeData) {
+      this.currentRecipe = recipeData;
+    }
+
+    const content = document.querySelector('#sectionControls .section-controls-content');
+    if (!content) return;
+
+    content.querySelector('.equipment-profiles')?.remove();
+    content.insertAdjacentHTML('beforeend', this.createControlsHTML());
+    this.attachEventListeners(content.querySelector('.equipment-profiles'));
+  }
+
+  createControlsHTML() {
+    const isSignedIn = Boolean(storageManager.getEffectiveUserId());
+    const selectedProfile = this.getSelectedProfile();
+    const profileOptions = this.profiles.map(profile => `
+      <option value="${escapeHtml(profile.id)}" ${profile.id === selectedProfile?.id ? 'selected' : ''}>${escapeHtml(profile.name)}</option>
+    `).join('');
+
+    return `
+      <div class="calculation-settings equipment-profiles">
+        <div class="calculation-settings-title">Equipment</div>
+        <label class="calculation-setting" title="${isSignedIn ? 'Brew the recipe on one of your saved systems' : 'Sign in to save equipment profiles'}">
+          <span class="toggle-label">Profile</span>
+          <select id="equipmentProfileSetting">
+            <option value="" ${selectedProfile ? '' : 'selected'}>Recipe equipment</option>
+            ${profileOptions}
+          </select>
+        </label>
+        ${isSignedIn ? `
+          <div class="calculation-setting equipment-profile-actions">
+            <button class="btn btn--small" id="newEquipmentProfile">New</button>
+            ${selectedProfile ? `
+              <button class="btn btn--small" id="editEquipmentProfile">Edit</button>
+              <button class="btn btn--small btn--danger" id="deleteEquipmentProfile">Delete</button>
+            ` : ''}
+          </div>
+        ` : ''}
+        ${this.editingProfile ? this.createFormHTML(this.editingProfile) : ''}
+      </div>
+    `;
+  }
+
+  /**
+   * Profile editor - all values in US units
+   * @param {Object} profile - Profile being edited (recipe units)
+   * @returns {string} Form HTML
+   */
+  createFormHTML(profile) {
+    const systemOptions = Object.entries(BREWING_SYSTEM_TYPES).map(([key, label]) => `
+      <option value="${key}" ${profile.systemType === key ? 'selected' : ''}>${label}</option>
+    `).join('');
+    const fieldInputs = PROFILE_FIELDS.map(field => {
+      const value = profile[field.key] > 0 ? parseFloat(field.toDisplay(profile[field.key]).toFixed(3)) : 0;
+      return `
+        <label class="calculation-setting">
+          <span class="toggle-label">${field.label}</span>
+          <input type="number" data-profile-field="${field.key}" min="0" step="${field.step}" value="${value}">
+        </label>
+      `;
+    }).join('');
+
+    return `
+      <div class="equipment-profile-form">
+        <label class="calculation-setting">
+          <span class="toggle-label">Name</span>
+          <input type="text" id="equipmentProfileName" maxlength="100" value="${escapeHtml(profile.name || '')}">
+        </label>
+        <label class="calculation-setting">
+          <span class="toggle-label">System</span>
+          <select id="equipmentProfileSystem">
+            ${systemOptions}
+          </select>
+        </label>
+        ${fieldInputs}
+        <div class="calculation-setting equipment-profile-actions">
+          <button class="btn btn--small" id="cancelEquipmentProfile">Cancel</button>
+          <button class="btn btn--small btn--primary" id="saveEquipmentProfile">Save</button>
+        </div>
+      </div>
+    `;
+  }
+
+  attachEventListeners(container) {
+    if (!container) return;
+
+    container.querySelector('#equipmentProfileSetting')?.addEventListener('change', (e) => {
+      this.selectProfile(e.target.value);
+    });
+
+    container.querySelector('#newEquipmentProfile')?.addEventListener('click', () => {
+      this.editingProfile = this.createProfileFromRecipe(this.currentRecipe);
+      this.setupControls();
+    });
+
+    container.querySelector('#editEquipmentProfile')?.addEventListener('click', () => {
+      this.editingProfile = { ...this.getSelectedProfile() };
+      this.setupControls();
+    });
+
+    container.querySelector('#deleteEquipmentProfile')?.addEventListener('click', () => {
+      this.deleteSelectedProfile();
+    });
+
+    container.querySelector('#cancelEquipmentProfile')?.addEventListener('click', () => {
+      this.editingProfile = null;
+      this.setupControls();
+    });
+
+    container.querySelector('#saveEquipmentProfile')?.addEventListener('click', () => {
+      this.saveProfile(this.readForm(container));
+    });
+  }
+
+  /**
+   * Starting point for a new profile - the equipment in the recipe file, with defaults for anything it leaves out
+   * @param {Object} recipeData - Validated recipe data
+   * @returns {Object} Unsaved profile
+   */
+  createProfileFromRecipe(recipeData) {
+    const equipment = recipeData?.equipment || {};
+    const systemType = BREWING_SYSTEM_TYPES[equipment.systemType] ? equipment.systemType : 'traditional';
+
+    return {
+      name: equipment.name || '',
+      systemType,
+      tunVolume: equipment.tunVolume || 0,
+      mashTunDeadspace: equipment.mashTunDeadspace || 0,
+      kettleVolume: equipment.kettleVolume || 0,
+      boilOffRate: equipment.boilOffRate || BOIL_OFF_RATE_TYPICAL_L_HR,
+      trubChillerLoss: equipment.trubChillerLoss ?? TRUB_LOSS_DEFAULT,
+      grainAbsorptionRate: equipment.grainAbsorptionRate ||
+        (systemType === 'traditional' ? GRAIN_ABSORPTION_DEFAULT : GRAIN_ABSORPTION_ALLINONE),
+      fermenterLoss: equipment.fermenterLoss ?? FERMENTER_LOSS_DEFAULT,
+      hopAbsorptionRate: equipment.hopAbsorptionRate || HOP_ABSORPTION_DEFAULT,
+      tunWeight: equipment.tunWeight || 0,
+      tunSpecificHeat: equipment.tunSpecificHeat || 0
+    };
+  }
+
+  /**
+   * Read the profile editor back into recipe units
+   * @param {HTMLElement} container - Equipment block
+   * @returns {Object} Edited profile
+   */
+  readForm(container) {
+    const profile = {
+      ...this.editingProfile,
+      name: container.querySelector('#equipmentProfileName')?.value.trim() || '',
+      systemType: container.querySelector('#equipmentProfileSystem')?.value || 'traditional'
+    };
+
+    PROFILE_FIELDS.forEach(field => {
+      const value = parseFloat(container.querySelector(`[data-profile-field="${field.key}"]`)?.value);
+      profile[field.key] = Number.isFinite(value) && value > 0 ? field.fromDisplay(value) : 0;
+    });
+
+    return profile;
+  }
+
+  async saveProfile(profile) {
+    if (!profile.name) {
+      this.showToast('Give the equipment profile a name', 'warning');
+      return;
+    }
+
+    try {
+      const profileId = await storageManager.saveEquipmentProfile(profile);
+      this.editingProfile = null;
+      this.isLoaded = false;
+      await this.ensureLoaded();
+      this.showToast(`Saved equipment profile ${profile.name}`, 'success');
+      this.selectProfile(profileId, { force: true });
+    } catch (error) {
+      this.showToast('Failed to save equipment profile', 'error');
+    }
+  }
+
+  async deleteSelectedProfile() {
+    const profile = this.getSelectedProfile();
+    if (!profile || !confirm(`Delete the equipment profile ${profile.name}?`)) return;
+
+    try {
+      await storageManager.deleteEquipmentProfile(profile.id);
+      this.profiles = this.profiles.filter(existing => existing.id !== profile.id);
+      this.editingProfile = null;
+      this.selectProfile('', { force: true });
+    } catch (error) {
+      this.showToast('Failed to delete equipment profile', 'error');
+    }
+  }
+
+  /**
+   * Switch profiles and recalculate the displayed recipe
+   * @param {string} profileId - Profile ID, '' for the recipe's own equipment
+   * @param {Object} [options] - {force} to recalculate when the selection is unchanged (edited or deleted profile)
+   */
+  selectProfile(profileId, { force = false } = {}) {
+    if (this.selectedProfileId === profileId && !force) return;
+
+    this.selectedProfileId = profileId;
+    this.saveSelection();
+    this.setupControls();
+    window.dispatchEvent(new CustomEvent(EVENTS.EQUIPMENT_PROFILE_CHANGED, {
+      detail: { profile: this.getSelectedProfile() }
+    }));
+  }
+
+  showToast(message, type = 'info') {
+    window.dispatchEvent(new CustomEvent('showToast', {
+      detail: { message, type }
+    }));
+  }
+
+  loadSelection() {
+    try {
+      return localStorage.getItem(STORAGE_KEY) || '';
+    } catch (error) {
+      errorHandler.handleError(new DataLoadError('Failed to load equipment profile selection', {
+        userMessage: 'Unable to load your equipment profile selection. Using the recipe equipment.',
+        severity: 'warning',
+        recoverable: true,
+        details: { component: 'equipment-profiles', operation: 'load_selection', originalError: error.message }
+      }), { context: 'equipment_profiles_load' });
+      return '';
+    }
+  }
+
+  saveSelection() {
+    try {
+      localStorage.setItem(STORAGE_KEY, this.selectedProfileId);
+    } catch (error) {
+      errorHandler.handleError(new DataLoadError('Failed to save equipment profile selection', {
+        userMessage: 'Unable to save your equipment profile selection. It may not persist.',
+        severity: 'warning',
+        recoverable: true,
+        details: { component: 'equipment-profiles', operation: 'save_selection', originalError: error.message }
+      }), { context: 'equipment_profiles_save' });
+    }
+  }
+}
+
+export { EquipmentProfiles };
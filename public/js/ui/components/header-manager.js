@@ -15,6 +15,7 @@ class HeaderManager {
     this.header = null;
     this.buttons = {};
     this.dropdownOpen = false;
+    this.exportMenuOpen = false;
   }
 
   init() {
@@ -48,6 +49,16 @@ class HeaderManager {
         <button id="printRecipeBtn" class="btn btn--primary icon-button u-hidden">
           ${LucideIcons.createInline('printer', 'Print', 18)}
         </button>
+        <div id="exportDropdown" class="export-dropdown">
+          <button id="exportRecipeBtn" class="btn btn--primary icon-button u-hidden">
+            ${LucideIcons.createInline('download', 'Export', 18)}
+          </button>
+          <div id="exportDropdownMenu" class="export-dropdown-menu u-hidden">
+            <button class="dropdown-menu-item" data-export-format="beerxml">BeerXML (.xml)</button>
+            <button class="dropdown-menu-item" data-export-format="beerjson">BeerJSON (.json)</button>
+            <button class="dropdown-menu-item" data-export-format="brewfather">Brewfather (.json)</button>
+          </div>
+        </div>
         <button id="backToDataBtn" class="btn btn--primary btn--fixed icon-button u-hidden">
           ${LucideIcons.createInline('braces', 'Data Fields', 18)}
         </button>
@@ -89,6 +100,7 @@ class HeaderManager {
       backToData: document.getElementById('backToDataBtn'),
       saveRecipe: document.getElementById('saveRecipeBtn'),
       printRecipe: document.getElementById('printRecipeBtn'),
+      exportRecipe: document.getElementById('exportRecipeBtn'),
       continueToRecipe: document.getElementById('continueToRecipeBtn')
     };
 
@@ -103,6 +115,9 @@ class HeaderManager {
       signOut: document.getElementById('signOutMenuItem')
     };
 
+    // Store export menu reference
+    this.exportMenu = document.getElementById('exportDropdownMenu');
+
     // Store logo link reference
     this.logoLink = document.getElementById('headerLogoLink');
   }
@@ -175,6 +190,25 @@ class HeaderManager {
       });
     }
 
+    // Export Recipe button - toggles the format menu
+    if (this.buttons.exportRecipe) {
+      this.buttons.exportRecipe.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.toggleExportMenu();
+      });
+    }
+
+    // Export format menu items
+    if (this.exportMenu) {
+      this.exportMenu.querySelectorAll('[data-export-format]').forEach(item => {
+        item.addEventListener('click', () => {
+          this.closeExportMenu();
+          window.dispatchEvent(new CustomEvent(EVENTS.EXPORT_RECIPE, {
+            detail: { format: item.dataset.exportFormat }
+          }));
+        });
+      });
+    }
 
     // Save Recipe button
     if (this.buttons.saveRecipe) {
@@ -285,9 +319,10 @@ class HeaderManager {
       });
     }
 
-    // Close dropdown when clicking outside
+    // Close dropdowns when clicking outside
     document.addEventListener('click', () => {
       this.closeDropdown();
+      this.closeExportMenu();
     });
 
     // Initialize authentication
@@ -386,6 +421,29 @@ class HeaderManager {
     this.dropdown.menu.classList.add('u-hidden');
   }
 
+  /**
+   * Toggle the export format menu
+   */
+  toggleExportMenu() {
+    if (this.exportMenuOpen) {
+      this.closeExportMenu();
+    } else {
+      this.exportMenuOpen = true;
+      this.exportMenu.classList.remove('u-hidden');
+      this.exportMenu.classList.add('u-block');
+    }
+  }
+
+  /**
+   * Close the export format menu
+   */
+  closeExportMenu() {
+    if (!this.exportMenu) return;
+    this.exportMenuOpen = false;
+    this.exportMenu.classList.remove('u-block');
+    this.exportMenu.classList.add('u-hidden');
+  }
+
   setCurrentPage(page) {
     this.currentPage = page;
     this.updateButtonVisibility();
@@ -397,8 +455,9 @@ class HeaderManager {
     // Hide all buttons first (including floating close button)
     const allButtons = [
       this.buttons.closeRecipe, this.buttons.backToData, this.buttons.saveRecipe, 
-      this.buttons.printRecipe, this.buttons.continueToRecipe
+      this.buttons.printRecipe, this.buttons.exportRecipe, this.buttons.continueToRecipe
     ];
+    this.closeExportMenu();
     allButtons.forEach(btn => {
       if (btn) {
         btn.classList.remove('u-inline-flex', 'u-flex');
@@ -448,6 +507,10 @@ class HeaderManager {
           this.buttons.printRecipe.classList.remove('u-hidden');
           this.buttons.printRecipe.classList.add('u-inline-flex');
         }
+        if (this.buttons.exportRecipe) {
+          this.buttons.exportRecipe.classList.remove('u-hidden');
+          this.buttons.exportRecipe.classList.add('u-inline-flex');
+        }
         if (this.buttons.backToData) {
           this.buttons.backToData.classList.remove('u-hidden');
           this.buttons.backToData.classList.add('u-inline-flex');
@@ -0,0 +1,190 @@
+/**
+ * Recipe Picker Modal
+ * Lists every recipe found in a multi-recipe file (BeerXML <RECIPES> library, BeerJSON recipes array)
+ * so the user can open one or save a selection to My Recipes
+ */
+
+import { escapeHtml } from '../../formatters/text-formatter.js';
+import { LucideIcons } from './lucide-icons.js';
+
+export class RecipePickerModal {
+  constructor() {
+    this.modalElement = null;
+    this.resolveSelection = null;
+    this.handleKeyDown = this.handleKeyDown.bind(this);
+  }
+
+  /**
+   * Show the picker and wait for the user's choice
+   * @param {Array<Object>} recipes - Recipe summaries ({name, styleName, og, ibu}) in file order;
+   *   recipes that failed validation carry an invalidReason and are listed but can't be opened or saved
+   * @param {Object} options - Picker options
+   * @param {string} options.fileName - Uploaded file name shown in the header
+   * @param {boolean} options.canSave - Whether bulk-saving to My Recipes is available (signed in)
+   * @returns {Promise<Object>} {action: 'open', index} | {action: 'save', indices} | {action: 'cancel'}
+   */
+  show(recipes, { fileName = '', canSave = false } = {}) {
+    if (this.resolveSelection) {
+      this.close({ action: 'cancel' });
+    }
+
+    return new Promise(resolve => {
+      this.resolveSelection = resolve;
+      this.createModal(recipes, fileName, canSave);
+      this.bindEvents();
+      document.body.appendChild(this.modalElement);
+      LucideIcons.render(this.modalElement);
+
+      requestAnimationFrame(() => {
+        this.modalElement.classList.remove('modal--hidden');
+        this.modalElement.classList.add('modal--visible');
+      });
+    });
+  }
+
+  createModal(recipes, fileName, canSave) {
+    this.modalElement = document.createElement('div');
+    this.modalElement.className = 'modal-base modal-standard recipe-picker-modal modal--hidden';
+    this.modalElement.innerHTML = `
+      <div class="modal-content">
+        <div class="modal-header">
+          <h3>Choose a Recipe</h3>
+          <button class="modal-close" aria-label="Close recipe picker">&times;</button>
+        </div>
+        <div class="modal-body">
+          <p class="recipe-picker-summary">
+            ${recipes.length} recipes found${fileName ? ` in <strong>${escapeHtml(fileName)}</strong>` : ''}.
+            Open one${canSave ? ', or select several and save them to My Recipes' : ''}.
+          </p>
+          <table class="recipe-picker-table">
+            <thead>
+              <tr>
+                ${canSave ? `<th class="recipe-picker-select"><input type="checkbox" id="recipe-picker-select-all" aria-label="Select all recipes"></th>` : ''}
+                <th>Name</th>
+                <th>Style</th>
+                <th class="recipe-picker-number">OG</th>
+                <th class="recipe-picker-number">IBU</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              ${recipes.map((recipe, index) => this.createRow(recipe, index, canSave)).join('')}
+            </tbody>
+          </table>
+          <div class="modal-buttons recipe-picker-actions">
+            <button type="button" class="btn" id="recipe-picker-cancel">Cancel</button>
+            ${canSave ? `
+              <button type="button" class="btn btn--success icon-button" id="recipe-picker-save" disabled>
+                ${LucideIcons.createInline('save', 'Save Selected', 18)}
+              </button>
+            ` : ''}
+          </div>
+        </div>
+      </div>
+    `;
+  }
+
+  createRow(recipe, index, canSave) {
+    const og = Number.isFinite(recipe.og) ? recipe.og.toFixed(3) : '—';
+    const ibu = Number.isFinite(recipe.ibu) ? Math.round(recipe.ibu) : '—';
+
+    if (recipe.invalidReason) {
+      return `
+        <tr class="recipe-picker-row--invalid">
+          ${canSave ? `<td class="recipe-picker-select"><input type="checkbox" disabled aria-label="${escapeHtml(recipe.name || 'Recipe')} can't be saved"></td>` : ''}
+          <td>${escapeHtml(recipe.name || 'Untitled Recipe')}</td>
+          <td>${escapeHtml(recipe.styleName || '—')}</td>
+          <td class="recipe-picker-number">—</td>
+          <td class="recipe-picker-number">—</td>
+          <td><span class="recipe-picker-invalid" title="${escapeHtml(recipe.invalidReason)}">Invalid</span></td>
+        </tr>
+      `;
+    }
+
+    return `
+      <tr>
+        ${canSave ? `<td class="recipe-picker-select"><input type="checkbox" class="recipe-picker-checkbox" data-index="${index}" aria-label="Select ${escapeHtml(recipe.name || 'recipe')}"></td>` : ''}
+        <td>${escapeHtml(recipe.name || 'Untitled Recipe')}</td>
+        <td>${escapeHtml(recipe.styleName || '—')}</td>
+        <td class="recipe-picker-number">${og}</td>
+        <td class="recipe-picker-number">${ibu}</td>
+        <td><button type="button" class="btn btn--primary recipe-picker-open" data-index="${index}">Open</button></td>
+      </tr>
+    `;
+  }
+
+  bindEvents() {
+    const modal = this.modalElement;
+
+    modal.querySelector('.modal-close')?.addEventListener('click', () => this.close({ action: 'cancel' }));
+    modal.querySelector('#recipe-picker-cancel')?.addEventListener('click', () => this.close({ action: 'cancel' }));
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) {
+        this.close({ action: 'cancel' });
+      }
+    });
+    document.addEventListener('keydown', this.handleKeyDown);
+
+    modal.querySelectorAll('.recipe-picker-open').forEach(button => {
+      button.addEventListener('click', () => {
+        this.close({ action: 'open', index: parseInt(button.dataset.index, 10) });
+      });
+    });
+
+    const checkboxes = Array.from(modal.querySelectorAll('.recipe-picker-checkbox'));
+    const selectAll = modal.querySelector('#recipe-picker-select-all');
+    const saveButton = modal.querySelector('#recipe-picker-save');
+    const getSelectedIndices = () => checkboxes
+      .filter(checkbox => checkbox.checked)
+      .map(checkbox => parseInt(checkbox.dataset.index, 10));
+    const updateSelectionState = () => {
+      const selectedCount = getSelectedIndices().length;
+      if (saveButton) saveButton.disabled = selectedCount === 0;
+      if (selectAll) {
+        selectAll.checked = selectedCount === checkboxes.length;
+        selectAll.indeterminate = selectedCount > 0 && selectedCount < checkboxes.length;
+      }
+    };
+
+    checkboxes.forEach(checkbox => checkbox.addEventListener('change', updateSelectionState));
+    selectAll?.addEventListener('change', () => {
+      checkboxes.forEach(checkbox => {
+        checkbox.checked = selectAll.checked;
+      });
+      updateSelectionState();
+    });
+    saveButton?.addEventListener('click', () => {
+      this.close({ action: 'save', indices: getSelectedIndices() });
+    });
+  }
+
+  handleKeyDown(e) {
+    if (e.key === 'Escape' && this.modalElement) {
+      this.close({ action: 'cancel' });
+    }
+  }
+
+  /**
+   * Hide the modal and resolve the pending selection
+   * @param {Object} selection - Selection result passed to the show() promise
+   */
+  close(selection) {
+    document.removeEventListener('keydown', this.handleKeyDown);
+
+    const modal = this.modalElement;
+    if (modal) {
+      modal.classList.remove('modal--visible');
+      modal.classList.add('modal--hidden');
+      setTimeout(() => {
+        if (modal.parentNode) {
+          modal.parentNode.removeChild(modal);
+        }
+      }, 300); // Match CSS transition duration
+    }
+    this.modalElement = null;
+
+    const resolve = this.resolveSelection;
+    this.resolveSelection = null;
+    resolve?.(selection);
+  }
+}
@@ -0,0 +1,79 @@
+/**
+ * Recipe Scaler
+ * Controls for brewing the displayed recipe at a different batch size, brewhouse efficiency or kettle boil-off rate
+ * Rendered into the section controls panel; the scaled recipe is calculated and shown as a new recipe
+ */
+
+import { EVENTS, L_TO_GAL } from '../../core/constants.js';
+
+class RecipeScaler {
+  constructor() {
+    this.currentRecipe = null;
+  }
+
+  /**
+   * Render the scaler block at the end of the section controls panel
+   * Call after SectionManager.setupControls, which rebuilds the panel
+   * @param {Object} recipeData - Validated recipe being displayed (batch size in liters)
+   */
+  setupControls(recipeData = null) {
+    if (recipeData) {
+      this.currentRecipe = recipeData;
+    }
+
+    const content = document.querySelector('#sectionControls .section-controls-content');
+    if (!content) return;
+
+    content.querySelector('.recipe-scaler')?.remove();
+    if (!(this.currentRecipe?.batchSize > 0)) return;
+
+    content.insertAdjacentHTML('beforeend', this.createControlsHTML());
+    this.attachEventListeners(content.querySelector('.recipe-scaler'));
+  }
+
+  createControlsHTML() {
+    const batchSizeGal = (this.currentRecipe.batchSize * L_TO_GAL).toFixed(2);
+    const efficiency = this.currentRecipe.efficiency > 0 ? this.currentRecipe.efficiency : '';
+
+    return `
+      <div class="calculation-settings recipe-scaler">
+        <div class="calculation-settings-title">Scale Recipe</div>
+        <label class="calculation-setting">
+          <span class="toggle-label">Batch size (gal)</span>
+          <input type="number" id="scaleBatchSize" min="0.5" max="500" step="0.25" value="${batchSizeGal}">
+        </label>
+        <label class="calculation-setting" title="Brewhouse efficiency of the system you're brewing on">
+          <span class="toggle-label">Efficiency (%)</span>
+          <input type="number" id="scaleEfficiency" min="30" max="100" step="1" value="${efficiency}">
+        </label>
+        <label class="calculation-setting" title="Leave empty to keep the recipe's boil-off rate">
+          <span class="toggle-label">Boil-off (gal/hr)</span>
+          <input type="number" id="scaleBoilOff" min="0" max="20" step="0.05" placeholder="Recipe">
+        </label>
+        <div class="calculation-setting">
+          <button class="btn btn--small btn--primary" id="scaleRecipeBtn">Scale</button>
+        </div>
+      </div>
+    `;
+  }
+
+  attachEventListeners(container) {
+    if (!container) return;
+
+    container.querySelector('#scaleRecipeBtn')?.addEventListener('click', () => {
+      const batchSizeGal = parseFloat(container.querySelector('#scaleBatchSize')?.value);
+      const efficiency = parseFloat(container.querySelector('#scaleEfficiency')?.value);
+      const boilOffGalHr = parseFloat(container.querySelector('#scaleBoilOff')?.value);
+
+      window.dispatchEvent(new CustomEvent(EVENTS.SCALE_RECIPE, {
+        detail: {
+          batchSizeL: batchSizeGal > 0 ? batchSizeGal / L_TO_GAL : null,
+          efficiency: efficiency > 0 ? efficiency : null,
+          boilOffRateLHr: boilOffGalHr > 0 ? boilOffGalHr / L_TO_GAL : null
+        }
+      }));
+    });
+  }
+}
+
+export { RecipeScaler };
@@ -14,8 +14,10 @@ class SectionManager {
       'ingredients-section', 
       'water-profiles-section',
       'mash-fermentation-section',
+      'yeast-pitching-section',
       'brew-day-measurements-section',
       'water-volume-tracking-section',
+      'packaging-section',
       'notes-section'
     ];
     this.preferences = this.loadPreferences();
@@ -128,8 +130,10 @@ class SectionManager {
       'ingredients-section': 'Ingredients',
       'water-profiles-section': 'Water Profiles',
       'mash-fermentation-section': 'Mash & Fermentation',
+      'yeast-pitching-section': 'Yeast & Pitching',
       'brew-day-measurements-section': 'Brew Day Measurements',
       'water-volume-tracking-section': 'Volume Breakdown',
+      'packaging-section': 'Packaging',
       'equipment-section': 'Equipment',
       'notes-section': 'Notes'
     };
@@ -11,6 +11,7 @@ export class UploadModal {
     this.fileInput = null;
     this.uploadZone = null;
     this.isVisible = false;
+    this.handlePaste = this.handlePaste.bind(this);
   }
 
   /**
@@ -37,12 +38,13 @@ export class UploadModal {
         </div>
         <div class="modal-body">
           <div class="upload-area">
-            <input type="file" id="modalFileInput" accept=".xml,.beerxml,.json" hidden>
+            <input type="file" id="modalFileInput" accept=".xml,.beerxml,.json,.bsmx,.txt" hidden>
             <div class="upload-zone" id="modalUploadZone">
               <div class="upload-icon">📄</div>
               <h3>Upload Your Recipe</h3>
               <p>Drop your recipe file here or click to select</p>
-              <p class="format-support">Supports BeerXML, BeerJSON, and Brewfather formats</p>
+              <p>You can also paste recipe XML, JSON or text</p>
+              <p class="format-support">Supports BeerXML, BeerJSON, Brewfather, BeerSmith, and plain-text recipes</p>
               <button id="modalUploadButton" class="btn btn--primary btn--large">Choose File</button>
             </div>
             <div id="modalErrorMsg" class="error-message u-hidden"></div>
@@ -103,10 +105,15 @@ export class UploadModal {
           // Create a mock event to reuse existing file handling logic
           const mockEvent = { target: { files: files } };
           this.handleFileLoad(mockEvent);
+        } else {
+          this.handleTextImport(e.dataTransfer.getData('text/plain'), 'drop');
         }
       });
     }
 
+    // Paste recipe content while the modal is open
+    document.addEventListener('paste', this.handlePaste);
+
     // Close button
     if (this.closeButton) {
       this.closeButton.addEventListener('click', () => {
@@ -129,6 +136,28 @@ export class UploadModal {
     });
   }
 
+  /**
+   * Import pasted files or recipe text while the modal is open
+   * Pastes into inputs, textareas and contenteditable elements are left alone
+   * @param {ClipboardEvent} e - Paste event
+   */
+  handlePaste(e) {
+    if (!this.isVisible || e.target?.closest?.('input, textarea, select, [contenteditable=""], [contenteditable="true"]')) {
+      return;
+    }
+    const files = e.clipboardData?.files;
+    if (files?.length > 0) {
+      e.preventDefault();
+      this.handleFileLoad({ target: { files } });
+      return;
+    }
+    const text = e.clipboardData?.getData('text/plain');
+    if (text?.trim()) {
+      e.preventDefault();
+      this.handleTextImport(text, 'paste');
+    }
+  }
+
   /**
    * Handle file upload - delegates to main app's file handling
    */
@@ -162,6 +191,32 @@ export class UploadModal {
     }
   }
 
+  /**
+   * Handle pasted or dropped recipe text - delegates to main app's text import
+   * @param {string} text - Recipe content
+   * @param {string} source - 'paste' or 'drop'
+   */
+  async handleTextImport(text, source) {
+    if (!text || !text.trim()) return;
+
+    try {
+      this.hide();
+
+      if (window.brewLogApp && typeof window.brewLogApp.handleTextImport === 'function') {
+        await window.brewLogApp.handleTextImport(text, source);
+      } else {
+        throw new Error('Main app text import handler not available');
+      }
+    } catch (error) {
+      this.showError(error.message || 'Failed to process recipe text');
+      errorHandler.handleError(error, {
+        component: 'UploadModal',
+        method: 'handleTextImport',
+        context: { source, length: text.length }
+      });
+    }
+  }
+
   /**
    * Show error message in modal
    */
@@ -222,6 +277,7 @@ export class UploadModal {
    * Destroy the modal and clean up
    */
   destroy() {
+    document.removeEventListener('paste', this.handlePaste);
     if (this.modal) {
       this.modal.remove();
       this.modal = null;
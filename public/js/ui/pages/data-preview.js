@@ -2,6 +2,7 @@
  * Data Preview Component
  * Shows a condensed list of all recipe fields with their availability status
  * Now supports both BeerXML and BeerJSON field analysis
+ * Plain-text imports also get a report of estimated values and unrecognized lines
  */
 
 import { 
@@ -861,6 +862,7 @@ class DataPreview {
         <div class="data-preview-header">
           <h1>Recipe Field Coverage</h1>
           <h2>${this.escapeHtml(recipeData.name || 'Untitled Recipe')}</h2>
+          ${recipeData.textImport ? '<p>Imported from plain text. Check what was recognized below before continuing to the recipe view.</p>' : ''}
 
           <div class="data-preview-stats">
             <div class="progress-stat">
@@ -930,6 +932,10 @@ class DataPreview {
       'equipment'
     ];
     
+    if (recipeData.textImport) {
+      html += this.renderTextImportSection(recipeData.textImport);
+    }
+    
     // Render each section in order with enhanced styling
     for (const sectionKey of sectionOrder) {
       if (analysis[sectionKey]) {
@@ -1003,6 +1009,40 @@ class DataPreview {
     return html;
   }
 
+  /**
+   * Render the plain-text import report: estimated values and lines that were skipped
+   * @param {Object} report - textImport report from TextRecipeParser
+   */
+  renderTextImportSection(report) {
+    const rows = [
+      { label: 'Lines recognized', badgeClass: 'badge-present', badgeText: String(report.recognizedLines) },
+      ...report.estimatedValues.map(({ field, name, value }) => ({
+        label: `${name}: ${field.endsWith('alpha') ? `${value}% alpha (typical)` : field.endsWith('color') ? `${value} °L (typical)` : value}`,
+        badgeClass: 'badge-missing-optional',
+        badgeText: 'Estimated'
+      })),
+      ...report.unrecognizedLines.map(line => ({
+        label: line,
+        badgeClass: 'badge-missing-required',
+        badgeText: 'Not recognized'
+      }))
+    ];
+    
+    return `
+      <div class="data-section text-import-section">
+        <h3 class="data-section-title">Text Import</h3>
+        <div class="field-list">
+          ${rows.map(row => `
+            <div class="field-item">
+              <span class="field-label">${this.escapeHtml(row.label)}</span>
+              <span class="field-badge ${row.badgeClass}">${row.badgeText}</span>
+            </div>
+          `).join('')}
+        </div>
+      </div>
+    `;
+  }
+
   /**
    * Get badge CSS class for field status
    */
@@ -7,8 +7,11 @@ import { HeaderRenderer } from './renderers/header-renderer.js';
 import { IngredientsRenderer } from './renderers/ingredients-renderer.js';
 import { WaterProfilesRenderer } from './renderers/water-profiles-renderer.js';
 import { MashFermentationRenderer } from './renderers/mash-fermentation-renderer.js';
+import { YeastPitchingRenderer } from './renderers/yeast-pitching-renderer.js';
+import { PackagingRenderer } from './renderers/packaging-renderer.js';
 import { MeasurementsRenderer } from './renderers/measurements-renderer.js';
 import { VolumeTrackingRenderer } from './renderers/volume-tracking-renderer.js';
+import { BoilCorrectionAdvisor } from './components/boil-correction-advisor.js';
 import { errorHandler } from '../utilities/errors/error-handler.js';
 import { DataLoadError } from '../utilities/errors/application-errors.js';
 
@@ -21,8 +24,11 @@ class RecipeRenderer {
     this.ingredientsRenderer = new IngredientsRenderer();
     this.waterProfilesRenderer = new WaterProfilesRenderer();
     this.mashFermentationRenderer = new MashFermentationRenderer();
+    this.yeastPitchingRenderer = new YeastPitchingRenderer();
+    this.packagingRenderer = new PackagingRenderer();
     this.measurementsRenderer = new MeasurementsRenderer();
     this.volumeTrackingRenderer = new VolumeTrackingRenderer();
+    this.boilCorrectionAdvisor = new BoilCorrectionAdvisor();
   }
 
   render(formattedRecipe, container) {
@@ -37,19 +43,25 @@ class RecipeRenderer {
     this.renderIngredients(formattedRecipe.ingredients, formattedRecipe.recipeAnalysis);
     
     // Render water profiles section (between ingredients and mash/fermentation)
-    this.renderWaterProfiles(formattedRecipe.recipeAnalysis);
+    this.renderWaterProfiles(formattedRecipe.recipeAnalysis, formattedRecipe.saltAdditions);
     
     // Render combined mash and fermentation section
     if (formattedRecipe.hasMash || formattedRecipe.hasFermentation) {
       this.renderMashAndFermentation(formattedRecipe.mash, formattedRecipe.fermentation);
     }
     
+    // Render yeast pitch rate and starter plan
+    this.renderYeastPitching(formattedRecipe);
+    
     // Render brew day measurements section
     this.renderBrewDayMeasurements(formattedRecipe);
     
     // Render water volume tracking section
     this.renderWaterVolumeTracking(formattedRecipe);
     
+    // Render priming sugar and bottle conditioning
+    this.renderPackaging(formattedRecipe);
+    
     this.renderNotes(formattedRecipe);
     
     // Initialize image manager after rendering
@@ -65,22 +77,31 @@ class RecipeRenderer {
     this.ingredientsRenderer.render(ingredients, this.container, recipeAnalysis);
   }
 
-  renderWaterProfiles(recipeAnalysis) {
-    this.waterProfilesRenderer.render(recipeAnalysis, this.container);
+  renderWaterProfiles(recipeAnalysis, saltAdditions) {
+    this.waterProfilesRenderer.render(recipeAnalysis, this.container, saltAdditions);
   }
 
   renderMashAndFermentation(mash, fermentation) {
     this.mashFermentationRenderer.render(mash, fermentation, this.container);
   }
 
+  renderYeastPitching(recipe) {
+    this.yeastPitchingRenderer.render(recipe, this.container);
+  }
+
   renderBrewDayMeasurements(recipe) {
     this.measurementsRenderer.render(recipe, this.container);
+    this.boilCorrectionAdvisor.setupControls(this.container, recipe.boilCorrections);
   }
 
   renderWaterVolumeTracking(recipe) {
     this.volumeTrackingRenderer.render(recipe, this.container);
   }
 
+  renderPackaging(recipe) {
+    this.packagingRenderer.render(recipe, this.container);
+  }
+
   renderNotes(recipe) {
     if (!recipe.notes) return;
 
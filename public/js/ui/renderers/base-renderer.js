@@ -209,6 +209,18 @@ export class BaseRenderer {
     return String(value);
   }
 
+  /**
+   * Create a small beer/malt color swatch
+   * @param {string|null} hex - sRGB color from the SRM color chart
+   * @returns {string} Swatch HTML, or empty string without a color
+   */
+  createColorSwatch(hex) {
+    if (!hex || !/^#[0-9A-F]{6}$/i.test(hex)) {
+      return '';
+    }
+    return `<span class="color-swatch" style="background-color: ${hex}" aria-hidden="true"></span>`;
+  }
+
   /**
    * Create a measurement field for brew day tracking
    * @param {string} fieldClass - CSS class for the field
@@ -367,7 +379,7 @@ export class BaseRenderer {
         </td>
         <td class="ingredient-name">
           <div class="name-value">${renderer.escapeHtml(fermentable.name)}</div>
-          ${colorSupplier ? `<div class="value-text-sm">${colorSupplier}</div>` : ''}
+          ${colorSupplier ? `<div class="value-text-sm">${renderer.createColorSwatch(fermentable.colorSwatch)}${colorSupplier}</div>` : ''}
         </td>
         <td class="ingredient-percentage">
           <div class="percentage-value">${fermentable.percentage}</div>
@@ -383,10 +395,15 @@ export class BaseRenderer {
    * @returns {string} Hop row HTML
    */
   static generateHopRow(hop, renderer) {
+    // Show storage-aged alpha next to the nominal one when the hop's age is known
+    const alpha = hop.adjustedAlphaFormatted
+      ? `${hop.alphaFormatted} <span class="adjusted-alpha" title="Estimated alpha acid after storage">(${hop.adjustedAlphaFormatted} aged)</span>`
+      : hop.alphaFormatted;
+
     // Combine alpha and form with em dash
-    const alphaForm = hop.alphaFormatted && hop.formFormatted 
-      ? `${hop.alphaFormatted} — ${hop.formFormatted}`
-      : hop.alphaFormatted || hop.formFormatted || '';
+    const alphaForm = alpha && hop.formFormatted 
+      ? `${alpha} — ${hop.formFormatted}`
+      : alpha || hop.formFormatted || '';
     
     // Add origin if available
     const alphaFormOrigin = alphaForm && hop.origin 
@@ -632,6 +649,8 @@ export class BaseRenderer {
         <td class="mash-step-name">
           <div class="name-value">${renderer.escapeHtml(step.name)}</div>
           ${typeInfo ? `<div class="value-text-sm">${typeInfo}</div>` : ''}
+          ${step.infusionFormatted ? `<div class="value-text-sm mash-infusion-value">${step.infusionFormatted}</div>` : ''}
+          ${step.overflowsTun ? `<div class="value-text-sm mash-overflow-value">⚠️ ${step.mashVolumeFormatted} exceeds mash tun</div>` : ''}
         </td>
         <td class="mash-step-time">
           <div class="time-value">${step.stepTimeFormatted}</div>
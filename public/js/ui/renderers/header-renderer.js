@@ -173,7 +173,7 @@ class HeaderRenderer extends BaseRenderer {
       { label: 'OG:', value: recipe.ogFormatted },
       { label: 'FG:', value: recipe.fgFormatted },
       { label: 'IBU:', value: recipe.ibuFormatted },
-      { label: 'SRM:', value: recipe.srmFormatted }
+      { label: `${recipe.colorLabel || 'SRM'}:`, value: `${this.createColorSwatch(recipe.srmColor)}${recipe.colorFormatted || recipe.srmFormatted}` }
     ];
     
     return this.createStatsList(stats, 'basic-stats');
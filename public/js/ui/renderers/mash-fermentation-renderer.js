@@ -1,6 +1,6 @@
 /**
  * Mash & Fermentation Renderer
- * Handles rendering of mash steps and fermentation steps section
+ * Handles rendering of mash steps, decoction schedules and fermentation steps section
  */
 
 import { BaseRenderer } from './base-renderer.js';
@@ -47,6 +47,7 @@ class MashFermentationRenderer extends BaseRenderer {
       const validSteps = actualMash.steps.filter(step => step != null);
       const tableHTML = this.createMashFermentationTable(validSteps, BaseRenderer.generateMashStepRow, 'mash-steps-table');
       mashFermentationHTML += this.createMashFermentationSubsection('Mash Steps', tableHTML, extraTitle);
+      mashFermentationHTML += this.renderDecoctionSchedules(validSteps);
     }
 
     // Fermentation Steps
@@ -61,6 +62,47 @@ class MashFermentationRenderer extends BaseRenderer {
     
     actualContainer.insertAdjacentHTML('beforeend', mashFermentationHTML);
   }
+
+  /**
+   * Render the timed pull, rest, boil and return sub-schedule for each decoction step
+   * @param {Array} steps - Formatted mash steps
+   * @returns {string} Decoction schedule subsections HTML, empty without decoctions
+   */
+  renderDecoctionSchedules(steps) {
+    return steps
+      .filter(step => step.decoctionScheduleFormatted)
+      .map(step => {
+        const tableHTML = this.createMashFermentationTable(
+          step.decoctionScheduleFormatted,
+          MashFermentationRenderer.generateDecoctionPhaseRow,
+          'mash-steps-table decoction-schedule-table'
+        );
+        return this.createMashFermentationSubsection('Decoction', tableHTML, ` — ${this.escapeHtml(step.name)}`);
+      })
+      .join('');
+  }
+
+  /**
+   * Generate decoction phase row HTML in the mash step row layout
+   * @param {Object} phase - Formatted decoction phase
+   * @returns {string} Decoction phase row HTML
+   */
+  static generateDecoctionPhaseRow(phase) {
+    return `
+      <tr>
+        <td class="mash-step-temp">
+          <div class="temp-value">${phase.tempFormatted}</div>
+        </td>
+        <td class="mash-step-name">
+          <div class="name-value">${phase.actionFormatted}</div>
+          ${phase.durationFormatted ? `<div class="value-text-sm">${phase.durationFormatted}</div>` : ''}
+        </td>
+        <td class="mash-step-time">
+          <div class="time-value">${phase.startFormatted}</div>
+        </td>
+      </tr>
+    `;
+  }
 }
 
 export { MashFermentationRenderer };
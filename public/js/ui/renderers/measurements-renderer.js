@@ -1,6 +1,7 @@
 /**
  * Measurements Renderer
- * Handles rendering of brew day measurements section
+ * Handles rendering of brew day measurements section, gravity reading correction tables,
+ * the measured pre-boil advisor and the "if you're off" pre-boil correction tables
  */
 
 import { BaseRenderer } from './base-renderer.js';
@@ -45,12 +46,168 @@ class MeasurementsRenderer extends BaseRenderer {
     brewDayHTML += `
           </div>
         </div>
+        ${this.renderGravityCorrections(recipe.gravityCorrections)}
+        ${this.renderBoilCorrections(recipe.boilCorrections)}
       </section>
     `;
     
     container.insertAdjacentHTML('beforeend', brewDayHTML);
   }
 
+  /**
+   * Render the printable hydrometer and refractometer correction tables for the expected gravities
+   * @param {Object|null} corrections - Formatted gravity corrections
+   * @returns {string} Correction tables HTML, empty without corrections
+   */
+  renderGravityCorrections(corrections) {
+    if (!corrections) return '';
+
+    const { hydrometer, refractometer, terrill } = corrections;
+    const hydrometerRows = hydrometer.rows.map(row => `
+      <tr class="${row.isCalibrationTemp ? 'gravity-correction-highlight' : ''}">
+        <td>${row.tempFormatted}</td>
+        ${row.correctionsFormatted.map(points => `<td class="gravity-correction-value">${points}</td>`).join('')}
+      </tr>
+    `).join('');
+
+    const readingRows = (rows, valueKey) => rows.map(row => `
+      <tr class="${row.labelFormatted ? 'gravity-correction-highlight' : ''}">
+        <td class="gravity-correction-value">${row.brixFormatted}</td>
+        <td class="gravity-correction-value">${row[valueKey]}</td>
+        <td class="gravity-correction-label">${row.labelFormatted}</td>
+      </tr>
+    `).join('');
+
+    const terrillHTML = terrill ? `
+      <div class="gravity-correction-table-container">
+        <h3 class="subsection-title">Refractometer FG (OG read ${terrill.originalBrixFormatted})</h3>
+        <table class="mash-table gravity-correction-table">
+          <thead>
+            <tr><th>Final °Bx</th><th>FG</th><th></th></tr>
+          </thead>
+          <tbody>
+            ${readingRows(terrill.rows, 'fgFormatted')}
+          </tbody>
+        </table>
+      </div>
+    ` : '';
+
+    return `
+      <div class="gravity-corrections-container">
+        <div class="gravity-correction-table-container">
+          <h3 class="subsection-title">Hydrometer (points to add, calibrated ${hydrometer.calibrationTempFormatted})</h3>
+          <table class="mash-table gravity-correction-table">
+            <thead>
+              <tr>
+                <th>Sample</th>
+                ${hydrometer.columnsFormatted.map(column => `<th>${column}</th>`).join('')}
+              </tr>
+            </thead>
+            <tbody>
+              ${hydrometerRows}
+            </tbody>
+          </table>
+        </div>
+        <div class="gravity-correction-table-container">
+          <h3 class="subsection-title">Refractometer Wort (WCF ${corrections.wortCorrectionFactorFormatted})</h3>
+          <table class="mash-table gravity-correction-table">
+            <thead>
+              <tr><th>°Bx</th><th>SG</th><th></th></tr>
+            </thead>
+            <tbody>
+              ${readingRows(refractometer.rows, 'sgFormatted')}
+            </tbody>
+          </table>
+        </div>
+        ${terrillHTML}
+      </div>
+    `;
+  }
+
+  /**
+   * Render the measured pre-boil advisor and the printable "if you're off" tables for pre-boil gravity and volume misses
+   * @param {Object|null} corrections - Formatted boil corrections
+   * @returns {string} Advisor and correction tables HTML, empty without corrections
+   */
+  renderBoilCorrections(corrections) {
+    if (!corrections) return '';
+
+    const table = (title, rows) => `
+      <div class="gravity-correction-table-container">
+        <h3 class="subsection-title">${title}</h3>
+        ${MeasurementsRenderer.generateBoilCorrectionTable(rows.map(MeasurementsRenderer.generateBoilCorrectionRow).join(''))}
+      </div>
+    `;
+
+    return `
+      <div class="gravity-corrections-container boil-corrections-container">
+        <div class="gravity-correction-table-container boil-correction-advisor no-print">
+          <h3 class="subsection-title">Measured Pre-Boil (target OG ${corrections.targetOgFormatted})</h3>
+          <div class="boil-correction-inputs">
+            <label>
+              <span>Gravity</span>
+              <input type="number" id="measuredPreBoilGravity" min="1" max="1.2" step="0.001">
+            </label>
+            <label>
+              <span>Volume (gal)</span>
+              <input type="number" id="measuredPreBoilVolume" min="0" max="500" step="0.05">
+            </label>
+          </div>
+          ${MeasurementsRenderer.generateBoilCorrectionTable('')}
+        </div>
+        ${table(`If Pre-Boil Gravity Is Off (${corrections.preBoilVolumeFormatted} pre-boil, target OG ${corrections.targetOgFormatted})`, corrections.gravityRows)}
+        ${table(`If Pre-Boil Volume Is Off (same extract as ${corrections.preBoilGravityFormatted}, boil-off ${corrections.boilOffFormatted})`, corrections.volumeRows)}
+      </div>
+    `;
+  }
+
+  /**
+   * Generate a pre-boil correction table around its rows
+   * @param {string} rowsHTML - Row HTML from generateBoilCorrectionRow
+   * @returns {string} Correction table HTML
+   */
+  static generateBoilCorrectionTable(rowsHTML) {
+    return `
+      <table class="mash-table gravity-correction-table boil-correction-table">
+        <thead>
+          <tr>
+            <th>Pre-Boil</th><th>OG</th><th>As Is</th>
+            <th>Boil Longer</th><th>or Add DME</th><th>or Add Sugar</th><th>or Add Water</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${rowsHTML}
+        </tbody>
+      </table>
+    `;
+  }
+
+  /**
+   * Generate the row for one pre-boil reading with the options that bring it back on target
+   * @param {Object} row - Formatted advice from RecipeFormatter.formatBoilCorrection
+   * @returns {string} Correction row HTML
+   */
+  static generateBoilCorrectionRow(row) {
+    const optionCell = (option) => (option ? `
+      <td class="gravity-correction-value">
+        ${option.actionFormatted}
+        <div class="boil-correction-result">${option.resultFormatted}</div>
+      </td>
+    ` : '<td class="gravity-correction-value">—</td>');
+
+    return `
+      <tr class="${row.isPlanned ? 'gravity-correction-highlight' : ''}">
+        <td>${row.readingFormatted}</td>
+        <td class="gravity-correction-value">${row.expectedOgFormatted}</td>
+        <td class="gravity-correction-value"><div class="boil-correction-result">${row.resultFormatted}</div></td>
+        ${optionCell(row.extendBoil)}
+        ${optionCell(row.dme)}
+        ${optionCell(row.sugar)}
+        ${optionCell(row.dilute)}
+      </tr>
+    `;
+  }
+
   /**
    * Render pH subsection using BaseRenderer methods
    * @param {Object} recipe - Recipe data
@@ -58,11 +215,7 @@ class MeasurementsRenderer extends BaseRenderer {
    */
   renderPhSubsection(recipe) {
     const phMeasurements = [
-      {
-        label: 'Mash pH:',
-        value: recipe.mashPhFormatted !== '—' ? recipe.mashPhFormatted : '5.2 - 5.6',
-        actualField: 'actual-mash-ph-field'
-      },
+      ...this.getMashPhMeasurements(recipe),
       {
         label: 'Sparge pH:',
         value: recipe.spargePhFormatted !== '—' ? recipe.spargePhFormatted : '5.2 - 6.0',
@@ -75,19 +228,48 @@ class MeasurementsRenderer extends BaseRenderer {
   }
 
   /**
-   * Render pH subsection for no-sparge recipes (mash pH only)
+   * Mash pH rows: the target with an actual field, plus the predicted pH and acid addition when
+   * the grist allows a prediction
    * @param {Object} recipe - Recipe data
-   * @param {boolean} forceColumnBreak - Whether to force a column break
-   * @returns {string} pH subsection HTML
+   * @returns {Array} Measurement rows for createMeasurementTable
    */
-  renderPhSubsectionNoSparge(recipe, forceColumnBreak = false) {
-    const phMeasurements = [
-      {
+  getMashPhMeasurements(recipe) {
+    const prediction = recipe.mashPhPrediction;
+    if (!prediction) {
+      return [{
         label: 'Mash pH:',
         value: recipe.mashPhFormatted !== '—' ? recipe.mashPhFormatted : '5.2 - 5.6',
         actualField: 'actual-mash-ph-field'
+      }];
+    }
+
+    const measurements = [
+      {
+        label: 'Mash pH:',
+        value: `${prediction.targetPhFormatted} target`,
+        actualField: 'actual-mash-ph-field'
+      },
+      {
+        label: 'Predicted pH:',
+        value: prediction.predictedPhFormatted
       }
     ];
+    if (!prediction.isDistilledWater) {
+      measurements.push({ label: 'Distilled Water pH:', value: prediction.distilledPhFormatted });
+    }
+    measurements.push({ label: 'Acid:', value: prediction.acidFormatted });
+
+    return measurements;
+  }
+
+  /**
+   * Render pH subsection for no-sparge recipes (mash pH only)
+   * @param {Object} recipe - Recipe data
+   * @param {boolean} forceColumnBreak - Whether to force a column break
+   * @returns {string} pH subsection HTML
+   */
+  renderPhSubsectionNoSparge(recipe, forceColumnBreak = false) {
+    const phMeasurements = this.getMashPhMeasurements(recipe);
 
     const tableHTML = this.createMeasurementTable(phMeasurements);
     const additionalClass = forceColumnBreak ? 'column-break-before' : '';
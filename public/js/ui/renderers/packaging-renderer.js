@@ -0,0 +1,167 @@
+/**
+ * Packaging Renderer
+ * Handles rendering of the carbonation target, priming sugar amounts, bottle pressure warning and
+ * keg force-carbonation settings
+ */
+
+import { BaseRenderer } from './base-renderer.js';
+
+class PackagingRenderer extends BaseRenderer {
+  constructor() {
+    super();
+  }
+
+  render(recipe, container) {
+    const packaging = recipe?.packaging;
+    const kegging = recipe?.kegging;
+    if (!packaging && !kegging) return;
+
+    let packagingHTML = `
+      <section id="packaging-section" class="recipe-section" data-section="packaging">
+        <h2 class="section-title">Packaging</h2>
+        <div class="brew-day-measurements-container">
+          <div class="brew-day-measurements-columns">
+    `;
+
+    if (packaging) {
+      packagingHTML += this.renderCarbonationSubsection(packaging);
+      packagingHTML += this.renderPrimingSugarSubsection(packaging);
+    }
+    if (kegging) {
+      packagingHTML += this.renderKeggingSubsection(kegging);
+    }
+
+    packagingHTML += `
+          </div>
+        </div>
+    `;
+
+    if (kegging) {
+      packagingHTML += this.renderPressureTable(kegging.pressureTable);
+    }
+    if (packaging) {
+      packagingHTML += this.renderBottleWarning(packaging);
+    }
+
+    packagingHTML += `
+      </section>
+    `;
+
+    container.insertAdjacentHTML('beforeend', packagingHTML);
+  }
+
+  /**
+   * Render carbonation target, CO2 left from fermentation and the volume being packaged
+   * @param {Object} packaging - Formatted priming plan
+   * @returns {string} Carbonation subsection HTML
+   */
+  renderCarbonationSubsection(packaging) {
+    const measurements = [
+      { label: 'Target:', value: packaging.targetVolumesFormatted },
+      { label: `Residual CO₂ (${packaging.fermentationTempFormatted}):`, value: packaging.residualVolumesFormatted },
+      { label: 'From Priming:', value: packaging.addedVolumesFormatted },
+      { label: 'Bottle Pressure:', value: packaging.bottlePressureFormatted },
+      { label: 'Packaged Volume:', value: packaging.packagedVolumeFormatted, actualField: 'actual-packaged-volume-field' }
+    ];
+
+    const tableHTML = this.createMeasurementTable(measurements);
+    return this.createBrewDaySubsection('Carbonation', tableHTML);
+  }
+
+  /**
+   * Render the priming amount for each sugar (recipe-specific sugars are listed first)
+   * @param {Object} packaging - Formatted priming plan
+   * @returns {string} Priming sugar subsection HTML
+   */
+  renderPrimingSugarSubsection(packaging) {
+    const sugars = [...packaging.sugars].sort((a, b) => Number(b.isCustom) - Number(a.isCustom));
+    const measurements = sugars.map(sugar => ({
+      label: `${this.escapeHtml(sugar.label)}:`,
+      value: sugar.amountFormatted
+    }));
+    measurements.push({ label: 'Sugar Used:', value: '', actualField: 'actual-priming-sugar-field' });
+
+    const tableHTML = this.createMeasurementTable(measurements);
+    return this.createBrewDaySubsection('Priming Sugar', tableHTML);
+  }
+
+  /**
+   * Render regulator setting and balanced line length for serving from a keg
+   * @param {Object} kegging - Formatted kegging plan
+   * @returns {string} Kegging subsection HTML
+   */
+  renderKeggingSubsection(kegging) {
+    const measurements = [
+      { label: 'Serving Temp:', value: kegging.servingTempFormatted },
+      { label: 'Regulator:', value: kegging.regulatorFormatted, actualField: 'actual-regulator-field' }
+    ];
+    if (kegging.altitudeCorrectionFormatted) {
+      measurements.push({ label: 'Altitude:', value: kegging.altitudeCorrectionFormatted });
+    }
+    measurements.push(
+      { label: 'Beer Line:', value: `${kegging.lineLengthFormatted} of ${this.escapeHtml(kegging.beerLineFormatted)}` },
+      { label: 'Tap Height:', value: kegging.tapHeightFormatted }
+    );
+
+    const tableHTML = this.createMeasurementTable(measurements);
+    return this.createBrewDaySubsection('Kegging', tableHTML);
+  }
+
+  /**
+   * Render regulator pressure by temperature (rows) and carbonation level (columns)
+   * The serving temperature row and target carbonation column are highlighted
+   * @param {Object} table - Formatted pressure table
+   * @returns {string} Pressure table HTML
+   */
+  renderPressureTable(table) {
+    if (!table || table.rows.length === 0) return '';
+
+    const headerCells = table.volumesFormatted.map((volumes, index) => `
+      <th class="${index === table.targetIndex ? 'keg-pressure-target' : ''}">${volumes}</th>
+    `).join('');
+
+    const rowsHTML = table.rows.map(row => `
+      <tr class="${row.isServingTemp ? 'keg-pressure-serving' : ''}">
+        <td class="keg-pressure-temp">${row.tempFormatted}</td>
+        ${row.pressuresFormatted.map((psi, index) => `
+          <td class="keg-pressure-value${index === table.targetIndex ? ' keg-pressure-target' : ''}">${psi}</td>
+        `).join('')}
+      </tr>
+    `).join('');
+
+    return `
+      <div class="keg-pressure-table-container">
+        <h3 class="subsection-title">Force Carbonation (psi)</h3>
+        <table class="mash-table keg-pressure-table">
+          <thead>
+            <tr>
+              <th>Temp</th>
+              ${headerCells}
+            </tr>
+          </thead>
+          <tbody>
+            ${rowsHTML}
+          </tbody>
+        </table>
+      </div>
+    `;
+  }
+
+  /**
+   * Render the bottle pressure warning for high carbonation targets
+   * @param {Object} packaging - Formatted priming plan
+   * @returns {string} Warning note HTML, empty when standard bottles are safe
+   */
+  renderBottleWarning(packaging) {
+    if (!packaging.bottleWarningFormatted) return '';
+
+    return `
+      <div class="warning-note packaging-warning">
+        <span class="warning-icon">⚠️</span>
+        <span class="warning-text"><b>Bottles:</b> ${packaging.bottleWarningFormatted}</span>
+      </div>
+    `;
+  }
+}
+
+export { PackagingRenderer };
@@ -3,7 +3,7 @@
  * Handles rendering of recipe statistics with style ranges and visual indicators
  */
 
-import { STAT_BASE_RANGES, GRAVITY_TARGET_RANGE_SIZE, GRAVITY_PADDING } from '../../core/constants.js';
+import { STAT_BASE_RANGES, GRAVITY_TARGET_RANGE_SIZE, GRAVITY_PADDING, SRM_TO_EBC } from '../../core/constants.js';
 import { 
   isValidNumber,
   isValidGravity,
@@ -40,14 +40,45 @@ class StatsRenderer extends BaseRenderer {
           ${this.renderStatRange('OG', recipe.og, style.ogMin, style.ogMax, recipe.ogFormatted)}
           ${this.renderStatRange('FG', recipe.fg, style.fgMin, style.fgMax, recipe.fgFormatted)}
           ${this.renderStatRange('IBU', recipe.ibu, style.ibuMin, style.ibuMax, recipe.ibuFormatted)}
-          ${this.renderStatRange('SRM', recipe.srm, style.colorMin, style.colorMax, recipe.srmFormatted)}
+          ${this.renderColorStatRange(recipe, style)}
           ${this.renderStatRange('CO₂', recipe.carbonation, style.carbMin, style.carbMax, recipe.carbonationFormatted)}
         </div>
+        ${this.renderCalculationNote(recipe)}
       </div>
     `;
   }
 
-  renderStatRange(label, recipeValue, styleMin, styleMax, formattedValue) {
+  /**
+   * Color row in the unit chosen in calculation settings - style color ranges are always SRM
+   * @param {Object} recipe - Formatted recipe
+   * @param {Object} style - Formatted style
+   * @returns {string} Stat range HTML
+   */
+  renderColorStatRange(recipe, style) {
+    const swatch = this.createColorSwatch(recipe.srmColor);
+    if (recipe.colorUnit !== 'ebc') {
+      return this.renderStatRange('SRM', recipe.srm, style.colorMin, style.colorMax, recipe.srmFormatted, swatch);
+    }
+
+    const toEbc = (srm) => (isValidNumber(srm, { allowZero: true, max: 200 }) ? parseFloat(srm) * SRM_TO_EBC : srm);
+    return this.renderStatRange('EBC', recipe.ebc, toEbc(style.colorMin), toEbc(style.colorMax), recipe.ebcFormatted, swatch);
+  }
+
+  /**
+   * Note naming the IBU formula and color model behind the values and what moved the estimated FG
+   * (omitted when all come from the file)
+   * @param {Object} recipe - Formatted recipe
+   * @returns {string} Note HTML
+   */
+  renderCalculationNote(recipe) {
+    const parts = [];
+    if (recipe.ibuFormula) parts.push(`IBU formula: ${this.escapeHtml(recipe.ibuFormula)}`);
+    if (recipe.colorModel) parts.push(`Color: ${this.escapeHtml(recipe.colorModel)}`);
+    if (recipe.fgAdjustmentFormatted) parts.push(this.escapeHtml(recipe.fgAdjustmentFormatted));
+    return parts.length > 0 ? `<p class="stat-ranges-note">${parts.join(' · ')}</p>` : '';
+  }
+
+  renderStatRange(label, recipeValue, styleMin, styleMax, formattedValue, labelPrefix = '') {
     // Handle undefined recipe values - show simple display without range calculations
     if (!isValidNumber(recipeValue, { allowZero: true, allowNegative: true, min: -Infinity, max: Infinity })) {
       return `
@@ -62,7 +93,7 @@ class StatsRenderer extends BaseRenderer {
     }
 
     // Always show range bars for main brewing stats, even without style values
-    const showRangeBar = ['ABV', 'OG', 'FG', 'IBU', 'SRM', 'CO₂'].includes(label);
+    const showRangeBar = ['ABV', 'OG', 'FG', 'IBU', 'SRM', 'EBC', 'CO₂'].includes(label);
     
     // Early validation: if style min/max are undefined, return a simple display for non-brewing stats
     if (!isValidNumber(styleMin, { allowZero: true, allowNegative: false, min: 0, max: 200 }) || 
@@ -356,7 +387,7 @@ class StatsRenderer extends BaseRenderer {
     return `
       <div class="stat-range ${statusClass}">
         <div class="stat-range-row">
-          <span class="stat-range-label">${label}</span>
+          <span class="stat-range-label">${labelPrefix}${label}</span>
           <div class="stat-range-bar">
             <div class="range-track">&nbsp;</div>
             ${(fullRange && isValidNumber(styleMin, { allowZero: true, allowNegative: false, min: 0, max: 200 }) && isValidNumber(styleMax, { allowZero: true, allowNegative: false, min: 0, max: 200 })) ? `<div class="style-range-highlight" style="left: ${safeStyleRangeStart}%; width: ${safeStyleRangeWidth}%;">&nbsp;</div>` : '<!-- No style range -->'}
@@ -391,6 +422,7 @@ class StatsRenderer extends BaseRenderer {
         'ABV': 1,        // Consider 0-1% ABV as "near zero"
         'IBU': 5,        // Consider 0-5 IBU as "near zero"
         'SRM': 2,        // Consider 0-2 SRM as "near zero"
+        'EBC': 4,        // Consider 0-4 EBC as "near zero"
         'CO₂': 1.0 // Consider 0-0.5 volumes as "near zero"
       };
       
@@ -403,6 +435,7 @@ class StatsRenderer extends BaseRenderer {
           'ABV': 0.5,      // Hide if within 0.5% ABV
           'IBU': 3,        // Hide if within 3 IBU
           'SRM': 1.5,      // Hide if within 1.5 SRM
+          'EBC': 3,        // Hide if within 3 EBC
           'CO₂': 0.2 // Hide if within 0.2 volumes
         };
         
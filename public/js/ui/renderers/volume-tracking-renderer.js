@@ -37,6 +37,11 @@ class VolumeTrackingRenderer extends BaseRenderer {
     
     // Add volume flow section
     contentHTML += this.renderVolumeFlowSection(recipe, tracking, isExtractRecipe);
+
+    // Add sparge acidification next to the volume flow when the source water has alkalinity data
+    if (!isExtractRecipe && recipe.spargeAcidification) {
+      contentHTML += this.renderSpargeAcidificationSection(recipe.spargeAcidification);
+    }
     
     // Close container
     contentHTML += '</div>';
@@ -65,6 +70,10 @@ class VolumeTrackingRenderer extends BaseRenderer {
         tracking.preBoilVolumeFlag,
         this.createWarningNote('warning-note', '⚠️', 'Pre-Boil Volume', tracking.preBoilVolumeFlag)
       ),
+      this.formatConditional(
+        tracking.kettleVolumeFlag,
+        this.createWarningNote('warning-note', '⚠️', 'Kettle Volume', tracking.kettleVolumeFlag)
+      ),
       this.formatConditional(
         tracking.evapRateFlag,
         this.createWarningNote('info-note', 'ℹ️', 'Evaporation Rate', tracking.evapRateFlag)
@@ -132,8 +141,19 @@ class VolumeTrackingRenderer extends BaseRenderer {
       );
     }
 
+    // Build step infusion calculations if later rests add boiling water
+    const infusionCalcs = [];
+    const infusionPlan = recipe.infusionPlan;
+    if (infusionPlan?.hasInfusions) {
+      infusionCalcs.push(
+        { type: 'base-value', label: 'Total Mash Volume Required', value: tracking.totalMashVolumeFormatted || '—' },
+        { type: 'addition', label: '+ Step Infusions (boiling)', value: `+${infusionPlan.infusionWaterFormatted}` },
+        { type: infusionPlan.overflowsTun ? 'overfill-warning' : 'result', label: '= Mash Volume at Final Rest', value: infusionPlan.finalMashVolumeFormatted }
+      );
+    }
+
     // Combine all calculations
-    const allCalculations = [...effectiveMashCalcs, ...totalMashCalcs, ...capacityCalcs];
+    const allCalculations = [...effectiveMashCalcs, ...totalMashCalcs, ...infusionCalcs, ...capacityCalcs];
     
     // Create calculation group HTML with conditional class
     const hasTunVolume = recipe.equipment?.tunVolume;
@@ -152,6 +172,16 @@ class VolumeTrackingRenderer extends BaseRenderer {
       calculationGroupHTML += this.renderMashTunUtilizationBar(recipe);
     }
 
+    // Flag rests whose mash volume won't fit in the tun
+    if (infusionPlan?.overflowsTun) {
+      calculationGroupHTML += this.createWarningNote(
+        'warning-note',
+        '⚠️',
+        'Mash Tun Overflow',
+        `${infusionPlan.overflowStepNames.map(name => this.escapeHtml(name)).join(', ')} would exceed the mash tun capacity`
+      );
+    }
+
     return this.createVolumeTrackingSubsection('Mash Capacity', calculationGroupHTML);
   }
 
@@ -240,6 +270,25 @@ class VolumeTrackingRenderer extends BaseRenderer {
     return this.createVolumeTrackingSubsection('Volume Flow', calculationGroupHTML);
   }
 
+  /**
+   * Render source water alkalinity and acid additions for the sparge water
+   * @param {Object} spargeAcidification - Formatted sparge acidification plan
+   * @returns {string} Sparge acidification section HTML
+   */
+  renderSpargeAcidificationSection(spargeAcidification) {
+    const rows = [
+      { label: 'Sparge Water:', value: spargeAcidification.spargeWaterFormatted },
+      { label: 'Source Water pH:', value: spargeAcidification.sourcePhFormatted },
+      { label: 'Alkalinity:', value: spargeAcidification.alkalinityFormatted },
+      { label: 'Residual Alkalinity:', value: spargeAcidification.residualAlkalinityFormatted },
+      { label: 'Target Sparge pH:', value: spargeAcidification.targetPhFormatted },
+      ...spargeAcidification.acids.map(acid => ({ label: `${acid.label}:`, value: acid.amountFormatted }))
+    ];
+
+    const tableHTML = this.createVolumeTrackingTable(rows);
+    return this.createVolumeTrackingSubsection('Sparge Acidification', tableHTML);
+  }
+
   /**
    * Calculate mash free space (positive = available space, negative = overfill)
    */
@@ -10,7 +10,7 @@ class WaterProfilesRenderer extends BaseRenderer {
     super();
   }
 
-  render(recipeAnalysis, container) {
+  render(recipeAnalysis, container, saltAdditions = null) {
     if (!recipeAnalysis || (!recipeAnalysis.sourceWaterProfile && !recipeAnalysis.targetWaterProfile)) {
       return;
     }
@@ -32,6 +32,12 @@ class WaterProfilesRenderer extends BaseRenderer {
       waterHTML += this.renderWaterProfile(recipeAnalysis.targetWaterProfile, 'Target Water', 'target-water');
     }
 
+    // Render salt additions and the water they produce
+    if (saltAdditions) {
+      waterHTML += this.renderWaterProfile(saltAdditions.resultProfile, 'Adjusted Water', 'adjusted-water');
+      waterHTML += this.renderSaltAdditions(saltAdditions);
+    }
+
     // Add sulfate/chloride ratio summary (with column break hint)
     if (recipeAnalysis.sulfateChlorideRatio > 0) {
       waterHTML += this.renderWaterChemistrySummary(recipeAnalysis);
@@ -122,6 +128,52 @@ class WaterProfilesRenderer extends BaseRenderer {
     return profileHTML;
   }
 
+  /**
+   * Render grams of each salt for mash and sparge water
+   * @param {Object} saltAdditions - Formatted salt additions
+   * @returns {string} Salt additions subsection HTML
+   */
+  renderSaltAdditions(saltAdditions) {
+    if (saltAdditions.additions.length === 0) {
+      return `
+        <div class="subsection salt-additions">
+          <h3 class="subsection-title">Salt Additions</h3>
+          <p class="salt-additions-note">No salt additions needed</p>
+        </div>
+      `;
+    }
+
+    const spargeHeader = saltAdditions.hasSparge ? `<th>Sparge (${saltAdditions.spargeWaterFormatted})</th>` : '';
+    const rowsHTML = saltAdditions.additions.map(addition => `
+      <tr>
+        <td class="salt-name">${this.escapeHtml(addition.label)}${addition.mashOnly && saltAdditions.hasSparge ? ' <span class="salt-mash-only">(mash only)</span>' : ''}</td>
+        <td class="salt-amount">${addition.mashFormatted}</td>
+        ${saltAdditions.hasSparge ? `<td class="salt-amount">${addition.spargeFormatted}</td>` : ''}
+        ${saltAdditions.hasSparge ? `<td class="salt-amount">${addition.totalFormatted}</td>` : ''}
+      </tr>
+    `).join('');
+
+    return `
+      <div class="subsection salt-additions">
+        <h3 class="subsection-title">Salt Additions</h3>
+        <table class="mash-table salt-additions-table">
+          <thead>
+            <tr>
+              <th>Salt</th>
+              <th>Mash (${saltAdditions.mashWaterFormatted})</th>
+              ${spargeHeader}
+              ${saltAdditions.hasSparge ? '<th>Total</th>' : ''}
+            </tr>
+          </thead>
+          <tbody>
+            ${rowsHTML}
+          </tbody>
+        </table>
+        <p class="salt-additions-note">Adjusted sulfate:chloride ${saltAdditions.sulfateChlorideRatioFormatted}</p>
+      </div>
+    `;
+  }
+
   renderWaterChemistrySummary(recipeAnalysis) {
     // Add character description based on ratio
     const ratio = recipeAnalysis.sulfateChlorideRatio;
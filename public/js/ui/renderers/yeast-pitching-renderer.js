@@ -0,0 +1,98 @@
+/**
+ * Yeast & Pitching Renderer
+ * Handles rendering of the pitch rate and starter plan section, and each culture's
+ * attenuation and temperature range against the fermentation schedule
+ */
+
+import { BaseRenderer } from './base-renderer.js';
+
+class YeastPitchingRenderer extends BaseRenderer {
+  constructor() {
+    super();
+  }
+
+  render(recipe, container) {
+    const pitching = recipe?.yeastPitching;
+    const cultures = recipe?.yeastCultures;
+    if (!pitching && !cultures) return;
+
+    let pitchingHTML = `
+      <section id="yeast-pitching-section" class="recipe-section" data-section="yeast-pitching">
+        <h2 class="section-title">Yeast & Pitching</h2>
+        <div class="brew-day-measurements-container">
+          <div class="brew-day-measurements-columns">
+    `;
+
+    if (pitching) {
+      pitchingHTML += this.renderPitchRateSubsection(pitching);
+      pitchingHTML += this.renderStarterSubsection(pitching);
+    }
+    if (cultures) {
+      pitchingHTML += this.renderCulturesSubsection(cultures);
+    }
+
+    pitchingHTML += `
+          </div>
+        </div>
+      </section>
+    `;
+
+    container.insertAdjacentHTML('beforeend', pitchingHTML);
+  }
+
+  /**
+   * Render target cells, package viability and the pitching advice
+   * @param {Object} pitching - Formatted pitching plan
+   * @returns {string} Pitch rate subsection HTML
+   */
+  renderPitchRateSubsection(pitching) {
+    const measurements = [
+      { label: 'Pitch Rate:', value: pitching.pitchRateFormatted },
+      { label: 'Cells Needed:', value: pitching.targetCellsFormatted },
+      { label: 'Packages:', value: pitching.packagesFormatted },
+      { label: 'Viability:', value: pitching.viabilityFormatted },
+      { label: 'Viable Cells:', value: pitching.viableCellsFormatted },
+      { label: 'Pitched:', value: pitching.adviceFormatted, actualField: 'actual-pitch-field' }
+    ];
+
+    const tableHTML = this.createMeasurementTable(measurements);
+    return this.createBrewDaySubsection(`Pitch Rate — ${this.escapeHtml(pitching.yeastName)}`, tableHTML);
+  }
+
+  /**
+   * Render stir plate and shaken starter options (omitted when no starter is needed)
+   * @param {Object} pitching - Formatted pitching plan
+   * @returns {string} Starter subsection HTML
+   */
+  renderStarterSubsection(pitching) {
+    if (!pitching.starters || pitching.starters.length === 0) return '';
+
+    const measurements = pitching.starters.map(starter => ({
+      label: `${starter.methodLabel}:`,
+      value: `${starter.stepsFormatted} → ${starter.finalCellsFormatted}${starter.reachesTarget ? '' : ' (short)'}`
+    }));
+    measurements.push({ label: 'Starter Gravity:', value: '1.036 - 1.040', actualField: 'actual-starter-gravity-field' });
+
+    const tableHTML = this.createMeasurementTable(measurements);
+    return this.createBrewDaySubsection('Starter', tableHTML);
+  }
+
+  /**
+   * Render each culture's role, attenuation and temperature range against the schedule stages it works through
+   * @param {Object} cultures - Formatted culture analysis
+   * @returns {string} Cultures subsection HTML
+   */
+  renderCulturesSubsection(cultures) {
+    const measurements = cultures.cultures.map(culture => ({
+      label: `${this.escapeHtml(culture.name)} (${culture.roleFormatted}):`,
+      value: `${culture.attenuationFormatted} · ${culture.tempRangeFormatted}` +
+        (culture.stagesFormatted ? ` — ${this.escapeHtml(culture.stagesFormatted)}` : '')
+    }));
+    measurements.push({ label: 'FG Attenuation:', value: this.escapeHtml(cultures.attenuationFormatted) });
+
+    const tableHTML = this.createMeasurementTable(measurements);
+    return this.createBrewDaySubsection(cultures.isMixed ? 'Cultures — Mixed Fermentation' : 'Cultures', tableHTML);
+  }
+}
+
+export { YeastPitchingRenderer };
@@ -8,6 +8,7 @@
  * - BeerXML and BeerJSON formats
  * - Equipment field name variations
  * - System type classification (BIAB, Traditional, All-in-One)
+ * - Saved equipment profiles overriding the recipe's equipment
  * - Missing data handling with sensible defaults
  */
 
@@ -16,7 +17,10 @@ import {
   KG_TO_LB, 
   QT_TO_L,
   FERMENTER_LOSS_DEFAULT,
-  GRAIN_DISPLACEMENT_RATE
+  GRAIN_DISPLACEMENT_RATE,
+  HOP_ABSORPTION_DEFAULT,
+  THERMAL_CONTRACTION_DEFAULT,
+  BREWING_SYSTEM_TYPES
 } from '../../core/constants.js';
 import { 
   detectSpargeUsage, 
@@ -25,6 +29,8 @@ import {
   getGrainAbsorptionRate,
   getGrainAbsorptionSystemType
 } from '../../calculations/sparge-calculator.js';
+import { getInternalHopUse } from '../../calculations/ibu-calculator.js';
+import { INTERNAL_HOP_USES } from '../hop-use-normalizer.js';
 import { RecipeValidator } from '../../core/recipe-validator.js';
 import { ValidationError } from '../errors/application-errors.js';
 import { sanitizeObject } from '../validation/security-utils.js';
@@ -79,14 +85,28 @@ export function extractGrainData(recipeData) {
 }
 
 /**
- * Classify the brewing system based on equipment name, recipe type, and sparge detection
- * @param {string} equipmentName - Equipment name
+ * Extract the weight of hops that sit in the kettle and hold back wort (first wort, boil and whirlpool)
+ * @param {Object} recipeData - Recipe data object
+ * @returns {number} Kettle hop weight in kg
+ */
+export function extractKettleHopWeight(recipeData) {
+  const nonKettleUses = [INTERNAL_HOP_USES.MASH, INTERNAL_HOP_USES.DRY_HOP, INTERNAL_HOP_USES.PACKAGING];
+
+  return (recipeData.ingredients?.hops || [])
+    .filter(hop => hop.amount > 0 && !nonKettleUses.includes(getInternalHopUse(hop)))
+    .reduce((total, hop) => total + hop.amount, 0);
+}
+
+/**
+ * Classify the brewing system based on the equipment profile (or equipment name), recipe type, and sparge detection
+ * @param {Object} equipment - Recipe equipment ({name, systemType})
  * @param {Object} spargeDetection - Sparge detection result
  * @param {string} recipeType - Recipe type (Extract, All Grain, etc.)
  * @returns {Object} System classification data
  */
-export function classifyBrewingSystem(equipmentName, spargeDetection, recipeType = '') {
-  const name = (equipmentName || '').toLowerCase();
+export function classifyBrewingSystem(equipment, spargeDetection, recipeType = '') {
+  const name = (equipment?.name || '').toLowerCase();
+  const profileSystemType = BREWING_SYSTEM_TYPES[equipment?.systemType] ? equipment.systemType : null;
   const type = (recipeType || '').toLowerCase();
   
   // Check for extract recipes first - they have their own classification
@@ -117,10 +137,13 @@ export function classifyBrewingSystem(equipmentName, spargeDetection, recipeType
     };
   }
   
-  const isNoSparge = name.includes('no sparge') || name.includes('biab') || !spargeDetection.usesSparge;
-  const isAllInOne = name.includes('foundry') || name.includes('grainfather') || 
+  // A saved equipment profile states the system type; recipe files only hint at it in the name
+  const isBIAB = profileSystemType ? profileSystemType === 'biab' : name.includes('biab');
+  const isAllInOne = profileSystemType ? profileSystemType === 'all-in-one' :
+                     name.includes('foundry') || name.includes('grainfather') || 
                      name.includes('brewzilla') || name.includes('all in one');
-  const isBIAB = name.includes('biab');
+  const isNoSparge = isBIAB || !spargeDetection.usesSparge ||
+                     (profileSystemType ? profileSystemType === 'no-sparge' : name.includes('no sparge'));
   
   let systemType = 'traditional';
   if (isBIAB) systemType = 'biab';
@@ -154,16 +177,20 @@ export function extractEquipmentData(equipment, systemType, spargeDetection) {
   const trubChillerLoss = equipment.trubChillerLoss !== undefined ? equipment.trubChillerLoss : 
                          (equipment.TRUB_CHILLER_LOSS !== undefined ? equipment.TRUB_CHILLER_LOSS : undefined);
 
-  // Set system-appropriate defaults
-  const mashTunDeadspace = equipment.mashTunDeadspace || (systemType.isNoSparge ? 0 : 0.5);
+  // Set system-appropriate defaults - equipment profile values are measured, so a zero there is a real zero
+  const isProfile = Boolean(equipment.equipmentProfileId);
+  const mashTunDeadspace = isProfile ? equipment.mashTunDeadspace || 0 :
+                           equipment.mashTunDeadspace || (systemType.isNoSparge ? 0 : 0.5);
   const lauterDeadspace = equipment.lauterDeadspace || equipment.LAUTER_DEADSPACE || 0;
   const topUpKettle = equipment.topUpKettle || 0;
   const topUpWater = equipment.topUpWater || 0;
-  const fermenterLoss = equipment.fermenterLoss || FERMENTER_LOSS_DEFAULT;
+  const fermenterLoss = isProfile ? equipment.fermenterLoss || 0 : equipment.fermenterLoss || FERMENTER_LOSS_DEFAULT;
+  const hopAbsorptionRate = equipment.hopAbsorptionRate > 0 ? equipment.hopAbsorptionRate : HOP_ABSORPTION_DEFAULT;
+  const kettleVolume = equipment.kettleVolume > 0 ? equipment.kettleVolume : null;
 
   // Calculate grain absorption data
-  const grainAbsorptionRate = getGrainAbsorptionRate(equipment.name, spargeDetection);
-  const grainAbsorptionSystemType = getGrainAbsorptionSystemType(equipment.name, spargeDetection);
+  const grainAbsorptionRate = getGrainAbsorptionRate(equipment, spargeDetection);
+  const grainAbsorptionSystemType = getGrainAbsorptionSystemType(equipment, spargeDetection);
 
   // Determine data source priority for evaporation calculations
   let dataSourcePriority = 'defaults';
@@ -182,6 +209,8 @@ export function extractEquipmentData(equipment, systemType, spargeDetection) {
     trubChillerLoss,
     grainAbsorptionRate,
     grainAbsorptionSystemType,
+    hopAbsorptionRate,
+    kettleVolume,
     dataSourcePriority
   };
 }
@@ -343,7 +372,7 @@ export function processRecipeForWaterCalculations(recipeData) {
   const explicitSpargeVolume = getSpargeVolume(sanitizedRecipeData);
   
   // System classification
-  const systemType = classifyBrewingSystem(equipment.name || '', spargeDetection, sanitizedRecipeData.type);
+  const systemType = classifyBrewingSystem(equipment, spargeDetection, sanitizedRecipeData.type);
   
   // Data extraction with system context
   const grainData = extractGrainData(sanitizedRecipeData);
@@ -376,6 +405,16 @@ export function processRecipeForWaterCalculations(recipeData) {
   
   // Add grain absorption to grain data
   grainData.grainAbsorptionL = grainAbsorptionL;
+
+  // Wort held back by kettle hops is lost with the trub on a saved equipment profile; a recipe file's
+  // trub loss already covers everything left in its kettle
+  const hopAbsorptionL = equipment?.equipmentProfileId
+    ? extractKettleHopWeight(sanitizedRecipeData) * KG_TO_LB * equipmentData.hopAbsorptionRate * QT_TO_L
+    : 0;
+  equipmentData.hopAbsorptionL = hopAbsorptionL;
+  if (hopAbsorptionL > 0 && equipmentData.trubChillerLoss !== undefined) {
+    equipmentData.trubChillerLoss += hopAbsorptionL;
+  }
   
   // Assemble processed data
   const processedData = {
@@ -402,3 +441,89 @@ export function processRecipeForWaterCalculations(recipeData) {
   
   return validateAndNormalizeInputs(processedData);
 }
+
+/**
+ * Water the volume tracking needs to reach the pre-boil volume, against what the mash steps declare
+ * Only the losses the tracking subtracts count: grain absorption, less any kettle top-up, before the
+ * wort expands on heating - dead space water still reaches the kettle
+ * @param {Object} recipeData - Recipe data object
+ * @returns {Object|null} {requiredWaterL, declaredWaterL}, null when the recipe can't be processed
+ */
+function getMashWaterDemand(recipeData) {
+  try {
+    const processedData = processRecipeForWaterCalculations(recipeData);
+    const thermalExpansionFactor = processedData.isNoBoil ? 1 : 1 + THERMAL_CONTRACTION_DEFAULT;
+    return {
+      requiredWaterL: processedData.boilSizeL / thermalExpansionFactor +
+        processedData.grainData.grainAbsorptionL - processedData.equipment.topUpKettle,
+      declaredWaterL: processedData.mashWaterData.totalMashWaterL
+    };
+  } catch (error) {
+    // Recipes the processor rejects keep their own mash water
+    return null;
+  }
+}
+
+/**
+ * Brew a recipe on a saved equipment profile instead of the equipment in the recipe file
+ * The profile replaces the recipe's equipment, the pre-boil volume is worked out from the profile's
+ * boil-off and kettle losses, and the sparge (or strike, without a sparge step) water is adjusted so
+ * the volume tracking collects that pre-boil volume after the profile's grain absorption
+ * @param {Object} recipeData - Validated recipe data
+ * @param {Object} profile - Equipment profile ({id, name, systemType, tunVolume, mashTunDeadspace, kettleVolume,
+ *   boilOffRate, trubChillerLoss, grainAbsorptionRate, fermenterLoss, hopAbsorptionRate, tunWeight, tunSpecificHeat})
+ * @returns {Object} Recipe data brewed on the profile, the recipe itself without a profile
+ */
+export function applyEquipmentProfile(recipeData, profile) {
+  if (!recipeData || !profile) {
+    return recipeData;
+  }
+
+  const { id, name, updatedAt, ...profileEquipment } = profile;
+  const equipment = {
+    ...recipeData.equipment,
+    ...profileEquipment,
+    name,
+    equipmentProfileId: id,
+    lauterDeadspace: 0,
+    // The profile's absolute boil-off rate replaces any percentage the recipe file declared
+    evapRate: undefined
+  };
+  const profiled = { ...recipeData, equipment };
+
+  const boilTime = recipeData.boilTime !== undefined ? recipeData.boilTime : 60;
+  if (recipeData.batchSize > 0 && boilTime > 0 && profile.boilOffRate > 0) {
+    const kettleLossL = (profile.trubChillerLoss || 0) +
+      extractKettleHopWeight(recipeData) * KG_TO_LB * (profile.hopAbsorptionRate || 0) * QT_TO_L;
+    const postBoilVolumeL = (recipeData.batchSize + kettleLossL - (equipment.topUpWater || 0)) / (1 - THERMAL_CONTRACTION_DEFAULT);
+
+    profiled.boilSize = postBoilVolumeL + profile.boilOffRate * boilTime / 60;
+    equipment.boilSize = profiled.boilSize;
+    equipment.batchSize = recipeData.batchSize;
+
+    // Declared boil gravities belong to the recipe's own volumes
+    delete profiled.preBoilGravity;
+    delete profiled.postBoilGravity;
+  }
+
+  const steps = recipeData.mash?.steps || [];
+  const demand = getMashWaterDemand(profiled);
+  const makeUpStep = steps.find(step => (step.type || '').toLowerCase() === 'sparge' && (step.infuseAmount > 0 || step.amount > 0)) ||
+    steps.find(step => step.infuseAmount > 0 || step.amount > 0);
+
+  if (makeUpStep && demand) {
+    const waterChangeL = demand.requiredWaterL - demand.declaredWaterL;
+    const adjust = amountL => Math.max(0, amountL + waterChangeL);
+
+    profiled.mash = {
+      ...recipeData.mash,
+      steps: steps.map(step => (step !== makeUpStep ? step : {
+        ...step,
+        ...(step.infuseAmount > 0 && { infuseAmount: adjust(step.infuseAmount) }),
+        ...(step.amount > 0 && { amount: adjust(step.amount) })
+      }))
+    };
+  }
+
+  return profiled;
+}
@@ -120,21 +120,25 @@ function formatWaterProfile(water) {
   return profile.length > 0 ? profile.join(', ') : 'Profile —';
 }
 
+/**
+ * Convert specific gravity to degrees Plato (ASBC polynomial)
+ * Shared by the Plato display, pitch rate and refractometer calculations
+ * @param {number} sg - Specific gravity
+ * @returns {number} Degrees Plato
+ */
+function sgToPlato(sg) {
+  return -616.868 + 1111.14 * sg - 630.272 * sg ** 2 + 135.997 * sg ** 3;
+}
+
 /**
  * Convert specific gravity to degrees Plato and format for brewing display
- * Uses standard brewing conversion formula for sugar content measurement
  * @param {number} specificGravity - Specific gravity value
- * @returns {string} Formatted degrees Plato string (e.g., "12.5 °P")
+ * @returns {string} Formatted degrees Plato string (e.g., "12.4 °P")
  */
 function formatPlato(specificGravity) {
   if (!specificGravity || specificGravity <= 1.0) return '';
   
-  // Convert specific gravity to degrees Plato using brewing formula:
-  // °Plato ≈ (SG - 1) / 0.004
-  // This is the standard approximation used in brewing calculations
-  const plato = (specificGravity - 1) / 0.004;
-  
-  return `${plato.toFixed(1)} °P`;
+  return `${sgToPlato(specificGravity).toFixed(1)} °P`;
 }
 
 // ============================================================================
@@ -244,6 +248,7 @@ export {
   formatPercentageRange,
   formatBrewDate,
   formatWaterProfile,
+  sgToPlato,
   formatPlato,
   parseGravityFromFormatted,
   parseAbvFromFormatted,
@@ -8,7 +8,7 @@
  * - Loads all 20 official BeerJSON v1.0 schema files
  * - In-memory caching for performance optimization
  * - Support for cross-schema $ref resolution
- * - File system error handling and validation
+ * - Works in Node (file system) and the browser (fetch)
  * - Cache statistics and management
  * 
  * **Schema Files Managed:**
@@ -43,16 +43,8 @@
  * @author Claude Code Assistant
  */
 
-import { readFile } from 'fs/promises';
-import { join, dirname } from 'path';
-import { fileURLToPath } from 'url';
-
-// Get the current module directory for schema path resolution
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
-
-/** @constant {string} Directory containing official BeerJSON schema files */
-const SCHEMAS_DIR = join(__dirname, 'schemas');
+/** @constant {URL} Directory containing official BeerJSON schema files, relative to this module */
+const SCHEMAS_URL = new URL('./schemas/', import.meta.url);
 
 /**
  * SchemaLoader provides efficient loading and caching of BeerJSON schemas
@@ -92,7 +84,7 @@ export class SchemaLoader {
    * schemas directory. Files are cached after first load for performance.
    * Automatically fixes $id fields to use local paths for proper cross-reference resolution.
    * 
-   * **Performance:** First load reads from disk (~1-2ms), subsequent calls
+   * **Performance:** First load reads from disk or network (~1-2ms), subsequent calls
    * return cached version (<0.1ms).
    * 
    * **Supported Schema Files:**
@@ -126,8 +118,7 @@ export class SchemaLoader {
     }
 
     try {
-      const schemaPath = join(SCHEMAS_DIR, schemaName);
-      const schemaContent = await readFile(schemaPath, 'utf8');
+      const schemaContent = await this.readSchemaFile(new URL(schemaName, SCHEMAS_URL));
       const schema = JSON.parse(schemaContent);
       
       // Fix $id field to use local path for proper cross-reference resolution
@@ -142,6 +133,28 @@ export class SchemaLoader {
     }
   }
 
+  /**
+   * Reads raw schema file contents from disk (Node) or over HTTP (browser)
+   * 
+   * @private
+   * @async
+   * @param {URL} schemaUrl - Absolute URL of the schema file
+   * @returns {Promise<string>} Raw schema file contents
+   * @throws {Error} If the file cannot be read or the request fails
+   */
+  async readSchemaFile(schemaUrl) {
+    if (schemaUrl.protocol === 'file:') {
+      const { readFile } = await import('fs/promises');
+      return readFile(schemaUrl, 'utf8');
+    }
+
+    const response = await fetch(schemaUrl);
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status} ${response.statusText}`);
+    }
+    return response.text();
+  }
+
   /**
    * Localizes schema references for offline validation
    * 